@@ -1,8 +1,58 @@
 #!/usr/bin/env node
+const crypto = require("crypto");
 const fs = require("fs");
+const http = require("http");
+const os = require("os");
 const path = require("path");
-const webidl = require("webidl2");
-const { AgentRuntime, loadAgentInterface, createRuntimeTransport } = require("../reference/sdk/agent-sdk");
+const { PassThrough } = require("stream");
+const { spawnSync } = require("child_process");
+const WebSocket = require("ws");
+const {
+  AgentRuntime,
+  loadAgentInterface,
+  createRuntimeTransport,
+  createWebSocketTransport,
+  serveAgent,
+  createHttpTransport,
+  serveAgentHttp,
+  httpStatusFor,
+  intentRoute,
+  serveMcpStdio,
+  createMcpHandler,
+  createEd25519Signer,
+  createEd25519Verifier,
+  createEnvelopeOpener,
+  createEnvelopeSealer,
+  createEd25519DelegationVerifier,
+  signDelegationContext,
+  CapabilityPolicy,
+  MemoryAuditSink,
+  JsonlAuditSink,
+  HashChainedAuditLog,
+  createEd25519AttestationSigner,
+  verifyAuditLog,
+  verifyExecutionRecord,
+  canonicalize,
+  MemoryRevocationStore,
+  FileRevocationStore,
+  StatusListRevocationStore,
+  DidKeyResolver,
+  DidWebFileResolver,
+  combineDidResolvers,
+  resolvePublicKey,
+  resolvePublicKeys,
+  MemoryKeyStore,
+  FileKeyStore,
+  MemoryReplayStore,
+  FileReplayStore,
+  AgentError,
+  withMiddleware,
+  IdlError,
+  expandCurie,
+  parseIdlSource,
+  resolveInterfaces,
+  validateIdlDefinitions,
+} = require("../reference/sdk/agent-sdk");
 
 const ROOT = __dirname;
 
@@ -10,36 +60,6 @@ function loadJson(filePath) {
   return JSON.parse(fs.readFileSync(filePath, "utf8"));
 }
 
-function normalizeExtendedAttributes(idlSource) {
-  return idlSource.replace(/\[\[/g, "[").replace(/\]\]/g, "]");
-}
-
-function getExtAttrValue(extAttrs, name) {
-  if (!extAttrs) return null;
-  const found = extAttrs.find(attr => attr.name === name);
-  if (!found) return null;
-  let value = null;
-  if (typeof found.rhs === "string") value = found.rhs;
-  if (found.rhs && typeof found.rhs.value === "string") value = found.rhs.value;
-  if (typeof value !== "string") return null;
-  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
-  return value;
-}
-
-function idlTypeName(idlType) {
-  if (!idlType) return null;
-  if (typeof idlType === "string") return idlType;
-  if (Array.isArray(idlType)) return idlType.map(idlTypeName).join("|");
-  if (idlType.idlType) return idlTypeName(idlType.idlType);
-  return null;
-}
-
-function parseIdl(filePath) {
-  const raw = fs.readFileSync(filePath, "utf8");
-  const normalized = normalizeExtendedAttributes(raw);
-  return webidl.parse(normalized);
-}
-
 function collectFiles(dirPath) {
   const entries = fs.readdirSync(dirPath, { withFileTypes: true });
   const files = [];
@@ -55,68 +75,10 @@ function collectFiles(dirPath) {
 }
 
 function validateIdlAst(ast, coreRules, profile) {
-  const errors = [];
-  const allowed = new Set(coreRules.allowedExtAttrs || []);
-  const requiredInterfaceAttrs = coreRules.requiredInterfaceAttrs || [];
-  const requiredOperationAttrs = coreRules.requiredOperationAttrs || [];
-  const delegationParamType = coreRules.delegationParamType || "DelegationContext";
-
-  const interfaces = ast.filter(def => def.type === "interface");
-  if (interfaces.length === 0) {
-    errors.push("No interface definitions found.");
-    return errors;
-  }
-
-  for (const iface of interfaces) {
-    const ifaceAttrs = iface.extAttrs || [];
-
-    for (const attr of ifaceAttrs) {
-      if (!allowed.has(attr.name)) {
-        errors.push(`Unknown extended attribute on interface ${iface.name}: ${attr.name}`);
-      }
-    }
-
-    for (const req of requiredInterfaceAttrs) {
-      const value = getExtAttrValue(ifaceAttrs, req);
-      if (!value) {
-        errors.push(`Missing required interface attribute ${req} on ${iface.name}`);
-      }
-    }
-
-    for (const member of iface.members) {
-      if (member.type !== "operation") continue;
-      const memberAttrs = member.extAttrs || [];
-
-      for (const attr of memberAttrs) {
-        if (!allowed.has(attr.name)) {
-          errors.push(`Unknown extended attribute on ${iface.name}.${member.name}: ${attr.name}`);
-        }
-      }
-
-      for (const req of requiredOperationAttrs) {
-        const value = getExtAttrValue(memberAttrs, req);
-        if (!value) {
-          errors.push(`Missing required operation attribute ${req} on ${iface.name}.${member.name}`);
-        }
-      }
-
-      const delegationValue = getExtAttrValue(memberAttrs, "Delegation");
-      if (delegationValue) {
-        const hasDelegationParam = member.arguments.some(arg => idlTypeName(arg.idlType) === delegationParamType);
-        if (!hasDelegationParam) {
-          errors.push(`Delegation attribute requires ${delegationParamType} parameter on ${iface.name}.${member.name}`);
-        }
-      }
-    }
+  const errors = validateIdlDefinitions(ast, coreRules).map(issue => issue.message);
+  if (profile === "delegation" && !coreRules.delegationParamType) {
+    errors.push("Delegation profile requires delegation parameter type rule.");
   }
-
-  if (profile === "delegation") {
-    const requiresDelegation = coreRules.delegationParamType;
-    if (!requiresDelegation) {
-      errors.push("Delegation profile requires delegation parameter type rule.");
-    }
-  }
-
   return errors;
 }
 
@@ -180,7 +142,7 @@ function runIdlVectors(dirPath, expectValid, profile) {
   for (const filePath of collectFiles(dirPath).filter(p => p.endsWith(".idl"))) {
     const testName = path.relative(ROOT, filePath);
     try {
-      const ast = parseIdl(filePath);
+      const ast = parseIdlSource(fs.readFileSync(filePath, "utf8"));
       const errors = validateIdlAst(ast, coreRules, profile);
       if (errors.length > 0 && expectValid) {
         results.push({ name: testName, ok: false, error: errors.join("; ") });
@@ -244,44 +206,359 @@ function runExecutionRecordVectors(dirPath, expectValid) {
   return results;
 }
 
+// Runs `cargo check` on a crate rooted at `crateRoot`, built in a scratch directory so
+// nothing is written next to the sources. Returns null when cargo or the serde crates
+// are not available offline, so the check only runs where a Rust toolchain is set up.
+function checkRustBindings(crateRoot) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-cargo-"));
+  try {
+    const manifest = [
+      "[package]",
+      'name = "agent-idl-rust-check"',
+      'version = "0.0.0"',
+      'edition = "2021"',
+      'rust-version = "1.75"',
+      "",
+      "[lib]",
+      `path = ${JSON.stringify(crateRoot)}`,
+      "",
+      "[dependencies]",
+      'serde = { version = "1", features = ["derive"] }',
+      'serde_json = "1"',
+    ].join("\n");
+    fs.writeFileSync(path.join(tmpDir, "Cargo.toml"), `${manifest}\n`);
+    const cargo = args =>
+      spawnSync("cargo", [...args, "--offline", "--quiet", "--manifest-path", path.join(tmpDir, "Cargo.toml")], {
+        encoding: "utf8",
+        timeout: 300000,
+        env: { ...process.env, CARGO_TARGET_DIR: path.join(os.tmpdir(), "agent-idl-cargo-target") },
+      });
+    const resolved = cargo(["generate-lockfile"]);
+    if (resolved.error || resolved.status !== 0) return null;
+    const run = cargo(["check"]);
+    if (run.error) return { ok: false, error: `cargo check failed to run: ${run.error.message}` };
+    return run.status === 0 ? { ok: true, error: null } : { ok: false, error: run.stderr.trim() };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
 async function runScenario(filePath) {
   const scenario = loadJson(filePath);
   const results = [];
 
-  if (scenario.name === "basic-delegation" || scenario.name === "revocation") {
+  if (scenario.name === "basic-delegation" || scenario.name === "revocation" || scenario.name === "delegation-chain") {
     const idlPath = path.join(path.dirname(filePath), scenario.idl);
     const interfaceDef = loadAgentInterface(idlPath);
-    const caller = new AgentRuntime({ id: "did:example:caller", interfaceDef });
-    const executor = new AgentRuntime({ id: "did:example:executor", interfaceDef });
+    const method = interfaceDef.methods[scenario.method];
+    const clock = () => new Date(scenario.now);
+    const caller = new AgentRuntime({ id: scenario.caller, interfaceDef, clock });
+    const executor = new AgentRuntime({ id: "did:example:executor", interfaceDef, clock });
 
-    executor.registerIntent("agent:PerformTask", async message => {
-      const ctx = message.payload.ctx;
-      if (ctx.revoked === true) {
-        return { status: "revoked", reason: "Delegation revoked." };
-      }
-      return { status: "ok", output: message.payload.request.task };
+    const unsigned = loadJson(path.join(path.dirname(filePath), scenario.delegationContext));
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const ctx = signDelegationContext(unsigned, { privateKey: keys.privateKey, proofType: unsigned.proof.type });
+    executor.registerDelegationVerifier(
+      ctx.proof.type,
+      createEd25519DelegationVerifier({ publicKeys: { [ctx.issuer]: keys.publicKey } })
+    );
+    executor.registerIntent(method.intent, () => ({ status: "ok" }));
+
+    let actual;
+    try {
+      const result = await caller.callMethod(executor, scenario.method, ctx, scenario.payload);
+      actual = { status: result.status };
+    } catch (err) {
+      actual = { error: err.name, reason: err.reason };
+    }
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
     });
+    return results;
+  }
 
-    const ctx = loadJson(path.join(path.dirname(filePath), scenario.delegationContext));
-    const result = await caller.callMethod(executor, scenario.method, ctx, scenario.payload);
-    const ok = result.status === scenario.expected.status;
+  if (scenario.name === "revocation-store") {
+    const idlPath = path.join(path.dirname(filePath), scenario.idl);
+    const interfaceDef = loadAgentInterface(idlPath);
+    const method = interfaceDef.methods[scenario.method];
+    const clock = () => new Date(scenario.now);
+    const unsigned = loadJson(path.join(path.dirname(filePath), scenario.delegationContext));
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-revocation-"));
+
+    const outcome = async run => {
+      try {
+        const result = await run();
+        return result.status;
+      } catch (err) {
+        return err.name === "AgentDelegationError" ? err.reason : err.message;
+      }
+    };
+
+    try {
+      for (const kind of scenario.stores) {
+        const caller = new AgentRuntime({ id: scenario.caller, interfaceDef, clock });
+        const executor = new AgentRuntime({ id: "did:example:executor", interfaceDef, clock });
+        executor.registerDelegationVerifier(
+          unsigned.proof.type,
+          createEd25519DelegationVerifier({ publicKeys: { [unsigned.issuer]: keys.publicKey } })
+        );
+        executor.registerIntent(method.intent, () => ({ status: "ok" }));
+
+        // The issuer revokes through its own store; the executor only ever sees
+        // what the issuer publishes, never a flag forwarded by the delegate.
+        let issuerStore;
+        let publish;
+        // Only the status list store can answer for the vector's revocationList.
+        const { revocationList, revocationIndex, ...byId } = unsigned;
+        let issued = byId;
+        if (kind === "memory") {
+          issuerStore = new MemoryRevocationStore();
+          executor.registerRevocationStore(issuerStore);
+        } else if (kind === "file") {
+          issuerStore = new FileRevocationStore(path.join(tmpDir, "revocations.json"));
+          executor.registerRevocationStore(new FileRevocationStore(issuerStore.filePath));
+        } else {
+          issuerStore = new StatusListRevocationStore({ id: unsigned.revocationList });
+          issued = { ...unsigned, revocationIndex: issuerStore.allocate(unsigned.id) };
+          let published = StatusListRevocationStore.fromCredential(issuerStore.toCredential());
+          executor.registerRevocationStore({
+            revoke: () => {},
+            status: ctx => published.status(ctx),
+            holdsList: listId => published.holdsList(listId),
+          });
+          publish = () => {
+            published = StatusListRevocationStore.fromCredential(issuerStore.toCredential());
+          };
+        }
+
+        const ctx = signDelegationContext(issued, { privateKey: keys.privateKey, proofType: unsigned.proof.type });
+        const call = () => caller.callMethod(executor, scenario.method, ctx, scenario.payload);
+        const before = await outcome(call);
+        await issuerStore.revoke(ctx.id, { reason: "scenario revocation" });
+        if (publish) publish();
+        const after = await outcome(call);
+
+        const ok = before === scenario.expected.before && after === scenario.expected.after;
+        results.push({
+          name: `scenario:${scenario.name}:${kind}`,
+          ok,
+          error: ok
+            ? null
+            : `Expected ${scenario.expected.before}/${scenario.expected.after} but got ${before}/${after}`,
+        });
+      }
+
+      // Verifiers fail closed: an unknown list or a broken index is not "not revoked".
+      const caller = new AgentRuntime({ id: scenario.caller, interfaceDef, clock });
+      const executor = new AgentRuntime({ id: "did:example:executor", interfaceDef, clock });
+      executor.registerDelegationVerifier(
+        unsigned.proof.type,
+        createEd25519DelegationVerifier({ publicKeys: { [unsigned.issuer]: keys.publicKey } })
+      );
+      executor.registerIntent(method.intent, () => ({ status: "ok" }));
+      executor.registerRevocationStore(new StatusListRevocationStore({ id: `${unsigned.revocationList}:other` }));
+      const callWith = fields => {
+        const signing = { privateKey: keys.privateKey, proofType: unsigned.proof.type };
+        const ctx = signDelegationContext({ ...unsigned, ...fields }, signing);
+        return outcome(() => caller.callMethod(executor, scenario.method, ctx, scenario.payload));
+      };
+      const issuer = new StatusListRevocationStore({ id: unsigned.revocationList });
+      issuer.allocate("urn:delegation:first");
+      const restarted = new StatusListRevocationStore({ id: issuer.id, allocated: issuer.allocations() });
+      const failClosed = {
+        unknownList: await callWith({}),
+        badIndex: await callWith({ revocationList: `${unsigned.revocationList}:other`, revocationIndex: "0" }),
+        outOfRange: await callWith({ revocationList: `${unsigned.revocationList}:other`, revocationIndex: 2 ** 30 }),
+        restoredIndex: restarted.allocate("urn:delegation:second"),
+      };
+      const mismatches = Object.keys(scenario.expected.failClosed).filter(
+        key => failClosed[key] !== scenario.expected.failClosed[key]
+      );
+      results.push({
+        name: `scenario:${scenario.name}:fail-closed`,
+        ok: mismatches.length === 0,
+        error: mismatches.length === 0
+          ? null
+          : mismatches.map(key => `${key}: expected ${scenario.expected.failClosed[key]} but got ${failClosed[key]}`).join("; "),
+      });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+    return results;
+  }
+
+  if (scenario.name === "capability-policy") {
+    const dir = path.dirname(filePath);
+    const direct = loadAgentInterface(path.join(dir, scenario.idl));
+    const delegated = loadAgentInterface(path.join(dir, scenario.delegatedIdl));
+    const clock = () => new Date(scenario.now);
+    const unsigned = loadJson(path.join(dir, scenario.delegationContext));
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const ctx = signDelegationContext(unsigned, { privateKey: keys.privateKey, proofType: unsigned.proof.type });
+
+    const call = async (interfaceDef, callerId, grants, args) => {
+      const caller = new AgentRuntime({ id: callerId, interfaceDef, clock });
+      const executor = new AgentRuntime({
+        id: "did:example:executor",
+        interfaceDef,
+        clock,
+        capabilityPolicy: new CapabilityPolicy(grants),
+      });
+      executor.registerDelegationVerifier(
+        ctx.proof.type,
+        createEd25519DelegationVerifier({ publicKeys: { [ctx.issuer]: keys.publicKey } })
+      );
+      executor.registerIntent(interfaceDef.methods[scenario.method].intent, () => ({ status: "ok" }));
+      try {
+        const result = await caller.callMethod(executor, scenario.method, ...args);
+        return result.status;
+      } catch (err) {
+        return err.name;
+      }
+    };
+
+    const { [ctx.issuer]: _issuerGrant, ...callerGrants } = scenario.grants;
+    const actual = {
+      granted: await call(direct, "did:example:reader", scenario.grants, [scenario.payload]),
+      denied: await call(direct, "did:example:stranger", scenario.grants, [scenario.payload]),
+      delegated: await call(delegated, ctx.subject, scenario.grants, [ctx, scenario.payload]),
+      delegatedWithoutIssuerGrant: await call(delegated, ctx.subject, callerGrants, [ctx, scenario.payload]),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
     results.push({
       name: `scenario:${scenario.name}`,
       ok,
-      error: ok ? null : `Expected status ${scenario.expected.status} but got ${result.status}`,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
     });
     return results;
   }
 
   if (scenario.name === "cross-implementation-audit") {
-    const record = loadJson(path.join(path.dirname(filePath), scenario.executionRecord));
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const method = interfaceDef.methods[scenario.method];
     const rules = loadJson(path.join(ROOT, "validation-rules", "audit.json"));
-    const errors = validateExecutionRecord(record, rules);
-    const ok = errors.length === 0;
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const memory = new MemoryAuditSink();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-audit-"));
+    const jsonl = new JsonlAuditSink(path.join(tmpDir, "audit.jsonl"));
+    const caller = new AgentRuntime({ id: scenario.caller, interfaceDef });
+    const executor = new AgentRuntime({
+      id: scenario.agent,
+      interfaceDef,
+      attestationSigner: createEd25519AttestationSigner({ privateKey: keys.privateKey }),
+    });
+    executor.registerAuditSink(memory);
+    executor.registerAuditSink(jsonl);
+    executor.registerIntent(method.intent, () => ({ status: "ok", details: "Job executed" }));
+
+    const errors = [];
+    try {
+      await caller.callMethod(executor, scenario.method, scenario.payload);
+      const lines = fs.readFileSync(jsonl.filePath, "utf8").trim().split("\n");
+      const record = memory.records[0];
+      if (memory.records.length !== 1 || lines.length !== 1) {
+        errors.push(`Expected one execution record per sink, got ${memory.records.length}/${lines.length}.`);
+      } else {
+        errors.push(...validateExecutionRecord(record, rules));
+        if (canonicalize(JSON.parse(lines[0])) !== canonicalize(record)) {
+          errors.push("JSONL sink record differs from the in-memory record.");
+        }
+        if (!verifyExecutionRecord(record, { publicKeys: { [scenario.agent]: keys.publicKey } })) {
+          errors.push("Execution attestation does not verify.");
+        }
+        const steps = (record.auditTrail || []).map(entry => entry.step).join(",");
+        if (steps !== scenario.expected.auditTrail.join(",")) {
+          errors.push(`Expected audit trail ${scenario.expected.auditTrail.join(",")} but got ${steps}.`);
+        }
+      }
+    } catch (err) {
+      errors.push(err.message || String(err));
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    const ok = (errors.length === 0) === scenario.expected.valid;
     results.push({
       name: `scenario:${scenario.name}`,
       ok,
-      error: ok ? null : errors.join("; "),
+      error: ok ? null : errors.join("; ") || "Expected the execution record to be rejected.",
+    });
+    return results;
+  }
+
+  if (scenario.name === "audit-chain") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const method = interfaceDef.methods[scenario.method];
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const publicKeys = { [scenario.agent]: keys.publicKey };
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-audit-chain-"));
+    const logPath = path.join(tmpDir, "audit.jsonl");
+
+    const echo = message => ({ status: "ok", details: message.payload.spec.command });
+    const runAll = async (payloads, handler = echo, file = logPath) => {
+      // A fresh runtime and log per batch: the second batch must resume from the file.
+      const caller = new AgentRuntime({ id: scenario.caller, interfaceDef });
+      const executor = new AgentRuntime({
+        id: scenario.agent,
+        interfaceDef,
+        attestationSigner: createEd25519AttestationSigner({ privateKey: keys.privateKey }),
+      });
+      executor.registerAuditSink(new HashChainedAuditLog(file));
+      executor.registerIntent(method.intent, handler);
+      await Promise.all(payloads.map(payload => caller.callMethod(executor, scenario.method, payload)));
+    };
+    const outcome = (source, anchor = {}) => {
+      const report = verifyAuditLog(source, { publicKeys, ...anchor });
+      return report.ok ? "ok" : report.failure.reason;
+    };
+
+    const actual = {};
+    try {
+      await runAll(scenario.payloads.slice(0, 2));
+      actual.intact = outcome(fs.readFileSync(logPath, "utf8"));
+      await runAll(scenario.payloads.slice(2));
+      const lines = fs.readFileSync(logPath, "utf8").trim().split("\n");
+      actual.resumed = outcome(lines.join("\n"));
+
+      const edited = JSON.parse(lines[1]);
+      edited.result.details = "nothing happened";
+      actual.edited = outcome([lines[0], JSON.stringify(edited), lines[2]].join("\n"));
+      actual.dropped = outcome([lines[0], lines[2]].join("\n"));
+      actual.reordered = outcome([lines[0], lines[2], lines[1]].join("\n"));
+      // Dropping the last record keeps the chain intact; only a known head or count catches it.
+      const { head } = verifyAuditLog(lines.join("\n"), { publicKeys });
+      const truncated = lines.slice(0, 2).join("\n");
+      actual.truncated = [
+        outcome(truncated),
+        outcome(truncated, { expectedHead: head }),
+        outcome(truncated, { expectedCount: 3 }),
+        outcome(lines.join("\n"), { expectedHead: head, expectedCount: 3 }),
+      ].join(" ");
+      // A key id naming an Object.prototype member is an unknown key, not a crash.
+      const inherited = JSON.parse(lines[0]);
+      inherited.attestation.keyId = "constructor";
+      actual.inheritedKey = outcome(JSON.stringify(inherited));
+
+      // Results that are not plain JSON are signed and hashed as the log writes them.
+      const datedPath = path.join(tmpDir, "dated.jsonl");
+      await runAll(scenario.payloads.slice(0, 2), () => ({ status: "ok", details: new Date(scenario.completedAt) }), datedPath);
+      actual.dated = outcome(fs.readFileSync(datedPath, "utf8"));
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
     });
     return results;
   }
@@ -318,6 +595,1526 @@ async function runScenario(filePath) {
     return results;
   }
 
+  if (scenario.name === "websocket-transport") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { createClient, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    let slowHandler = null;
+    registerHandlers(executor, {
+      proposeContract: async (data, message, call) => {
+        if (data.terms === scenario.slowTerms) {
+          slowHandler = new Promise(resolve => setTimeout(() => resolve(call.signal.aborted), scenario.timeoutMs * 4));
+          await slowHandler;
+        }
+        return { status: "accepted", price: data.price };
+      },
+      executePayment: () => ({ status: "paid" }),
+    });
+
+    const transportOptions = { WebSocket, from: "agent:A", reconnect: { retries: 5, minDelayMs: 20 } };
+    let server = await serveAgent(executor, { port: 0, host: "127.0.0.1" });
+    const url = `ws://127.0.0.1:${server.port}`;
+    const transport = createWebSocketTransport({ ...transportOptions, url });
+    const impatient = createWebSocketTransport({ ...transportOptions, url, timeoutMs: scenario.timeoutMs });
+    const client = createClient(transport);
+    const failure = async run => {
+      try {
+        await run();
+        return "no error";
+      } catch (err) {
+        return err.name === "AgentTransportError" ? err.code : err.name;
+      }
+    };
+
+    const actual = {};
+    try {
+      const prices = Array.from({ length: scenario.concurrency }, (_, index) => scenario.payload.price + index);
+      const replies = await Promise.all(prices.map(price => client[scenario.method]({ ...scenario.payload, price })));
+      const matched = replies.every((reply, index) => reply.price === prices[index]);
+      actual.concurrent = matched ? replies[0].status : "mismatched replies";
+      actual.invalid = await failure(() => client[scenario.method](scenario.invalidPayload));
+      const timedOut = await failure(() =>
+        createClient(impatient)[scenario.method]({ ...scenario.payload, terms: scenario.slowTerms })
+      );
+      actual.timeout = `${timedOut}, handler ${(await slowHandler) ? "cancelled" : "kept running"}`;
+
+      // A socket that never opens: aborting must not wait for the connection.
+      class HangingSocket {
+        constructor() {
+          this.readyState = 0;
+        }
+        addEventListener() {}
+        send() {}
+        close() {}
+      }
+      const hanging = createWebSocketTransport({ url, WebSocket: HangingSocket, from: "agent:A" });
+      const aborter = new AbortController();
+      setTimeout(() => aborter.abort(), scenario.timeoutMs);
+      const intent = interfaceDef.methods[scenario.method].intent;
+      const stillWaiting = new Promise(resolve => setTimeout(() => resolve("still waiting"), scenario.timeoutMs * 4));
+      actual.abortWhileConnecting = await Promise.race([
+        failure(() => hanging.send({ intent, payload: { data: scenario.payload } }, { signal: aborter.signal })),
+        stillWaiting,
+      ]);
+      hanging.close();
+
+      // Without a signal, the timeout still bounds the wait for a connection.
+      const slowToConnect = createWebSocketTransport({ url, WebSocket: HangingSocket, from: "agent:A", timeoutMs: scenario.timeoutMs });
+      actual.timeoutWhileConnecting = await Promise.race([
+        failure(() => slowToConnect.send({ intent, payload: { data: scenario.payload } })),
+        new Promise(resolve => setTimeout(() => resolve("still waiting"), scenario.timeoutMs * 4)),
+      ]);
+      slowToConnect.close();
+
+      // An unreachable agent is given up on after the default number of retries.
+      let connectAttempts = 0;
+      class RefusedSocket {
+        constructor() {
+          this.readyState = 0;
+          connectAttempts += 1;
+        }
+        addEventListener(type, listener) {
+          if (type === "error") setTimeout(listener, 0);
+        }
+        send() {}
+        close() {}
+      }
+      const unreachable = createWebSocketTransport({ url, WebSocket: RefusedSocket, from: "agent:A", reconnect: { minDelayMs: 1 } });
+      actual.unreachable = `${await failure(() => unreachable.send({ intent, payload: { data: scenario.payload } }))} after ${connectAttempts} attempts`;
+      unreachable.close();
+
+      await server.close();
+      server = await serveAgent(executor, { port: Number(new URL(url).port), host: "127.0.0.1" });
+      // A request racing the old socket's close is rejected as "closed"; callers retry those.
+      let reply = null;
+      for (let attempt = 0; attempt < 3 && !reply; attempt += 1) {
+        reply = await client[scenario.method](scenario.payload).catch(err => {
+          if (err.code !== "closed") throw err;
+          return null;
+        });
+      }
+      actual.reconnect = reply ? reply.status : "closed";
+    } finally {
+      transport.close();
+      impatient.close();
+      await server.close();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "http-transport") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { createClient, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    registerHandlers(executor, {
+      proposeContract: async data => {
+        if (data.terms === scenario.slowTerms) await new Promise(resolve => setTimeout(resolve, scenario.timeoutMs * 4));
+        return { status: "accepted", price: data.price };
+      },
+      executePayment: () => ({ status: "paid" }),
+    });
+
+    const server = await serveAgentHttp(executor, {
+      port: 0,
+      host: "127.0.0.1",
+      basePath: "/agents/b",
+      maxBodyBytes: scenario.maxBodyBytes,
+    });
+    const url = `http://127.0.0.1:${server.port}/agents/b`;
+    const client = createClient(createHttpTransport({ url, from: "agent:A" }));
+    const impatient = createClient(createHttpTransport({ url, from: "agent:A", timeoutMs: scenario.timeoutMs }));
+    const failure = async run => {
+      try {
+        await run();
+        return "no error";
+      } catch (err) {
+        return err.name === "AgentTransportError" ? err.code : `${err.name} ${err.status}`;
+      }
+    };
+    const post = (route, body, init = {}) =>
+      fetch(`${url}${route}`, { method: "POST", headers: { "content-type": "application/json" }, body, ...init });
+
+    const actual = {};
+    try {
+      const prices = Array.from({ length: scenario.concurrency }, (_, index) => scenario.payload.price + index);
+      const replies = await Promise.all(prices.map(price => client[scenario.method]({ ...scenario.payload, price })));
+      const matched = replies.every((reply, index) => reply.price === prices[index]);
+      actual.concurrent = matched ? replies[0].status : "mismatched replies";
+      actual.invalid = await failure(() => client[scenario.method](scenario.invalidPayload));
+      actual.unsigned = await failure(() => client[scenario.unsignedMethod](scenario.paymentPayload.payment));
+      actual.timeout = await failure(() => impatient[scenario.method]({ ...scenario.payload, terms: scenario.slowTerms }));
+
+      actual.unknownRoute = (await post("/agent/Unknown", "{}")).status;
+      const wrongMethod = await fetch(`${url}/agent/ProposeContract`);
+      actual.wrongMethod = `${wrongMethod.status} ${wrongMethod.headers.get("allow")}`;
+      actual.badJson = (await post("/agent/ProposeContract", "{not json")).status;
+      const padding = "x".repeat(scenario.maxBodyBytes * 4);
+      const oversized = await post("/agent/ProposeContract", JSON.stringify({ payload: { terms: padding } }));
+      actual.oversized = `${oversized.status} ${oversized.headers.get("connection")}`;
+
+      // A client that disconnects halfway through its body must not take the server down.
+      await new Promise(resolve => {
+        const partial = http.request(`${url}/agent/ProposeContract`, {
+          method: "POST",
+          headers: { "content-type": "application/json", "content-length": 1000 },
+        });
+        partial.on("error", () => resolve());
+        partial.write('{"payload":', () => setTimeout(() => partial.destroy(), 20));
+      });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      actual.afterAbort = (await client[scenario.method](scenario.payload)).status;
+    } finally {
+      await server.close();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "error-envelope") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const generated = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const { ContractNotFoundError, InsufficientFundsError, createClient, registerHandlers } = generated;
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    executor.registerProofVerifier("ledger:tx", proof => proof.tx === "signed");
+    registerHandlers(executor, {
+      proposeContract: data => {
+        if (data.terms === "crash") throw new Error("handler crashed");
+        // A Node system error, whose path, syscall and errno must not reach the caller.
+        if (data.terms === "system") fs.readFileSync(path.join(os.tmpdir(), "agent-idl-no-such-file"));
+        // A declared class thrown from an operation that does not declare it.
+        if (data.terms === "undeclared") throw new InsufficientFundsError("Balance too low", { available: 0, requested: 0 });
+        return { outcome: { status: "accepted", contractId: "C-1" } };
+      },
+      executePayment: payment => {
+        if (payment.contractId === scenario.missingContract) {
+          throw new ContractNotFoundError(`No contract ${payment.contractId}`, { contractId: payment.contractId });
+        }
+        if (payment.amount > scenario.balance) {
+          throw new InsufficientFundsError("Balance too low", { available: scenario.balance, requested: payment.amount });
+        }
+        return { status: "paid" };
+      },
+    });
+
+    const server = await serveAgentHttp(executor, { port: 0, host: "127.0.0.1" });
+    const url = `http://127.0.0.1:${server.port}`;
+    const proofProviders = { "ledger:tx": () => ({ type: "ledger:tx", tx: "signed" }) };
+    const client = createClient(createHttpTransport({ url, from: "agent:A", proofProviders }));
+    const unsigned = createClient(createHttpTransport({ url, from: "agent:A" }));
+    const failure = async run => {
+      try {
+        await run();
+        return { summary: "no error" };
+      } catch (err) {
+        return { summary: [err.name, err.code, err.status].filter(Boolean).join(" "), err };
+      }
+    };
+
+    const actual = {};
+    try {
+      const unknown = await failure(() => executor.receive({ intent: "agent:Unknown", payload: {} }));
+      actual.unknownIntent = `${unknown.summary} ${httpStatusFor(unknown.err)}`;
+      actual.validation = (await failure(() => client.proposeContract(scenario.invalidPayload))).summary;
+      actual.proof = (await failure(() => unsigned.executePayment(scenario.paymentPayload))).summary;
+      actual.handler = (await failure(() => client.proposeContract({ ...scenario.payload, terms: "crash" }))).summary;
+      actual.undeclared = (await failure(() => client.proposeContract({ ...scenario.payload, terms: "undeclared" }))).summary;
+
+      const declared = await failure(() => client.executePayment(scenario.overdrawnPayload));
+      actual.declared = declared.err instanceof InsufficientFundsError ? declared.summary : `untyped ${declared.summary}`;
+      actual.declaredData = declared.err && declared.err.data;
+      const notFound = await failure(() => client.executePayment({ ...scenario.paymentPayload, contractId: scenario.missingContract }));
+      actual.notFound = notFound.err instanceof ContractNotFoundError ? notFound.summary : `untyped ${notFound.summary}`;
+
+      const response = await fetch(`${url}${intentRoute("agent:ExecutePayment")}`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ payload: { payment: scenario.overdrawnPayload }, proof: { type: "ledger:tx", tx: "signed" } }),
+      });
+      const body = await response.json();
+      actual.envelope = `${response.status} ${Object.keys(body.error).sort().join(",")}`;
+      const crashed = await fetch(`${url}${intentRoute("agent:ProposeContract")}`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ payload: { data: { ...scenario.payload, terms: "system" } } }),
+      });
+      const crash = (await crashed.json()).error;
+      actual.systemError = `${crashed.status} ${crash.code} ${Object.keys(crash).sort().join(",")}`;
+    } finally {
+      await server.close();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(
+      key => canonicalize(actual[key]) !== canonicalize(scenario.expected[key])
+    );
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok
+        ? null
+        : mismatches
+            .map(key => `${key}: expected ${JSON.stringify(scenario.expected[key])} but got ${JSON.stringify(actual[key])}`)
+            .join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "streaming") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { createClient, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const abortWaiters = [];
+    const summarizer = new AgentRuntime({ id: "agent:Summarizer", interfaceDef, validateResults: true });
+    registerHandlers(summarizer, {
+      summarizeText: async (request, message, call) => {
+        if (request.text === scenario.invalidText) call.emit({ text: 42 });
+        if (request.text === scenario.hangText) {
+          call.emit({ text: "working" });
+          await new Promise(resolve => call.signal.addEventListener("abort", resolve, { once: true }));
+          abortWaiters.splice(0).forEach(resolve => resolve(true));
+          return { summary: "" };
+        }
+        const words = request.text.split(" ");
+        for (const word of words) {
+          await new Promise(resolve => setImmediate(resolve));
+          call.emit({ text: word });
+        }
+        return { summary: words.join(" ") };
+      },
+      translateText: request => ({ translated: request.text }),
+    });
+
+    // Resolves to whether the handler saw its signal fire, giving up after two seconds.
+    const handlerAborted = () => {
+      let timer;
+      return Promise.race([
+        new Promise(resolve => abortWaiters.push(resolve)),
+        new Promise(resolve => {
+          timer = setTimeout(resolve, 2000, false);
+        }),
+      ]).finally(() => clearTimeout(timer));
+    };
+    const streamed = async client => {
+      const call = client.summarizeText({ text: scenario.text });
+      const chunks = [];
+      for await (const chunk of call) chunks.push(chunk.text);
+      const { summary } = await call;
+      return `${chunks.join("|")} => ${summary}`;
+    };
+    const cancelled = async client => {
+      const call = client.summarizeText({ text: scenario.hangText });
+      const aborted = handlerAborted();
+      await call[Symbol.asyncIterator]().next();
+      call.cancel();
+      const code = await call.then(() => "no error", err => err.code);
+      return `${code}, ${(await aborted) ? "handler aborted" : "handler still running"}`;
+    };
+
+    const caller = new AgentRuntime({ id: "agent:Caller", interfaceDef });
+    const local = createClient(createRuntimeTransport({ caller, target: summarizer }));
+    const wsServer = await serveAgent(summarizer, { port: 0, host: "127.0.0.1" });
+    const httpServer = await serveAgentHttp(summarizer, { port: 0, host: "127.0.0.1" });
+    const wsTransport = createWebSocketTransport({ url: `ws://127.0.0.1:${wsServer.port}`, WebSocket, from: "agent:Caller" });
+    const httpUrl = `http://127.0.0.1:${httpServer.port}`;
+    const http = createClient(createHttpTransport({ url: httpUrl, from: "agent:Caller" }));
+    const ws = createClient(wsTransport);
+
+    const actual = {};
+    try {
+      actual.runtime = await streamed(local);
+      actual.websocket = await streamed(ws);
+      actual.http = await streamed(http);
+      actual.cancelRuntime = await cancelled(local);
+      actual.cancelWebsocket = await cancelled(ws);
+      actual.cancelHttp = await cancelled(http);
+
+      const broken = local.summarizeText({ text: scenario.hangText });
+      const brokenAborted = handlerAborted();
+      for await (const chunk of broken) if (chunk) break;
+      const brokenCode = await broken.then(() => "no error", err => err.code);
+      actual.breakOut = `${brokenCode}, ${(await brokenAborted) ? "handler aborted" : "handler still running"}`;
+
+      actual.invalidChunk = await local
+        .summarizeText({ text: scenario.invalidText })
+        .then(() => "no error", err => `${err.code} ${err.target}`);
+
+      const post = accept =>
+        fetch(`${httpUrl}${intentRoute("agent:SummarizeText")}`, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...(accept ? { accept } : {}) },
+          body: JSON.stringify({ payload: { request: { text: scenario.text } } }),
+        });
+      const ndjson = await post("application/x-ndjson");
+      const lines = (await ndjson.text()).trim().split("\n").map(line => Object.keys(JSON.parse(line))[0]);
+      actual.ndjson = `${ndjson.headers.get("content-type")} ${lines.join(",")}`;
+      const unstreamed = await post(null);
+      await unstreamed.text();
+      actual.unstreamedHttp = unstreamed.headers.get("content-type");
+
+      const notifications = [];
+      let onProgress = () => undefined;
+      const mcp = createMcpHandler(summarizer, {
+        notify: notification => {
+          notifications.push(notification);
+          onProgress(notification);
+        },
+      });
+      const toolCall = (id, text, progressToken) =>
+        mcp({
+          jsonrpc: "2.0",
+          id,
+          method: "tools/call",
+          params: { name: "summarizeText", arguments: { request: { text } }, _meta: { progressToken } },
+        });
+      await toolCall(1, scenario.text, "summary");
+      const progress = notifications.filter(note => note.params.progressToken === "summary");
+      actual.mcpProgress = `${progress.map(note => note.params.progress).join(",")} ${JSON.parse(progress[0].params.message).text}`;
+
+      const started = new Promise(resolve => {
+        onProgress = note => note.params.progressToken === "hang" && resolve();
+      });
+      const mcpAborted = handlerAborted();
+      const hanging = toolCall(2, scenario.hangText, "hang");
+      await started;
+      await mcp({ jsonrpc: "2.0", method: "notifications/cancelled", params: { requestId: 2 } });
+      const response = await hanging;
+      actual.mcpCancel = `${response === null ? "no response" : "responded"}, ${(await mcpAborted) ? "handler aborted" : "handler still running"}`;
+    } finally {
+      wsTransport.close();
+      await wsServer.close();
+      await httpServer.close();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "message-envelope") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { createClient, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const buyerKeys = crypto.generateKeyPairSync("ed25519");
+    const malloryKeys = crypto.generateKeyPairSync("ed25519");
+    const sellerKeys = crypto.generateKeyPairSync("x25519");
+    const seller = new AgentRuntime({
+      id: "agent:Seller",
+      interfaceDef,
+      requireEnvelopes: true,
+      envelopeOpener: createEnvelopeOpener({ senders: { "agent:Buyer": buyerKeys.publicKey }, privateKey: sellerKeys.privateKey }),
+    });
+    const sealFor = (recipient, recipients = {}) => createEnvelopeSealer({ privateKey: buyerKeys.privateKey, recipient, recipients });
+    const buyer = new AgentRuntime({
+      id: "agent:Buyer",
+      interfaceDef,
+      envelopeSealer: sealFor(undefined, { "agent:Seller": sellerKeys.publicKey }),
+    });
+    const proofKeys = crypto.generateKeyPairSync("ed25519");
+    buyer.registerProofProvider("ledger:tx", createEd25519Signer({ privateKey: proofKeys.privateKey }));
+    seller.registerProofVerifier("ledger:tx", createEd25519Verifier({ publicKeys: { [buyer.id]: proofKeys.publicKey } }));
+    registerHandlers(seller, {
+      proposeContract: (data, message) => ({ outcome: { status: "accepted", counterparty: message.from, terms: data.terms } }),
+      executePayment: () => ({ status: "paid" }),
+    });
+
+    const counterparty = result => `${result.outcome.counterparty} ${result.outcome.terms}`;
+    const reason = async run => {
+      try {
+        await run();
+        return "accepted";
+      } catch (err) {
+        return err.name === "AgentEnvelopeError" ? err.reason : err.message;
+      }
+    };
+    const method = interfaceDef.methods.proposeContract;
+    const message = overrides => ({
+      from: buyer.id,
+      to: seller.id,
+      intent: method.intent,
+      payload: { data: scenario.payload },
+      timestamp: new Date().toISOString(),
+      ...overrides,
+    });
+    const plainSealer = sealFor();
+    const sealed = await plainSealer(message());
+    const [header, body, signature] = sealed.envelope.split(".");
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    claims.payload.data.price = 1;
+    const tampered = { ...sealed, envelope: [header, Buffer.from(JSON.stringify(claims)).toString("base64url"), signature].join(".") };
+    const { to: _to, ...unaddressedClaims } = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    const unaddressedInput = `${header}.${Buffer.from(JSON.stringify(unaddressedClaims)).toString("base64url")}`;
+    const unaddressedSignature = crypto.sign(null, Buffer.from(unaddressedInput, "ascii"), buyerKeys.privateKey).toString("base64url");
+    const unaddressed = { ...sealed, to: undefined, envelope: `${unaddressedInput}.${unaddressedSignature}` };
+
+    const actual = {};
+    actual.signed = counterparty(await createClient(createRuntimeTransport({ caller: buyer, target: seller })).proposeContract(scenario.payload));
+    const encrypted = await buyer.envelopeSealer(message());
+    const opened = await seller.receive(encrypted);
+    actual.encrypted = `wire ${JSON.stringify(encrypted.payload)} -> ${opened.outcome.terms}`;
+    actual.spoofedFrom = counterparty(await seller.receive({ ...sealed, from: "agent:Mallory" }));
+    actual.tampered = await reason(() => seller.receive(tampered));
+    actual.unknownSender = await reason(async () =>
+      seller.receive(await createEnvelopeSealer({ privateKey: malloryKeys.privateKey })(message({ from: "agent:Mallory" })))
+    );
+    actual.misdirected = await reason(async () => seller.receive(await plainSealer(message({ to: "agent:Other" }))));
+    actual.unaddressed = [
+      await reason(() => seller.receive(unaddressed)),
+      await plainSealer(message({ to: undefined })).then(() => "sealed", () => "refused"),
+    ].join(" ");
+    actual.expired = await reason(async () =>
+      seller.receive(await plainSealer(message({ timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString() })))
+    );
+    const noDecryptionKey = new AgentRuntime({
+      id: "agent:Seller",
+      interfaceDef,
+      envelopeOpener: createEnvelopeOpener({ senders: { "agent:Buyer": buyerKeys.publicKey } }),
+    });
+    actual.undecryptable = await reason(() => noDecryptionKey.receive(encrypted));
+    actual.unsealed = await seller.receive(message()).then(
+      () => "accepted",
+      err => `${err.reason} ${httpStatusFor(err)}`
+    );
+
+    const transportSealer = sealFor(seller.id, { "agent:Seller": sellerKeys.publicKey });
+    const wsServer = await serveAgent(seller, { port: 0, host: "127.0.0.1" });
+    const ws = createWebSocketTransport({ url: `ws://127.0.0.1:${wsServer.port}`, WebSocket, from: buyer.id, sealer: transportSealer });
+    const httpServer = await serveAgentHttp(seller, { port: 0, host: "127.0.0.1" });
+    const url = `http://127.0.0.1:${httpServer.port}`;
+    try {
+      actual.websocket = counterparty(await createClient(ws).proposeContract(scenario.payload));
+      actual.http = counterparty(await createClient(createHttpTransport({ url, from: buyer.id, sealer: transportSealer })).proposeContract(scenario.payload));
+      const replayTampered = createHttpTransport({ url, sealer: () => tampered });
+      actual.httpTampered = await replayTampered.send(message()).then(
+        () => "accepted",
+        err => `${err.name} ${err.code} ${err.status}`
+      );
+    } finally {
+      ws.close();
+      await wsServer.close();
+      await httpServer.close();
+    }
+    actual.proof = (await buyer.callMethod(seller, "executePayment", scenario.paymentPayload)).status;
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "replay-protection") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { InsufficientFundsError, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const proofKeys = crypto.generateKeyPairSync("ed25519");
+    const buyer = new AgentRuntime({ id: "agent:Buyer", interfaceDef });
+    const rival = new AgentRuntime({ id: "agent:Rival", interfaceDef });
+    [buyer, rival].forEach(caller => caller.registerProofProvider("ledger:tx", createEd25519Signer({ privateKey: proofKeys.privateKey })));
+    const verifier = createEd25519Verifier({ publicKeys: { [buyer.id]: proofKeys.publicKey, [rival.id]: proofKeys.publicKey } });
+    // Each seller counts how often its payment handler actually ran; `behaviour` can delay or fail a run.
+    const createSeller = (options = {}, behaviour = () => undefined) => {
+      const seller = new AgentRuntime({ id: "agent:Seller", interfaceDef, ...options });
+      seller.registerProofVerifier("ledger:tx", verifier);
+      seller.runs = 0;
+      registerHandlers(seller, {
+        proposeContract: data => {
+          seller.runs += 1;
+          return { outcome: { status: "accepted", terms: data.terms } };
+        },
+        executePayment: async payment => {
+          seller.runs += 1;
+          await behaviour(seller.runs);
+          return { status: "paid", amount: payment.amount };
+        },
+      });
+      return seller;
+    };
+    const intent = interfaceDef.methods.executePayment.intent;
+    const pay = (caller, seller, idempotencyKey, payment = scenario.paymentPayload) =>
+      caller.invokeIntent(seller, intent, { payment }, "ledger:tx", { idempotencyKey });
+    const failure = err => (err.name === "AgentReplayError" ? `${err.reason} ${httpStatusFor(err)}` : err.name);
+    const ran = seller => `handler ran ${seller.runs}`;
+
+    const actual = {};
+    let seller = createSeller();
+    const first = await pay(buyer, seller, "pay-1");
+    const retry = await pay(buyer, seller, "pay-1");
+    actual.retried = `${first.status} ${retry.status}, ${ran(seller)}`;
+
+    seller = createSeller();
+    const message = {
+      from: buyer.id,
+      to: seller.id,
+      intent,
+      payload: { payment: scenario.paymentPayload },
+      timestamp: new Date().toISOString(),
+      messageId: "msg-1",
+    };
+    message.proof = await createEd25519Signer({ privateKey: proofKeys.privateKey })(message, "ledger:tx");
+    await seller.receive(message);
+    actual.resent = `${(await seller.receive({ ...message })).status}, ${ran(seller)}`;
+
+    seller = createSeller();
+    await pay(buyer, seller, "pay-2");
+    actual.conflict = await pay(buyer, seller, "pay-2", { ...scenario.paymentPayload, amount: 1 }).then(() => "accepted", failure);
+
+    let release;
+    const released = new Promise(resolve => {
+      release = resolve;
+    });
+    seller = createSeller({}, () => released);
+    const slow = pay(buyer, seller, "pay-3");
+    const concurrent = await pay(buyer, seller, "pay-3").then(() => "accepted", err => err.reason);
+    release();
+    actual.inProgress = `${(await slow).status} ${concurrent}`;
+
+    // A cancelled call keeps its key until the abandoned handler settles.
+    let finish;
+    let started;
+    const finished = new Promise(resolve => {
+      finish = resolve;
+    });
+    const running = new Promise(resolve => {
+      started = resolve;
+    });
+    seller = createSeller({}, run => {
+      if (run !== 1) return undefined;
+      started();
+      return finished;
+    });
+    const abort = new AbortController();
+    const abandoned = buyer
+      .invokeIntent(seller, intent, { payment: scenario.paymentPayload }, "ledger:tx", { idempotencyKey: "pay-13", signal: abort.signal })
+      .then(() => "accepted", err => err.name);
+    await running;
+    abort.abort();
+    await abandoned;
+    const whileRunning = await pay(buyer, seller, "pay-13").then(() => "accepted", err => err.reason);
+    finish();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    actual.cancelled = `${await abandoned} ${whileRunning} ${(await pay(buyer, seller, "pay-13")).status}, ${ran(seller)}`;
+
+    seller = createSeller();
+    const stamped = offsetMs => seller.receive({ ...message, messageId: `msg-${offsetMs}`, timestamp: new Date(Date.now() + offsetMs).toISOString() });
+    actual.stale = await stamped(-60 * 60 * 1000).then(() => "accepted", failure);
+    actual.futureDated = await stamped(60 * 60 * 1000).then(() => "accepted", err => err.reason);
+
+    seller = createSeller({}, run => {
+      if (run === 1) throw new InsufficientFundsError("Balance too low", { available: 10, requested: 1200 });
+    });
+    const declined = await pay(buyer, seller, "pay-4").then(() => "accepted", err => err.name);
+    actual.retryAfterFailure = `${declined} then ${(await pay(buyer, seller, "pay-4")).status}, ${ran(seller)}`;
+
+    seller = createSeller();
+    await pay(buyer, seller, "pay-5");
+    await pay(rival, seller, "pay-5");
+    actual.otherSender = ran(seller);
+
+    seller = createSeller();
+    const httpServer = await serveAgentHttp(seller, { port: 0, host: "127.0.0.1" });
+    try {
+      const transport = createHttpTransport({ url: `http://127.0.0.1:${httpServer.port}`, from: buyer.id });
+      const propose = (terms, idempotencyKey) =>
+        transport.send({ intent: interfaceDef.methods.proposeContract.intent, payload: { data: { parties: [buyer.id], terms, price: 1 } } }, { idempotencyKey });
+      const outcomes = [await propose("deliver dataset", "order-1"), await propose("deliver dataset", "order-1")];
+      actual.http = `${outcomes.map(result => result.outcome.status).join(" ")}, ${ran(seller)}`;
+      actual.httpConflict = await propose("deliver nothing", "order-1").then(
+        () => "accepted",
+        err => `${err.name} ${err.code} ${err.status}`
+      );
+
+      // A signed raw request without messageId gets one derived from its content, so resending
+      // it is a replay; an unsigned one without a timestamp is two separate calls.
+      const postTwice = async (route, body) => {
+        const before = seller.runs;
+        const statuses = [];
+        for (let attempt = 0; attempt < 2; attempt += 1) {
+          const response = await fetch(`http://127.0.0.1:${httpServer.port}${intentRoute(route)}`, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify(body),
+          });
+          statuses.push(response.status);
+        }
+        return `${statuses.join(" ")}, handler ran ${seller.runs - before}`;
+      };
+      const signed = { from: buyer.id, timestamp: new Date().toISOString(), payload: { payment: scenario.paymentPayload } };
+      signed.proof = await createEd25519Signer({ privateKey: proofKeys.privateKey })({ ...signed, intent, to: seller.id }, "ledger:tx");
+      actual.httpWithoutId = await postTwice(intent, signed);
+      actual.httpUnsigned = await postTwice(interfaceDef.methods.proposeContract.intent, {
+        from: buyer.id,
+        payload: { data: { parties: [buyer.id], terms: "raw request", price: 1 } },
+      });
+    } finally {
+      await httpServer.close();
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-replay-"));
+    try {
+      const storePath = path.join(tmpDir, "replay.json");
+      await pay(buyer, createSeller({ replayStore: new FileReplayStore(storePath) }), "pay-6");
+      const restarted = createSeller({ replayStore: new FileReplayStore(storePath) });
+      actual.fileStore = `${(await pay(buyer, restarted, "pay-6")).status}, ${ran(restarted)} after restart`;
+
+      // Another process's lock holds a claim back until it is removed, or has gone stale.
+      const lockPath = `${storePath}.lock`;
+      fs.writeFileSync(lockPath, "another process");
+      const waiting = pay(buyer, createSeller({ replayStore: new FileReplayStore(storePath) }), "pay-11").then(result => result.status);
+      const early = await Promise.race([waiting, new Promise(resolve => setTimeout(() => resolve("waited"), 50))]);
+      fs.rmSync(lockPath);
+      const unlocked = await waiting;
+      fs.writeFileSync(lockPath, "crashed process");
+      fs.utimesSync(lockPath, new Date(Date.now() - 60 * 1000), new Date(Date.now() - 60 * 1000));
+      const stale = (await pay(buyer, createSeller({ replayStore: new FileReplayStore(storePath) }), "pay-12")).status;
+      actual.fileLock = `${early} ${unlocked}, stale lock ${stale}`;
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    // A full store refuses new keys rather than evicting ones that could still be replayed.
+    let now = Date.now();
+    const replayStore = new MemoryReplayStore({ maxEntries: 2 });
+    seller = createSeller({ replayStore, clock: () => new Date(now), replayTtlMs: 1000, maxClockSkewMs: Infinity });
+    await pay(buyer, seller, "pay-7");
+    await pay(buyer, seller, "pay-8");
+    const full = await pay(buyer, seller, "pay-9").then(() => "accepted", failure);
+    await pay(buyer, seller, "pay-7");
+    now += 2000;
+    await pay(buyer, seller, "pay-9");
+    actual.bounded = `${full}, ${ran(seller)}, ${replayStore.size} entries after expiry`;
+
+    // Completed message ids make room for new calls, and are only kept for twice the clock skew.
+    const idStore = new MemoryReplayStore({ maxEntries: 2 });
+    seller = createSeller({ replayStore: idStore, maxClockSkewMs: 1000 });
+    const paid = [];
+    for (let call = 0; call < 4; call += 1) paid.push((await pay(buyer, seller)).status);
+    const kept = [...idStore.entries.values()].map(entry => Date.parse(entry.expiresAt) - Date.parse(entry.receivedAt));
+    actual.boundedIds = `${paid.join(" ")}, ${ran(seller)}, ${idStore.size} entries kept for ${[...new Set(kept)].join(" ")}ms`;
+
+    // An invalid result is neither stored for replays nor returned again.
+    const strict = new AgentRuntime({ id: "agent:Seller", interfaceDef, validateResults: true });
+    strict.registerProofVerifier("ledger:tx", verifier);
+    let strictRuns = 0;
+    strict.registerIntent(intent, () => {
+      strictRuns += 1;
+      return strictRuns === 1 ? { status: 42 } : { status: "paid" };
+    });
+    const invalid = await pay(buyer, strict, "pay-10").then(() => "accepted", err => err.name);
+    actual.invalidResult = `${invalid} then ${(await pay(buyer, strict, "pay-10")).status}, handler ran ${strictRuns}`;
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "middleware") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const { createClient, registerHandlers } = require(path.join(path.dirname(filePath), scenario.generatedModule));
+    const proofKeys = crypto.generateKeyPairSync("ed25519");
+    const buyer = new AgentRuntime({ id: "agent:Buyer", interfaceDef });
+    buyer.registerProofProvider("ledger:tx", createEd25519Signer({ privateKey: proofKeys.privateKey }));
+    const createSeller = () => {
+      const seller = new AgentRuntime({ id: "agent:Seller", interfaceDef });
+      seller.registerProofVerifier("ledger:tx", createEd25519Verifier({ publicKeys: { [buyer.id]: proofKeys.publicKey } }));
+      seller.trace = [];
+      seller.runs = 0;
+      registerHandlers(seller, {
+        proposeContract: data => {
+          seller.runs += 1;
+          seller.trace.push("handler");
+          return { outcome: { status: "accepted", terms: data.terms } };
+        },
+        executePayment: () => ({ status: "paid" }),
+      });
+      return seller;
+    };
+    const propose = (seller, payload = scenario.payload) => buyer.callMethod(seller, "proposeContract", payload);
+
+    const actual = {};
+    let seller = createSeller();
+    const traced = name => async (context, next) => {
+      seller.trace.push(`${name}>`);
+      const result = await next();
+      seller.trace.push(`<${name}`);
+      return result;
+    };
+    seller.use(traced("outer"));
+    seller.use(traced("inner"));
+    await propose(seller);
+    actual.order = seller.trace.join(" ");
+
+    seller = createSeller();
+    let seen = null;
+    seller.use((context, next) => {
+      seen = context.method && `${context.method.name} ${context.method.intent}`;
+      return next();
+    });
+    seller.use((context, next) => {
+      const { data } = context.message.payload;
+      context.message = { ...context.message, payload: { data: { ...data, terms: data.terms.toUpperCase() } } };
+      return next();
+    });
+    const upper = await propose(seller);
+    actual.method = seen;
+    actual.transformedMessage = upper.outcome.terms;
+
+    seller = createSeller();
+    seller.use(async (context, next) => {
+      const result = await next();
+      return { outcome: { ...result.outcome, status: `${result.outcome.status} reviewed` } };
+    });
+    actual.transformedResult = (await propose(seller)).outcome.status;
+
+    // A rate limiter that rejects the third call from the same sender before any handler runs.
+    seller = createSeller();
+    const calls = new Map();
+    seller.use((context, next) => {
+      const count = (calls.get(context.message.from) || 0) + 1;
+      calls.set(context.message.from, count);
+      if (count > 2) throw new AgentError("rate-limited", `${context.message.from} exceeded 2 calls`);
+      return next();
+    });
+    await propose(seller);
+    await propose(seller);
+    const limited = await propose(seller).then(() => "accepted", err => `${err.code} ${httpStatusFor(err)}`);
+    actual.shortCircuit = `${limited}, handler ran ${seller.runs}`;
+
+    seller = createSeller();
+    let logged = null;
+    seller.use(async (context, next) => {
+      try {
+        return await next();
+      } catch (err) {
+        logged = `${err.code} ${err.reason}`;
+        throw err;
+      }
+    });
+    const unsigned = { from: buyer.id, intent: interfaceDef.methods.executePayment.intent, payload: { payment: { contractId: "C-1", amount: 1 } } };
+    await seller.receive(unsigned).catch(() => null);
+    actual.beforeProof = logged;
+
+    seller = createSeller();
+    let undeclared;
+    seller.use((context, next) => {
+      undeclared = String(context.method);
+      return next();
+    });
+    const unknown = await seller.receive({ from: buyer.id, intent: "agent:Undeclared", payload: {} }).then(() => "accepted", err => err.code);
+    actual.undeclaredIntent = `${undeclared} ${unknown}`;
+
+    // Rewriting the intent must not let the new handler run under the original intent's checks.
+    seller = createSeller();
+    seller.use((context, next) => {
+      context.message = { ...context.message, intent: interfaceDef.methods.executePayment.intent };
+      return next();
+    });
+    const payment = { payment: { contractId: "C-1", amount: 1 } };
+    const rewritten = await Promise.all(
+      [interfaceDef.methods.proposeContract.intent, "agent:Undeclared"].map(intent =>
+        seller.receive({ from: buyer.id, intent, payload: payment }).then(
+          result => result.status,
+          err => err.code
+        )
+      )
+    );
+    actual.rewrittenIntent = rewritten.join(" ");
+
+    seller = createSeller();
+    seller.use(async (context, next) => {
+      await next();
+      return next();
+    });
+    actual.nextTwice = await propose(seller).then(() => "accepted", err => err.message);
+
+    seller = createSeller();
+    let sent = null;
+    const clientLog = (context, next) => {
+      sent = `${context.method.name} ${context.method.proof}`;
+      return next();
+    };
+    const client = createClient(withMiddleware(createRuntimeTransport({ caller: buyer, target: seller }), [clientLog], { interfaceDef }));
+    const receipt = await client.executePayment({ contractId: "C-1", amount: 1 });
+    actual.client = `${sent} -> ${receipt.status}`;
+
+    seller = createSeller();
+    const cache = (context, next) =>
+      context.message.intent === interfaceDef.methods.proposeContract.intent ? { outcome: { status: "cached" } } : next();
+    const cachedTransport = withMiddleware(createRuntimeTransport({ caller: buyer, target: seller }), [cache]);
+    const cached = await createClient(cachedTransport).proposeContract(scenario.payload);
+    actual.clientShortCircuit = `${cached.outcome.status}, sent ${seller.runs}`;
+
+    seller = createSeller();
+    let receivedKey = null;
+    seller.use((context, next) => {
+      receivedKey = context.message.idempotencyKey;
+      return next();
+    });
+    const httpServer = await serveAgentHttp(seller, { port: 0, host: "127.0.0.1" });
+    try {
+      const withKey = (context, next) => {
+        context.options = { ...context.options, idempotencyKey: "order-7" };
+        return next();
+      };
+      const transport = withMiddleware(createHttpTransport({ url: `http://127.0.0.1:${httpServer.port}`, from: buyer.id }), [withKey]);
+      const result = await createClient(transport).proposeContract(scenario.payload);
+      actual.http = `${result.outcome.status}, key ${receivedKey}`;
+    } finally {
+      await httpServer.close();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "idl-diagnostics") {
+    const describe = issue => {
+      const { file, line, column } = issue.location || {};
+      return `${issue.rule} ${issue.severity} ${file}:${line}:${column}`;
+    };
+    const failure = run => {
+      try {
+        run();
+        return "accepted";
+      } catch (err) {
+        return err instanceof IdlError ? describe(err.issue) : `unexpected ${err.message}`;
+      }
+    };
+    const actual = {
+      invalid: validateIdlDefinitions(parseIdlSource(scenario.invalid, "shop.idl"))
+        .map(describe)
+        .sort(),
+      syntax: failure(() => parseIdlSource(scenario.syntax, "broken.idl")),
+      unresolved: failure(() => resolveInterfaces(parseIdlSource(scenario.unresolved, "store.idl"))),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(
+      key => JSON.stringify(actual[key]) !== JSON.stringify(scenario.expected[key])
+    );
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok
+        ? null
+        : mismatches.map(key => `${key}: expected ${JSON.stringify(scenario.expected[key])} but got ${JSON.stringify(actual[key])}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "prefix-registry") {
+    const idlPath = path.join(path.dirname(filePath), scenario.idl);
+    const undeclaredPath = path.join(path.dirname(filePath), scenario.undeclaredIdl);
+    const rule = run => {
+      try {
+        run();
+        return "loaded";
+      } catch (err) {
+        return err instanceof IdlError ? err.issue.rule : `unexpected ${err.message}`;
+      }
+    };
+    const procurement = loadAgentInterface(idlPath);
+    const signer = loadAgentInterface(undeclaredPath, undefined, { prefixes: scenario.configPrefixes });
+    const actual = {
+      requestQuote: procurement.methods.requestQuote.intentIri,
+      proposeContract: procurement.methods.proposeContract.intentIri,
+      capability: expandCurie(procurement.methods.requestQuote.capability, procurement.prefixes),
+      undeclared: rule(() => loadAgentInterface(undeclaredPath)),
+      configured: expandCurie(signer.methods.signData.proof, signer.prefixes),
+      conflict: rule(() => loadAgentInterface(idlPath, undefined, { prefixes: scenario.conflictingPrefixes })),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "rdf-output") {
+    const base = path.dirname(filePath);
+    const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+    const RDFS = "http://www.w3.org/2000/01/rdf-schema#";
+    const AGENT = "https://s-agent-comm.github.io/agent-ontology/latest/agent.ttl#";
+    const LEDGER = "https://s-agent-comm.github.io/agent-ontology/latest/ledger.ttl#";
+    // N-Triples terms: <iri>, _:label or a quoted literal, whose escapes JSON shares.
+    const term = text => (text.startsWith("<") ? text.slice(1, -1) : text.startsWith("\"") ? JSON.parse(text.replace(/\^\^<[^>]*>$/, "")) : text);
+    const triples = fs
+      .readFileSync(path.join(base, scenario.ntriples), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map(line => line.match(/^(\S+) (\S+) (.+) \.$/).slice(1).map(term));
+    const objects = (subject, predicate) => triples.filter(([s, p]) => s === subject && p === predicate).map(([, , o]) => o);
+    const one = (subject, predicate) => objects(subject, predicate)[0];
+    const items = head => (head === `${RDF}nil` ? [] : [one(head, `${RDF}first`), ...items(one(head, `${RDF}rest`))]);
+
+    const operations = triples.filter(([, p, o]) => p === `${RDF}type` && o === `${AGENT}Operation`).map(([s]) => s);
+    const signature = operation => {
+      const params = items(one(operation, `${AGENT}parameters`)).map(param => `${one(param, `${RDFS}label`)}: ${one(param, `${AGENT}idlType`)}`);
+      return `${one(operation, `${RDFS}label`)}(${params.join(", ")}): ${one(operation, `${AGENT}returnType`)}`;
+    };
+
+    const jsonld = loadJson(path.join(base, scenario.jsonld));
+    const expand = id => id.replace(/^([^:]+):/, (match, prefix) => jsonld["@context"][prefix] || match);
+    const listed = jsonld["@graph"]
+      .filter(node => node["@type"] === "agent:Operation")
+      .map(node => `${expand(node["@id"])} ${node["agent:parameters"]["@list"].map(param => expand(param["@id"])).join(",")}`);
+    const fromNTriples = operations.map(operation => `${operation} ${items(one(operation, `${AGENT}parameters`)).join(",")}`);
+    const turtlePrefixes = fs
+      .readFileSync(path.join(base, scenario.turtle), "utf8")
+      .split("\n")
+      .filter(line => line.startsWith("@prefix"))
+      .map(line => line.replace(/^@prefix (\S+): <(.*)> \.$/, "$1 $2"));
+
+    const payment = `${AGENT}AgentTask.executePayment`;
+    const actual = {
+      signatures: operations.map(signature).join("; "),
+      proof: one(payment, `${LEDGER}Proof`),
+      throws: objects(payment, `${AGENT}throws`)
+        .map(iri => iri.slice(AGENT.length))
+        .join(" "),
+      jsonldParameters: listed.join("; ") === fromNTriples.join("; ") ? "match" : `${listed.join("; ")} vs ${fromNTriples.join("; ")}`,
+      prefixes:
+        turtlePrefixes.join("; ") === Object.entries(jsonld["@context"]).map(([name, iri]) => `${name} ${iri}`).join("; ")
+          ? "match"
+          : turtlePrefixes.join("; "),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "numeric-types") {
+    const interfaceDef = loadAgentInterface(path.join(path.dirname(filePath), scenario.idl));
+    const caller = new AgentRuntime({ id: "agent:A", interfaceDef });
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    executor.registerIntent(interfaceDef.methods[scenario.method].intent, message => ({
+      counter: message.payload.reading.counter,
+      total: 0,
+    }));
+    const outcome = async reading => {
+      try {
+        await caller.callMethod(executor, scenario.method, reading);
+        return "recorded";
+      } catch (err) {
+        return Array.isArray(err.issues) ? err.issues.map(issue => issue.path).join(" ") : err.message;
+      }
+    };
+
+    const actual = {
+      // NaN and infinities are only valid for the unrestricted types.
+      unrestricted: await outcome({ ...scenario.reading, value: NaN, drift: -Infinity }),
+      bigint: await outcome(scenario.reading),
+      // A JS bigint could not cross the wire as JSON, so it is not a valid bigint value.
+      jsBigint: await outcome({ ...scenario.reading, counter: BigInt(scenario.reading.counter) }),
+      invalid: await outcome(scenario.invalidReading),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "did-resolution") {
+    const base = path.dirname(filePath);
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-idl-did-"));
+    const resolver = combineDidResolvers({ key: new DidKeyResolver(), web: new DidWebFileResolver(tmpDir) });
+    // did:web documents for the buyer and seller, mirrored under tmpDir/<host>/<path>/did.json.
+    const publish = (did, methods, relationships) => {
+      const dir = path.join(tmpDir, ...did.slice("did:web:".length).split(":"));
+      fs.mkdirSync(dir, { recursive: true });
+      const verificationMethod = methods.map(({ fragment, key }) => ({
+        id: `${did}#${fragment}`,
+        type: "JsonWebKey2020",
+        controller: did,
+        publicKeyJwk: key.export({ format: "jwk" }),
+      }));
+      fs.writeFileSync(path.join(dir, "did.json"), JSON.stringify({ id: did, verificationMethod, ...relationships }));
+    };
+    const buyerKeys = crypto.generateKeyPairSync("ed25519");
+    const sellerSigning = crypto.generateKeyPairSync("ed25519");
+    const sellerAgreement = crypto.generateKeyPairSync("x25519");
+    publish(scenario.buyer, [{ fragment: "key-1", key: buyerKeys.publicKey }], { authentication: ["#key-1"], assertionMethod: ["#key-1"] });
+    publish(
+      scenario.seller,
+      [
+        { fragment: "key-1", key: sellerSigning.publicKey },
+        { fragment: "enc-1", key: sellerAgreement.publicKey },
+      ],
+      { authentication: ["#key-1"], assertionMethod: ["#key-1"], keyAgreement: ["#enc-1"] }
+    );
+    const buyerStore = new MemoryKeyStore({
+      did: scenario.buyer,
+      signing: { keyId: `${scenario.buyer}#key-1`, privateKey: buyerKeys.privateKey },
+    });
+    const sellerStore = new MemoryKeyStore({
+      did: scenario.seller,
+      signing: { keyId: `${scenario.seller}#key-1`, privateKey: sellerSigning.privateKey },
+      agreement: { keyId: `${scenario.seller}#enc-1`, privateKey: sellerAgreement.privateKey },
+    });
+    const issuerStore = MemoryKeyStore.generate();
+    const sameKey = (a, b) => Boolean(a && b && a.export({ format: "jwk" }).x === b.export({ format: "jwk" }).x);
+
+    const actual = {};
+    try {
+      const issuerDoc = await resolver.resolve(issuerStore.did);
+      const issuerMethod = issuerDoc.verificationMethod[0];
+      const issuerKey = await resolvePublicKey(resolver, issuerStore.signingKey().keyId, "assertionMethod");
+      actual.didKey = sameKey(issuerKey, crypto.createPublicKey(issuerStore.signingKey().privateKey))
+        ? `${issuerMethod.type} ${Object.keys(issuerDoc).filter(key => Array.isArray(issuerDoc[key]) && key !== "verificationMethod").join(",")}`
+        : "wrong key";
+      actual.keyAgreement = (await resolvePublicKey(resolver, issuerStore.did, "keyAgreement")) ? "resolved" : "rejected";
+      const sellerDoc = await resolver.resolve(scenario.seller);
+      actual.didWeb = sellerDoc ? `${sellerDoc.verificationMethod[0].type} ${sellerDoc.authentication[0]}` : "unresolved";
+      actual.traversal = (await resolver.resolve("did:web:agents.example:%2E%2E:agents.example:buyer")) ? "resolved" : "unresolved";
+
+      // Delegation: the issuer is a did:key, so its credential verifies with nothing but the resolver.
+      const delegationDef = loadAgentInterface(path.join(base, scenario.delegationIdl));
+      const clock = () => new Date(scenario.now);
+      const unsigned = { ...loadJson(path.join(base, scenario.delegationContext)), issuer: issuerStore.did };
+      const delegate = new AgentRuntime({ id: unsigned.subject, interfaceDef: delegationDef, clock });
+      const executor = new AgentRuntime({ id: "did:example:executor", interfaceDef: delegationDef, clock });
+      executor.registerDelegationVerifier(unsigned.proof.type, createEd25519DelegationVerifier({ resolver }));
+      executor.registerIntent(delegationDef.methods.performTask.intent, () => ({ status: "ok" }));
+      const delegated = async ctx => {
+        try {
+          return (await delegate.callMethod(executor, "performTask", ctx, scenario.taskPayload)).status;
+        } catch (err) {
+          return err.reason || err.message;
+        }
+      };
+      const proofType = unsigned.proof.type;
+      actual.delegation = await delegated(signDelegationContext(unsigned, { ...issuerStore.signingKey(), proofType }));
+      const forger = crypto.generateKeyPairSync("ed25519");
+      actual.forgedDelegation = await delegated(
+        signDelegationContext(unsigned, { privateKey: forger.privateKey, keyId: issuerStore.signingKey().keyId, proofType })
+      );
+
+      // Message proofs: the key id must be a method of the sender's own DID.
+      const verify = createEd25519Verifier({ resolver });
+      const signProof = createEd25519Signer(buyerStore.signingKey());
+      const message = { from: scenario.buyer, to: scenario.seller, intent: "agent:ProposeContract", payload: { data: scenario.payload } };
+      const proof = await signProof(message, "ledger:tx");
+      actual.proof = (await verify(proof, message)) ? "verified" : "rejected";
+      actual.proofForOtherSender = (await verify(proof, { ...message, from: scenario.seller })) ? "verified" : "rejected";
+
+      // Envelopes: the buyer finds the seller's keyAgreement key, the seller the buyer's authentication key.
+      const interfaceDef = loadAgentInterface(path.join(base, scenario.idl));
+      const seller = new AgentRuntime({
+        id: scenario.seller,
+        interfaceDef,
+        keyStore: sellerStore,
+        requireEnvelopes: true,
+        envelopeOpener: createEnvelopeOpener({ resolver, privateKey: sellerStore.agreementKey().privateKey }),
+      });
+      seller.registerIntent(interfaceDef.methods.proposeContract.intent, received => ({ from: received.from }));
+      const sealer = createEnvelopeSealer({ ...buyerStore.signingKey(), resolver });
+      const sealed = await sealer(message);
+      const opened = await seller.receive(sealed);
+      actual.envelope = `${opened.from} wire ${JSON.stringify(sealed.payload)}`;
+      actual.envelopeKeyOfOtherDid = await seller.receive(await sealer({ ...message, from: "did:web:agents.example:mallory" })).then(
+        () => "accepted",
+        err => err.reason
+      );
+
+      // Attestations: the executor signs with its key store and the record verifies against its did:key.
+      const auditDef = loadAgentInterface(path.join(base, scenario.auditIdl));
+      const agentStore = MemoryKeyStore.generate();
+      const auditor = new AgentRuntime({ id: agentStore.did, interfaceDef: auditDef, keyStore: agentStore });
+      const sink = new MemoryAuditSink();
+      auditor.registerAuditSink(sink);
+      auditor.registerIntent(auditDef.methods.runJob.intent, received => ({ status: "ok", details: received.payload.spec.command }));
+      await new AgentRuntime({ id: scenario.buyer, interfaceDef: auditDef }).callMethod(auditor, "runJob", scenario.jobPayload);
+      const record = sink.records[0];
+      const publicKeys = await resolvePublicKeys(resolver, [record.attestation.keyId], "assertionMethod");
+      actual.attestation = verifyExecutionRecord(record, { publicKeys }) ? "verified" : "rejected";
+
+      const fileStore = FileKeyStore.save(path.join(tmpDir, "keys", "agent.json"), agentStore);
+      const reread = new FileKeyStore(fileStore.filePath);
+      const signed = createEd25519Signer(reread.signingKey())({ ...message, from: reread.did }, "ledger:tx");
+      actual.fileKeyStore = (await verify(signed, { ...message, from: agentStore.did })) ? "verified" : "rejected";
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "openapi-export") {
+    const base = path.dirname(filePath);
+    const interfaceDef = loadAgentInterface(path.join(base, scenario.idl));
+    const document = loadJson(path.join(base, scenario.openapi));
+    const schemaDir = path.join(base, scenario.schemas);
+    const schemaFiles = fs.readdirSync(schemaDir).filter(name => name.endsWith(".schema.json"));
+    const operations = Object.entries(document.paths).map(([route, item]) => ({ route, ...item.post }));
+
+    const unresolved = [];
+    const checkRefs = (node, root, source) => {
+      if (Array.isArray(node)) return node.forEach(child => checkRefs(child, root, source));
+      if (!node || typeof node !== "object") return;
+      if (typeof node.$ref === "string") {
+        const target = node.$ref
+          .replace(/^#\/?/, "")
+          .split("/")
+          .filter(Boolean)
+          .reduce((value, key) => (value ? value[key] : undefined), root);
+        if (target === undefined) unresolved.push(`${source} ${node.$ref}`);
+      }
+      Object.values(node).forEach(child => checkRefs(child, root, source));
+    };
+    checkRefs(document, document, path.basename(scenario.openapi));
+    schemaFiles.forEach(name => {
+      const schema = loadJson(path.join(schemaDir, name));
+      checkRefs(schema, schema, name);
+    });
+
+    const mismatched = operations.filter(operation => {
+      const method = interfaceDef.methods[operation.operationId];
+      return (
+        !method ||
+        operation["x-intent"] !== method.intent ||
+        (operation["x-proof"] || null) !== method.proof ||
+        (operation["x-capability"] || null) !== (method.capability || null) ||
+        canonicalize(operation["x-errors"] || []) !== canonicalize(method.errors)
+      );
+    });
+
+    // Every operation should accept the same body fields the server reads.
+    const requestFields = new Set(
+      operations.map(operation =>
+        Object.keys(operation.requestBody.content["application/json"].schema.properties).sort().join(" ")
+      )
+    );
+
+    // No handlers are registered, so a mounted route answers 501 and an unknown one 404.
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    const server = await serveAgentHttp(executor, { port: 0, host: "127.0.0.1" });
+    const statuses = [];
+    try {
+      for (const operation of operations) {
+        const response = await fetch(`http://127.0.0.1:${server.port}${operation.route}`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: "{}",
+        });
+        statuses.push(response.status);
+      }
+    } finally {
+      await server.close();
+    }
+
+    const actual = {
+      version: document.openapi,
+      operations: operations.length,
+      extensions: mismatched.length === 0 ? "match" : mismatched.map(operation => operation.operationId).join(", "),
+      routes: statuses.every(status => status === 501) ? "mounted" : statuses.join(", "),
+      refs: unresolved.length === 0 ? "resolved" : unresolved.join(", "),
+      requestFields: [...requestFields].join(" | "),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "mcp-server") {
+    const base = path.dirname(filePath);
+    const interfaceDef = loadAgentInterface(path.join(base, scenario.idl));
+    const { registerHandlers } = require(path.join(base, scenario.generatedModule));
+    const tools = loadJson(path.join(base, scenario.tools));
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    const keys = crypto.generateKeyPairSync("ed25519");
+    executor.registerProofVerifier(
+      "ledger:tx",
+      createEd25519Verifier({ publicKeys: { [scenario.from]: keys.publicKey } })
+    );
+    registerHandlers(executor, {
+      proposeContract: data => ({ outcome: { status: "accepted", contractId: "C-1", total: data.price } }),
+      executePayment: payment => ({ status: "paid", amount: payment.amount }),
+    });
+
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const server = serveMcpStdio(executor, {
+      input,
+      output,
+      tools,
+      from: scenario.from,
+      proofProviders: { "ledger:tx": createEd25519Signer({ privateKey: keys.privateKey }) },
+    });
+    const waiting = new Map();
+    let buffered = "";
+    output.on("data", chunk => {
+      buffered += chunk.toString("utf8");
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      lines.forEach(line => {
+        const response = JSON.parse(line);
+        const resolve = waiting.get(response.id);
+        waiting.delete(response.id);
+        if (resolve) resolve(response);
+      });
+    });
+    let nextId = 0;
+    const request = (method, params, raw) =>
+      new Promise(resolve => {
+        const id = raw ? null : (nextId += 1);
+        waiting.set(id, resolve);
+        input.write(`${raw || JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`);
+      });
+    const call = (name, args) => request("tools/call", { name, arguments: args });
+    const toolError = response => JSON.parse(response.result.content[0].text).error.name;
+
+    const actual = {};
+    try {
+      const init = await request("initialize", { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "conformance", version: "1" } });
+      input.write(`${JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" })}\n`);
+      actual.protocolVersion = init.result.protocolVersion;
+      actual.tools = (await request("tools/list")).result.tools.map(tool => tool.name).join(",");
+      const [accepted, paid] = await Promise.all([
+        call("proposeContract", scenario.payload),
+        call("executePayment", scenario.paymentPayload),
+      ]);
+      actual.call = accepted.result.structuredContent.outcome.status;
+      actual.signedCall = paid.result.isError ? toolError(paid) : paid.result.structuredContent.status;
+      const invalid = await call("proposeContract", scenario.invalidPayload);
+      actual.invalid = invalid.result.isError ? toolError(invalid) : "no error";
+      actual.unknownTool = (await call("deleteEverything", {})).error.code;
+      actual.unknownMethod = (await request("resources/list")).error.code;
+      actual.parseError = (await request(null, null, "{not json")).error.code;
+    } finally {
+      server.close();
+      input.end();
+    }
+
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "python-sdk") {
+    const base = path.dirname(filePath);
+    const run = spawnSync("python3", [path.join(base, scenario.script), path.join(base, scenario.module), filePath], {
+      encoding: "utf8",
+      timeout: 30000,
+      env: { ...process.env, PYTHONDONTWRITEBYTECODE: "1" },
+    });
+    if (run.error || run.status !== 0) {
+      results.push({
+        name: `scenario:${scenario.name}`,
+        ok: false,
+        error: run.error ? `python3 unavailable: ${run.error.message}` : run.stderr.trim().split("\n").pop(),
+      });
+      return results;
+    }
+
+    const actual = JSON.parse(run.stdout);
+    const mismatches = Object.keys(scenario.expected).filter(
+      key => canonicalize(actual[key]) !== canonicalize(scenario.expected[key])
+    );
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok
+        ? null
+        : mismatches
+            .map(key => `${key}: expected ${JSON.stringify(scenario.expected[key])} but got ${JSON.stringify(actual[key])}`)
+            .join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "rust-sdk") {
+    // Static check of the generated bindings; compiling them needs cargo and the serde crates.
+    const base = path.dirname(filePath);
+    const cargoCheck = checkRustBindings(path.join(base, scenario.check));
+    if (cargoCheck) results.push({ name: `scenario:${scenario.name}:cargo-check`, ...cargoCheck });
+    const interfaceDef = loadAgentInterface(path.join(base, scenario.idl));
+    const source = fs.readFileSync(path.join(base, scenario.module), "utf8");
+    const arms = accessor => {
+      const body = source.match(new RegExp(`pub fn ${accessor}\\(self\\)[^{]*\\{\\s*match self \\{([^}]*)\\}`));
+      const values = {};
+      if (body) {
+        for (const [, variant, value] of body[1].matchAll(/Intent::(\w+) => (None|Some\("[^"]*"\)|"[^"]*"|&\[[^\]]*\])/g)) {
+          values[variant] = value === "None" ? null : JSON.parse(value.replace(/^Some\((.*)\)$/, "$1").replace(/^&/, ""));
+        }
+      }
+      return values;
+    };
+    const [iris, methods, proofs, capabilities, errors, streams] = ["iri", "method", "proof", "capability", "errors", "stream"].map(arms);
+    const intents = {};
+    Object.keys(methods).forEach(variant => {
+      intents[methods[variant]] = {
+        intent: iris[variant],
+        proof: proofs[variant],
+        capability: capabilities[variant],
+        errors: errors[variant],
+        stream: streams[variant],
+      };
+    });
+    const declared = name => [...source.matchAll(new RegExp(`^pub ${name} (\\w+)`, "gm"))].map(match => match[1]).sort();
+    const actual = {
+      intents,
+      matchesInterface:
+        Object.keys(intents).length === Object.keys(interfaceDef.methods).length &&
+        Object.entries(intents).every(([name, entry]) => {
+          const method = interfaceDef.methods[name];
+          return (
+            method !== undefined &&
+            method.intent === entry.intent &&
+            (method.proof || null) === entry.proof &&
+            (method.capability || null) === entry.capability &&
+            canonicalize(method.errors) === canonicalize(entry.errors) &&
+            method.stream === entry.stream
+          );
+        }),
+      structs: declared("struct"),
+      traits: declared("trait"),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(
+      key => canonicalize(actual[key]) !== canonicalize(scenario.expected[key])
+    );
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok
+        ? null
+        : mismatches
+            .map(key => `${key}: expected ${JSON.stringify(scenario.expected[key])} but got ${JSON.stringify(actual[key])}`)
+            .join("; "),
+    });
+    return results;
+  }
+
+  if (scenario.name === "payload-validation") {
+    const idlPath = path.join(path.dirname(filePath), scenario.idl);
+    const interfaceDef = loadAgentInterface(idlPath);
+    const caller = new AgentRuntime({ id: "agent:A", interfaceDef });
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    let handlerCalled = false;
+    executor.registerIntent(interfaceDef.methods[scenario.method].intent, () => {
+      handlerCalled = true;
+      return { status: "accepted" };
+    });
+
+    let error = null;
+    try {
+      await caller.callMethod(executor, scenario.method, scenario.payload);
+    } catch (err) {
+      error = err;
+    }
+
+    const reported = error && Array.isArray(error.issues) ? error.issues.map(issue => issue.path) : [];
+    const missing = scenario.expected.issues.filter(issuePath => !reported.includes(issuePath));
+    const ok = !handlerCalled && error !== null && error.name === scenario.expected.error && missing.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : `Expected ${scenario.expected.error} before dispatch, got ${error ? error.message : "no error"}`,
+    });
+    return results;
+  }
+
+  if (scenario.name === "proof-verification") {
+    const idlPath = path.join(path.dirname(filePath), scenario.idl);
+    const interfaceDef = loadAgentInterface(idlPath);
+    const method = interfaceDef.methods[scenario.method];
+    const signer = new AgentRuntime({ id: "agent:A", interfaceDef });
+    const anonymous = new AgentRuntime({ id: "agent:C", interfaceDef });
+    const executor = new AgentRuntime({ id: "agent:B", interfaceDef });
+    const keys = crypto.generateKeyPairSync("ed25519");
+    const sign = createEd25519Signer({ privateKey: keys.privateKey });
+
+    signer.registerProofProvider(method.proof, sign);
+    executor.registerProofVerifier(method.proof, createEd25519Verifier({ publicKeys: { [signer.id]: keys.publicKey } }));
+    executor.registerIntent(method.intent, message => ({ status: "paid", amount: message.payload.payment.amount }));
+
+    const outcome = async run => {
+      try {
+        const result = await run();
+        return result.status;
+      } catch (err) {
+        return err.name === "AgentProofError" ? err.reason : err.message;
+      }
+    };
+
+    const tampered = { from: signer.id, to: executor.id, intent: method.intent, payload: { payment: scenario.payload } };
+    tampered.proof = await sign(tampered, method.proof);
+    tampered.payload = { payment: { ...scenario.payload, amount: scenario.payload.amount * 100 } };
+
+    const actual = {
+      signed: await outcome(() => signer.callMethod(executor, scenario.method, scenario.payload)),
+      tampered: await outcome(() => executor.receive(tampered)),
+      unsigned: await outcome(() => anonymous.callMethod(executor, scenario.method, scenario.payload)),
+    };
+    const mismatches = Object.keys(scenario.expected).filter(key => actual[key] !== scenario.expected[key]);
+    const ok = mismatches.length === 0;
+    results.push({
+      name: `scenario:${scenario.name}`,
+      ok,
+      error: ok ? null : mismatches.map(key => `${key}: expected ${scenario.expected[key]} but got ${actual[key]}`).join("; "),
+    });
+    return results;
+  }
+
   results.push({ name: `scenario:${scenario.name}`, ok: false, error: "Unknown scenario." });
   return results;
 }
@@ -0,0 +1,124 @@
+"""Drives a generated Python module through a stdlib-only loopback transport.
+
+Usage: python3 loopback.py <generated module> <scenario.json>; prints the observed values as JSON.
+"""
+
+import asyncio
+import importlib.util
+import inspect
+import json
+import sys
+import typing
+
+
+def load_module(path):
+    spec = importlib.util.spec_from_file_location("generated", path)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+class RemoteError(Exception):
+    """What a network transport raises for an error envelope."""
+
+    def __init__(self, envelope):
+        super().__init__(envelope["message"])
+        self.code = envelope["code"]
+        self.message = envelope["message"]
+        self.data = envelope.get("data")
+
+
+class FakeRuntime:
+    def __init__(self):
+        self.handlers = {}
+
+    def register_intent(self, intent, handler):
+        self.handlers[intent] = handler
+
+    async def receive(self, message):
+        try:
+            return await self.handlers[message["intent"]](message)
+        except Exception as err:
+            envelope = {"code": getattr(err, "code", "handler-error"), "message": str(err), "data": getattr(err, "data", None)}
+            raise RemoteError(json.loads(json.dumps(envelope))) from err
+
+
+class LoopbackTransport:
+    """Round-trips every message and result through JSON, like a network transport."""
+
+    def __init__(self, runtime):
+        self.runtime = runtime
+        self.sent = []
+
+    async def send(self, message):
+        wire = json.loads(json.dumps({"from": "agent:A", **message}))
+        self.sent.append(wire)
+        return json.loads(json.dumps(await self.runtime.receive(wire)))
+
+
+class Seller:
+    def __init__(self, module):
+        self.module = module
+
+    def propose_contract(self, data, message):
+        if data["terms"] == "explode":
+            raise ValueError("handler crashed")
+        return {"outcome": {"status": "accepted", "contractId": "C-1", "counterparty": message["from"], "total": data["price"]}}
+
+    async def execute_payment(self, payment, message):
+        await asyncio.sleep(0)
+        if payment["amount"] > 10000:
+            raise self.module.InsufficientFundsError("Balance too low", {"available": 10000, "requested": payment["amount"]})
+        return {"status": "paid", "amount": payment["amount"]}
+
+
+def resolve_hints(module):
+    namespace = vars(module)
+    for value in namespace.values():
+        if inspect.isclass(value) and value.__module__ == module.__name__:
+            typing.get_type_hints(value, namespace)
+            for member in vars(value).values():
+                if inspect.isfunction(member):
+                    typing.get_type_hints(member, namespace)
+    return "resolved"
+
+
+async def main():
+    module = load_module(sys.argv[1])
+    with open(sys.argv[2], encoding="utf8") as handle:
+        scenario = json.load(handle)
+
+    runtime = FakeRuntime()
+    module.register_handlers(runtime, Seller(module))
+    transport = LoopbackTransport(runtime)
+    client = module.create_client(transport)
+    outcome = await client.propose_contract(scenario["payload"])
+    receipt = await client.execute_payment(scenario["paymentPayload"])
+    envelope = transport.sent[0]
+    failures = {}
+    for key, call in (
+        ("declared", client.execute_payment(scenario["overdrawnPayload"])),
+        ("undeclared", client.propose_contract({**scenario["payload"], "terms": "explode"})),
+    ):
+        try:
+            await call
+            failures[key] = "no error"
+        except Exception as err:
+            failures[key] = f"{type(err).__name__} {err.code}"
+
+    print(
+        json.dumps(
+            {
+                "intents": module.intents,
+                "envelope": {"intent": envelope["intent"], "proof": envelope["proof"], "payload": sorted(envelope["payload"])},
+                "proposeContract": outcome["outcome"]["status"],
+                "executePayment": receipt["status"],
+                "declaredError": failures["declared"],
+                "undeclaredError": failures["undeclared"],
+                "typeHints": resolve_hints(module),
+            }
+        )
+    )
+
+
+asyncio.run(main())
@@ -0,0 +1,41 @@
+// Crate root for the rust-sdk scenario's `cargo check`: the generated bindings plus
+// the implementations users write, with plain `async fn`s.
+
+#[path = "../../../reference/sdk/generated/agenttask.rs"]
+pub mod agenttask;
+
+use agenttask::{AgentMessage, AgentTaskHandlers, AgentTransport, ContractData, Outcome, PaymentRequest, Receipt};
+use serde_json::Value;
+
+pub struct Declining;
+
+impl AgentTaskHandlers for Declining {
+    type Error = String;
+
+    async fn propose_contract(&self, _data: ContractData, _message: &AgentMessage) -> Result<Outcome, String> {
+        Err("declined".to_string())
+    }
+
+    async fn execute_payment(&self, _payment: PaymentRequest, _message: &AgentMessage) -> Result<Receipt, String> {
+        Err("declined".to_string())
+    }
+}
+
+pub struct Unreachable;
+
+impl AgentTransport for Unreachable {
+    type Error = String;
+
+    async fn send(&self, _message: AgentMessage) -> Result<Value, String> {
+        Err("unreachable".to_string())
+    }
+}
+
+fn assert_send<T: Send>(_: T) {}
+
+pub fn check(message: &AgentMessage, data: ContractData) {
+    use agenttask::AgentTaskClient;
+    assert_send(agenttask::dispatch(&Declining, message));
+    let client = agenttask::create_client(Unreachable);
+    assert_send(client.propose_contract(data));
+}
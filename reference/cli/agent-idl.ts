@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  DIAGNOSTIC_FORMATS,
+  DiagnosticFormat,
+  EMIT_TARGETS,
+  EmitTarget,
+  EmittedFile,
+  IDL_CONFIG_FILE,
+  IdlCompileError,
+  IdlError,
+  IdlIssue,
+  PrefixMap,
+  compileIdl,
+  diagnoseIdl,
+  diffIdl,
+  emitTarget,
+  formatDiagnostics,
+  readIdlConfig,
+  writeEmitted,
+} from "../compiler";
+
+const DEFAULT_IDL_PATH = path.join("idl", "agent.idl");
+
+const USAGE = `Usage: agent-idl <command> [options] [idl paths...]
+
+Commands:
+  compile [--out <dir>] [--jsonld <file>] [--ttl <file>] [--nt <file>] [--openapi <dir>] [--schemas <dir>] [--mcp <dir>] [--api-version <v>]
+          writes the outputs whose locations are given (all of them, at their defaults, when none is)
+  validate [--format <${DIAGNOSTIC_FORMATS.join("|")}>]
+          checks the IDL against the core AgentIDL rules
+  lint [--format <${DIAGNOSTIC_FORMATS.join("|")}>]
+          validates, then reports likely mistakes such as duplicate intents
+  diff <old> <new>
+          lists the changes between two versions and fails on breaking ones
+  emit --target <${EMIT_TARGETS.join("|")}> [--out <dir>] [--api-version <v>]
+          writes one output format to --out, or prints it when it is a single file
+
+IDL paths are files or directories (searched for .idl files), given as arguments
+or with --idl; the default is ${DEFAULT_IDL_PATH}. validate and lint fail only on
+errors; warnings are reported but do not change the exit code.
+
+Every command reads project prefixes from --config <file>, or from ${IDL_CONFIG_FILE}
+in the current directory when it exists.`;
+
+const COMPILE_OUTPUTS: Record<EmitTarget, { flag: string; location: string }> = {
+  ts: { flag: "out", location: path.join("reference", "sdk", "generated") },
+  js: { flag: "out", location: path.join("reference", "sdk", "generated") },
+  mjs: { flag: "out", location: path.join("reference", "sdk", "generated") },
+  python: { flag: "out", location: path.join("reference", "sdk", "generated") },
+  rust: { flag: "out", location: path.join("reference", "sdk", "generated") },
+  openapi: { flag: "openapi", location: path.join("idl", "generated", "openapi") },
+  mcp: { flag: "mcp", location: path.join("idl", "generated", "mcp") },
+  jsonld: { flag: "jsonld", location: path.join("idl", "generated", "agent-interface.jsonld") },
+  ttl: { flag: "ttl", location: path.join("idl", "generated", "agent-interface.ttl") },
+  nt: { flag: "nt", location: path.join("idl", "generated", "agent-interface.nt") },
+  schemas: { flag: "schemas", location: path.join("idl", "generated", "schemas") },
+};
+
+const SINGLE_FILE_TARGETS: EmitTarget[] = ["jsonld", "ttl", "nt"];
+
+type Flags = Record<string, string | boolean | string[] | undefined>;
+
+function idlPathsOf(values: Flags, positionals: string[]): string[] {
+  const paths = [...((values.idl as string[] | undefined) || []), ...positionals];
+  return paths.length > 0 ? paths : [DEFAULT_IDL_PATH];
+}
+
+function prefixesOf(values: Flags): PrefixMap {
+  const configPath = (values.config as string | undefined) || (fs.existsSync(IDL_CONFIG_FILE) ? IDL_CONFIG_FILE : null);
+  return configPath ? readIdlConfig(configPath).prefixes : {};
+}
+
+function report(issues: IdlIssue[]): void {
+  process.stderr.write(formatDiagnostics(issues, "text"));
+}
+
+function compile(values: Flags, positionals: string[]): number {
+  const compiled = compileIdl(idlPathsOf(values, positionals), { prefixes: prefixesOf(values) });
+  if (compiled.interfaces.length === 0) throw new Error("No interface definition found.");
+  const apiVersion = values["api-version"] as string | undefined;
+  // Naming any output location limits the run to those outputs, so compiling a second
+  // IDL into a few files does not overwrite every default artifact.
+  const requested = EMIT_TARGETS.filter(target => values[COMPILE_OUTPUTS[target].flag] !== undefined);
+  const targets = requested.length > 0 ? requested : EMIT_TARGETS;
+  targets.forEach(target => {
+    const { flag, location } = COMPILE_OUTPUTS[target];
+    const chosen = (values[flag] as string | undefined) || location;
+    const files = emitTarget(compiled, target, { apiVersion });
+    // The RDF targets name the file itself; every other target names a directory.
+    if (SINGLE_FILE_TARGETS.includes(target)) {
+      writeEmitted([{ ...files[0], path: path.basename(chosen) }], path.dirname(chosen));
+    } else {
+      writeEmitted(files, chosen);
+    }
+  });
+  const names = compiled.interfaces.map(({ iface }) => iface.name).join(", ");
+  console.log(`✅ Generated ${targets.join(", ")} outputs for ${names}`);
+  return 0;
+}
+
+function validate(values: Flags, positionals: string[], lint: boolean): number {
+  const format = (values.format as DiagnosticFormat | undefined) || "text";
+  if (!DIAGNOSTIC_FORMATS.includes(format)) {
+    console.error(USAGE);
+    return 2;
+  }
+  const idlPaths = idlPathsOf(values, positionals);
+  const issues = diagnoseIdl(idlPaths, { lint, prefixes: prefixesOf(values) });
+  const failed = issues.some(issue => issue.severity === "error");
+  if (format !== "text") process.stdout.write(formatDiagnostics(issues, format));
+  else if (issues.length > 0) report(issues);
+  else console.log(`✅ ${idlPaths.join(", ")}: no issues`);
+  return failed ? 1 : 0;
+}
+
+function diff(values: Flags, positionals: string[]): number {
+  if (positionals.length !== 2) {
+    console.error(USAGE);
+    return 2;
+  }
+  const prefixes = prefixesOf(values);
+  const changes = diffIdl(compileIdl(positionals[0], { prefixes }), compileIdl(positionals[1], { prefixes }));
+  changes.forEach(change => {
+    console.log(`${change.breaking ? "breaking  " : "compatible"}  ${change.subject}: ${change.message}`);
+  });
+  const breaking = changes.filter(change => change.breaking).length;
+  console.log(`${changes.length} changes, ${breaking} breaking`);
+  return breaking > 0 ? 1 : 0;
+}
+
+function emit(values: Flags, positionals: string[]): number {
+  const target = values.target as EmitTarget | undefined;
+  if (!target || !EMIT_TARGETS.includes(target)) {
+    console.error(USAGE);
+    return 2;
+  }
+  const compiled = compileIdl(idlPathsOf(values, positionals), { prefixes: prefixesOf(values) });
+  const files: EmittedFile[] = emitTarget(compiled, target, {
+    apiVersion: values["api-version"] as string | undefined,
+  });
+  const outDir = values.out as string | undefined;
+  if (outDir) {
+    writeEmitted(files, outDir).forEach(filePath => console.log(filePath));
+    return 0;
+  }
+  if (files.length !== 1) {
+    console.error(`❌ ${target} produces ${files.length} files; pass --out <dir> to write them.`);
+    return 2;
+  }
+  process.stdout.write(files[0].contents);
+  return 0;
+}
+
+const COMMAND_OPTIONS = {
+  compile: ["config", "out", "jsonld", "ttl", "nt", "openapi", "schemas", "mcp", "api-version"],
+  validate: ["config", "format"],
+  lint: ["config", "format"],
+  diff: ["config"],
+  emit: ["config", "target", "out", "api-version"],
+} as const;
+
+function main(): number {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command === "--help" || command === "-h") {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!command || !(command in COMMAND_OPTIONS)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const options: Record<string, { type: "string"; multiple?: boolean }> = {};
+  COMMAND_OPTIONS[command as keyof typeof COMMAND_OPTIONS].forEach(name => {
+    options[name] = { type: "string" };
+  });
+  if (command !== "diff") options.idl = { type: "string", multiple: true };
+
+  let parsed: { values: Flags; positionals: string[] };
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true });
+  } catch (err) {
+    console.error(`${(err as Error).message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+
+  try {
+    if (command === "compile") return compile(values, positionals);
+    if (command === "validate") return validate(values, positionals, false);
+    if (command === "lint") return validate(values, positionals, true);
+    if (command === "diff") return diff(values, positionals);
+    return emit(values, positionals);
+  } catch (err) {
+    if (err instanceof IdlCompileError) report(err.issues);
+    else if (err instanceof IdlError) report([err.issue]);
+    else console.error(`❌ ${(err as Error).message}`);
+    return 1;
+  }
+}
+
+process.exitCode = main();
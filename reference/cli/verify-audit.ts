@@ -0,0 +1,113 @@
+import fs from "fs";
+import type crypto from "crypto";
+import { verifyAuditLog } from "../sdk/audit";
+import { DidKeyResolver, DidWebFileResolver, combineDidResolvers, didOf, resolvePublicKeys } from "../sdk/did";
+
+const USAGE =
+  "Usage: verify-audit --log <audit.jsonl> [--keys <keys.json>] [--resolve-dids --agent <did> [--agent <did>...] [--did-web-root <dir>]]" +
+  " [--expect-head <hash>] [--expect-count <n>]";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const getArg = (flag: string) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  return {
+    logPath: getArg("--log"),
+    keysPath: getArg("--keys"),
+    resolveDids: args.includes("--resolve-dids"),
+    agents: args.flatMap((arg, idx) => (arg === "--agent" && args[idx + 1] ? [args[idx + 1]] : [])),
+    didWebRoot: getArg("--did-web-root") || process.cwd(),
+    expectedHead: getArg("--expect-head") || undefined,
+    expectedCount: getArg("--expect-count"),
+  };
+}
+
+interface LoggedAttestation {
+  line: number;
+  taskId: string | null;
+  agent: unknown;
+  keyId: string;
+}
+
+function attestationsOf(source: string): LoggedAttestation[] {
+  return source.split("\n").flatMap((text, index) => {
+    try {
+      const record = JSON.parse(text);
+      if (!record || !record.attestation || typeof record.attestation.keyId !== "string") return [];
+      const taskId = typeof record.taskId === "string" ? record.taskId : null;
+      return [{ line: index + 1, taskId, agent: record.agent, keyId: record.attestation.keyId }];
+    } catch (err) {
+      return [];
+    }
+  });
+}
+
+// A DID resolves to whatever key its controller chose, so a resolved key is only
+// trusted when its DID is a pinned agent and the record claims to come from it.
+// Otherwise anyone could re-sign an edited log with a did:key of their own.
+function untrustedAttestation(attestations: LoggedAttestation[], agents: string[], listedKeys: Record<string, unknown>) {
+  return attestations.find(({ agent, keyId }) => {
+    if (keyId in listedKeys || !keyId.startsWith("did:")) return false;
+    const did = didOf(keyId);
+    return did !== agent || !agents.includes(did);
+  });
+}
+
+// Attestation key ids that are DID URLs resolve offline: did:key from the id
+// itself, did:web from a local mirror of the hosts' documents.
+async function resolveAttestationKeys(attestations: LoggedAttestation[], agents: string[], didWebRoot: string) {
+  const keyIds = attestations.map(({ keyId }) => keyId).filter(keyId => agents.includes(didOf(keyId)));
+  const resolver = combineDidResolvers({ key: new DidKeyResolver(), web: new DidWebFileResolver(didWebRoot) });
+  return resolvePublicKeys(resolver, keyIds, "assertionMethod");
+}
+
+async function main(): Promise<number> {
+  const { logPath, keysPath, resolveDids, agents, didWebRoot, expectedHead, expectedCount } = parseArgs();
+  const badCount = expectedCount !== null && !/^\d+$/.test(expectedCount);
+  if (!logPath || (!keysPath && !resolveDids) || (resolveDids && agents.length === 0) || badCount) {
+    console.error(USAGE);
+    if (resolveDids && agents.length === 0) console.error("--resolve-dids needs the trusted agent DIDs, each given with --agent.");
+    if (badCount) console.error("--expect-count needs a non-negative integer.");
+    return 2;
+  }
+
+  const source = fs.readFileSync(logPath, "utf8");
+  // keys.json maps attestation keyIds (usually agent ids) to PEM public keys; it wins over resolved DIDs.
+  const listedKeys: Record<string, string> = keysPath ? JSON.parse(fs.readFileSync(keysPath, "utf8")) : {};
+  const attestations = attestationsOf(source);
+  if (resolveDids) {
+    const untrusted = untrustedAttestation(attestations, agents, listedKeys);
+    if (untrusted) {
+      const task = untrusted.taskId ? ` (${untrusted.taskId})` : "";
+      const detail = `${untrusted.keyId} does not belong to the record's agent ${untrusted.agent}, or that agent is not pinned`;
+      console.error(`❌ ${logPath}:${untrusted.line}${task}: untrusted-key: ${detail}`);
+      return 1;
+    }
+  }
+  const publicKeys: Record<string, string | crypto.KeyObject> = {
+    ...(resolveDids ? await resolveAttestationKeys(attestations, agents, didWebRoot) : {}),
+    ...listedKeys,
+  };
+  const report = verifyAuditLog(source, {
+    publicKeys,
+    expectedHead,
+    expectedCount: expectedCount === null ? undefined : Number(expectedCount),
+  });
+
+  if (report.ok) {
+    // Without an expected head a log cut short still verifies, so print the one to keep.
+    console.log(`✅ ${logPath}: ${report.records} execution records verified, head ${report.head}`);
+    return 0;
+  }
+  const failure = report.failure!;
+  const task = failure.taskId ? ` (${failure.taskId})` : "";
+  console.error(`❌ ${logPath}:${failure.line}${task}: ${failure.reason}: ${failure.detail}`);
+  console.error(`   ${report.records} records verified before the failure`);
+  return 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
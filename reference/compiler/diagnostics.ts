@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import * as webidl from "webidl2";
+import { IdlError, IdlIssue, IdlRules, PrefixMap, collectIdlFiles, parseIdlSource, validateIdlDefinitions } from "../sdk/idl";
+import { LINT_RULES, lintIdl } from "./lint";
+import { compileAst } from "./index";
+
+/*
+ * Every issue in a set of IDL files, as opposed to `compileIdl`, which stops at
+ * the first failing stage: each file is parsed separately so one syntax error
+ * does not hide the others, and lint runs once the document is valid.
+ */
+
+export const DIAGNOSTIC_FORMATS = ["text", "json", "sarif"] as const;
+
+export type DiagnosticFormat = (typeof DIAGNOSTIC_FORMATS)[number];
+
+export interface DiagnoseOptions {
+  /** Overrides the core validation rules, as for `compileAst`. */
+  rules?: Partial<IdlRules>;
+  /** Project prefixes, as for `compileAst`. */
+  prefixes?: PrefixMap;
+  /** Also run the lint rules when the document is valid. */
+  lint?: boolean;
+}
+
+const CORE_RULES: Record<string, string> = {
+  syntax: "The file is not valid WebIDL.",
+  resolution: "A partial interface, mixin or parent interface cannot be resolved.",
+  "interface-required": "The document defines no interface.",
+  "unknown-attribute": "An extended attribute is not part of AgentIDL.",
+  "invalid-prefix": "A Prefix declaration is not a prefix name and an absolute IRI.",
+  "prefix-conflict": "A prefix is bound to two different IRIs.",
+  "undeclared-prefix": "A CURIE uses a prefix that is neither built in nor declared.",
+  "missing-attribute": "A required extended attribute is missing.",
+  "delegation-param": "A Delegation operation takes no DelegationContext parameter.",
+  "undeclared-type": "Throws or Streaming names something that is not a dictionary.",
+};
+
+function byLocation(a: IdlIssue, b: IdlIssue): number {
+  const left = a.location || { file: "", line: 0, column: 0 };
+  const right = b.location || { file: "", line: 0, column: 0 };
+  return (left.file || "").localeCompare(right.file || "") || left.line - right.line || left.column - right.column;
+}
+
+/** Issues in the `.idl` files named by, or found below, `inputs`, ordered by position. */
+export function diagnoseIdl(inputs: string | string[], { rules, prefixes, lint = false }: DiagnoseOptions = {}): IdlIssue[] {
+  const files = (Array.isArray(inputs) ? inputs : [inputs]).flatMap(collectIdlFiles);
+  if (files.length === 0) throw new Error(`No .idl files found in ${[inputs].flat().join(", ")}`);
+
+  const issues: IdlIssue[] = [];
+  const ast: webidl.IDLRootType[] = [];
+  files.forEach(file => {
+    try {
+      ast.push(...parseIdlSource(fs.readFileSync(file, "utf8"), file));
+    } catch (err) {
+      if (!(err instanceof IdlError)) throw err;
+      issues.push(err.issue);
+    }
+  });
+  if (issues.length > 0) return issues.sort(byLocation);
+
+  issues.push(...validateIdlDefinitions(ast, rules, prefixes));
+  if (issues.length > 0) return issues.sort(byLocation);
+
+  try {
+    const compiled = compileAst(ast, { rules: false, prefixes });
+    if (lint) issues.push(...lintIdl(compiled));
+  } catch (err) {
+    if (!(err instanceof IdlError)) throw err;
+    issues.push(err.issue);
+  }
+  return issues.sort(byLocation);
+}
+
+function formatText(issues: IdlIssue[]): string {
+  return issues
+    .map(({ rule, severity, message, location }) => {
+      const where = location ? `${location.file || "<input>"}:${location.line}:${location.column}: ` : "";
+      return `${where}${severity}: ${message} [${rule}]\n`;
+    })
+    .join("");
+}
+
+function formatSarif(issues: IdlIssue[]): string {
+  const descriptions: Record<string, string> = { ...CORE_RULES };
+  Object.entries(LINT_RULES).forEach(([rule, { description }]) => {
+    descriptions[rule] = description;
+  });
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "agent-idl",
+            rules: Object.entries(descriptions).map(([id, text]) => ({ id, shortDescription: { text } })),
+          },
+        },
+        results: issues.map(({ rule, severity, message, location }) => ({
+          ruleId: rule,
+          level: severity,
+          message: { text: message },
+          locations: location
+            ? [
+                {
+                  physicalLocation: {
+                    artifactLocation: { uri: path.relative(process.cwd(), location.file || "").split(path.sep).join("/") },
+                    region: { startLine: location.line, startColumn: location.column },
+                  },
+                },
+              ]
+            : [],
+        })),
+      },
+    ],
+  };
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+/** Renders `issues` as `file:line:column: severity: message [rule]` lines, a JSON array or a SARIF 2.1.0 log. */
+export function formatDiagnostics(issues: IdlIssue[], format: DiagnosticFormat = "text"): string {
+  switch (format) {
+    case "text":
+      return formatText(issues);
+    case "json":
+      return `${JSON.stringify(issues, null, 2)}\n`;
+    case "sarif":
+      return formatSarif(issues);
+    default:
+      throw new Error(`Unknown diagnostic format ${format} (expected one of ${DIAGNOSTIC_FORMATS.join(", ")}).`);
+  }
+}
@@ -0,0 +1,134 @@
+import { mapIdlTypeToTs } from "./generator";
+import type { CompiledIdl } from "./index";
+import { MethodMeta, TypeDefinition } from "./types";
+
+/*
+ * Compatibility of two versions of an IDL document, as seen by existing callers:
+ * a change is breaking when a message or result that was valid before can be
+ * rejected or misread afterwards (a removed operation, a new required argument,
+ * a changed type or a newly required proof), and compatible otherwise.
+ */
+
+export interface IdlChange {
+  breaking: boolean;
+  /** `Interface`, `Interface.method` or the name of a dictionary or enum. */
+  subject: string;
+  message: string;
+}
+
+function byName<T extends { name: string }>(items: T[]): Map<string, T> {
+  return new Map(items.map(item => [item.name, item]));
+}
+
+function diffMethod(before: MethodMeta, after: MethodMeta, change: (breaking: boolean, message: string) => void) {
+  if (before.intent !== after.intent) change(true, `intent changed from ${before.intent} to ${after.intent}`);
+  if (before.returnType !== after.returnType) change(true, `returns ${after.returnType} instead of ${before.returnType}`);
+  if (before.stream !== after.stream) change(true, `streams ${after.stream || "nothing"} instead of ${before.stream || "nothing"}`);
+
+  (["proof", "capability", "delegation"] as const).forEach(attribute => {
+    const was = before[attribute];
+    const now = after[attribute];
+    if (was === now) return;
+    if (!now) change(false, `no longer requires ${attribute} ${was}`);
+    else change(true, was ? `requires ${attribute} ${now} instead of ${was}` : `now requires ${attribute} ${now}`);
+  });
+
+  after.errors.filter(code => !before.errors.includes(code)).forEach(code => change(false, `may throw ${code}`));
+  before.errors.filter(code => !after.errors.includes(code)).forEach(code => change(false, `no longer throws ${code}`));
+
+  const oldParams = byName(before.params);
+  const newParams = byName(after.params);
+  before.params.forEach(param => {
+    const next = newParams.get(param.name);
+    if (!next) return change(true, `argument ${param.name} was removed`);
+    if (param.tsType !== next.tsType) change(true, `argument ${param.name} is ${next.tsType} instead of ${param.tsType}`);
+    if (param.optional && !next.optional) change(true, `argument ${param.name} is now required`);
+    if (!param.optional && next.optional) change(false, `argument ${param.name} is now optional`);
+  });
+  after.params.forEach(param => {
+    if (oldParams.has(param.name)) return;
+    change(!param.optional, `${param.optional ? "optional" : "required"} argument ${param.name} was added`);
+  });
+  const kept = before.params.filter(param => newParams.has(param.name)).map(param => param.name);
+  const keptAfter = after.params.filter(param => oldParams.has(param.name)).map(param => param.name);
+  if (kept.join() !== keptAfter.join()) change(true, "arguments were reordered");
+}
+
+function diffType(before: TypeDefinition, after: TypeDefinition, change: (breaking: boolean, message: string) => void) {
+  if (before.type !== after.type) return change(true, `is now a ${after.type} instead of a ${before.type}`);
+  if (before.type === "enum" && after.type === "enum") {
+    const oldValues = before.values.map(entry => entry.value);
+    const newValues = after.values.map(entry => entry.value);
+    oldValues.filter(value => !newValues.includes(value)).forEach(value => change(true, `value "${value}" was removed`));
+    newValues.filter(value => !oldValues.includes(value)).forEach(value => change(false, `value "${value}" was added`));
+    return;
+  }
+  if (before.type === "dictionary" && after.type === "dictionary") {
+    if (before.inheritance !== after.inheritance) {
+      change(true, `inherits from ${after.inheritance || "nothing"} instead of ${before.inheritance || "nothing"}`);
+    }
+    const oldMembers = byName(before.members);
+    const newMembers = byName(after.members);
+    before.members.forEach(member => {
+      const next = newMembers.get(member.name);
+      if (!next) return change(true, `member ${member.name} was removed`);
+      const was = mapIdlTypeToTs(member.idlType);
+      const now = mapIdlTypeToTs(next.idlType);
+      if (was !== now) change(true, `member ${member.name} is ${now} instead of ${was}`);
+      if (!member.required && next.required) change(true, `member ${member.name} is now required`);
+      if (member.required && !next.required) change(false, `member ${member.name} is now optional`);
+    });
+    after.members.forEach(member => {
+      if (oldMembers.has(member.name)) return;
+      change(member.required, `${member.required ? "required" : "optional"} member ${member.name} was added`);
+    });
+    return;
+  }
+  if (before.type === "typedef" && after.type === "typedef") {
+    const was = mapIdlTypeToTs(before.idlType);
+    const now = mapIdlTypeToTs(after.idlType);
+    if (was !== now) change(true, `is ${now} instead of ${was}`);
+  }
+}
+
+/** Changes from `before` to `after`, breaking ones first. */
+export function diffIdl(before: CompiledIdl, after: CompiledIdl): IdlChange[] {
+  const changes: IdlChange[] = [];
+  const recorder = (subject: string) => (breaking: boolean, message: string) => {
+    changes.push({ breaking, subject, message });
+  };
+
+  const newInterfaces = new Map(after.interfaces.map(entry => [entry.iface.name, entry]));
+  const oldInterfaces = new Map(before.interfaces.map(entry => [entry.iface.name, entry]));
+  oldInterfaces.forEach((entry, name) => {
+    const next = newInterfaces.get(name);
+    if (!next) return recorder(name)(true, "interface was removed");
+    const newMethods = byName(next.methods);
+    entry.methods.forEach(method => {
+      const subject = `${name}.${method.name}`;
+      const updated = newMethods.get(method.name);
+      if (!updated) return recorder(subject)(true, "operation was removed");
+      diffMethod(method, updated, recorder(subject));
+    });
+    const oldMethods = byName(entry.methods);
+    next.methods.forEach(method => {
+      if (!oldMethods.has(method.name)) recorder(`${name}.${method.name}`)(false, "operation was added");
+    });
+  });
+  newInterfaces.forEach((_, name) => {
+    if (!oldInterfaces.has(name)) recorder(name)(false, "interface was added");
+  });
+
+  const newTypes = byName(after.typeDefinitions);
+  const oldTypes = byName(before.typeDefinitions);
+  before.typeDefinitions.forEach(def => {
+    const next = newTypes.get(def.name);
+    if (!next) return recorder(def.name)(true, `${def.type} was removed`);
+    diffType(def, next, recorder(def.name));
+  });
+  after.typeDefinitions.forEach(def => {
+    if (!oldTypes.has(def.name)) recorder(def.name)(false, `${def.type} was added`);
+  });
+
+  return [...changes.filter(change => change.breaking), ...changes.filter(change => !change.breaking)];
+}
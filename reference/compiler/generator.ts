@@ -1,65 +1,39 @@
-import fs from "fs";
-import path from "path";
 import * as webidl from "webidl2";
-import mapper from "../../idl/mapper.json";
+import { NDJSON, intentRoute } from "../sdk/http-transport";
+import { getExtAttrList, getExtAttrValue } from "../sdk/idl";
+import { INTEGER_RANGES } from "../sdk/validation";
+import { DictionaryDefinition, IdlType, MethodMeta, ReferencedTypes, ResolvedInterface, TypeDefinition } from "./types";
 
-type IdlType = webidl.IDLTypeDescription | webidl.IDLTypeDescription[] | string | null;
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
 
-const DEFAULT_IDL_PATH = path.join("idl", "agent.idl");
-const DEFAULT_OUT_DIR = path.join("reference", "sdk", "generated");
-const DEFAULT_JSONLD_OUT = path.join("idl", "generated", "agent-interface.jsonld");
-const DEFAULT_TTL_OUT = path.join("idl", "generated", "agent-interface.ttl");
-
-const DEFAULT_PREFIXES: Record<string, string> = {
-  agent: "https://s-agent-comm.github.io/agent-ontology/latest/agent.ttl#",
-  intent: "https://s-agent-comm.github.io/agent-ontology/latest/intent.ttl#",
-  ledger: "https://s-agent-comm.github.io/agent-ontology/latest/ledger.ttl#",
-  capability: "https://s-agent-comm.github.io/agent-ontology/latest/capability.ttl#",
-};
-
-function normalizeExtendedAttributes(idlSource: string): string {
-  return idlSource.replace(/\[\[/g, "[").replace(/\]\]/g, "]");
-}
-
-function getExtAttrValue(extAttrs: webidl.ExtendedAttribute[] | undefined, name: string): string | null {
-  if (!extAttrs) return null;
-  const found = extAttrs.find(attr => attr.name === name);
-  if (!found) return null;
-  let value: string | null = null;
-  if (typeof found.rhs === "string") value = found.rhs;
-  if (found.rhs && typeof (found.rhs as any).value === "string") value = (found.rhs as any).value;
-  if (typeof value !== "string") return null;
-  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
-  return value;
-}
-
-function expandCurie(value: string): string {
-  const parts = value.split(":");
-  if (parts.length !== 2) return value;
-  const [prefix, local] = parts;
-  const base = DEFAULT_PREFIXES[prefix];
-  if (!base) return value;
-  return `${base}${local}`;
-}
-
-function mapIdlTypeToTs(idlType: IdlType): string {
+export function mapIdlTypeToTs(idlType: IdlType): string {
   if (!idlType) return "any";
   if (typeof idlType === "string") return mapPrimitive(idlType);
   if (Array.isArray(idlType)) {
     return idlType.map((type: webidl.IDLTypeDescription) => mapIdlTypeToTs(type)).join(" | ");
   }
+  const mapped = mapIdlTypeDescriptionToTs(idlType);
+  return idlType.nullable ? `${mapped} | null` : mapped;
+}
+
+function mapIdlTypeDescriptionToTs(idlType: webidl.IDLTypeDescription): string {
   if (idlType.union && Array.isArray(idlType.idlType)) {
     return idlType.idlType.map((type: webidl.IDLTypeDescription) => mapIdlTypeToTs(type)).join(" | ");
   }
   if (idlType.generic) {
     const innerTypes = idlType.idlType;
+    if (idlType.generic === "record" && Array.isArray(innerTypes) && innerTypes.length === 2) {
+      return `Record<${mapIdlTypeToTs(innerTypes[0])}, ${mapIdlTypeToTs(innerTypes[1])}>`;
+    }
     const inner = Array.isArray(innerTypes)
       ? innerTypes.map((type: webidl.IDLTypeDescription) => mapIdlTypeToTs(type)).join(" | ")
       : innerTypes
         ? mapIdlTypeToTs(innerTypes as webidl.IDLTypeDescription)
         : "any";
     if (idlType.generic === "Promise") return `Promise<${inner}>`;
-    if (idlType.generic === "sequence") return `Array<${inner}>`;
+    if (idlType.generic === "sequence" || idlType.generic === "FrozenArray" || idlType.generic === "ObservableArray") {
+      return `Array<${inner}>`;
+    }
     return `${idlType.generic}<${inner}>`;
   }
   if (idlType.idlType) {
@@ -77,9 +51,13 @@ function mapPrimitive(typeName: string): string {
   const lower = typeName.toLowerCase();
   if (lower === "boolean") return "boolean";
   if (lower === "byte" || lower === "octet" || lower.includes("short") || lower.includes("long")) return "number";
-  if (lower === "double" || lower === "float") return "number";
-  if (lower === "domstring" || lower === "usvstring" || lower === "string") return "string";
+  if (/^(unrestricted )?(double|float)$/.test(lower)) return "number";
+  // JSON carries bigints as plain integers, and JSON.stringify throws on a JS bigint.
+  if (lower === "bigint") return "number";
+  if (lower === "domstring" || lower === "usvstring" || lower === "bytestring" || lower === "string") return "string";
   if (lower === "any") return "any";
+  if (lower === "object") return "object";
+  if (lower === "undefined" || lower === "void") return "undefined";
   return typeName;
 }
 
@@ -90,11 +68,13 @@ function unwrapPromise(typeName: string): string {
   return typeName;
 }
 
-function collectCustomTypes(types: Set<string>, idlType: IdlType): void {
+const TS_BUILTIN_TYPES = new Set(["any", "boolean", "number", "object", "string", "undefined"]);
+
+export function collectCustomTypes(types: Set<string>, idlType: IdlType): void {
   if (!idlType) return;
   if (typeof idlType === "string") {
     const mapped = mapPrimitive(idlType);
-    if (mapped === idlType && mapped !== "any" && !mapped.startsWith("Promise") && !mapped.startsWith("Array")) {
+    if (mapped === idlType && !TS_BUILTIN_TYPES.has(mapped) && !mapped.startsWith("Promise") && !mapped.startsWith("Array")) {
       types.add(mapped);
     }
     return;
@@ -130,94 +110,391 @@ function collectCustomTypes(types: Set<string>, idlType: IdlType): void {
   }
 }
 
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const getArg = (flag: string) => {
-    const idx = args.indexOf(flag);
-    return idx >= 0 ? args[idx + 1] : null;
-  };
-  return {
-    idlPath: getArg("--idl") || DEFAULT_IDL_PATH,
-    outDir: getArg("--out") || DEFAULT_OUT_DIR,
-    jsonldOut: getArg("--jsonld") || DEFAULT_JSONLD_OUT,
-    ttlOut: getArg("--ttl") || DEFAULT_TTL_OUT,
-  };
+export function collectTypeDefinitions(ast: webidl.IDLRootType[]): TypeDefinition[] {
+  const definitions: TypeDefinition[] = [];
+  const dictionaries = new Map<string, DictionaryDefinition>();
+  ast.forEach(def => {
+    if (def.type === "dictionary") {
+      const existing = dictionaries.get(def.name);
+      if (existing) {
+        existing.members.push(...def.members);
+        if (!existing.inheritance && def.inheritance) existing.inheritance = def.inheritance;
+        return;
+      }
+      const merged: DictionaryDefinition = {
+        type: "dictionary",
+        name: def.name,
+        inheritance: def.inheritance,
+        members: [...def.members],
+      };
+      dictionaries.set(def.name, merged);
+      definitions.push(merged);
+      return;
+    }
+    if (def.type === "enum" || def.type === "typedef" || def.type === "callback") {
+      definitions.push(def);
+    }
+  });
+  return definitions;
 }
 
-function generate() {
-  const { idlPath, outDir, jsonldOut, ttlOut } = parseArgs();
-  const raw = fs.readFileSync(idlPath, "utf8");
-  const normalized = normalizeExtendedAttributes(raw);
-  const ast = webidl.parse(normalized);
-  const iface = ast.find(def => def.type === "interface") as webidl.InterfaceType | undefined;
-  if (!iface) throw new Error("No interface definition found.");
+function formatDefaultValue(value: webidl.ValueDescription): string {
+  switch (value.type) {
+    case "string":
+      return JSON.stringify(value.value);
+    case "number":
+      return value.value;
+    case "boolean":
+      return String(value.value);
+    case "null":
+      return "null";
+    case "sequence":
+      return "[]";
+    case "dictionary":
+      return "{}";
+    case "Infinity":
+      return value.negative ? "-Infinity" : "Infinity";
+    case "NaN":
+      return "NaN";
+    default:
+      return "undefined";
+  }
+}
+
+function emitTypeDefinition(def: TypeDefinition): string[] {
+  if (def.type === "enum") {
+    const values = def.values.map(entry => JSON.stringify(entry.value)).join(" | ");
+    return [`export type ${def.name} = ${values || "never"};`];
+  }
+  if (def.type === "typedef") {
+    return [`export type ${def.name} = ${mapIdlTypeToTs(def.idlType)};`];
+  }
+  if (def.type === "callback") {
+    const paramList = def.arguments
+      .map(arg => `${arg.name}${arg.optional ? "?" : ""}: ${mapIdlTypeToTs(arg.idlType)}`)
+      .join(", ");
+    const returnType = mapIdlTypeToTs(def.idlType);
+    return [`export type ${def.name} = (${paramList}) => ${returnType === "undefined" ? "void" : returnType};`];
+  }
+
+  const lines: string[] = [];
+  const heritage = def.inheritance ? ` extends ${def.inheritance}` : "";
+  lines.push(`export interface ${def.name}${heritage} {`);
+  def.members.forEach(member => {
+    if (member.default) {
+      lines.push(`  /** @default ${formatDefaultValue(member.default)} */`);
+    }
+    const optional = member.required ? "" : "?";
+    lines.push(`  ${member.name}${optional}: ${mapIdlTypeToTs(member.idlType)};`);
+  });
+  lines.push("}");
+  return lines;
+}
 
-  const contextUrl = getExtAttrValue(iface.extAttrs, "Context");
-  const semanticUrl = getExtAttrValue(iface.extAttrs, "Semantic");
+function collectDefinitionTypes(types: Set<string>, def: TypeDefinition): void {
+  if (def.type === "enum") return;
+  if (def.type === "typedef") {
+    collectCustomTypes(types, def.idlType);
+    return;
+  }
+  if (def.type === "callback") {
+    def.arguments.forEach(arg => collectCustomTypes(types, arg.idlType));
+    collectCustomTypes(types, def.idlType);
+    return;
+  }
+  if (def.inheritance) types.add(def.inheritance);
+  def.members.forEach(member => collectCustomTypes(types, member.idlType));
+}
 
-  const methods = iface.members.filter(member => member.type === "operation") as webidl.OperationMemberType[];
-  const methodMeta = methods.map(method => {
+export function buildMethodMeta(iface: ResolvedInterface): MethodMeta[] {
+  return iface.operations.map(method => {
     const intent = getExtAttrValue(method.extAttrs, "Intent") || "";
     const proof = getExtAttrValue(method.extAttrs, "Proof");
+    const capability = getExtAttrValue(method.extAttrs, "Capability");
+    const delegation = getExtAttrValue(method.extAttrs, "Delegation");
+    const errors = getExtAttrList(method.extAttrs, "Throws");
+    const stream = getExtAttrValue(method.extAttrs, "Streaming");
     return {
-      name: method.name,
+      name: method.name as string,
       intent,
       proof,
+      capability,
+      delegation,
+      errors,
+      stream,
       params: method.arguments.map(arg => ({
         name: arg.name,
+        optional: arg.optional,
         tsType: mapIdlTypeToTs(arg.idlType),
+        idlType: arg.idlType,
       })),
       returnType: mapIdlTypeToTs(method.idlType),
+      returnIdlType: method.idlType,
     };
   });
+}
+
+function closeOverTypes(referenced: Set<string>, definitions: Map<string, TypeDefinition>): Set<string> {
+  const pending = Array.from(referenced);
+  while (pending.length > 0) {
+    const def = definitions.get(pending.pop() as string);
+    if (!def) continue;
+    const nested = new Set<string>();
+    collectDefinitionTypes(nested, def);
+    nested.forEach(typeName => {
+      if (referenced.has(typeName)) return;
+      referenced.add(typeName);
+      pending.push(typeName);
+    });
+  }
+  return referenced;
+}
+
+export function collectReferencedTypes(iface: ResolvedInterface, typeDefinitions: TypeDefinition[]): ReferencedTypes {
+  const definitions = new Map(typeDefinitions.map(def => [def.name, def]));
 
-  const customTypes = new Set<string>();
-  methods.forEach(method => {
-    method.arguments.forEach(arg => collectCustomTypes(customTypes, arg.idlType));
-    collectCustomTypes(customTypes, method.idlType);
+  const referenced = new Set<string>();
+  iface.operations.forEach(method => {
+    method.arguments.forEach(arg => collectCustomTypes(referenced, arg.idlType));
+    collectCustomTypes(referenced, method.idlType);
+    getExtAttrList(method.extAttrs, "Throws").forEach(code => referenced.add(code));
+    const stream = getExtAttrValue(method.extAttrs, "Streaming");
+    if (stream) referenced.add(stream);
   });
+  closeOverTypes(referenced, definitions);
+
+  return {
+    definitions: typeDefinitions.filter(def => referenced.has(def.name)),
+    opaque: Array.from(referenced).filter(
+      typeName => ![iface.name, "Promise", "Array"].includes(typeName) && !definitions.has(typeName)
+    ),
+  };
+}
 
-  const customTypeDecls = Array.from(customTypes)
-    .filter(typeName => ![iface.name, "Promise", "Array"].includes(typeName))
+export function emitTypeDeclarations(referenced: ReferencedTypes): string {
+  const typeDecls = referenced.definitions.map(def => emitTypeDefinition(def).join("\n"));
+  const opaqueTypeDecls = referenced.opaque
     .map(typeName => `export type ${typeName} = Record<string, unknown>;`)
     .join("\n");
+  return [...typeDecls, opaqueTypeDecls].filter(Boolean).join("\n\n");
+}
+
+function emitIntentEntry(method: MethodMeta): string {
+  const quote = (value: string | null) => (value ? `"${value}"` : "null");
+  const errors = method.errors.map(code => `"${code}"`).join(", ");
+  return `{ intent: "${method.intent}", proof: ${quote(method.proof)}, capability: ${quote(method.capability)}, errors: [${errors}], stream: ${quote(method.stream)} }`;
+}
+
+function declaredErrorsOf(methodMeta: MethodMeta[]): string[] {
+  return Array.from(new Set(methodMeta.flatMap(method => method.errors)));
+}
+
+function emitThrowsTag(method: MethodMeta, indent: string): string[] {
+  if (method.errors.length === 0) return [];
+  return [`${indent}/** @throws {${method.errors.map(code => `${code}Error`).join(" | ")}} */`];
+}
+
+/**
+ * One error class per `[Throws]` dictionary, keyed by code in `errors`. Clients
+ * rethrow a failure whose code the operation declares as that class, so callers
+ * can use `instanceof` instead of matching messages.
+ */
+function emitDeclaredErrors(codes: string[], style: "ts" | "cjs" | "esm"): string[] {
+  if (codes.length === 0) return [];
+  const lines: string[] = [];
+  const typed = style === "ts";
+  const exported = style === "cjs" ? "" : "export ";
+  lines.push(`${exported}class AgentError extends Error {`);
+  if (typed) {
+    lines.push("  code: string;");
+    lines.push("  data?: unknown;");
+    lines.push("");
+  }
+  lines.push(typed ? "  constructor(code: string, message: string, data?: unknown) {" : "  constructor(code, message, data) {");
+  lines.push("    super(message);");
+  lines.push('    this.name = "AgentError";');
+  lines.push("    this.code = code;");
+  lines.push("    this.data = data;");
+  lines.push("  }");
+  lines.push("}");
+  codes.forEach(code => {
+    lines.push("");
+    lines.push(`${exported}class ${code}Error extends AgentError {`);
+    if (typed) {
+      lines.push(`  declare data: ${code};`);
+      lines.push("");
+    }
+    lines.push(typed ? `  constructor(message: string, data: ${code}) {` : "  constructor(message, data) {");
+    lines.push(`    super("${code}", message, data);`);
+    lines.push(`    this.name = "${code}Error";`);
+    lines.push("  }");
+    lines.push("}");
+  });
+  lines.push("");
+  lines.push(`${exported}const errors = {`);
+  codes.forEach(code => lines.push(`  ${code}: ${code}Error,`));
+  lines.push("};");
+  lines.push("");
+  if (typed) {
+    lines.push("function toDeclaredError(err: unknown, codes: readonly string[]): unknown {");
+    lines.push("  const failure = (err || {}) as { code?: unknown; message?: string; data?: unknown };");
+    lines.push('  if (typeof failure.code !== "string" || !codes.includes(failure.code)) return err;');
+    lines.push("  return new errors[failure.code as keyof typeof errors](String(failure.message), failure.data as never);");
+  } else {
+    lines.push("function toDeclaredError(err, codes) {");
+    lines.push("  const failure = err || {};");
+    lines.push('  if (typeof failure.code !== "string" || !codes.includes(failure.code)) return err;');
+    lines.push("  return new errors[failure.code](String(failure.message), failure.data);");
+  }
+  lines.push("}");
+  lines.push("");
+  return lines;
+}
+
+/**
+ * Client side of `[Streaming]` operations: the call is both an async iterable of
+ * chunks and a thenable for the result. Breaking out of the loop, or `cancel()`,
+ * aborts the call.
+ */
+function emitStreamCall(typed: boolean): string[] {
+  const lines: string[] = [];
+  if (typed) {
+    lines.push("function streamCall<Chunk, Result>(send: (options: AgentSendOptions) => Promise<unknown>): AgentCall<Chunk, Result> {");
+    lines.push("  const controller = new AbortController();");
+    lines.push("  const chunks: Chunk[] = [];");
+    lines.push("  const waiting: Array<() => void> = [];");
+  } else {
+    lines.push("function streamCall(send) {");
+    lines.push("  const controller = new AbortController();");
+    lines.push("  const chunks = [];");
+    lines.push("  const waiting = [];");
+  }
+  lines.push("  const wake = () => waiting.splice(0).forEach(resolve => resolve());");
+  lines.push("  let settled = false;");
+  lines.push("  const result = send({");
+  lines.push("    signal: controller.signal,");
+  lines.push("    onChunk: chunk => {");
+  lines.push(typed ? "      chunks.push(chunk as Chunk);" : "      chunks.push(chunk);");
+  lines.push("      wake();");
+  lines.push("    },");
+  lines.push("  }).finally(() => {");
+  lines.push("    settled = true;");
+  lines.push("    wake();");
+  lines.push(typed ? "  }) as Promise<Result>;" : "  });");
+  lines.push("  result.catch(() => undefined);");
+  lines.push("  return {");
+  lines.push("    result,");
+  lines.push("    then: (onFulfilled, onRejected) => result.then(onFulfilled, onRejected),");
+  lines.push("    cancel: () => controller.abort(),");
+  lines.push("    [Symbol.asyncIterator]: () => ({");
+  lines.push(typed ? "      next: async (): Promise<IteratorResult<Chunk>> => {" : "      next: async () => {");
+  lines.push(typed ? "        while (chunks.length === 0 && !settled) await new Promise<void>(resolve => waiting.push(resolve));" : "        while (chunks.length === 0 && !settled) await new Promise(resolve => waiting.push(resolve));");
+  lines.push(typed ? "        if (chunks.length > 0) return { value: chunks.shift() as Chunk, done: false };" : "        if (chunks.length > 0) return { value: chunks.shift(), done: false };");
+  lines.push("        await result;");
+  lines.push("        return { value: undefined, done: true };");
+  lines.push("      },");
+  lines.push(typed ? "      return: async (): Promise<IteratorResult<Chunk>> => {" : "      return: async () => {");
+  lines.push("        controller.abort();");
+  lines.push("        return { value: undefined, done: true };");
+  lines.push("      },");
+  lines.push("    }),");
+  lines.push("  };");
+  lines.push("}");
+  lines.push("");
+  return lines;
+}
+
+function emitClientCall(method: MethodMeta, typed: boolean): string {
+  const payload = method.params.map(param => `${param.name}: ${param.name}`).join(", ");
+  const message = `{ intent: intents.${method.name}.intent, proof: intents.${method.name}.proof, payload: { ${payload} } }`;
+  const declared = (send: string) =>
+    method.errors.length === 0 ? send : `${send}.catch(err => { throw toDeclaredError(err, intents.${method.name}.errors); })`;
+  if (method.stream) {
+    const generics = typed ? `<${method.stream}, ${unwrapPromise(method.returnType)}>` : "";
+    return `streamCall${generics}(options => ${declared(`transport.send(${message}, options)`)})`;
+  }
+  const call = declared(`transport.send(${message})`);
+  return typed ? `${call} as ${method.returnType}` : call;
+}
+
+function clientReturnType(method: MethodMeta): string {
+  return method.stream ? `AgentCall<${method.stream}, ${unwrapPromise(method.returnType)}>` : method.returnType;
+}
 
+export function emitTypeScript(iface: ResolvedInterface, methodMeta: MethodMeta[], customTypeDecls: string): string {
   const tsLines: string[] = [];
+  tsLines.push("export interface AgentProof {");
+  tsLines.push("  type: string;");
+  tsLines.push("  [key: string]: unknown;");
+  tsLines.push("}");
+  tsLines.push("");
   tsLines.push("export interface AgentMessage {");
   tsLines.push("  intent: string;");
-  tsLines.push("  proof?: string | null;");
+  tsLines.push("  proof?: AgentProof | string | null;");
   tsLines.push("  payload: Record<string, unknown>;");
   tsLines.push("  from?: string;");
   tsLines.push("  to?: string;");
   tsLines.push("  timestamp?: string;");
+  tsLines.push("  messageId?: string;");
+  tsLines.push("  idempotencyKey?: string;");
+  tsLines.push("  nonce?: string;");
+  tsLines.push("  envelope?: string;");
+  tsLines.push("}");
+  tsLines.push("");
+  tsLines.push("export interface AgentSendOptions {");
+  tsLines.push("  signal?: AbortSignal;");
+  tsLines.push("  onChunk?: (chunk: unknown) => void;");
+  tsLines.push("  idempotencyKey?: string;");
   tsLines.push("}");
   tsLines.push("");
   tsLines.push("export interface AgentTransport {");
-  tsLines.push("  send(message: AgentMessage): Promise<unknown>;");
+  tsLines.push("  send(message: AgentMessage, options?: AgentSendOptions): Promise<unknown>;");
+  tsLines.push("}");
+  tsLines.push("");
+  tsLines.push("/** Passed to every handler; `emit` is only for `[Streaming]` operations. */");
+  tsLines.push("export interface AgentCallContext<Chunk = never> {");
+  tsLines.push("  signal: AbortSignal;");
+  tsLines.push("  emit(chunk: Chunk): void;");
   tsLines.push("}");
   tsLines.push("");
+  const streaming = methodMeta.some(method => method.stream);
+  if (streaming) {
+    tsLines.push("/** Returned by `[Streaming]` operations: iterate it for chunks, await it for the result. */");
+    tsLines.push("export interface AgentCall<Chunk, Result> extends AsyncIterable<Chunk>, PromiseLike<Result> {");
+    tsLines.push("  result: Promise<Result>;");
+    tsLines.push("  cancel(): void;");
+    tsLines.push("}");
+    tsLines.push("");
+  }
   if (customTypeDecls) {
     tsLines.push(customTypeDecls);
     tsLines.push("");
   }
+  tsLines.push(...emitDeclaredErrors(declaredErrorsOf(methodMeta), "ts"));
+  if (streaming) tsLines.push(...emitStreamCall(true));
   tsLines.push(`export interface ${iface.name}Client {`);
   methodMeta.forEach(method => {
-    const paramList = method.params.map(param => `${param.name}: ${param.tsType}`).join(", ");
-    tsLines.push(`  ${method.name}(${paramList}): ${method.returnType};`);
+    tsLines.push(...emitThrowsTag(method, "  "));
+    const paramList = method.params.map(param => `${param.name}${param.optional ? "?" : ""}: ${param.tsType}`).join(", ");
+    tsLines.push(`  ${method.name}(${paramList}): ${clientReturnType(method)};`);
   });
   tsLines.push("}");
   tsLines.push("");
   tsLines.push(`export interface ${iface.name}Handlers {`);
   methodMeta.forEach(method => {
-    const paramList = method.params.map(param => `${param.name}: ${param.tsType}`).join(", ");
+    const paramList = method.params
+      .map(param => `${param.name}: ${param.optional ? `${param.tsType} | undefined` : param.tsType}`)
+      .concat(method.stream ? ["message: AgentMessage", `call: AgentCallContext<${method.stream}>`] : ["message?: AgentMessage", "call?: AgentCallContext"])
+      .join(", ");
     const handlerReturn = unwrapPromise(method.returnType);
-    tsLines.push(`  ${method.name}(${paramList}, message?: AgentMessage): ${handlerReturn} | Promise<${handlerReturn}>;`);
+    tsLines.push(...emitThrowsTag(method, "  "));
+    tsLines.push(`  ${method.name}(${paramList}): ${handlerReturn} | Promise<${handlerReturn}>;`);
   });
   tsLines.push("}");
   tsLines.push("");
   tsLines.push("export const intents = {");
   methodMeta.forEach(method => {
-    tsLines.push(`  ${method.name}: { intent: "${method.intent}", proof: ${method.proof ? `"${method.proof}"` : "null"} },`);
+    tsLines.push(`  ${method.name}: ${emitIntentEntry(method)},`);
   });
   tsLines.push("} as const;");
   tsLines.push("");
@@ -225,25 +502,30 @@ function generate() {
   tsLines.push("  return {");
   methodMeta.forEach(method => {
     const paramNames = method.params.map(param => param.name).join(", ");
-    const payload = method.params.map(param => `${param.name}: ${param.name}`).join(", ");
-    tsLines.push(`    ${method.name}: (${paramNames}) => transport.send({ intent: intents.${method.name}.intent, proof: intents.${method.name}.proof, payload: { ${payload} } }) as ${method.returnType},`);
+    tsLines.push(`    ${method.name}: (${paramNames}) => ${emitClientCall(method, true)},`);
   });
   tsLines.push("  };");
   tsLines.push("}");
   tsLines.push("");
-  tsLines.push(`export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage) => Promise<unknown> | unknown) => void }, handlers: ${iface.name}Handlers) {`);
+  tsLines.push(`export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage, call: AgentCallContext<unknown>) => Promise<unknown> | unknown) => void }, handlers: ${iface.name}Handlers) {`);
   methodMeta.forEach(method => {
     const paramNames = method.params
       .map(param => `message.payload.${param.name} as ${param.tsType}`)
+      .concat("message", "call")
       .join(", ");
-    tsLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async (message: AgentMessage) => handlers.${method.name}(${paramNames}, message));`);
+    tsLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async (message: AgentMessage, call: AgentCallContext<unknown>) => handlers.${method.name}(${paramNames}));`);
   });
   tsLines.push("}");
+  return tsLines.join("\n");
+}
 
-  const jsLines: string[] = [];
+export function emitCommonJs(methodMeta: MethodMeta[]): string {
+  const declared = declaredErrorsOf(methodMeta);
+  const jsLines: string[] = [...emitDeclaredErrors(declared, "cjs")];
+  if (methodMeta.some(method => method.stream)) jsLines.push(...emitStreamCall(false));
   jsLines.push("const intents = {");
   methodMeta.forEach(method => {
-    jsLines.push(`  ${method.name}: { intent: "${method.intent}", proof: ${method.proof ? `"${method.proof}"` : "null"} },`);
+    jsLines.push(`  ${method.name}: ${emitIntentEntry(method)},`);
   });
   jsLines.push("};");
   jsLines.push("");
@@ -251,25 +533,29 @@ function generate() {
   jsLines.push("  return {");
   methodMeta.forEach(method => {
     const paramNames = method.params.map(param => param.name).join(", ");
-    const payload = method.params.map(param => `${param.name}: ${param.name}`).join(", ");
-    jsLines.push(`    ${method.name}: (${paramNames}) => transport.send({ intent: intents.${method.name}.intent, proof: intents.${method.name}.proof, payload: { ${payload} } }),`);
+    jsLines.push(`    ${method.name}: (${paramNames}) => ${emitClientCall(method, false)},`);
   });
   jsLines.push("  };");
   jsLines.push("}");
   jsLines.push("");
   jsLines.push("function registerHandlers(runtime, handlers) {");
   methodMeta.forEach(method => {
-    const paramNames = method.params.map(param => `message.payload.${param.name}`).join(", ");
-    jsLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async message => handlers.${method.name}(${paramNames}, message));`);
+    const paramNames = method.params.map(param => `message.payload.${param.name}`).concat("message", "call").join(", ");
+    jsLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async (message, call) => handlers.${method.name}(${paramNames}));`);
   });
   jsLines.push("}");
   jsLines.push("");
-  jsLines.push("module.exports = { intents, createClient, registerHandlers };");
+  const errorExports = declared.length > 0 ? ["errors", "AgentError", ...declared.map(code => `${code}Error`)] : [];
+  jsLines.push(`module.exports = { ${["intents", ...errorExports, "createClient", "registerHandlers"].join(", ")} };`);
+  return jsLines.join("\n");
+}
 
-  const esmLines: string[] = [];
+export function emitEsm(methodMeta: MethodMeta[]): string {
+  const esmLines: string[] = emitDeclaredErrors(declaredErrorsOf(methodMeta), "esm");
+  if (methodMeta.some(method => method.stream)) esmLines.push(...emitStreamCall(false));
   esmLines.push("export const intents = {");
   methodMeta.forEach(method => {
-    esmLines.push(`  ${method.name}: { intent: "${method.intent}", proof: ${method.proof ? `"${method.proof}"` : "null"} },`);
+    esmLines.push(`  ${method.name}: ${emitIntentEntry(method)},`);
   });
   esmLines.push("};");
   esmLines.push("");
@@ -277,77 +563,344 @@ function generate() {
   esmLines.push("  return {");
   methodMeta.forEach(method => {
     const paramNames = method.params.map(param => param.name).join(", ");
-    const payload = method.params.map(param => `${param.name}: ${param.name}`).join(", ");
-    esmLines.push(`    ${method.name}: (${paramNames}) => transport.send({ intent: intents.${method.name}.intent, proof: intents.${method.name}.proof, payload: { ${payload} } }),`);
+    esmLines.push(`    ${method.name}: (${paramNames}) => ${emitClientCall(method, false)},`);
   });
   esmLines.push("  };");
   esmLines.push("}");
   esmLines.push("");
   esmLines.push("export function registerHandlers(runtime, handlers) {");
   methodMeta.forEach(method => {
-    const paramNames = method.params.map(param => `message.payload.${param.name}`).join(", ");
-    esmLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async message => handlers.${method.name}(${paramNames}, message));`);
+    const paramNames = method.params.map(param => `message.payload.${param.name}`).concat("message", "call").join(", ");
+    esmLines.push(`  runtime.registerIntent(intents.${method.name}.intent, async (message, call) => handlers.${method.name}(${paramNames}));`);
   });
   esmLines.push("}");
+  return esmLines.join("\n");
+}
 
-  const contextEntries = contextUrl ? [contextUrl, mapper] : [mapper];
-  const jsonld: any = {
-    "@context": contextEntries,
-    "@graph": [],
-  };
+export type JsonSchema = Record<string, unknown>;
+type SchemaRef = (typeName: string) => string;
 
-  jsonld["@graph"].push({
-    "@id": `agent:${iface.name}`,
-    "@type": "owl:Class",
-    "rdfs:label": iface.name,
-    "rdfs:comment": "AgentIDL interface",
+function primitiveSchema(typeName: string): JsonSchema | null {
+  if (typeName === "any") return {};
+  if (typeName === "boolean") return { type: "boolean" };
+  if (["DOMString", "USVString", "ByteString"].includes(typeName)) return { type: "string" };
+  if (typeName === "object") return { type: "object" };
+  if (typeName === "undefined" || typeName === "void") return { type: "null" };
+  if (typeName.endsWith("float") || typeName.endsWith("double")) return { type: "number" };
+  if (typeName === "bigint") return { type: "integer" };
+  const range = INTEGER_RANGES[typeName];
+  if (range) return { type: "integer", minimum: range[0], maximum: range[1] };
+  return null;
+}
+
+function namedTypeSchema(typeName: string, ref: SchemaRef, definitions: Map<string, TypeDefinition>): JsonSchema {
+  const primitive = primitiveSchema(typeName);
+  if (primitive) return primitive;
+  if (definitions.has(typeName)) return { $ref: ref(typeName) };
+  // Types referenced but not declared in the IDL are opaque records, as in the runtime validator.
+  return { type: "object" };
+}
+
+function idlTypeToSchema(idlType: IdlType, ref: SchemaRef, definitions: Map<string, TypeDefinition>): JsonSchema {
+  if (!idlType) return {};
+  if (typeof idlType === "string") return namedTypeSchema(idlType, ref, definitions);
+  if (Array.isArray(idlType)) return { anyOf: idlType.map(type => idlTypeToSchema(type, ref, definitions)) };
+
+  let schema: JsonSchema;
+  const inner = idlType.idlType;
+  if (idlType.union && Array.isArray(inner)) {
+    schema = { anyOf: inner.map(type => idlTypeToSchema(type, ref, definitions)) };
+  } else if (idlType.generic === "record" && Array.isArray(inner) && inner.length === 2) {
+    schema = { type: "object", additionalProperties: idlTypeToSchema(inner[1], ref, definitions) };
+  } else if (idlType.generic === "Promise") {
+    schema = idlTypeToSchema(Array.isArray(inner) ? inner[0] : (inner as IdlType), ref, definitions);
+  } else if (idlType.generic) {
+    schema = { type: "array", items: idlTypeToSchema(Array.isArray(inner) ? inner[0] : (inner as IdlType), ref, definitions) };
+  } else {
+    schema = idlTypeToSchema(inner as IdlType, ref, definitions);
+  }
+  return idlType.nullable ? { anyOf: [schema, { type: "null" }] } : schema;
+}
+
+function defaultValueOf(value: webidl.ValueDescription): unknown {
+  switch (value.type) {
+    case "string":
+    case "boolean":
+      return value.value;
+    case "number":
+      return Number(value.value);
+    case "null":
+      return null;
+    case "sequence":
+      return [];
+    case "dictionary":
+      return {};
+    default:
+      return undefined;
+  }
+}
+
+function definitionSchema(def: TypeDefinition, ref: SchemaRef, definitions: Map<string, TypeDefinition>): JsonSchema {
+  if (def.type === "enum") {
+    return { title: def.name, type: "string", enum: def.values.map(entry => entry.value) };
+  }
+  if (def.type === "typedef") {
+    return { title: def.name, ...idlTypeToSchema(def.idlType, ref, definitions) };
+  }
+  if (def.type === "callback") {
+    return { title: def.name, description: "Callback; carried as an opaque value." };
+  }
+
+  const properties: Record<string, JsonSchema> = {};
+  const required: string[] = [];
+  def.members.forEach(member => {
+    const schema = idlTypeToSchema(member.idlType, ref, definitions);
+    const fallback = member.default ? defaultValueOf(member.default) : undefined;
+    properties[member.name] = fallback === undefined ? schema : { ...schema, default: fallback };
+    if (member.required) required.push(member.name);
   });
+  const own: JsonSchema = { type: "object", properties, ...(required.length > 0 ? { required } : {}) };
+  if (!def.inheritance) return { title: def.name, ...own };
+  return { title: def.name, allOf: [namedTypeSchema(def.inheritance, ref, definitions), own] };
+}
 
-  methodMeta.forEach(method => {
-    jsonld["@graph"].push({
-      "@id": method.intent || `${iface.name}.${method.name}`,
-      "@type": "https://s-agent-comm.github.io/agent-ontology/latest/intent.ttl#Intent",
-      "rdfs:label": method.name,
-      "Intent": method.intent || undefined,
-      "Proof": method.proof || undefined,
-      "agent:interface": `agent:${iface.name}`,
+export function emitDictionarySchema(def: DictionaryDefinition, definitions: Map<string, TypeDefinition>): JsonSchema {
+  const referenced = new Set<string>();
+  collectDefinitionTypes(referenced, def);
+  closeOverTypes(referenced, definitions);
+  referenced.delete(def.name);
+
+  const ref: SchemaRef = typeName => (typeName === def.name ? "#" : `#/$defs/${typeName}`);
+  const $defs: Record<string, JsonSchema> = {};
+  Array.from(definitions.values())
+    .filter(nested => referenced.has(nested.name))
+    .forEach(nested => {
+      $defs[nested.name] = definitionSchema(nested, ref, definitions);
     });
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: `${def.name}.schema.json`,
+    ...definitionSchema(def, ref, definitions),
+    ...(Object.keys($defs).length > 0 ? { $defs } : {}),
+  };
+}
+
+function errorResponse(description: string): JsonSchema {
+  return { $ref: "#/components/responses/AgentError", description };
+}
+
+/**
+ * OpenAPI 3.1 description of the routes `serveAgentHttp` mounts for `iface`: one
+ * POST operation per intent, with the AgentIDL attributes carried as `x-intent`,
+ * `x-proof`, `x-capability`, `x-errors` and `x-stream`. Streaming operations also
+ * describe their `application/x-ndjson` lines.
+ */
+export function emitOpenApi(
+  iface: ResolvedInterface,
+  methodMeta: MethodMeta[],
+  typeDefinitions: TypeDefinition[],
+  apiVersion: string
+): JsonSchema {
+  const definitions = new Map(typeDefinitions.map(def => [def.name, def]));
+  const ref: SchemaRef = typeName => `#/components/schemas/${typeName}`;
+  const routed = methodMeta.filter(method => method.intent);
+
+  const referenced = new Set<string>();
+  routed.forEach(method => {
+    method.params.forEach(param => collectCustomTypes(referenced, param.idlType));
+    collectCustomTypes(referenced, method.returnIdlType);
+    method.errors.forEach(code => referenced.add(code));
+    if (method.stream) referenced.add(method.stream);
   });
+  closeOverTypes(referenced, definitions);
+
+  const schemas: Record<string, JsonSchema> = {};
+  typeDefinitions
+    .filter(def => referenced.has(def.name))
+    .forEach(def => {
+      schemas[def.name] = definitionSchema(def, ref, definitions);
+    });
+  schemas.AgentProof = {
+    type: "object",
+    required: ["type"],
+    properties: { type: { type: "string" } },
+    additionalProperties: true,
+  };
+  schemas.AgentError = {
+    type: "object",
+    required: ["code", "name", "message"],
+    properties: { code: { type: "string" }, name: { type: "string" }, message: { type: "string" }, data: {} },
+  };
 
-  const ttlLines: string[] = [];
-  ttlLines.push("@prefix owl: <http://www.w3.org/2002/07/owl#> .");
-  ttlLines.push("@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .");
-  ttlLines.push("@prefix agent: <https://s-agent-comm.github.io/agent-ontology/latest/agent.ttl#> .");
-  ttlLines.push("@prefix intent: <https://s-agent-comm.github.io/agent-ontology/latest/intent.ttl#> .");
-  ttlLines.push("@prefix ledger: <https://s-agent-comm.github.io/agent-ontology/latest/ledger.ttl#> .");
-  ttlLines.push("");
-  ttlLines.push(`agent:${iface.name} a owl:Class ; rdfs:label "${iface.name}" .`);
-  ttlLines.push("");
+  const paths: Record<string, JsonSchema> = {};
+  routed.forEach(method => {
+    const payloadProperties: Record<string, JsonSchema> = {};
+    method.params.forEach(param => {
+      payloadProperties[param.name] = idlTypeToSchema(param.idlType, ref, definitions);
+    });
+    const payloadRequired = method.params.filter(param => !param.optional).map(param => param.name);
+    const payload: JsonSchema = {
+      type: "object",
+      properties: payloadProperties,
+      ...(payloadRequired.length > 0 ? { required: payloadRequired } : {}),
+    };
+    const requestRequired = [...(payloadRequired.length > 0 ? ["payload"] : []), ...(method.proof ? ["proof"] : [])];
+    const returnsNothing = ["undefined", "Promise<undefined>", "void", "Promise<void>"].includes(method.returnType);
 
-  methodMeta.forEach(method => {
-    const intentIri = method.intent ? expandCurie(method.intent) : null;
-    const proofIri = method.proof ? expandCurie(method.proof) : null;
-    if (intentIri) {
-      ttlLines.push(`<${intentIri}> a intent:Intent ; rdfs:label "${method.name}" ; agent:interface agent:${iface.name} .`);
+    const resultBody: JsonSchema = {
+      type: "object",
+      properties: { result: returnsNothing ? {} : idlTypeToSchema(method.returnIdlType, ref, definitions) },
+      ...(returnsNothing ? {} : { required: ["result"] }),
+    };
+    const content: Record<string, JsonSchema> = { "application/json": { schema: resultBody } };
+    if (method.stream) {
+      content[NDJSON] = {
+        schema: {
+          description: "One object per line: a chunk for each emitted chunk, then the result or an error.",
+          oneOf: [
+            { type: "object", required: ["chunk"], properties: { chunk: { $ref: ref(method.stream) } } },
+            resultBody,
+            { type: "object", required: ["error"], properties: { error: { $ref: ref("AgentError") } } },
+          ],
+        },
+      };
     }
-    if (proofIri) {
-      if (intentIri) {
-        ttlLines.push(`<${intentIri}> ledger:Proof <${proofIri}> .`);
-      }
-      ttlLines.push(`<${proofIri}> rdfs:label "${method.name}-proof" .`);
+    const responses: Record<string, JsonSchema> = {
+      "200": { description: method.stream ? "Handler result, or its chunks then the result." : "Handler result.", content },
+      "400": errorResponse("Request body is not a JSON object."),
+    };
+    if (method.proof) responses["401"] = errorResponse(`Missing or invalid ${method.proof} proof.`);
+    if (method.capability || method.delegation) {
+      responses["403"] = errorResponse("Delegation or capability check failed.");
     }
-  });
+    if (method.errors.length > 0) {
+      const declared = method.errors.map(code => ({
+        allOf: [{ $ref: ref("AgentError") }],
+        properties: { code: { const: code }, data: idlTypeToSchema(code, ref, definitions) },
+        required: ["data"],
+      }));
+      responses["409"] = {
+        description: `Declared error: ${method.errors.join(", ")}.`,
+        content: {
+          "application/json": {
+            schema: { type: "object", required: ["error"], properties: { error: declared.length === 1 ? declared[0] : { oneOf: declared } } },
+          },
+        },
+      };
+    }
+    responses["422"] = errorResponse("Payload failed validation.");
+    responses["500"] = errorResponse("Handler failed or returned an invalid result.");
+    responses["501"] = errorResponse("No handler is registered for this intent.");
 
-  fs.mkdirSync(outDir, { recursive: true });
-  fs.mkdirSync(path.dirname(jsonldOut), { recursive: true });
+    paths[intentRoute(method.intent)] = {
+      post: {
+        operationId: method.name,
+        summary: `${iface.name}.${method.name}`,
+        "x-intent": method.intent,
+        ...(method.proof ? { "x-proof": method.proof } : {}),
+        ...(method.capability ? { "x-capability": method.capability } : {}),
+        ...(method.errors.length > 0 ? { "x-errors": method.errors } : {}),
+        ...(method.stream ? { "x-stream": method.stream } : {}),
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  payload,
+                  proof: { $ref: ref("AgentProof") },
+                  from: { type: "string" },
+                  timestamp: { type: "string", format: "date-time" },
+                  messageId: { type: "string" },
+                  idempotencyKey: { type: "string" },
+                  envelope: { type: "string", description: "Compact JWS sealing the message." },
+                },
+                ...(requestRequired.length > 0 ? { required: requestRequired } : {}),
+              },
+            },
+          },
+        },
+        responses,
+      },
+    };
+  });
 
-  fs.writeFileSync(path.join(outDir, `${iface.name.toLowerCase()}.ts`), tsLines.join("\n"));
-  fs.writeFileSync(path.join(outDir, `${iface.name.toLowerCase()}.js`), jsLines.join("\n"));
-  fs.writeFileSync(path.join(outDir, `${iface.name.toLowerCase()}.mjs`), esmLines.join("\n"));
-  fs.writeFileSync(jsonldOut, JSON.stringify(jsonld, null, 2));
-  fs.writeFileSync(ttlOut, ttlLines.join("\n"));
+  const context = getExtAttrValue(iface.extAttrs, "Context");
+  const semantic = getExtAttrValue(iface.extAttrs, "Semantic");
+  return {
+    openapi: "3.1.0",
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+    info: { title: iface.name, version: apiVersion },
+    ...(context ? { "x-context": context } : {}),
+    ...(semantic ? { "x-semantic": semantic } : {}),
+    paths,
+    components: {
+      schemas,
+      responses: {
+        AgentError: {
+          description: "Structured agent error.",
+          content: { "application/json": { schema: { type: "object", required: ["error"], properties: { error: { $ref: ref("AgentError") } } } } },
+        },
+      },
+    },
+  };
+}
 
-  console.log("✅ Generated SDK + JSON-LD/TTL outputs");
+function describeTool(iface: ResolvedInterface, method: MethodMeta): string {
+  const notes = [`Sends intent ${method.intent} to the ${iface.name} agent.`];
+  if (method.proof) notes.push(`Requires a ${method.proof} proof.`);
+  if (method.capability) notes.push(`Requires capability ${method.capability}.`);
+  if (method.delegation) notes.push(`Accepts a ${method.delegation} delegation context.`);
+  if (method.errors.length > 0) notes.push(`Can fail with the declared errors ${method.errors.join(", ")}.`);
+  if (method.stream) notes.push(`Reports each ${method.stream} chunk as a progress notification.`);
+  return notes.join(" ");
 }
 
-generate();
+/**
+ * MCP tool list for `iface`: one tool per intent, named after the method, whose
+ * `inputSchema` takes the operation arguments by name. A dictionary return type
+ * also becomes the tool's `outputSchema`.
+ */
+export function emitMcpTools(iface: ResolvedInterface, methodMeta: MethodMeta[], typeDefinitions: TypeDefinition[]): JsonSchema {
+  const definitions = new Map(typeDefinitions.map(def => [def.name, def]));
+  const ref: SchemaRef = typeName => `#/$defs/${typeName}`;
+  const withDefs = (schema: JsonSchema, roots: Set<string>): JsonSchema => {
+    const referenced = closeOverTypes(roots, definitions);
+    const $defs: Record<string, JsonSchema> = {};
+    typeDefinitions
+      .filter(def => referenced.has(def.name))
+      .forEach(def => {
+        $defs[def.name] = definitionSchema(def, ref, definitions);
+      });
+    return Object.keys($defs).length > 0 ? { ...schema, $defs } : schema;
+  };
+
+  const tools = methodMeta
+    .filter(method => method.intent)
+    .map(method => {
+      const properties: Record<string, JsonSchema> = {};
+      const inputTypes = new Set<string>();
+      method.params.forEach(param => {
+        properties[param.name] = idlTypeToSchema(param.idlType, ref, definitions);
+        collectCustomTypes(inputTypes, param.idlType);
+      });
+      const required = method.params.filter(param => !param.optional).map(param => param.name);
+      const tool: JsonSchema = {
+        name: method.name,
+        title: `${iface.name}.${method.name}`,
+        description: describeTool(iface, method),
+        inputSchema: withDefs({ type: "object", properties, ...(required.length > 0 ? { required } : {}) }, inputTypes),
+      };
+
+      const outputTypes = new Set<string>();
+      collectCustomTypes(outputTypes, method.returnIdlType);
+      const returned = outputTypes.size === 1 ? definitions.get(Array.from(outputTypes)[0]) : undefined;
+      const returnSchema = idlTypeToSchema(method.returnIdlType, ref, definitions);
+      if (returned && returned.type === "dictionary" && returnSchema.$ref) {
+        tool.outputSchema = withDefs({ type: "object", ...definitionSchema(returned, ref, definitions) }, outputTypes);
+      }
+      return tool;
+    });
+  return { tools };
+}
@@ -0,0 +1,175 @@
+import fs from "fs";
+import path from "path";
+import * as webidl from "webidl2";
+import {
+  IdlIssue,
+  IdlRules,
+  PrefixMap,
+  parseIdlFiles,
+  parseIdlSource,
+  resolveInterfaces,
+  resolvePrefixes,
+  validateIdlDefinitions,
+} from "../sdk/idl";
+import {
+  buildMethodMeta,
+  collectReferencedTypes,
+  collectTypeDefinitions,
+  emitCommonJs,
+  emitDictionarySchema,
+  emitEsm,
+  emitMcpTools,
+  emitOpenApi,
+  emitTypeDeclarations,
+  emitTypeScript,
+} from "./generator";
+import { emitPython } from "./python";
+import { buildRdfGraph, serializeJsonLd, serializeNTriples, serializeTurtle } from "./rdf";
+import { emitRust } from "./rust";
+import { CompiledInterface, TypeDefinition } from "./types";
+
+/*
+ * The AgentIDL compiler as a library:
+ *
+ *   const compiled = compileIdl(["idl/agents", "idl/shared.idl"]);
+ *   writeEmitted(emitTarget(compiled, "ts"), "reference/sdk/generated");
+ *
+ * `compileIdl` parses, validates against the core rules and resolves every
+ * interface; `emitTarget` renders one output format without touching the disk.
+ */
+
+export {
+  DEFAULT_PREFIXES,
+  IDL_CONFIG_FILE,
+  IDL_RULES,
+  IdlConfig,
+  IdlError,
+  IdlIssue,
+  IdlLocation,
+  IdlRules,
+  IdlSeverity,
+  PrefixMap,
+  expandCurie,
+  readIdlConfig,
+} from "../sdk/idl";
+export { DIAGNOSTIC_FORMATS, DiagnoseOptions, DiagnosticFormat, diagnoseIdl, formatDiagnostics } from "./diagnostics";
+export { diffIdl, IdlChange } from "./diff";
+export { LINT_RULES, lintIdl } from "./lint";
+export { RdfGraph, RdfTerm, RdfTriple, buildRdfGraph, serializeJsonLd, serializeNTriples, serializeTurtle } from "./rdf";
+export { CompiledInterface, MethodMeta, ReferencedTypes, ResolvedInterface, TypeDefinition } from "./types";
+
+export class IdlCompileError extends Error {
+  public issues: IdlIssue[];
+
+  constructor(issues: IdlIssue[]) {
+    super(`IDL is invalid: ${issues.map(issue => issue.message).join("; ")}`);
+    this.name = "IdlCompileError";
+    this.issues = issues;
+  }
+}
+
+export interface CompiledIdl {
+  ast: webidl.IDLRootType[];
+  /** The defaults, the configured prefixes and the document's `Prefix` declarations. */
+  prefixes: PrefixMap;
+  typeDefinitions: TypeDefinition[];
+  interfaces: CompiledInterface[];
+}
+
+export interface CompileOptions {
+  /** Overrides the core validation rules; `false` skips validation. */
+  rules?: Partial<IdlRules> | false;
+  /** Project prefixes, as read by `readIdlConfig`. */
+  prefixes?: PrefixMap;
+}
+
+export const EMIT_TARGETS = ["ts", "js", "mjs", "python", "rust", "jsonld", "ttl", "nt", "openapi", "schemas", "mcp"] as const;
+
+export type EmitTarget = (typeof EMIT_TARGETS)[number];
+
+export interface EmitOptions {
+  /** `info.version` of the OpenAPI documents. */
+  apiVersion?: string;
+}
+
+/** An output file; `path` is relative to the directory the target is written to. */
+export interface EmittedFile {
+  path: string;
+  contents: string;
+}
+
+export function compileAst(ast: webidl.IDLRootType[], { rules, prefixes = {} }: CompileOptions = {}): CompiledIdl {
+  if (rules !== false) {
+    const issues = validateIdlDefinitions(ast, rules, prefixes);
+    if (issues.length > 0) throw new IdlCompileError(issues);
+  }
+  const typeDefinitions = collectTypeDefinitions(ast);
+  const interfaces = resolveInterfaces(ast).map(iface => ({
+    iface,
+    moduleName: iface.name.toLowerCase(),
+    methods: buildMethodMeta(iface),
+    referencedTypes: collectReferencedTypes(iface, typeDefinitions),
+  }));
+  return { ast, prefixes: resolvePrefixes(ast, prefixes), typeDefinitions, interfaces };
+}
+
+/** Compiles every `.idl` file named by, or found below, `inputs` as one document. */
+export function compileIdl(inputs: string | string[], options: CompileOptions = {}): CompiledIdl {
+  return compileAst(parseIdlFiles(inputs), options);
+}
+
+export function compileIdlSource(source: string, sourceName?: string, options: CompileOptions = {}): CompiledIdl {
+  return compileAst(parseIdlSource(source, sourceName), options);
+}
+
+const json = (value: unknown) => JSON.stringify(value, null, 2);
+
+/** Renders `target` for every interface (or, for the RDF targets `jsonld`, `ttl` and `nt`, one shared document). */
+export function emitTarget(compiled: CompiledIdl, target: EmitTarget, { apiVersion = "1.0.0" }: EmitOptions = {}): EmittedFile[] {
+  const { interfaces, typeDefinitions } = compiled;
+  const perInterface = (extension: string, render: (compiledInterface: CompiledInterface) => string) =>
+    interfaces.map(entry => ({ path: `${entry.moduleName}${extension}`, contents: render(entry) }));
+
+  switch (target) {
+    case "ts":
+      return perInterface(".ts", ({ iface, methods, referencedTypes }) =>
+        emitTypeScript(iface, methods, emitTypeDeclarations(referencedTypes))
+      );
+    case "js":
+      return perInterface(".js", ({ methods }) => emitCommonJs(methods));
+    case "mjs":
+      return perInterface(".mjs", ({ methods }) => emitEsm(methods));
+    case "python":
+      return perInterface(".py", ({ iface, methods, referencedTypes }) => emitPython(iface, methods, referencedTypes));
+    case "rust":
+      return perInterface(".rs", ({ iface, methods, referencedTypes }) => emitRust(iface, methods, referencedTypes));
+    case "openapi":
+      return perInterface(".openapi.json", ({ iface, methods }) => json(emitOpenApi(iface, methods, typeDefinitions, apiVersion)));
+    case "mcp":
+      return perInterface(".tools.json", ({ iface, methods }) => json(emitMcpTools(iface, methods, typeDefinitions)));
+    case "jsonld":
+      return [{ path: "agent-interface.jsonld", contents: json(serializeJsonLd(buildRdfGraph(compiled))) }];
+    case "ttl":
+      return [{ path: "agent-interface.ttl", contents: serializeTurtle(buildRdfGraph(compiled)) }];
+    case "nt":
+      return [{ path: "agent-interface.nt", contents: serializeNTriples(buildRdfGraph(compiled)) }];
+    case "schemas": {
+      const definitions = new Map(typeDefinitions.map(def => [def.name, def]));
+      return typeDefinitions.flatMap(def =>
+        def.type === "dictionary" ? [{ path: `${def.name}.schema.json`, contents: json(emitDictionarySchema(def, definitions)) }] : []
+      );
+    }
+    default:
+      throw new Error(`Unknown emit target ${target} (expected one of ${EMIT_TARGETS.join(", ")}).`);
+  }
+}
+
+/** Writes `files` below `outDir`, creating it as needed, and returns the paths written. */
+export function writeEmitted(files: EmittedFile[], outDir: string): string[] {
+  fs.mkdirSync(outDir, { recursive: true });
+  return files.map(file => {
+    const filePath = path.join(outDir, file.path);
+    fs.writeFileSync(filePath, file.contents);
+    return filePath;
+  });
+}
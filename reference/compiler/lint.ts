@@ -0,0 +1,89 @@
+import * as webidl from "webidl2";
+import { IdlIssue, IdlSeverity, getExtAttrValue, locationOf } from "../sdk/idl";
+import { collectCustomTypes } from "./generator";
+import type { CompiledIdl } from "./index";
+
+/*
+ * Lint rules run on IDL that already passes the core validation: each flags
+ * something that compiles but probably is not what the author meant.
+ */
+
+export const LINT_RULES: Record<string, { severity: IdlSeverity; description: string }> = {
+  "duplicate-intent": { severity: "error", description: "Two operations declare the same intent, so dispatch by intent is ambiguous." },
+  "proof-iri": { severity: "warning", description: "A Proof value is neither a CURIE nor an IRI." },
+  "unreferenced-type": { severity: "warning", description: "A type is declared but no operation reaches it." },
+  "undefined-type": { severity: "warning", description: "A type is used but never declared, so bindings treat it as an untyped record." },
+  "non-promise-return": { severity: "warning", description: "An operation does not return a Promise, although every intent is answered asynchronously." },
+};
+
+/** Findings in IDL that compiles but is probably wrong; empty when there are none. */
+export function lintIdl(compiled: CompiledIdl): IdlIssue[] {
+  const issues: IdlIssue[] = [];
+  const report = (rule: string, node: unknown, message: string, tokenName?: string) => {
+    issues.push({ rule, severity: LINT_RULES[rule].severity, message, location: locationOf(node, tokenName) });
+  };
+
+  // Inherited and mixed-in operations appear in several interfaces; each
+  // declaration is checked once, under the first interface that has it.
+  const operations = new Map<webidl.OperationMemberType, string>();
+  compiled.interfaces.forEach(({ iface }) => {
+    iface.operations.forEach(operation => {
+      if (!operations.has(operation)) operations.set(operation, `${iface.name}.${operation.name}`);
+    });
+  });
+
+  const declarations = new Map<string, string>();
+  operations.forEach((where, operation) => {
+    const intent = getExtAttrValue(operation.extAttrs, "Intent");
+    if (!intent) return;
+    const first = declarations.get(intent);
+    if (first) report("duplicate-intent", operation, `${where} declares intent ${intent}, already declared by ${first}.`);
+    else declarations.set(intent, where);
+  });
+
+  operations.forEach((where, operation) => {
+    // Undeclared prefixes are validation errors; a value without any colon is not caught there.
+    const proof = getExtAttrValue(operation.extAttrs, "Proof");
+    if (proof && !proof.includes(":")) {
+      const attribute = operation.extAttrs.find(attr => attr.name === "Proof");
+      report("proof-iri", attribute, `Proof "${proof}" on ${where} does not expand to an IRI.`);
+    }
+
+    const returnType = operation.idlType as webidl.IDLTypeDescription;
+    if (returnType.generic !== "Promise") {
+      report("non-promise-return", returnType, `${where} does not return a Promise.`, "base");
+    }
+  });
+
+  const declared = new Map<string, webidl.IDLRootType>();
+  compiled.ast.forEach(def => {
+    if (def.type === "dictionary" || def.type === "enum" || def.type === "typedef" || def.type === "callback") {
+      if (!declared.has(def.name)) declared.set(def.name, def);
+    }
+  });
+  const interfaceNames = new Set(compiled.interfaces.map(({ iface }) => iface.name));
+  const checkDefined = (idlType: webidl.IDLTypeDescription, node: unknown, where: string) => {
+    const used = new Set<string>();
+    collectCustomTypes(used, idlType);
+    used.forEach(typeName => {
+      if (!declared.has(typeName) && !interfaceNames.has(typeName)) {
+        report("undefined-type", node, `${where} uses ${typeName}, which is never declared.`);
+      }
+    });
+  };
+  operations.forEach((where, operation) => {
+    checkDefined(operation.idlType as webidl.IDLTypeDescription, operation, where);
+    operation.arguments.forEach(arg => checkDefined(arg.idlType, arg, `${where}(${arg.name})`));
+  });
+  compiled.ast.forEach(def => {
+    if (def.type !== "dictionary") return;
+    def.members.forEach(member => checkDefined(member.idlType, member, `${def.name}.${member.name}`));
+  });
+
+  const reachable = new Set(compiled.interfaces.flatMap(({ referencedTypes }) => referencedTypes.definitions.map(def => def.name)));
+  declared.forEach((def, typeName) => {
+    if (!reachable.has(typeName)) report("unreferenced-type", def, `${typeName} is declared but no operation uses it.`);
+  });
+
+  return issues;
+}
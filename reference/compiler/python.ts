@@ -0,0 +1,386 @@
+import * as webidl from "webidl2";
+import { DictionaryDefinition, IdlType, MethodMeta, ReferencedTypes, ResolvedInterface, TypeDefinition } from "./types";
+
+/*
+ * Python target. Dictionaries become TypedDicts, so payloads stay plain JSON
+ * objects on the wire and no conversion layer is needed; the client and handler
+ * registration mirror the JS modules with snake_case names. Requires Python 3.11+
+ * (`typing.NotRequired`).
+ */
+
+const PYTHON_KEYWORDS = new Set([
+  "False", "None", "True", "and", "as", "assert", "async", "await", "break", "class", "continue", "def", "del",
+  "elif", "else", "except", "finally", "for", "from", "global", "if", "import", "in", "is", "lambda", "nonlocal",
+  "not", "or", "pass", "raise", "return", "try", "while", "with", "yield",
+]);
+
+const INDENT = "    ";
+
+export function toSnakeCase(name: string): string {
+  const snake = name
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+  return PYTHON_KEYWORDS.has(snake) ? `${snake}_` : snake;
+}
+
+function mapPythonPrimitive(typeName: string): string | null {
+  if (typeName === "boolean") return "bool";
+  if (["DOMString", "USVString", "ByteString"].includes(typeName)) return "str";
+  if (typeName.endsWith("float") || typeName.endsWith("double")) return "float";
+  if (typeName === "bigint") return "int";
+  if (typeName === "byte" || typeName === "octet" || typeName.includes("short") || typeName.includes("long")) return "int";
+  if (typeName === "any") return "Any";
+  if (typeName === "object") return "Dict[str, Any]";
+  if (typeName === "undefined" || typeName === "void") return "None";
+  return null;
+}
+
+/** `quote` writes named types as forward references, for expressions Python evaluates eagerly. */
+function mapIdlTypeToPython(idlType: IdlType, quote: boolean): string {
+  if (!idlType) return "Any";
+  if (typeof idlType === "string") return mapPythonPrimitive(idlType) || (quote ? `"${idlType}"` : idlType);
+  if (Array.isArray(idlType)) return `Union[${idlType.map(type => mapIdlTypeToPython(type, quote)).join(", ")}]`;
+
+  let mapped: string;
+  const inner = idlType.idlType;
+  if (idlType.union && Array.isArray(inner)) {
+    mapped = `Union[${inner.map(type => mapIdlTypeToPython(type, quote)).join(", ")}]`;
+  } else if (idlType.generic === "record" && Array.isArray(inner) && inner.length === 2) {
+    mapped = `Dict[${mapIdlTypeToPython(inner[0], quote)}, ${mapIdlTypeToPython(inner[1], quote)}]`;
+  } else if (idlType.generic === "Promise") {
+    mapped = mapIdlTypeToPython(Array.isArray(inner) ? inner[0] : (inner as IdlType), quote);
+  } else if (idlType.generic) {
+    mapped = `List[${mapIdlTypeToPython(Array.isArray(inner) ? inner[0] : (inner as IdlType), quote)}]`;
+  } else {
+    mapped = mapIdlTypeToPython(inner as IdlType, quote);
+  }
+  return idlType.nullable ? optionalOf(mapped) : mapped;
+}
+
+function optionalOf(pyType: string): string {
+  return pyType.startsWith("Optional[") || pyType === "Any" || pyType === "None" ? pyType : `Optional[${pyType}]`;
+}
+
+function formatPythonDefault(value: webidl.ValueDescription): string {
+  switch (value.type) {
+    case "string":
+      return JSON.stringify(value.value);
+    case "number":
+      return value.value;
+    case "boolean":
+      return value.value ? "True" : "False";
+    case "null":
+      return "None";
+    case "sequence":
+      return "[]";
+    case "dictionary":
+      return "{}";
+    default:
+      return String(value.type);
+  }
+}
+
+function memberAnnotation(member: webidl.FieldType, quote: boolean): string {
+  const mapped = mapIdlTypeToPython(member.idlType, quote);
+  return member.required ? mapped : `NotRequired[${mapped}]`;
+}
+
+function memberComment(member: webidl.FieldType): string {
+  return member.default ? `  # default: ${formatPythonDefault(member.default)}` : "";
+}
+
+function inheritedMembers(def: DictionaryDefinition, dictionaries: Map<string, DictionaryDefinition>): webidl.FieldType[] {
+  const parent = def.inheritance ? dictionaries.get(def.inheritance) : undefined;
+  return [...(parent ? inheritedMembers(parent, dictionaries) : []), ...def.members];
+}
+
+function emitDictionary(def: DictionaryDefinition, dictionaries: Map<string, DictionaryDefinition>): string[] {
+  const members = inheritedMembers(def, dictionaries);
+  // Members named after Python keywords cannot be class attributes; the functional form takes any key.
+  if (members.some(member => PYTHON_KEYWORDS.has(member.name))) {
+    const lines = [`${def.name} = TypedDict(`, `${INDENT}"${def.name}",`, `${INDENT}{`];
+    members.forEach(member => {
+      lines.push(`${INDENT}${INDENT}"${member.name}": ${memberAnnotation(member, true)},${memberComment(member)}`);
+    });
+    lines.push(`${INDENT}},`, ")");
+    return lines;
+  }
+
+  const base = def.inheritance && dictionaries.has(def.inheritance) ? def.inheritance : "TypedDict";
+  const lines = [`class ${def.name}(${base}):`];
+  def.members.forEach(member => {
+    lines.push(`${INDENT}${member.name}: ${memberAnnotation(member, false)}${memberComment(member)}`);
+  });
+  if (def.members.length === 0) lines.push(`${INDENT}pass`);
+  return lines;
+}
+
+function emitTypeAlias(def: Exclude<TypeDefinition, DictionaryDefinition>): string {
+  if (def.type === "enum") {
+    return `${def.name} = Literal[${def.values.map(entry => JSON.stringify(entry.value)).join(", ")}]`;
+  }
+  if (def.type === "typedef") {
+    return `${def.name} = ${mapIdlTypeToPython(def.idlType, true)}`;
+  }
+  const params = def.arguments.map(arg => mapIdlTypeToPython(arg.idlType, true)).join(", ");
+  return `${def.name} = Callable[[${params}], ${mapIdlTypeToPython(def.idlType, true)}]`;
+}
+
+// Class bases are evaluated when the class statement runs, so parents come first.
+function orderDictionaries(dictionaries: DictionaryDefinition[]): DictionaryDefinition[] {
+  const byName = new Map(dictionaries.map(def => [def.name, def]));
+  const ordered: DictionaryDefinition[] = [];
+  const visit = (def: DictionaryDefinition) => {
+    if (ordered.includes(def)) return;
+    const parent = def.inheritance ? byName.get(def.inheritance) : undefined;
+    if (parent) visit(parent);
+    ordered.push(def);
+  };
+  dictionaries.forEach(visit);
+  return ordered;
+}
+
+function emitCustomTypes(referenced: ReferencedTypes): string[] {
+  const blocks: string[][] = [];
+  const aliases = referenced.definitions.filter(
+    (def): def is Exclude<TypeDefinition, DictionaryDefinition> => def.type !== "dictionary"
+  );
+  const dictionaries = referenced.definitions.filter((def): def is DictionaryDefinition => def.type === "dictionary");
+  const byName = new Map(dictionaries.map(def => [def.name, def]));
+
+  const simple = [
+    ...referenced.opaque.map(typeName => `${typeName} = Dict[str, Any]`),
+    ...aliases.filter(def => def.type === "enum").map(emitTypeAlias),
+  ];
+  if (simple.length > 0) blocks.push(simple);
+  orderDictionaries(dictionaries).forEach(def => blocks.push(emitDictionary(def, byName)));
+  const derived = aliases.filter(def => def.type !== "enum").map(emitTypeAlias);
+  if (derived.length > 0) blocks.push(derived);
+  return blocks.map(block => block.join("\n"));
+}
+
+function pythonParams(method: MethodMeta): { name: string; key: string; optional: boolean; pyType: string }[] {
+  return method.params.map(param => ({
+    name: toSnakeCase(param.name),
+    key: param.name,
+    optional: param.optional,
+    pyType: mapIdlTypeToPython(param.idlType, false),
+  }));
+}
+
+function emitClient(iface: ResolvedInterface, methodMeta: MethodMeta[]): string[] {
+  const lines = [`class ${iface.name}Client:`];
+  lines.push(`${INDENT}def __init__(self, transport: AgentTransport) -> None:`);
+  lines.push(`${INDENT}${INDENT}self._transport = transport`);
+  methodMeta.forEach(method => {
+    const name = toSnakeCase(method.name);
+    const params = pythonParams(method);
+    const signature = params
+      .map(param => (param.optional ? `${param.name}: ${optionalOf(param.pyType)} = None` : `${param.name}: ${param.pyType}`))
+      .map(param => `, ${param}`)
+      .join("");
+    const returnType = mapIdlTypeToPython(method.returnIdlType, false);
+    const required = params.filter(param => !param.optional).map(param => `"${param.key}": ${param.name}`);
+    const optional = params.filter(param => param.optional);
+
+    lines.push("");
+    lines.push(`${INDENT}async def ${name}(self${signature}) -> ${returnType}:`);
+    if (optional.length === 0) {
+      lines.push(`${INDENT}${INDENT}return await self._send("${name}", {${required.join(", ")}})`);
+      return;
+    }
+    lines.push(`${INDENT}${INDENT}payload: Dict[str, Any] = {${required.join(", ")}}`);
+    optional.forEach(param => {
+      lines.push(`${INDENT}${INDENT}if ${param.name} is not None:`);
+      lines.push(`${INDENT}${INDENT}${INDENT}payload["${param.key}"] = ${param.name}`);
+    });
+    lines.push(`${INDENT}${INDENT}return await self._send("${name}", payload)`);
+  });
+  lines.push("");
+  lines.push(`${INDENT}async def _send(self, name: str, payload: Dict[str, Any]) -> Any:`);
+  lines.push(`${INDENT}${INDENT}entry = intents[name]`);
+  const send = `await self._transport.send({"intent": entry["intent"], "proof": entry["proof"], "payload": payload})`;
+  if (!methodMeta.some(method => method.errors.length > 0)) {
+    lines.push(`${INDENT}${INDENT}return ${send}`);
+    return lines;
+  }
+  lines.push(`${INDENT}${INDENT}try:`);
+  lines.push(`${INDENT}${INDENT}${INDENT}return ${send}`);
+  lines.push(`${INDENT}${INDENT}except Exception as err:`);
+  lines.push(`${INDENT}${INDENT}${INDENT}declared = _declared_error(err, entry["errors"])`);
+  lines.push(`${INDENT}${INDENT}${INDENT}if declared is None:`);
+  lines.push(`${INDENT}${INDENT}${INDENT}${INDENT}raise`);
+  lines.push(`${INDENT}${INDENT}${INDENT}raise declared from err`);
+  return lines;
+}
+
+// Mirrors the TypeScript module: one exception class per `[Throws]` dictionary,
+// raised by the client in place of a transport error carrying that code.
+function emitDeclaredErrors(methodMeta: MethodMeta[]): string[] {
+  const codes = Array.from(new Set(methodMeta.flatMap(method => method.errors)));
+  if (codes.length === 0) return [];
+  const blocks = [
+    [
+      "class AgentError(Exception):",
+      `${INDENT}def __init__(self, code: str, message: str, data: Any = None) -> None:`,
+      `${INDENT}${INDENT}super().__init__(message)`,
+      `${INDENT}${INDENT}self.code = code`,
+      `${INDENT}${INDENT}self.message = message`,
+      `${INDENT}${INDENT}self.data = data`,
+    ].join("\n"),
+  ];
+  codes.forEach(code => {
+    blocks.push(
+      [
+        `class ${code}Error(AgentError):`,
+        `${INDENT}data: ${code}`,
+        "",
+        `${INDENT}def __init__(self, message: str, data: ${code}) -> None:`,
+        `${INDENT}${INDENT}super().__init__("${code}", message, data)`,
+      ].join("\n")
+    );
+  });
+  blocks.push(
+    [
+      "errors: Dict[str, Callable[[str, Any], AgentError]] = {",
+      ...codes.map(code => `${INDENT}"${code}": ${code}Error,`),
+      "}",
+    ].join("\n")
+  );
+  blocks.push(
+    [
+      "def _declared_error(err: Exception, codes: List[str]) -> Optional[AgentError]:",
+      `${INDENT}code = getattr(err, "code", None)`,
+      `${INDENT}if not isinstance(code, str) or code not in codes:`,
+      `${INDENT}${INDENT}return None`,
+      `${INDENT}return errors[code](str(getattr(err, "message", err)), getattr(err, "data", None))`,
+    ].join("\n")
+  );
+  return blocks;
+}
+
+function emitHandlersProtocol(iface: ResolvedInterface, methodMeta: MethodMeta[]): string[] {
+  const lines = [`class ${iface.name}Handlers(Protocol):`];
+  methodMeta.forEach((method, index) => {
+    const params = pythonParams(method)
+      .map(param => `, ${param.name}: ${param.optional ? optionalOf(param.pyType) : param.pyType}`)
+      .join("");
+    const returnType = mapIdlTypeToPython(method.returnIdlType, false);
+    if (index > 0) lines.push("");
+    lines.push(`${INDENT}def ${toSnakeCase(method.name)}(self${params}, message: AgentMessage) -> Union[${returnType}, Awaitable[${returnType}]]:`);
+    lines.push(`${INDENT}${INDENT}...`);
+  });
+  if (methodMeta.length === 0) lines.push(`${INDENT}pass`);
+  return lines;
+}
+
+export function emitPython(iface: ResolvedInterface, methodMeta: MethodMeta[], referenced: ReferencedTypes): string {
+  const quote = (value: string | null) => (value ? `"${value}"` : "None");
+  const sections: string[] = [];
+
+  sections.push(
+    [
+      `"""${iface.name} bindings generated by AgentIDL. Do not edit."""`,
+      "",
+      "from __future__ import annotations",
+      "",
+      "import inspect",
+      "from typing import Any, Awaitable, Callable, Dict, List, Literal, Mapping, NotRequired, Optional, Protocol, TypedDict, Union",
+    ].join("\n")
+  );
+  sections.push(["class AgentProof(TypedDict):", `${INDENT}type: str`].join("\n"));
+  sections.push(
+    [
+      "AgentMessage = TypedDict(",
+      `${INDENT}"AgentMessage",`,
+      `${INDENT}{`,
+      `${INDENT}${INDENT}"intent": str,`,
+      `${INDENT}${INDENT}"proof": NotRequired[Union[AgentProof, str, None]],`,
+      `${INDENT}${INDENT}"payload": Dict[str, Any],`,
+      `${INDENT}${INDENT}"from": NotRequired[str],`,
+      `${INDENT}${INDENT}"to": NotRequired[str],`,
+      `${INDENT}${INDENT}"timestamp": NotRequired[str],`,
+      `${INDENT}${INDENT}"messageId": NotRequired[str],`,
+      `${INDENT}${INDENT}"idempotencyKey": NotRequired[str],`,
+      `${INDENT}${INDENT}"nonce": NotRequired[str],`,
+      `${INDENT}${INDENT}"envelope": NotRequired[str],`,
+      `${INDENT}},`,
+      ")",
+    ].join("\n")
+  );
+  sections.push(
+    [
+      "class AgentTransport(Protocol):",
+      `${INDENT}async def send(self, message: AgentMessage) -> Any:`,
+      `${INDENT}${INDENT}...`,
+    ].join("\n")
+  );
+  sections.push(
+    [
+      "class AgentRuntime(Protocol):",
+      `${INDENT}def register_intent(self, intent: str, handler: Callable[[AgentMessage], Awaitable[Any]]) -> None:`,
+      `${INDENT}${INDENT}...`,
+    ].join("\n")
+  );
+  sections.push(
+    [
+      "class IntentEntry(TypedDict):",
+      `${INDENT}intent: str`,
+      `${INDENT}proof: Optional[str]`,
+      `${INDENT}capability: Optional[str]`,
+      `${INDENT}errors: List[str]`,
+      `${INDENT}stream: Optional[str]`,
+    ].join("\n")
+  );
+  sections.push(...emitCustomTypes(referenced));
+  sections.push(...emitDeclaredErrors(methodMeta));
+
+  const intentLines = ["intents: Dict[str, IntentEntry] = {"];
+  methodMeta.forEach(method => {
+    intentLines.push(
+      `${INDENT}"${toSnakeCase(method.name)}": {"intent": "${method.intent}", "proof": ${quote(method.proof)}, "capability": ${quote(method.capability)}, "errors": [${method.errors.map(code => `"${code}"`).join(", ")}], "stream": ${quote(method.stream)}},`
+    );
+  });
+  intentLines.push("}");
+  sections.push(intentLines.join("\n"));
+
+  sections.push(emitClient(iface, methodMeta).join("\n"));
+  sections.push(emitHandlersProtocol(iface, methodMeta).join("\n"));
+  sections.push(
+    [
+      "def _handler(handlers: Any, name: str) -> Callable[..., Any]:",
+      `${INDENT}return handlers[name] if isinstance(handlers, Mapping) else getattr(handlers, name)`,
+    ].join("\n")
+  );
+  sections.push(
+    [
+      "def _dispatch(handler: Callable[..., Any], params: List[str]) -> Callable[[AgentMessage], Awaitable[Any]]:",
+      `${INDENT}async def dispatch(message: AgentMessage) -> Any:`,
+      `${INDENT}${INDENT}payload = message.get("payload") or {}`,
+      `${INDENT}${INDENT}result = handler(*[payload.get(name) for name in params], message)`,
+      `${INDENT}${INDENT}return await result if inspect.isawaitable(result) else result`,
+      "",
+      `${INDENT}return dispatch`,
+    ].join("\n")
+  );
+  sections.push(
+    [
+      `def create_client(transport: AgentTransport) -> ${iface.name}Client:`,
+      `${INDENT}return ${iface.name}Client(transport)`,
+    ].join("\n")
+  );
+
+  const registerLines = [
+    `def register_handlers(runtime: AgentRuntime, handlers: Union[${iface.name}Handlers, Mapping[str, Callable[..., Any]]]) -> None:`,
+  ];
+  methodMeta.forEach(method => {
+    const name = toSnakeCase(method.name);
+    const keys = method.params.map(param => `"${param.name}"`).join(", ");
+    registerLines.push(`${INDENT}runtime.register_intent(intents["${name}"]["intent"], _dispatch(_handler(handlers, "${name}"), [${keys}]))`);
+  });
+  if (methodMeta.length === 0) registerLines.push(`${INDENT}pass`);
+  sections.push(registerLines.join("\n"));
+
+  return `${sections.join("\n\n\n")}\n`;
+}
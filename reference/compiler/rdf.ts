@@ -0,0 +1,324 @@
+import * as webidl from "webidl2";
+import { DEFAULT_PREFIXES, PrefixMap, expandCurie, getExtAttrList, getExtAttrValue } from "../sdk/idl";
+import { collectCustomTypes } from "./generator";
+import type { CompiledIdl } from "./index";
+import { IdlType } from "./types";
+
+/*
+ * The RDF description of a compiled document, built once as triples and written
+ * as Turtle, JSON-LD or N-Triples. Each interface is an owl:Class with one
+ * agent:Operation per operation it declares; an operation carries its return
+ * type, its parameters in order (an RDF collection, plus agent:position on each)
+ * and one statement per extended attribute. Declared types are described too,
+ * and each intent keeps its own intent:Intent node.
+ */
+
+export type RdfTerm =
+  | { termType: "NamedNode"; value: string }
+  | { termType: "BlankNode"; value: string }
+  | { termType: "Literal"; value: string; datatype: string };
+
+export interface RdfTriple {
+  subject: RdfTerm;
+  predicate: RdfTerm;
+  object: RdfTerm;
+}
+
+export interface RdfGraph {
+  /** Prefixes the Turtle and JSON-LD serializations compact IRIs with. */
+  prefixes: PrefixMap;
+  triples: RdfTriple[];
+  /** For each node of an RDF collection, the items from that node to the end, so it can be written as a list. */
+  lists: Map<string, RdfTerm[]>;
+}
+
+const RDF_TYPE = expandCurie("rdf:type");
+const RDF_NIL = expandCurie("rdf:nil");
+const XSD_STRING = expandCurie("xsd:string");
+const XSD_BOOLEAN = expandCurie("xsd:boolean");
+const XSD_INTEGER = expandCurie("xsd:integer");
+
+// How each AgentIDL attribute is stated: its values are IRIs (CURIEs expanded,
+// other values kept as literals) or names of types declared in the document.
+// Attributes not listed here become agent:annotation nodes.
+const ATTRIBUTE_PREDICATES: Record<string, { predicate: string; names: "iri" | "type" }> = {
+  Context: { predicate: "agent:context", names: "iri" },
+  Semantic: { predicate: "agent:semantic", names: "iri" },
+  Intent: { predicate: "agent:intent", names: "iri" },
+  Proof: { predicate: "ledger:Proof", names: "iri" },
+  Capability: { predicate: "capability:Capability", names: "iri" },
+  Delegation: { predicate: "agent:delegation", names: "iri" },
+  Audit: { predicate: "agent:audit", names: "iri" },
+  Throws: { predicate: "agent:throws", names: "type" },
+  Streaming: { predicate: "agent:streams", names: "type" },
+};
+
+const TYPE_CLASSES: Record<string, string> = {
+  dictionary: "agent:Dictionary",
+  enum: "agent:Enum",
+  typedef: "agent:Typedef",
+  callback: "agent:Callback",
+};
+
+const named = (value: string): RdfTerm => ({ termType: "NamedNode", value });
+const vocabulary = (curie: string): RdfTerm => named(expandCurie(curie));
+const literal = (value: string | number | boolean): RdfTerm => ({
+  termType: "Literal",
+  value: String(value),
+  datatype: typeof value === "boolean" ? XSD_BOOLEAN : typeof value === "number" ? XSD_INTEGER : XSD_STRING,
+});
+
+/** `idlType` as written in IDL, e.g. `Promise<sequence<(DOMString or long)>?>`. */
+export function idlTypeText(idlType: IdlType): string {
+  if (!idlType) return "any";
+  if (typeof idlType === "string") return idlType;
+  if (Array.isArray(idlType)) return `(${idlType.map(idlTypeText).join(" or ")})`;
+  const inner = idlType.idlType as IdlType;
+  let text: string;
+  if (idlType.union && Array.isArray(inner)) text = `(${inner.map(idlTypeText).join(" or ")})`;
+  else if (idlType.generic) text = `${idlType.generic}<${(Array.isArray(inner) ? inner : [inner]).map(idlTypeText).join(", ")}>`;
+  else text = idlTypeText(inner);
+  return idlType.nullable ? `${text}?` : text;
+}
+
+export function buildRdfGraph(compiled: CompiledIdl): RdfGraph {
+  const { prefixes } = compiled;
+  const triples: RdfTriple[] = [];
+  const lists = new Map<string, RdfTerm[]>();
+  const seen = new Set<string>();
+  let blankNodes = 0;
+
+  const blank = (): RdfTerm => ({ termType: "BlankNode", value: `b${blankNodes++}` });
+  const add = (subject: RdfTerm, predicate: string, object: RdfTerm) => {
+    const key = JSON.stringify([subject, predicate, object]);
+    if (seen.has(key)) return;
+    seen.add(key);
+    triples.push({ subject, predicate: vocabulary(predicate), object });
+  };
+  // Interfaces, operations, parameters and types are named in the agent namespace, as `agent:AgentTask.executePayment`.
+  const resource = (localName: string) => named(`${DEFAULT_PREFIXES.agent}${localName}`);
+  const iriOrLiteral = (value: string) => (value.includes(":") ? named(expandCurie(value, prefixes)) : literal(value));
+
+  const list = (items: RdfTerm[]): RdfTerm => {
+    const cells = items.map(() => blank());
+    cells.forEach((cell, index) => {
+      lists.set(cell.value, items.slice(index));
+      add(cell, "rdf:first", items[index]);
+      add(cell, "rdf:rest", cells[index + 1] || named(RDF_NIL));
+    });
+    return cells[0] || named(RDF_NIL);
+  };
+
+  const typeOf = (subject: RdfTerm, textPredicate: string, referencePredicate: string, idlType: IdlType) => {
+    add(subject, textPredicate, literal(idlTypeText(idlType)));
+    const referenced = new Set<string>();
+    collectCustomTypes(referenced, idlType);
+    referenced.forEach(typeName => add(subject, referencePredicate, resource(typeName)));
+  };
+
+  const annotate = (subject: RdfTerm, extAttrs: webidl.ExtendedAttribute[]) => {
+    extAttrs.forEach(attr => {
+      // Prefix declarations become the prefixes of the serialization.
+      if (attr.name === "Prefix") return;
+      const values = getExtAttrList(extAttrs, attr.name);
+      const statement = ATTRIBUTE_PREDICATES[attr.name];
+      if (statement) {
+        values.forEach(value => add(subject, statement.predicate, statement.names === "type" ? resource(value) : iriOrLiteral(value)));
+        return;
+      }
+      const annotation = blank();
+      add(subject, "agent:annotation", annotation);
+      add(annotation, "rdfs:label", literal(attr.name));
+      values.forEach(value => add(annotation, "rdf:value", literal(value)));
+    });
+  };
+
+  const interfaces = new Map(compiled.interfaces.map(({ iface }) => [iface.name, iface]));
+  compiled.interfaces.forEach(({ iface }) => {
+    const subject = resource(iface.name);
+    add(subject, "rdf:type", vocabulary("owl:Class"));
+    add(subject, "rdfs:label", literal(iface.name));
+    add(subject, "rdfs:comment", literal("AgentIDL interface"));
+    if (iface.inheritance) add(subject, "rdfs:subClassOf", resource(iface.inheritance));
+    annotate(subject, iface.extAttrs);
+
+    // Inherited operations are described once, under the interface that declares them.
+    const parent = iface.inheritance ? interfaces.get(iface.inheritance) : undefined;
+    const inherited = new Set(parent ? parent.operations : []);
+    iface.operations
+      .filter(operation => !inherited.has(operation))
+      .forEach(operation => {
+        const operationName = `${iface.name}.${operation.name}`;
+        const node = resource(operationName);
+        add(subject, "agent:operation", node);
+        add(node, "rdf:type", vocabulary("agent:Operation"));
+        add(node, "rdfs:label", literal(operation.name || ""));
+        add(node, "agent:interface", subject);
+        annotate(node, operation.extAttrs);
+        typeOf(node, "agent:returnType", "agent:returnTypeReference", operation.idlType as IdlType);
+
+        const params = operation.arguments.map((arg, position) => {
+          const param = resource(`${operationName}.${arg.name}`);
+          add(param, "rdf:type", vocabulary("agent:Parameter"));
+          add(param, "rdfs:label", literal(arg.name));
+          add(param, "agent:position", literal(position));
+          typeOf(param, "agent:idlType", "agent:typeReference", arg.idlType);
+          add(param, "agent:optional", literal(arg.optional));
+          add(param, "agent:variadic", literal(arg.variadic));
+          annotate(param, arg.extAttrs);
+          return param;
+        });
+        add(node, "agent:parameters", list(params));
+
+        const intent = getExtAttrValue(operation.extAttrs, "Intent");
+        if (!intent || !intent.includes(":")) return;
+        const intentNode = named(expandCurie(intent, prefixes));
+        add(intentNode, "rdf:type", vocabulary("intent:Intent"));
+        add(intentNode, "rdfs:label", literal(operation.name || ""));
+        add(intentNode, "agent:interface", subject);
+        (["Proof", "Capability"] as const).forEach(name => {
+          const value = getExtAttrValue(operation.extAttrs, name);
+          if (!value || !value.includes(":")) return;
+          const target = named(expandCurie(value, prefixes));
+          add(intentNode, ATTRIBUTE_PREDICATES[name].predicate, target);
+          add(target, "rdfs:label", literal(`${operation.name}-${name.toLowerCase()}`));
+        });
+      });
+  });
+
+  compiled.typeDefinitions.forEach(def => {
+    const node = resource(def.name);
+    add(node, "rdf:type", vocabulary(TYPE_CLASSES[def.type]));
+    add(node, "rdfs:label", literal(def.name));
+    if (def.type === "dictionary") {
+      if (def.inheritance) add(node, "rdfs:subClassOf", resource(def.inheritance));
+      def.members.forEach(member => {
+        const field = resource(`${def.name}.${member.name}`);
+        add(node, "agent:member", field);
+        add(field, "rdf:type", vocabulary("agent:Member"));
+        add(field, "rdfs:label", literal(member.name));
+        typeOf(field, "agent:idlType", "agent:typeReference", member.idlType);
+        add(field, "agent:required", literal(member.required));
+      });
+    } else if (def.type === "enum") {
+      add(node, "agent:values", list(def.values.map(entry => literal(entry.value))));
+    } else if (def.type === "typedef") {
+      typeOf(node, "agent:idlType", "agent:typeReference", def.idlType);
+    } else {
+      typeOf(node, "agent:returnType", "agent:returnTypeReference", def.idlType);
+    }
+  });
+
+  return { prefixes, triples, lists };
+}
+
+const STRING_ESCAPES: Record<string, string> = {
+  "\\": "\\\\",
+  "\"": "\\\"",
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+  "\b": "\\b",
+  "\f": "\\f",
+};
+
+const unicodeEscape = (char: string) => `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}`;
+
+function escapeString(value: string): string {
+  return value.replace(/[\\"\u0000-\u001f\u007f]/g, char => STRING_ESCAPES[char] || unicodeEscape(char));
+}
+
+// Characters an IRIREF cannot contain; they only reach here through a malformed IRI.
+function escapeIri(value: string): string {
+  return value.replace(/[\u0000- <>"{}|^`\\]/g, unicodeEscape);
+}
+
+function ntTerm(term: RdfTerm): string {
+  if (term.termType === "NamedNode") return `<${escapeIri(term.value)}>`;
+  if (term.termType === "BlankNode") return `_:${term.value}`;
+  const datatype = term.datatype === XSD_STRING ? "" : `^^<${escapeIri(term.datatype)}>`;
+  return `"${escapeString(term.value)}"${datatype}`;
+}
+
+export function serializeNTriples(graph: RdfGraph): string {
+  return graph.triples.map(({ subject, predicate, object }) => `${ntTerm(subject)} ${ntTerm(predicate)} ${ntTerm(object)} .\n`).join("");
+}
+
+// Longest namespace first, so `agent:X` wins over a shorter prefix of the same IRI.
+function compactor(prefixes: PrefixMap, localName: RegExp) {
+  const namespaces = Object.entries(prefixes).sort(([, a], [, b]) => b.length - a.length);
+  return (iri: string): string | null => {
+    const match = namespaces.find(([, namespace]) => iri.startsWith(namespace) && localName.test(iri.slice(namespace.length)));
+    return match ? `${match[0]}:${iri.slice(match[1].length)}` : null;
+  };
+}
+
+// Subjects in the order they first appear, each with its predicates and their objects.
+function groupBySubject(graph: RdfGraph) {
+  const subjects = new Map<string, { subject: RdfTerm; predicates: Map<string, { predicate: RdfTerm; objects: RdfTerm[] }> }>();
+  graph.triples.forEach(({ subject, predicate, object }) => {
+    if (subject.termType === "BlankNode" && graph.lists.has(subject.value)) return;
+    const key = `${subject.termType}:${subject.value}`;
+    const entry = subjects.get(key) || { subject, predicates: new Map() };
+    subjects.set(key, entry);
+    const statements = entry.predicates.get(predicate.value) || { predicate, objects: [] };
+    entry.predicates.set(predicate.value, statements);
+    statements.objects.push(object);
+  });
+  return Array.from(subjects.values());
+}
+
+/** Turtle with the graph's `@prefix` lines; collections are written as `( ... )`. */
+export function serializeTurtle(graph: RdfGraph): string {
+  const compact = compactor(graph.prefixes, /^[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_-])?$/);
+  const term = (value: RdfTerm): string => {
+    if (value.termType === "BlankNode") {
+      const items = graph.lists.get(value.value);
+      return items ? `(${items.map(term).join(" ")})` : `_:${value.value}`;
+    }
+    if (value.termType === "NamedNode") {
+      if (value.value === RDF_NIL) return "()";
+      return compact(value.value) || `<${escapeIri(value.value)}>`;
+    }
+    if (value.datatype === XSD_BOOLEAN || value.datatype === XSD_INTEGER) return value.value;
+    const datatype = value.datatype === XSD_STRING ? "" : `^^${term(named(value.datatype))}`;
+    return `"${escapeString(value.value)}"${datatype}`;
+  };
+
+  const lines = Object.entries(graph.prefixes).map(([name, iri]) => `@prefix ${name}: <${escapeIri(iri)}> .`);
+  groupBySubject(graph).forEach(({ subject, predicates }) => {
+    const statements = Array.from(predicates.values()).map(({ predicate, objects }) => {
+      const verb = predicate.value === RDF_TYPE ? "a" : term(predicate);
+      return `${verb} ${objects.map(term).join(", ")}`;
+    });
+    lines.push("", `${term(subject)} ${statements.join(" ;\n    ")} .`);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/** Flattened JSON-LD: a local `@context` with the graph's prefixes and one `@graph` node per subject. */
+export function serializeJsonLd(graph: RdfGraph): Record<string, unknown> {
+  const compactIri = compactor(graph.prefixes, /^(?!\/\/)\S+$/);
+  const compact = (iri: string) => compactIri(iri) || iri;
+  const value = (term: RdfTerm): unknown => {
+    if (term.termType === "BlankNode") {
+      const items = graph.lists.get(term.value);
+      return items ? { "@list": items.map(value) } : { "@id": `_:${term.value}` };
+    }
+    if (term.termType === "NamedNode") return term.value === RDF_NIL ? { "@list": [] } : { "@id": compact(term.value) };
+    if (term.datatype === XSD_STRING) return term.value;
+    if (term.datatype === XSD_BOOLEAN) return term.value === "true";
+    if (term.datatype === XSD_INTEGER) return Number(term.value);
+    return { "@value": term.value, "@type": compact(term.datatype) };
+  };
+
+  const nodes = groupBySubject(graph).map(({ subject, predicates }) => {
+    const node: Record<string, unknown> = { "@id": subject.termType === "BlankNode" ? `_:${subject.value}` : compact(subject.value) };
+    predicates.forEach(({ predicate, objects }) => {
+      const values = predicate.value === RDF_TYPE ? objects.map(object => compact(object.value)) : objects.map(value);
+      node[predicate.value === RDF_TYPE ? "@type" : compact(predicate.value)] = values.length === 1 ? values[0] : values;
+    });
+    return node;
+  });
+  return { "@context": { ...graph.prefixes }, "@graph": nodes };
+}
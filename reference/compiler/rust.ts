@@ -0,0 +1,434 @@
+import * as webidl from "webidl2";
+import { DictionaryDefinition, IdlType, MethodMeta, ReferencedTypes, ResolvedInterface, TypeDefinition } from "./types";
+
+/*
+ * Rust target: one self-contained module per interface that depends only on
+ * `serde` (with `derive`) and `serde_json`. Dictionaries become serde structs that
+ * keep the IDL member names on the wire, intents become an enum carrying their
+ * proof/capability metadata, declared error codes and chunk type, and the async
+ * client and handler traits use `impl Future + Send` returns so no async-trait
+ * crate is needed (Rust 1.75+). Streaming calls are not modelled in the traits;
+ * their handlers return only the final result.
+ */
+
+const RUST_KEYWORDS = new Set([
+  "as", "async", "await", "break", "const", "continue", "dyn", "else", "enum", "extern", "false", "fn", "for", "if",
+  "impl", "in", "let", "loop", "match", "mod", "move", "mut", "pub", "ref", "return", "static", "struct", "trait",
+  "true", "type", "unsafe", "use", "where", "while", "abstract", "become", "box", "do", "final", "macro", "override",
+  "priv", "try", "typeof", "unsized", "virtual", "yield",
+]);
+// These cannot be raw identifiers.
+const RESERVED_NAMES = new Set(["crate", "self", "super", "Self"]);
+
+const INTEGER_TYPES: Record<string, string> = {
+  byte: "i8",
+  octet: "u8",
+  short: "i16",
+  "unsigned short": "u16",
+  long: "i32",
+  "unsigned long": "u32",
+  "long long": "i64",
+  "unsigned long long": "u64",
+  bigint: "i128",
+};
+
+const INDENT = "    ";
+
+function toSnakeCase(name: string): string {
+  return name
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+}
+
+function toPascalCase(name: string): string {
+  const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join("");
+  if (!pascal) return "Empty";
+  return /^[0-9]/.test(pascal) ? `V${pascal}` : pascal;
+}
+
+function fieldName(name: string): string {
+  const snake = toSnakeCase(name);
+  if (RESERVED_NAMES.has(snake)) return `${snake}_`;
+  return RUST_KEYWORDS.has(snake) ? `r#${snake}` : snake;
+}
+
+function mapRustPrimitive(typeName: string): string | null {
+  if (typeName === "boolean") return "bool";
+  if (["DOMString", "USVString", "ByteString"].includes(typeName)) return "String";
+  if (typeName.endsWith("float")) return "f32";
+  if (typeName.endsWith("double")) return "f64";
+  if (INTEGER_TYPES[typeName]) return INTEGER_TYPES[typeName];
+  if (typeName === "any") return "Value";
+  if (typeName === "object") return "Map<String, Value>";
+  if (typeName === "undefined" || typeName === "void") return "()";
+  return null;
+}
+
+function mapIdlTypeToRust(idlType: IdlType): string {
+  if (!idlType) return "Value";
+  if (typeof idlType === "string") return mapRustPrimitive(idlType) || idlType;
+  // Anonymous unions have no Rust counterpart; typedef'd unions get an untagged enum instead.
+  if (Array.isArray(idlType)) return "Value";
+
+  let mapped: string;
+  const inner = idlType.idlType;
+  if (idlType.union) {
+    mapped = "Value";
+  } else if (idlType.generic === "record" && Array.isArray(inner) && inner.length === 2) {
+    mapped = `HashMap<${mapIdlTypeToRust(inner[0])}, ${mapIdlTypeToRust(inner[1])}>`;
+  } else if (idlType.generic === "Promise") {
+    mapped = mapIdlTypeToRust(Array.isArray(inner) ? inner[0] : (inner as IdlType));
+  } else if (idlType.generic) {
+    mapped = `Vec<${mapIdlTypeToRust(Array.isArray(inner) ? inner[0] : (inner as IdlType))}>`;
+  } else {
+    mapped = mapIdlTypeToRust(inner as IdlType);
+  }
+  return idlType.nullable && mapped !== "Value" ? `Option<${mapped}>` : mapped;
+}
+
+function formatRustDefault(value: webidl.ValueDescription): string {
+  switch (value.type) {
+    case "string":
+      return JSON.stringify(value.value);
+    case "number":
+      return value.value;
+    case "boolean":
+      return String(value.value);
+    case "null":
+      return "None";
+    case "sequence":
+      return "[]";
+    case "dictionary":
+      return "{}";
+    default:
+      return String(value.type);
+  }
+}
+
+function emitDerive(extra: string[] = []): string {
+  return `#[derive(${["Debug", "Clone", "PartialEq", ...extra, "Serialize", "Deserialize"].join(", ")})]`;
+}
+
+function emitDictionary(def: DictionaryDefinition): string[] {
+  const lines = [emitDerive(), `pub struct ${def.name} {`];
+  if (def.inheritance) {
+    lines.push(`${INDENT}#[serde(flatten)]`);
+    lines.push(`${INDENT}pub ${fieldName(def.inheritance)}: ${def.inheritance},`);
+  }
+  def.members.forEach(member => {
+    const name = fieldName(member.name);
+    const attrs: string[] = [];
+    if (name.replace(/^r#/, "") !== member.name) attrs.push(`rename = "${member.name}"`);
+    let rustType = mapIdlTypeToRust(member.idlType);
+    if (rustType === def.name) rustType = `Box<${rustType}>`;
+    if (!member.required) {
+      if (!rustType.startsWith("Option<") && rustType !== "Value") rustType = `Option<${rustType}>`;
+      attrs.push("default", `skip_serializing_if = "${rustType === "Value" ? "Value::is_null" : "Option::is_none"}"`);
+    }
+    if (member.default) lines.push(`${INDENT}/// Defaults to \`${formatRustDefault(member.default)}\`.`);
+    if (attrs.length > 0) lines.push(`${INDENT}#[serde(${attrs.join(", ")})]`);
+    lines.push(`${INDENT}pub ${name}: ${rustType},`);
+  });
+  lines.push("}");
+  return lines;
+}
+
+function emitEnum(def: webidl.EnumType): string[] {
+  const lines = [emitDerive(["Copy", "Eq", "Hash"]), `pub enum ${def.name} {`];
+  def.values.forEach(entry => {
+    lines.push(`${INDENT}#[serde(rename = ${JSON.stringify(entry.value)})]`);
+    lines.push(`${INDENT}${toPascalCase(entry.value)},`);
+  });
+  lines.push("}");
+  return lines;
+}
+
+function unionMembers(idlType: IdlType): webidl.IDLTypeDescription[] | null {
+  if (!idlType || typeof idlType === "string" || Array.isArray(idlType)) return null;
+  return idlType.union && Array.isArray(idlType.idlType) ? idlType.idlType : null;
+}
+
+function variantName(idlType: webidl.IDLTypeDescription, index: number): string {
+  const rustType = mapIdlTypeToRust(idlType);
+  return /^[A-Za-z0-9]+$/.test(rustType) ? toPascalCase(rustType) : `Variant${index}`;
+}
+
+function emitTypedef(def: webidl.TypedefType): string[] {
+  const members = unionMembers(def.idlType);
+  if (!members) return [`pub type ${def.name} = ${mapIdlTypeToRust(def.idlType)};`];
+
+  // serde tries untagged variants in order, as WebIDL union conversion does.
+  const lines = [emitDerive(), "#[serde(untagged)]", `pub enum ${def.name} {`];
+  const used = new Set<string>();
+  members.forEach((member, index) => {
+    let name = variantName(member, index);
+    if (used.has(name)) name = `${name}${index}`;
+    used.add(name);
+    lines.push(`${INDENT}${name}(${mapIdlTypeToRust(member)}),`);
+  });
+  lines.push("}");
+  return lines;
+}
+
+function emitCustomTypes(referenced: ReferencedTypes): string[] {
+  const blocks: string[] = [];
+  referenced.opaque.forEach(typeName => blocks.push(`pub type ${typeName} = Map<String, Value>;`));
+  referenced.definitions.forEach((def: TypeDefinition) => {
+    if (def.type === "dictionary") blocks.push(emitDictionary(def).join("\n"));
+    else if (def.type === "enum") blocks.push(emitEnum(def).join("\n"));
+    else if (def.type === "typedef") blocks.push(emitTypedef(def).join("\n"));
+    else blocks.push(`/// Callback \`${def.name}\`; carried as an opaque value.\npub type ${def.name} = Value;`);
+  });
+  return blocks;
+}
+
+function rustParams(method: MethodMeta): { name: string; key: string; rustType: string }[] {
+  return method.params.map(param => {
+    const rustType = mapIdlTypeToRust(param.idlType);
+    return {
+      name: fieldName(param.name),
+      key: param.name,
+      rustType: param.optional && !rustType.startsWith("Option<") && rustType !== "Value" ? `Option<${rustType}>` : rustType,
+    };
+  });
+}
+
+function emitIntentEnum(methodMeta: MethodMeta[]): string[] {
+  const quote = (value: string | null) => (value ? `Some("${value}")` : "None");
+  const variants = methodMeta.map(method => ({ method, variant: toPascalCase(method.name) }));
+  const lines = ["#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash)]", "pub enum Intent {"];
+  variants.forEach(({ variant }) => lines.push(`${INDENT}${variant},`));
+  lines.push("}");
+  lines.push("");
+  lines.push("impl Intent {");
+  lines.push(`${INDENT}pub const ALL: [Intent; ${variants.length}] = [${variants.map(({ variant }) => `Intent::${variant}`).join(", ")}];`);
+  const accessor = (name: string, returnType: string, value: (method: MethodMeta) => string) => {
+    lines.push("");
+    lines.push(`${INDENT}pub fn ${name}(self) -> ${returnType} {`);
+    if (variants.length === 0) {
+      lines.push(`${INDENT}${INDENT}match self {}`);
+    } else {
+      lines.push(`${INDENT}${INDENT}match self {`);
+      variants.forEach(({ method, variant }) => lines.push(`${INDENT}${INDENT}${INDENT}Intent::${variant} => ${value(method)},`));
+      lines.push(`${INDENT}${INDENT}}`);
+    }
+    lines.push(`${INDENT}}`);
+  };
+  accessor("iri", "&'static str", method => `"${method.intent}"`);
+  accessor("method", "&'static str", method => `"${method.name}"`);
+  accessor("proof", "Option<&'static str>", method => quote(method.proof));
+  accessor("capability", "Option<&'static str>", method => quote(method.capability));
+  accessor("errors", "&'static [&'static str]", method => `&[${method.errors.map(code => `"${code}"`).join(", ")}]`);
+  accessor("stream", "Option<&'static str>", method => quote(method.stream));
+  lines.push("");
+  lines.push(`${INDENT}pub fn from_iri(iri: &str) -> Option<Intent> {`);
+  lines.push(`${INDENT}${INDENT}Intent::ALL.into_iter().find(|intent| intent.iri() == iri)`);
+  lines.push(`${INDENT}}`);
+  lines.push("}");
+  return lines;
+}
+
+function emitClient(iface: ResolvedInterface, methodMeta: MethodMeta[]): string[] {
+  const signature = (method: MethodMeta, errorType: string) => {
+    const params = rustParams(method).map(param => `, ${param.name}: ${param.rustType}`).join("");
+    const returnType = mapIdlTypeToRust(method.returnIdlType);
+    return `fn ${fieldName(method.name)}(&self${params}) -> impl Future<Output = Result<${returnType}, ${errorType}>> + Send`;
+  };
+
+  const lines = [`pub trait ${iface.name}Client {`, `${INDENT}type Error;`];
+  methodMeta.forEach(method => {
+    lines.push("");
+    lines.push(`${INDENT}${signature(method, "Self::Error")};`);
+  });
+  lines.push("}");
+  lines.push("");
+  lines.push("pub struct Client<T> {");
+  lines.push(`${INDENT}transport: T,`);
+  lines.push("}");
+  lines.push("");
+  lines.push("pub fn create_client<T: AgentTransport>(transport: T) -> Client<T> {");
+  lines.push(`${INDENT}Client { transport }`);
+  lines.push("}");
+  lines.push("");
+  lines.push(`impl<T: AgentTransport + Sync> ${iface.name}Client for Client<T> {`);
+  lines.push(`${INDENT}type Error = ClientError<T::Error>;`);
+  methodMeta.forEach(method => {
+    const params = rustParams(method);
+    lines.push("");
+    lines.push(`${INDENT}${signature(method, "Self::Error").replace(/^fn /, "async fn ").replace(/ -> impl Future<Output = (.*)> \+ Send$/, " -> $1")} {`);
+    lines.push(`${INDENT}${INDENT}let ${params.length > 0 ? "mut " : ""}payload = Map::new();`);
+    params.forEach(param => {
+      lines.push(`${INDENT}${INDENT}insert_arg(&mut payload, "${param.key}", ${param.name})?;`);
+    });
+    lines.push(`${INDENT}${INDENT}let result = self.transport.send(AgentMessage::new(Intent::${toPascalCase(method.name)}, payload)).await.map_err(ClientError::Transport)?;`);
+    lines.push(`${INDENT}${INDENT}serde_json::from_value(result).map_err(ClientError::Decode)`);
+    lines.push(`${INDENT}}`);
+  });
+  lines.push("}");
+  return lines;
+}
+
+function emitHandlers(iface: ResolvedInterface, methodMeta: MethodMeta[]): string[] {
+  const lines = [`pub trait ${iface.name}Handlers: Sync {`, `${INDENT}type Error;`];
+  methodMeta.forEach(method => {
+    const params = rustParams(method).map(param => `, ${param.name}: ${param.rustType}`).join("");
+    const returnType = mapIdlTypeToRust(method.returnIdlType);
+    lines.push("");
+    lines.push(
+      `${INDENT}fn ${fieldName(method.name)}(&self${params}, message: &AgentMessage) -> impl Future<Output = Result<${returnType}, Self::Error>> + Send;`
+    );
+  });
+  lines.push("}");
+  lines.push("");
+  lines.push("/// Routes `message` to the handler for its intent, decoding the arguments from the payload.");
+  lines.push(`pub async fn dispatch<H: ${iface.name}Handlers>(handlers: &H, message: &AgentMessage) -> Result<Value, DispatchError<H::Error>> {`);
+  lines.push(`${INDENT}let intent = Intent::from_iri(&message.intent).ok_or_else(|| DispatchError::UnknownIntent(message.intent.clone()))?;`);
+  if (methodMeta.length === 0) {
+    lines.push(`${INDENT}match intent {}`);
+  } else {
+    lines.push(`${INDENT}let result = match intent {`);
+    methodMeta.forEach(method => {
+      const params = rustParams(method);
+      const args = params.map(param => `arg(message, "${param.key}")?, `).join("");
+      lines.push(`${INDENT}${INDENT}Intent::${toPascalCase(method.name)} => {`);
+      lines.push(`${INDENT}${INDENT}${INDENT}let result = handlers.${fieldName(method.name)}(${args}message).await.map_err(DispatchError::Handler)?;`);
+      lines.push(`${INDENT}${INDENT}${INDENT}serde_json::to_value(result)`);
+      lines.push(`${INDENT}${INDENT}}`);
+    });
+    lines.push(`${INDENT}};`);
+    lines.push(`${INDENT}result.map_err(DispatchError::Encode)`);
+  }
+  lines.push("}");
+  return lines;
+}
+
+const SUPPORT = `#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct AgentMessage {
+    pub intent: String,
+    /// A declared proof type (string) before signing, or the attached proof object.
+    #[serde(default, skip_serializing_if = "Value::is_null")]
+    pub proof: Value,
+    pub payload: Map<String, Value>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub from: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub to: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub timestamp: Option<String>,
+    #[serde(default, rename = "messageId", skip_serializing_if = "Option::is_none")]
+    pub message_id: Option<String>,
+    /// Shared by retries of one request, so the receiver runs it once.
+    #[serde(default, rename = "idempotencyKey", skip_serializing_if = "Option::is_none")]
+    pub idempotency_key: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub nonce: Option<String>,
+    /// Compact JWS sealing the message; set by the sender's envelope sealer.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub envelope: Option<String>,
+}
+
+impl AgentMessage {
+    pub fn new(intent: Intent, payload: Map<String, Value>) -> Self {
+        AgentMessage {
+            intent: intent.iri().to_string(),
+            proof: intent.proof().map_or(Value::Null, |proof| Value::String(proof.to_string())),
+            payload,
+            from: None,
+            to: None,
+            timestamp: None,
+            message_id: None,
+            idempotency_key: None,
+            nonce: None,
+            envelope: None,
+        }
+    }
+}
+
+pub trait AgentTransport {
+    type Error;
+
+    fn send(&self, message: AgentMessage) -> impl Future<Output = Result<Value, Self::Error>> + Send;
+}
+
+#[derive(Debug)]
+pub enum ClientError<E> {
+    Transport(E),
+    Encode(serde_json::Error),
+    Decode(serde_json::Error),
+}
+
+impl<E: fmt::Display> fmt::Display for ClientError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ClientError::Transport(err) => write!(f, "transport failed: {err}"),
+            ClientError::Encode(err) => write!(f, "could not encode arguments: {err}"),
+            ClientError::Decode(err) => write!(f, "could not decode result: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for ClientError<E> {}
+
+#[derive(Debug)]
+pub enum DispatchError<E> {
+    UnknownIntent(String),
+    InvalidPayload(serde_json::Error),
+    Encode(serde_json::Error),
+    Handler(E),
+}
+
+impl<E: fmt::Display> fmt::Display for DispatchError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            DispatchError::UnknownIntent(intent) => write!(f, "no handler for intent {intent}"),
+            DispatchError::InvalidPayload(err) => write!(f, "invalid payload: {err}"),
+            DispatchError::Encode(err) => write!(f, "could not encode result: {err}"),
+            DispatchError::Handler(err) => write!(f, "handler failed: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for DispatchError<E> {}
+
+#[allow(dead_code)]
+fn insert_arg<E, T: Serialize>(payload: &mut Map<String, Value>, key: &str, value: T) -> Result<(), ClientError<E>> {
+    let value = serde_json::to_value(value).map_err(ClientError::Encode)?;
+    if !value.is_null() {
+        payload.insert(key.to_string(), value);
+    }
+    Ok(())
+}
+
+#[allow(dead_code)]
+fn arg<E, T: DeserializeOwned>(message: &AgentMessage, key: &str) -> Result<T, DispatchError<E>> {
+    let value = message.payload.get(key).cloned().unwrap_or(Value::Null);
+    serde_json::from_value(value).map_err(DispatchError::InvalidPayload)
+}`;
+
+export function emitRust(iface: ResolvedInterface, methodMeta: MethodMeta[], referenced: ReferencedTypes): string {
+  const sections: string[] = [];
+  sections.push(
+    [
+      `//! ${iface.name} bindings generated by AgentIDL. Do not edit.`,
+      "//!",
+      "//! Requires Rust 1.75 or later (the traits return `impl Future`), `serde` (with the",
+      "//! `derive` feature) and `serde_json`.",
+      "",
+      "use serde::de::DeserializeOwned;",
+      "use serde::{Deserialize, Serialize};",
+      "use serde_json::{Map, Value};",
+      "#[allow(unused_imports)]",
+      "use std::collections::HashMap;",
+      "use std::fmt;",
+      "use std::future::Future;",
+    ].join("\n")
+  );
+  sections.push(emitIntentEnum(methodMeta).join("\n"));
+  sections.push(SUPPORT);
+  sections.push(...emitCustomTypes(referenced));
+  sections.push(emitClient(iface, methodMeta).join("\n"));
+  sections.push(emitHandlers(iface, methodMeta).join("\n"));
+  return `${sections.join("\n\n")}\n`;
+}
@@ -0,0 +1,45 @@
+import * as webidl from "webidl2";
+import type { ResolvedInterface } from "../sdk/idl";
+
+export type IdlType = webidl.IDLTypeDescription | webidl.IDLTypeDescription[] | string | null;
+
+export interface DictionaryDefinition {
+  type: "dictionary";
+  name: string;
+  inheritance: string | null;
+  members: webidl.FieldType[];
+}
+
+export type TypeDefinition = DictionaryDefinition | webidl.EnumType | webidl.TypedefType | webidl.CallbackType;
+
+export { ResolvedInterface } from "../sdk/idl";
+
+export interface MethodMeta {
+  name: string;
+  intent: string;
+  proof: string | null;
+  capability: string | null;
+  delegation: string | null;
+  /** Dictionary names listed in `[Throws=(...)]`; each is the code and data shape of a declared error. */
+  errors: string[];
+  /** Dictionary named by `[Streaming=...]`: the type of each chunk the operation emits before its result. */
+  stream: string | null;
+  params: { name: string; optional: boolean; tsType: string; idlType: IdlType }[];
+  returnType: string;
+  returnIdlType: IdlType;
+}
+
+/** Named types an interface's operations reach: declared definitions, plus names the IDL never declares. */
+export interface ReferencedTypes {
+  definitions: TypeDefinition[];
+  opaque: string[];
+}
+
+/** One interface of a compiled document, with everything the emitters need. */
+export interface CompiledInterface {
+  iface: ResolvedInterface;
+  /** Base name of the interface's output files, e.g. `agenttask` for `AgentTask`. */
+  moduleName: string;
+  methods: MethodMeta[];
+  referencedTypes: ReferencedTypes;
+}
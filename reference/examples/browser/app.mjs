@@ -1,56 +1,22 @@
 import { createClient } from "../../sdk/generated/agenttask.mjs";
+import { createWebSocketTransport } from "../../sdk/websocket-transport.mjs";
 
 const output = document.getElementById("output");
 const proposeBtn = document.getElementById("propose");
 const payBtn = document.getElementById("pay");
 
-const ws = new WebSocket("ws://localhost:8787");
-const pending = new Map();
-let seq = 0;
 let lastPayment = null;
 
-const openPromise = new Promise(resolve => {
-  ws.addEventListener("open", () => resolve());
+// Demo-only proof: a ledger transaction reference the server's verifier accepts.
+const transport = createWebSocketTransport({
+  url: "ws://localhost:8787",
+  from: "browser:buyer",
+  proofProviders: {
+    "ledger:tx": (message, proofType) => ({ type: proofType, txRef: `ledger:tx:${Date.now()}` }),
+  },
 });
 
-ws.addEventListener("message", event => {
-  const msg = JSON.parse(event.data);
-  if (!msg.id || !pending.has(msg.id)) return;
-  const { resolve, reject } = pending.get(msg.id);
-  pending.delete(msg.id);
-  if (msg.error) {
-    reject(new Error(msg.error));
-  } else {
-    resolve(msg.result);
-  }
-});
-
-ws.addEventListener("close", () => {
-  output.textContent += "\n[ws] connection closed";
-});
-
-function nextId() {
-  seq += 1;
-  return `req-${Date.now()}-${seq}`;
-}
-
-function createWsTransport(socket) {
-  return {
-    async send(message) {
-      if (socket.readyState !== WebSocket.OPEN) {
-        await openPromise;
-      }
-      const id = nextId();
-      const payload = { id, from: "browser:buyer", ...message };
-      return new Promise((resolve, reject) => {
-        pending.set(id, { resolve, reject });
-        socket.send(JSON.stringify(payload));
-      });
-    },
-  };
-}
-
-const client = createClient(createWsTransport(ws));
+const client = createClient(transport);
 
 proposeBtn.addEventListener("click", async () => {
   output.textContent = "";
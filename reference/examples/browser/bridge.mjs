@@ -1,15 +1,24 @@
+import { AgentError, AgentUnknownIntentError } from "../../sdk/errors.mjs";
+import { serializeError } from "../../sdk/transport.mjs";
+
 const logEl = document.getElementById("log");
 const statusEl = document.getElementById("status");
 const enableBtn = document.getElementById("enable");
 
 let summarizer = null;
 const translators = new Map();
+const inFlight = new Map();
 let ws;
 
 function log(line) {
   logEl.textContent += `${line}\n`;
 }
 
+// Replies use the same error envelope as the SDK servers, so clients can pick the error class by code.
+function sendError(id, err) {
+  ws.send(JSON.stringify({ id, error: serializeError(err) }));
+}
+
 async function initAi() {
   if (!("Summarizer" in self) && !("Translator" in self)) {
     statusEl.textContent = "Built-in AI not available";
@@ -65,24 +74,42 @@ function ensureSocket() {
     const msg = JSON.parse(event.data);
     if (!msg || !msg.id) return;
 
+    if (msg.cancel) {
+      inFlight.get(msg.id)?.abort();
+      return;
+    }
+
     if (msg.intent === "agent:SummarizeText") {
       if (!summarizer) {
-        ws.send(JSON.stringify({ id: msg.id, error: "Summarizer not available" }));
+        sendError(msg.id, new AgentError("handler-error", "Summarizer not available"));
         return;
       }
+      const controller = new AbortController();
+      inFlight.set(msg.id, controller);
       try {
         const input = msg.payload?.request?.text || "";
-        const summary = await summarizer.summarize(input);
+        let summary = "";
+        if (msg.stream) {
+          // Chrome yields the summary in pieces; each becomes a SummaryChunk frame.
+          for await (const text of summarizer.summarizeStreaming(input, { signal: controller.signal })) {
+            summary += text;
+            ws.send(JSON.stringify({ id: msg.id, chunk: { text } }));
+          }
+        } else {
+          summary = await summarizer.summarize(input, { signal: controller.signal });
+        }
         ws.send(JSON.stringify({ id: msg.id, result: { summary } }));
       } catch (err) {
-        ws.send(JSON.stringify({ id: msg.id, error: err.message || String(err) }));
+        sendError(msg.id, err);
+      } finally {
+        inFlight.delete(msg.id);
       }
       return;
     }
 
     if (msg.intent === "agent:TranslateText") {
       if (!("Translator" in self)) {
-        ws.send(JSON.stringify({ id: msg.id, error: "Translator not available" }));
+        sendError(msg.id, new AgentError("handler-error", "Translator not available"));
         return;
       }
       try {
@@ -99,12 +126,12 @@ function ensureSocket() {
         const translated = await translator.translate(input);
         ws.send(JSON.stringify({ id: msg.id, result: { translated } }));
       } catch (err) {
-        ws.send(JSON.stringify({ id: msg.id, error: err.message || String(err) }));
+        sendError(msg.id, err);
       }
       return;
     }
 
-    ws.send(JSON.stringify({ id: msg.id, error: "Unknown intent" }));
+    sendError(msg.id, new AgentUnknownIntentError(msg.intent));
   });
 
   ws.addEventListener("close", () => log("WS closed"));
@@ -1,6 +1,5 @@
 const path = require("path");
-const { WebSocketServer } = require("ws");
-const { AgentRuntime, loadAgentInterface } = require("../../sdk/agent-sdk");
+const { AgentRuntime, loadAgentInterface, serveAgent } = require("../../sdk/agent-sdk");
 const { registerHandlers } = require("../../sdk/generated/agenttask.js");
 
 const idlPath = path.join(__dirname, "..", "..", "..", "idl", "agent.idl");
@@ -47,32 +46,9 @@ registerHandlers(seller, {
   },
 });
 
-const wss = new WebSocketServer({ port: 8787 });
+// Demo-only ledger check: the browser attaches a transaction reference instead of a signature.
+seller.registerProofVerifier("ledger:tx", proof => typeof proof.txRef === "string" && proof.txRef.startsWith("ledger:tx:"));
 
-wss.on("connection", ws => {
-  ws.on("message", async raw => {
-    let message;
-    try {
-      message = JSON.parse(raw.toString());
-    } catch (err) {
-      ws.send(JSON.stringify({ id: null, error: "Invalid JSON" }));
-      return;
-    }
-
-    try {
-      const result = await seller.receive({
-        intent: message.intent,
-        proof: message.proof ?? null,
-        payload: message.payload || {},
-        from: message.from || "browser:client",
-        to: seller.id,
-        timestamp: new Date().toISOString(),
-      });
-      ws.send(JSON.stringify({ id: message.id, result }));
-    } catch (err) {
-      ws.send(JSON.stringify({ id: message.id, error: err.message || String(err) }));
-    }
-  });
+serveAgent(seller, { port: 8787, defaultFrom: "browser:client" }).then(() => {
+  console.log("WebSocket agent server listening on ws://localhost:8787");
 });
-
-console.log("WebSocket agent server listening on ws://localhost:8787");
@@ -0,0 +1,60 @@
+// MCP server for the AgentTask seller. Register it with an MCP host as
+// `node reference/examples/mcp-server.js`; logs go to stderr.
+const crypto = require("crypto");
+const path = require("path");
+const {
+  AgentRuntime,
+  loadAgentInterface,
+  createEd25519Signer,
+  createEd25519Verifier,
+  serveMcpStdio,
+} = require("../sdk/agent-sdk");
+const { registerHandlers } = require("../sdk/generated/agenttask.js");
+const tools = require("../../idl/generated/mcp/agenttask.tools.json");
+
+const idlPath = path.join(__dirname, "..", "..", "idl", "agent.idl");
+const interfaceDef = loadAgentInterface(idlPath);
+const seller = new AgentRuntime({ id: "agent:Seller", interfaceDef });
+
+// executePayment declares Proof="ledger:tx": the MCP host acts as agent:Assistant
+// and this process signs on its behalf with a key the seller trusts.
+const assistantId = "agent:Assistant";
+const keys = crypto.generateKeyPairSync("ed25519");
+seller.registerProofVerifier("ledger:tx", createEd25519Verifier({ publicKeys: { [assistantId]: keys.publicKey } }));
+
+registerHandlers(seller, {
+  proposeContract: (data, message) => {
+    const contractId = "C-1001";
+    return {
+      outcome: {
+        status: "accepted",
+        contractId,
+        counterparty: message?.from ?? null,
+        terms: data.terms,
+        total: data.price,
+        currency: data.currency,
+        signedAt: new Date().toISOString(),
+        note: "Seller accepts contract terms.",
+      },
+    };
+  },
+  executePayment: payment => {
+    if (payment.amount <= 0) {
+      return { status: "rejected", reason: "Amount must be positive." };
+    }
+    return {
+      status: "paid",
+      receiptId: "R-9001",
+      txRef: "ledger:tx:0xabc123",
+      amount: payment.amount,
+      currency: payment.currency,
+    };
+  },
+});
+
+serveMcpStdio(seller, {
+  tools,
+  from: assistantId,
+  proofProviders: { "ledger:tx": createEd25519Signer({ privateKey: keys.privateKey }) },
+});
+console.error(`AgentTask MCP server ready (${tools.tools.map(tool => tool.name).join(", ")})`);
@@ -1,13 +1,45 @@
+const crypto = require("crypto");
 const path = require("path");
-const { loadAgentInterface, AgentRuntime, createRuntimeTransport } = require("../sdk/agent-sdk");
+const {
+  loadAgentInterface,
+  AgentRuntime,
+  createRuntimeTransport,
+  createEd25519Signer,
+  createEd25519Verifier,
+  createEnvelopeOpener,
+  createEnvelopeSealer,
+} = require("../sdk/agent-sdk");
 const { createClient, registerHandlers } = require("../sdk/generated/agenttask.js");
 
 async function main() {
   const idlPath = path.join(__dirname, "..", "..", "idl", "agent.idl");
   const interfaceDef = loadAgentInterface(idlPath);
 
-  const buyer = new AgentRuntime({ id: "agent:Buyer", interfaceDef });
-  const seller = new AgentRuntime({ id: "agent:Seller", interfaceDef });
+  // Every message is sealed by the buyer and opened by the seller, so the seller
+  // can trust message.from; payloads are encrypted to the seller's X25519 key.
+  const buyerKeys = crypto.generateKeyPairSync("ed25519");
+  const sellerKeys = crypto.generateKeyPairSync("x25519");
+  const buyer = new AgentRuntime({
+    id: "agent:Buyer",
+    interfaceDef,
+    envelopeSealer: createEnvelopeSealer({
+      privateKey: buyerKeys.privateKey,
+      recipients: { "agent:Seller": sellerKeys.publicKey },
+    }),
+  });
+  const seller = new AgentRuntime({
+    id: "agent:Seller",
+    interfaceDef,
+    requireEnvelopes: true,
+    envelopeOpener: createEnvelopeOpener({
+      senders: { [buyer.id]: buyerKeys.publicKey },
+      privateKey: sellerKeys.privateKey,
+    }),
+  });
+
+  // executePayment declares Proof="ledger:tx": the buyer signs, the seller verifies.
+  buyer.registerProofProvider("ledger:tx", createEd25519Signer({ privateKey: buyerKeys.privateKey }));
+  seller.registerProofVerifier("ledger:tx", createEd25519Verifier({ publicKeys: { [buyer.id]: buyerKeys.publicKey } }));
 
   registerHandlers(seller, {
     proposeContract: async (data, message) => {
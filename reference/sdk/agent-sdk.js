@@ -1,22 +1,60 @@
-const fs = require("fs");
-const path = require("path");
-const webidl = require("webidl2");
-
-function normalizeExtendedAttributes(idlSource) {
-  return idlSource.replace(/\[\[/g, "[").replace(/\]\]/g, "]");
-}
-
-function getExtAttrValue(extAttrs, name) {
-  if (!extAttrs) return null;
-  const found = extAttrs.find(attr => attr.name === name);
-  if (!found) return null;
-  let value = null;
-  if (typeof found.rhs === "string") value = found.rhs;
-  if (found.rhs && typeof found.rhs.value === "string") value = found.rhs.value;
-  if (typeof value !== "string") return null;
-  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
-  return value;
-}
+const crypto = require("crypto");
+const {
+  AgentDelegationError,
+  createEd25519DelegationVerifier,
+  signDelegationContext,
+  verifyDelegationContext,
+} = require("./delegation");
+const {
+  DidKeyResolver,
+  DidWebFileResolver,
+  MemoryDidResolver,
+  combineDidResolvers,
+  didKeyFromPublicKey,
+  didOf,
+  resolvePublicKey,
+  resolvePublicKeys,
+} = require("./did");
+const {
+  CURIE_ATTRIBUTES,
+  DEFAULT_PREFIXES,
+  IDL_CONFIG_FILE,
+  IDL_RULES,
+  IdlError,
+  expandCurie,
+  getExtAttrList,
+  getExtAttrValue,
+  parseIdlFiles,
+  parseIdlSource,
+  readIdlConfig,
+  resolveInterfaces,
+  resolvePrefixes,
+  validateIdlDefinitions,
+} = require("./idl");
+const { FileKeyStore, MemoryKeyStore } = require("./keystore");
+const {
+  HashChainedAuditLog,
+  JsonlAuditSink,
+  MemoryAuditSink,
+  createEd25519AttestationSigner,
+  hashExecutionRecord,
+  verifyAuditLog,
+  verifyExecutionRecord,
+} = require("./audit");
+const { AgentCapabilityError, CapabilityPolicy } = require("./capability");
+const { AgentEnvelopeError, createEnvelopeOpener, createEnvelopeSealer } = require("./envelope");
+const { AgentCancelledError, AgentError, AgentUnknownIntentError, RESERVED_ERROR_CODES } = require("./errors");
+const { AgentReplayError, FileReplayStore, MemoryReplayStore, deriveMessageId, replayFingerprint } = require("./replay");
+const { FileRevocationStore, MemoryRevocationStore, StatusListRevocationStore } = require("./revocation");
+const { AgentProofError, canonicalize, createEd25519Signer, createEd25519Verifier } = require("./proof");
+const { AgentValidationError, validateChunk, validatePayload, validateResult } = require("./validation");
+const { AgentRemoteError, AgentTransportError, serializeError } = require("./transport");
+const { serveAgent } = require("./websocket-server");
+const { createHttpTransport, intentRoute } = require("./http-transport");
+const { createHttpHandler, httpStatusFor, serveAgentHttp } = require("./http-server");
+const { MCP_PROTOCOL_VERSIONS, createMcpHandler, serveMcpStdio } = require("./mcp-server");
+const { createWebSocketTransport } = require("./websocket-transport");
+const { composeMiddleware, withMiddleware } = require("./middleware");
 
 function serializeIdlType(idlType) {
   if (typeof idlType === "string") return idlType;
@@ -31,74 +69,515 @@ function serializeIdlType(idlType) {
   return serializeIdlType(idlType.idlType);
 }
 
-function loadAgentInterface(idlPath) {
-  const raw = fs.readFileSync(idlPath, "utf8");
-  const normalized = normalizeExtendedAttributes(raw);
-  const ast = webidl.parse(normalized);
-  const iface = ast.find(def => def.type === "interface");
-  if (!iface) {
-    throw new Error("No interface definition found in IDL.");
+function describeIdlType(idlType) {
+  if (!idlType) return { name: "any", generic: null, union: false, nullable: false, subtypes: [] };
+  if (typeof idlType === "string") return { name: idlType, generic: null, union: false, nullable: false, subtypes: [] };
+  if (Array.isArray(idlType)) {
+    return { name: null, generic: null, union: true, nullable: false, subtypes: idlType.map(describeIdlType) };
+  }
+  const nullable = Boolean(idlType.nullable);
+  if (idlType.union && Array.isArray(idlType.idlType)) {
+    return { name: null, generic: null, union: true, nullable, subtypes: idlType.idlType.map(describeIdlType) };
+  }
+  if (idlType.generic) {
+    const inner = Array.isArray(idlType.idlType) ? idlType.idlType : [idlType.idlType];
+    return { name: null, generic: idlType.generic, union: false, nullable, subtypes: inner.map(describeIdlType) };
   }
+  if (typeof idlType.idlType === "string") {
+    return { name: idlType.idlType, generic: null, union: false, nullable, subtypes: [] };
+  }
+  const described = describeIdlType(idlType.idlType);
+  return { ...described, nullable: nullable || described.nullable };
+}
+
+function collectTypeDefs(ast) {
+  const types = { dictionaries: {}, enums: {}, typedefs: {}, callbacks: [] };
+  ast.forEach(def => {
+    if (def.type === "dictionary") {
+      const dictionary = types.dictionaries[def.name] || { name: def.name, inheritance: null, members: [] };
+      if (def.inheritance) dictionary.inheritance = def.inheritance;
+      def.members.forEach(member => {
+        dictionary.members.push({
+          name: member.name,
+          type: serializeIdlType(member.idlType),
+          idlType: describeIdlType(member.idlType),
+          required: member.required,
+        });
+      });
+      types.dictionaries[def.name] = dictionary;
+    } else if (def.type === "enum") {
+      types.enums[def.name] = def.values.map(entry => entry.value);
+    } else if (def.type === "typedef") {
+      types.typedefs[def.name] = describeIdlType(def.idlType);
+    } else if (def.type === "callback") {
+      types.callbacks.push(def.name);
+    }
+  });
+  return types;
+}
 
-  const context = getExtAttrValue(iface.extAttrs, "Context");
-  const semantic = getExtAttrValue(iface.extAttrs, "Semantic");
+function findMethodByIntent(interfaceDef, intent) {
+  const methods = Object.values(interfaceDef.methods);
+  return methods.find(method => method.intent === intent) || null;
+}
+
+const DELEGATION_PARAM_TYPE = "DelegationContext";
 
+function buildMethodDefs(operations, types, prefixes) {
   const methods = {};
-  iface.members.forEach(member => {
-    if (member.type !== "operation") return;
+  operations.forEach(member => {
     const name = member.name;
+    if (!name) return;
+    // expandCurie throws for a CURIE whose prefix is not declared.
+    CURIE_ATTRIBUTES.forEach(attribute => {
+      const value = getExtAttrValue(member.extAttrs, attribute);
+      if (value) expandCurie(value, prefixes);
+    });
     const intent = getExtAttrValue(member.extAttrs, "Intent");
     const proof = getExtAttrValue(member.extAttrs, "Proof");
+    const capability = getExtAttrValue(member.extAttrs, "Capability");
+    const delegation = getExtAttrValue(member.extAttrs, "Delegation");
+    const audit = getExtAttrValue(member.extAttrs, "Audit");
+    const errors = getExtAttrList(member.extAttrs, "Throws");
+    const stream = getExtAttrValue(member.extAttrs, "Streaming");
     const params = member.arguments.map(arg => ({
       name: arg.name,
       type: serializeIdlType(arg.idlType),
+      idlType: describeIdlType(arg.idlType),
+      optional: arg.optional,
+      variadic: arg.variadic,
     }));
+    const delegationParam = params.find(param => param.idlType.name === DELEGATION_PARAM_TYPE);
+    if (delegation && !delegationParam) {
+      throw new Error(`Delegation attribute requires ${DELEGATION_PARAM_TYPE} parameter on ${name}`);
+    }
+    const undeclared = errors.find(code => !types.dictionaries[code]);
+    if (undeclared) {
+      throw new Error(`Throws on ${name} names ${undeclared}, which is not a dictionary.`);
+    }
+    if (stream && !types.dictionaries[stream]) {
+      throw new Error(`Streaming on ${name} names ${stream}, which is not a dictionary.`);
+    }
     methods[name] = {
       name,
       intent,
+      intentIri: intent && expandCurie(intent, prefixes),
       proof,
+      capability,
+      delegation,
+      audit,
+      delegationParam: delegationParam ? delegationParam.name : null,
+      errors,
+      stream,
       returnType: serializeIdlType(member.idlType),
+      returnIdlType: describeIdlType(member.idlType),
       params,
     };
   });
+  return methods;
+}
 
-  return {
-    name: iface.name,
-    context,
-    semantic,
-    methods,
+function loadAgentInterfaces(idlPath, options = {}) {
+  const ast = parseIdlFiles(idlPath);
+  const types = collectTypeDefs(ast);
+  const prefixes = resolvePrefixes(ast, options.prefixes);
+
+  const interfaces = {};
+  resolveInterfaces(ast).forEach(iface => {
+    interfaces[iface.name] = {
+      name: iface.name,
+      context: getExtAttrValue(iface.extAttrs, "Context"),
+      semantic: getExtAttrValue(iface.extAttrs, "Semantic"),
+      inheritance: iface.inheritance,
+      prefixes,
+      methods: buildMethodDefs(iface.operations, types, prefixes),
+      types,
+    };
+  });
+  return interfaces;
+}
+
+function loadAgentInterface(idlPath, interfaceName, options = {}) {
+  const interfaces = loadAgentInterfaces(idlPath, options);
+  const names = Object.keys(interfaces);
+  if (names.length === 0) {
+    throw new Error("No interface definition found in IDL.");
+  }
+  if (!interfaceName) return interfaces[names[0]];
+  if (!interfaces[interfaceName]) {
+    throw new Error(`Interface ${interfaceName} not found in IDL (available: ${names.join(", ")}).`);
+  }
+  return interfaces[interfaceName];
+}
+
+// Handlers may throw any error whose `code` the operation declares (such as the
+// generated error classes); it is re-thrown as an AgentError so it crosses the
+// wire with that code instead of `handler-error`.
+function asDeclaredError(method, err) {
+  if (!method || err instanceof AgentError || !(err instanceof Error)) return err;
+  if (typeof err.code !== "string" || !method.errors.includes(err.code)) return err;
+  const declared = new AgentError(err.code, err.message, err.data);
+  declared.name = err.name;
+  return declared;
+}
+
+// Looks the key up on every record so a rotated key store signs with its new key.
+function keyStoreAttestationSigner(keyStore) {
+  return (record, issuedAt) => {
+    const key = keyStore.signingKey();
+    if (!key) throw new Error(`Key store for ${keyStore.did} holds no signing key.`);
+    return createEd25519AttestationSigner(key)(record, issuedAt);
   };
 }
 
 class AgentRuntime {
-  constructor({ id, interfaceDef }) {
+  constructor({
+    id,
+    interfaceDef,
+    validatePayloads = true,
+    validateResults = false,
+    clock = () => new Date(),
+    capabilityPolicy = new CapabilityPolicy(),
+    attestationSigner,
+    keyStore,
+    envelopeSealer,
+    envelopeOpener,
+    requireEnvelopes = false,
+    replayStore = new MemoryReplayStore(),
+    maxClockSkewMs = 5 * 60 * 1000,
+    replayTtlMs = 24 * 60 * 60 * 1000,
+  }) {
     this.id = id;
     this.interfaceDef = interfaceDef;
+    this.validatePayloads = validatePayloads;
+    this.validateResults = validateResults;
+    this.clock = clock;
+    this.capabilityPolicy = capabilityPolicy;
+    this.keyStore = keyStore || null;
+    this.attestationSigner = attestationSigner || (keyStore ? keyStoreAttestationSigner(keyStore) : null);
+    this.envelopeSealer = envelopeSealer || null;
+    this.envelopeOpener = envelopeOpener || null;
+    this.requireEnvelopes = requireEnvelopes;
+    this.replayStore = replayStore;
+    this.maxClockSkewMs = maxClockSkewMs;
+    this.replayTtlMs = replayTtlMs;
     this.intentHandlers = new Map();
+    this.proofVerifiers = new Map();
+    this.proofProviders = new Map();
+    this.delegationVerifiers = new Map();
+    this.revocationStores = [];
+    this.auditSinks = [];
+    this.auditQueue = Promise.resolve();
+    this.middleware = [];
   }
 
   registerIntent(intent, handler) {
     this.intentHandlers.set(intent, handler);
   }
 
-  async receive(message) {
+  hasIntentHandler(intent) {
+    return this.intentHandlers.has(intent);
+  }
+
+  registerProofVerifier(proofType, verifier) {
+    this.proofVerifiers.set(proofType, verifier);
+  }
+
+  registerProofProvider(proofType, provider) {
+    this.proofProviders.set(proofType, provider);
+  }
+
+  registerDelegationVerifier(proofType, verifier) {
+    this.delegationVerifiers.set(proofType, verifier);
+  }
+
+  registerRevocationStore(store) {
+    this.revocationStores.push(store);
+  }
+
+  /**
+   * Adds middleware around every received message, in registration order. It runs
+   * after the envelope is opened and the timestamp checked, and before proofs,
+   * delegation, capabilities and payload validation.
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+  }
+
+  registerAuditSink(sink) {
+    if (sink.link && this.auditSinks.some(existing => existing.link)) {
+      throw new Error("Only one hash-chained audit sink can be registered per runtime.");
+    }
+    this.auditSinks.push(sink);
+  }
+
+  // The opened message is rebuilt from the signed claims, so nothing sent beside
+  // the envelope reaches the proof check, the policy or the handler.
+  async openEnvelope(message) {
+    if (!message.envelope) {
+      if (this.requireEnvelopes) throw new AgentEnvelopeError(message.intent, "missing");
+      return message;
+    }
+    if (!this.envelopeOpener) {
+      throw new AgentEnvelopeError(message.intent, "unsupported", "no envelope opener configured");
+    }
+    try {
+      return await this.envelopeOpener(message, { recipient: this.id, now: this.clock() });
+    } catch (err) {
+      if (err instanceof AgentEnvelopeError) throw err;
+      throw new AgentEnvelopeError(message.intent, "invalid", err.message || String(err));
+    }
+  }
+
+  checkFreshness(message) {
+    if (message.timestamp === undefined) return;
+    const sentAt = Date.parse(message.timestamp);
+    if (Number.isNaN(sentAt) || Math.abs(this.clock().getTime() - sentAt) > this.maxClockSkewMs) {
+      throw new AgentReplayError(message.intent, "stale", `stamped ${message.timestamp}`);
+    }
+  }
+
+  // Keys are scoped to the sender so one caller cannot shadow another's. A message
+  // id only has to outlive the skew window on both sides of its timestamp, after
+  // which the message is stale anyway; idempotency keys are kept for `replayTtlMs`.
+  async claimReplayKey(message) {
+    let id = null;
+    if (typeof message.idempotencyKey === "string") id = `key:${message.idempotencyKey}`;
+    else if (typeof message.messageId === "string") id = `id:${message.messageId}`;
+    if (!id) return null;
+    const key = `${message.from || ""} ${id}`;
+    const fingerprint = replayFingerprint(message.intent, message.payload);
+    const now = this.clock();
+    const evictable = typeof message.idempotencyKey !== "string";
+    const skewWindow = 2 * this.maxClockSkewMs;
+    let ttl = this.replayTtlMs;
+    if (Number.isFinite(skewWindow)) ttl = evictable ? skewWindow : Math.max(this.replayTtlMs, skewWindow);
+    let held;
+    try {
+      held = await this.replayStore.claim({
+        key,
+        fingerprint,
+        receivedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttl).toISOString(),
+        state: "pending",
+        evictable,
+      });
+    } catch (err) {
+      throw new AgentReplayError(message.intent, "unavailable", err.message);
+    }
+    if (!held) return { key };
+    if (held.fingerprint !== fingerprint) {
+      throw new AgentReplayError(message.intent, "conflict", `${id} was used for a different request`);
+    }
+    if (held.state !== "complete") throw new AgentReplayError(message.intent, "in-progress", `${id} is still running`);
+    return { result: held.result };
+  }
+
+  async verifyProof(method, message) {
+    if (!method.proof) return;
+    const proof = message.proof;
+    if (!proof || typeof proof !== "object") {
+      throw new AgentProofError(message.intent, method.proof, "missing");
+    }
+    if (proof.type !== method.proof) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", `unexpected proof type ${proof.type}`);
+    }
+    const verifier = this.proofVerifiers.get(method.proof);
+    if (!verifier) {
+      throw new AgentProofError(message.intent, method.proof, "unsupported", "no verifier registered");
+    }
+    let verified = false;
+    try {
+      verified = await verifier(proof, message);
+    } catch (err) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", err.message || String(err));
+    }
+    if (!verified) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", "verification failed");
+    }
+  }
+
+  authorize(method, message, delegation) {
+    if (!method.capability) return;
+    if (this.capabilityPolicy.holds(message.from, method.capability)) return;
+    if (delegation && this.capabilityPolicy.holds(delegation.issuer, method.capability)) return;
+    throw new AgentCapabilityError(message.intent, method.capability, message.from || null);
+  }
+
+  // Records are linked, signed and written one at a time so a chained sink never
+  // sees two records claiming the same predecessor.
+  recordExecution(method, message, dispatchedAt, outcome, result) {
+    const pending = this.auditQueue.then(() => this.writeExecutionRecord(method, message, dispatchedAt, outcome, result));
+    this.auditQueue = pending.catch(() => undefined);
+    return pending;
+  }
+
+  async writeExecutionRecord(method, message, dispatchedAt, outcome, result) {
+    const completedAt = this.clock().toISOString();
+    let unsigned = {
+      taskId: crypto.randomUUID(),
+      agent: this.id,
+      intent: message.intent,
+      recordType: method.audit,
+      caller: message.from,
+      timestamp: dispatchedAt,
+      result,
+      auditTrail: [
+        { step: "dispatch", timestamp: dispatchedAt },
+        { step: outcome, timestamp: completedAt },
+      ],
+    };
+    for (const sink of this.auditSinks) {
+      if (sink.link) unsigned = await sink.link(unsigned);
+    }
+    const record = { ...unsigned, attestation: await this.attestationSigner(unsigned, completedAt) };
+    for (const sink of this.auditSinks) {
+      await sink.write(record);
+    }
+    return record;
+  }
+
+  // The handler's signal follows the caller's. Once it fires the call rejects
+  // without waiting for the handler, which is passed to `onAbandoned` while it
+  // may still be running. Chunks emitted after the call has settled are dropped.
+  async dispatch(handler, method, message, { signal, onChunk }, onAbandoned) {
+    if (signal && signal.aborted) throw new AgentCancelledError(message.intent);
+    const controller = new AbortController();
+    const cancelled = new Promise((_, reject) => {
+      controller.signal.addEventListener("abort", () => reject(new AgentCancelledError(message.intent)), { once: true });
+    });
+    cancelled.catch(() => undefined);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    let settled = false;
+    const call = {
+      signal: controller.signal,
+      emit: chunk => {
+        if (method && !method.stream) {
+          throw new Error(`Intent ${message.intent} does not declare [Streaming] and cannot emit chunks.`);
+        }
+        if (settled || controller.signal.aborted) return;
+        if (method && this.validateResults) {
+          const issues = validateChunk(method, chunk, this.interfaceDef.types);
+          if (issues.length > 0) throw new AgentValidationError(message.intent, "chunk", issues);
+        }
+        if (onChunk) onChunk(chunk);
+      },
+    };
+    const running = Promise.resolve().then(() => handler(message, call));
+    try {
+      return await Promise.race([running, cancelled]);
+    } catch (err) {
+      if (controller.signal.aborted && onAbandoned) onAbandoned(running);
+      throw err;
+    } finally {
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async receive(received, options = {}) {
+    const message = await this.openEnvelope(received);
+    this.checkFreshness(message);
+    const method = findMethodByIntent(this.interfaceDef, message.intent);
+    // The operation is resolved again from the message that reaches the end of the
+    // chain, so a middleware that rewrites the intent gets that intent's checks.
+    const run = composeMiddleware(this.middleware, context =>
+      this.handleMessage(context.message, findMethodByIntent(this.interfaceDef, context.message.intent), context.options)
+    );
+    return run({ message, method, options, runtime: this });
+  }
+
+  async handleMessage(message, method, options) {
     const handler = this.intentHandlers.get(message.intent);
     if (!handler) {
-      throw new Error(`No handler registered for intent: ${message.intent}`);
+      throw new AgentUnknownIntentError(message.intent);
+    }
+
+    if (method) {
+      await this.verifyProof(method, message);
+    }
+    let delegation = null;
+    if (method && method.delegation) {
+      const ctx = method.delegationParam ? message.payload[method.delegationParam] : undefined;
+      delegation = await verifyDelegationContext(ctx, {
+        intent: message.intent,
+        capability: method.capability,
+        caller: message.from,
+        now: this.clock(),
+        verifiers: this.delegationVerifiers,
+        revocationStores: this.revocationStores,
+      });
+    }
+    if (method) {
+      this.authorize(method, message, delegation);
+    }
+    if (method && this.validatePayloads) {
+      const issues = validatePayload(method, message.payload, this.interfaceDef.types);
+      if (issues.length > 0) throw new AgentValidationError(message.intent, "payload", issues);
     }
-    return handler(message);
+
+    const audited = method && method.audit ? method : null;
+    if (audited && !this.attestationSigner) {
+      throw new Error(`No attestation signer configured for audited intent: ${message.intent}`);
+    }
+    const claim = await this.claimReplayKey(message);
+    if (claim && "result" in claim) return claim.result;
+    const dispatchedAt = this.clock().toISOString();
+    let result;
+    // A cancelled handler may still be running, so its key is held until it settles:
+    // a retry then gets its result, or runs once it has failed.
+    let heldByHandler = false;
+    const holdClaim = (running) => {
+      if (!claim) return;
+      heldByHandler = true;
+      running
+        .then(
+          value => this.replayStore.complete(claim.key, value),
+          () => this.replayStore.release(claim.key)
+        )
+        .catch(() => undefined);
+    };
+    try {
+      result = await this.dispatch(handler, method, message, options, holdClaim);
+      // Checked before the result is stored for replays or audited, so an invalid
+      // result is neither served again nor recorded as a completed execution.
+      if (method && this.validateResults) {
+        const issues = validateResult(method, result, this.interfaceDef.types);
+        if (issues.length > 0) throw new AgentValidationError(message.intent, "result", issues);
+      }
+    } catch (err) {
+      if (claim && !heldByHandler) await this.replayStore.release(claim.key);
+      if (audited) {
+        const failure = { error: { name: err.name, message: err.message || String(err) } };
+        await this.recordExecution(audited, message, dispatchedAt, "error", failure);
+      }
+      throw asDeclaredError(method, err);
+    }
+    if (claim) await this.replayStore.complete(claim.key, result);
+    if (audited) {
+      await this.recordExecution(audited, message, dispatchedAt, "complete", result);
+    }
+    return result;
   }
 
-  async invokeIntent(targetAgent, intent, payload, proof) {
-    const message = {
+  async invokeIntent(targetAgent, intent, payload, proof, options) {
+    let message = {
       from: this.id,
       to: targetAgent.id,
       intent,
       proof: proof || null,
       payload,
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock().toISOString(),
+      messageId: crypto.randomUUID(),
     };
-    return targetAgent.receive(message);
+    if (options && options.idempotencyKey) message.idempotencyKey = options.idempotencyKey;
+    if (typeof proof === "string") {
+      const provider = this.proofProviders.get(proof);
+      if (provider) message.proof = await provider({ ...message, proof: null }, proof);
+    }
+    if (this.envelopeSealer) message = await this.envelopeSealer(message);
+    return targetAgent.receive(message, options);
   }
 
   async callMethod(targetAgent, methodName, ...args) {
@@ -126,13 +605,84 @@ function createAgentClient({ runtime, target }) {
 
 function createRuntimeTransport({ caller, target }) {
   return {
-    send: ({ intent, payload, proof }) => caller.invokeIntent(target, intent, payload, proof),
+    send: ({ intent, payload, proof }, options) => caller.invokeIntent(target, intent, payload, proof, options),
   };
 }
 
 module.exports = {
   loadAgentInterface,
+  loadAgentInterfaces,
+  findMethodByIntent,
+  DEFAULT_PREFIXES,
+  IDL_CONFIG_FILE,
+  IDL_RULES,
+  IdlError,
+  expandCurie,
+  parseIdlFiles,
+  parseIdlSource,
+  readIdlConfig,
+  resolveInterfaces,
+  resolvePrefixes,
+  validateIdlDefinitions,
+  AgentValidationError,
+  AgentCapabilityError,
+  CapabilityPolicy,
+  AgentProofError,
+  AgentDelegationError,
+  AgentEnvelopeError,
+  DidKeyResolver,
+  DidWebFileResolver,
+  MemoryDidResolver,
+  combineDidResolvers,
+  didKeyFromPublicKey,
+  didOf,
+  resolvePublicKey,
+  resolvePublicKeys,
+  MemoryKeyStore,
+  FileKeyStore,
+  createEnvelopeOpener,
+  createEnvelopeSealer,
+  AgentReplayError,
+  MemoryReplayStore,
+  FileReplayStore,
+  deriveMessageId,
+  replayFingerprint,
+  canonicalize,
+  createEd25519Signer,
+  createEd25519Verifier,
+  createEd25519DelegationVerifier,
+  signDelegationContext,
+  verifyDelegationContext,
+  MemoryRevocationStore,
+  FileRevocationStore,
+  StatusListRevocationStore,
+  MemoryAuditSink,
+  JsonlAuditSink,
+  HashChainedAuditLog,
+  createEd25519AttestationSigner,
+  hashExecutionRecord,
+  verifyAuditLog,
+  verifyExecutionRecord,
   AgentRuntime,
   createAgentClient,
   createRuntimeTransport,
+  createWebSocketTransport,
+  composeMiddleware,
+  withMiddleware,
+  serveAgent,
+  createHttpTransport,
+  createHttpHandler,
+  serveAgentHttp,
+  httpStatusFor,
+  intentRoute,
+  createMcpHandler,
+  serveMcpStdio,
+  MCP_PROTOCOL_VERSIONS,
+  AgentCancelledError,
+  AgentError,
+  AgentUnknownIntentError,
+  RESERVED_ERROR_CODES,
+  serializeError,
+  AgentRemoteError,
+  AgentTransportError,
 };
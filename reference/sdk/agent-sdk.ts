@@ -1,55 +1,252 @@
-import fs from "fs";
+import crypto from "crypto";
 import * as webidl from "webidl2";
+import {
+  AttestationSigner,
+  AuditSink,
+  AuditTrailStep,
+  ExecutionRecord,
+  UnsignedExecutionRecord,
+  createEd25519AttestationSigner,
+} from "./audit";
+import { AgentCapabilityError, CapabilityPolicy } from "./capability";
+import { DelegationContext, DelegationVerifier, verifyDelegationContext } from "./delegation";
+import { AgentEnvelopeError, EnvelopeOpener, MessageSealer } from "./envelope";
+import { AgentCancelledError, AgentError, AgentUnknownIntentError } from "./errors";
+import {
+  CURIE_ATTRIBUTES,
+  PrefixMap,
+  expandCurie,
+  getExtAttrList,
+  getExtAttrValue,
+  parseIdlFiles,
+  resolveInterfaces,
+  resolvePrefixes,
+} from "./idl";
+import type { KeyStore } from "./keystore";
+import { AgentMiddleware, composeMiddleware } from "./middleware";
+import { AgentProof, AgentProofError, ProofProvider, ProofVerifier } from "./proof";
+import { AgentReplayError, MemoryReplayStore, ReplayEntry, ReplayStore, replayFingerprint } from "./replay";
+import { RevocationStore } from "./revocation";
+import { AgentValidationError, validateChunk, validatePayload, validateResult } from "./validation";
+
+export { AgentValidationError } from "./validation";
+export { AgentCapabilityError, CapabilityPolicy } from "./capability";
+export {
+  AttestationSigner,
+  AuditSink,
+  ExecutionAttestation,
+  AuditLogReport,
+  ExecutionRecord,
+  HashChainedAuditLog,
+  JsonlAuditSink,
+  MemoryAuditSink,
+  createEd25519AttestationSigner,
+  hashExecutionRecord,
+  verifyAuditLog,
+  verifyExecutionRecord,
+} from "./audit";
+export {
+  AgentDelegationError,
+  DelegationContext,
+  DelegationHop,
+  DelegationVerifier,
+  createEd25519DelegationVerifier,
+  signDelegationContext,
+  verifyDelegationContext,
+} from "./delegation";
+export {
+  DidDocument,
+  DidKeyResolver,
+  DidResolver,
+  DidWebFileResolver,
+  MemoryDidResolver,
+  VerificationMethod,
+  VerificationRelationship,
+  combineDidResolvers,
+  didKeyFromPublicKey,
+  didOf,
+  resolvePublicKey,
+  resolvePublicKeys,
+} from "./did";
+export {
+  DEFAULT_PREFIXES,
+  IDL_CONFIG_FILE,
+  IDL_RULES,
+  IdlConfig,
+  IdlError,
+  IdlIssue,
+  IdlLocation,
+  IdlRules,
+  IdlSeverity,
+  PrefixMap,
+  ResolvedInterface,
+  expandCurie,
+  parseIdlFiles,
+  parseIdlSource,
+  readIdlConfig,
+  resolveInterfaces,
+  resolvePrefixes,
+  validateIdlDefinitions,
+} from "./idl";
+export { FileKeyStore, KeyStore, MemoryKeyStore, StoredKey } from "./keystore";
+export { AgentMiddleware, AgentMiddlewareContext, composeMiddleware, withMiddleware } from "./middleware";
+export {
+  AgentEnvelopeClaims,
+  AgentEnvelopeError,
+  AgentEnvelopeFailure,
+  EnvelopeOpener,
+  MessageSealer,
+  createEnvelopeOpener,
+  createEnvelopeSealer,
+} from "./envelope";
+export {
+  AgentReplayError,
+  AgentReplayFailure,
+  FileReplayStore,
+  MemoryReplayStore,
+  ReplayEntry,
+  ReplayStore,
+  deriveMessageId,
+  replayFingerprint,
+} from "./replay";
+export {
+  FileRevocationStore,
+  MemoryRevocationStore,
+  RevocationEntry,
+  RevocationStore,
+  StatusListCredential,
+  StatusListRevocationStore,
+} from "./revocation";
+export {
+  AgentCancelledError,
+  AgentError,
+  AgentErrorEnvelope,
+  AgentUnknownIntentError,
+  RESERVED_ERROR_CODES,
+  ReservedErrorCode,
+} from "./errors";
+export { AgentRemoteError, AgentServer, AgentTransportError, serializeError } from "./transport";
+export { WebSocketTransport, WebSocketTransportOptions, createWebSocketTransport } from "./websocket-transport";
+export { ServeAgentOptions, serveAgent } from "./websocket-server";
+export { HttpTransportOptions, createHttpTransport, intentRoute } from "./http-transport";
+export { HttpHandlerOptions, ServeAgentHttpOptions, createHttpHandler, httpStatusFor, serveAgentHttp } from "./http-server";
+export {
+  JsonRpcRequest,
+  JsonRpcResponse,
+  MCP_PROTOCOL_VERSIONS,
+  McpHandlerOptions,
+  McpStdioServer,
+  McpTool,
+  ServeMcpStdioOptions,
+  createMcpHandler,
+  serveMcpStdio,
+} from "./mcp-server";
+export { AgentProof, AgentProofError, ProofProvider, ProofVerifier, canonicalize, createEd25519Signer, createEd25519Verifier } from "./proof";
+
+export interface AgentTypeDescriptor {
+  name: string | null;
+  generic: string | null;
+  union: boolean;
+  nullable: boolean;
+  subtypes: AgentTypeDescriptor[];
+}
 
 export interface AgentMethodParam {
   name: string;
   type: string;
+  idlType: AgentTypeDescriptor;
+  optional: boolean;
+  variadic: boolean;
 }
 
 export interface AgentMethodDef {
   name: string;
   intent: string;
+  /** `intent` expanded against the interface's prefixes. */
+  intentIri: string;
   proof: string | null;
+  capability: string | null;
+  delegation: string | null;
+  audit: string | null;
+  delegationParam: string | null;
+  errors: string[];
+  stream: string | null;
   returnType: string;
+  returnIdlType: AgentTypeDescriptor;
   params: AgentMethodParam[];
 }
 
+export interface AgentDictionaryMember {
+  name: string;
+  type: string;
+  idlType: AgentTypeDescriptor;
+  required: boolean;
+}
+
+export interface AgentDictionaryDef {
+  name: string;
+  inheritance: string | null;
+  members: AgentDictionaryMember[];
+}
+
+export interface AgentTypeDefs {
+  dictionaries: Record<string, AgentDictionaryDef>;
+  enums: Record<string, string[]>;
+  typedefs: Record<string, AgentTypeDescriptor>;
+  callbacks: string[];
+}
+
 export interface AgentInterfaceDef {
   name: string;
   context: string | null;
   semantic: string | null;
+  inheritance: string | null;
+  /** Every prefix the document's CURIEs may use. */
+  prefixes: PrefixMap;
   methods: Record<string, AgentMethodDef>;
+  types: AgentTypeDefs;
 }
 
 export interface AgentMessage {
   from?: string;
   to?: string;
   intent: string;
-  proof?: string | null;
+  proof?: AgentProof | string | null;
   payload: Record<string, unknown>;
   timestamp?: string;
+  /** Unique id of the message; a message received twice runs its handler once. */
+  messageId?: string;
+  /** Caller-chosen key shared by retries of one request; takes precedence over `messageId`. */
+  idempotencyKey?: string;
+  /** Random nonce of a sealed message; covered by its signature like the fields above. */
+  nonce?: string;
+  /** Compact JWS sealing the message (see `envelope`); removed once the runtime has verified it. */
+  envelope?: string;
 }
 
-export interface AgentTransport {
-  send(message: AgentMessage): Promise<unknown>;
+export interface AgentSendOptions {
+  /** Aborting it cancels the call; the caller rejects with an `AgentCancelledError`. */
+  signal?: AbortSignal;
+  /** Receives each chunk of a `[Streaming]` operation, in order, before the result. */
+  onChunk?: (chunk: unknown) => void;
+  /** Sent as the message's `idempotencyKey`; reuse it when retrying the same request. */
+  idempotencyKey?: string;
 }
 
-function normalizeExtendedAttributes(idlSource: string): string {
-  return idlSource.replace(/\[\[/g, "[").replace(/\]\]/g, "]");
+export interface AgentTransport {
+  send(message: AgentMessage, options?: AgentSendOptions): Promise<unknown>;
 }
 
-function getExtAttrValue(extAttrs: webidl.ExtendedAttribute[] | undefined, name: string): string | null {
-  if (!extAttrs) return null;
-  const found = extAttrs.find(attr => attr.name === name);
-  if (!found) return null;
-  let value: string | null = null;
-  if (typeof found.rhs === "string") value = found.rhs;
-  if (found.rhs && typeof (found.rhs as any).value === "string") value = (found.rhs as any).value;
-  if (typeof value !== "string") return null;
-  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
-  return value;
+/** Second argument of every intent handler. */
+export interface AgentCallContext {
+  /** Fires when the caller cancels; long-running handlers should stop work. */
+  signal: AbortSignal;
+  /** Sends a chunk to the caller. Only `[Streaming]` operations may emit. */
+  emit(chunk: unknown): void;
 }
 
+export type AgentIntentHandler = (message: AgentMessage, call: AgentCallContext) => Promise<unknown> | unknown;
+
 function serializeIdlType(idlType: webidl.IDLTypeDescription | webidl.IDLTypeDescription[] | string | null): string {
   if (!idlType) return "any";
   if (typeof idlType === "string") return idlType;
@@ -70,78 +267,600 @@ function serializeIdlType(idlType: webidl.IDLTypeDescription | webidl.IDLTypeDes
   return "any";
 }
 
-export function loadAgentInterface(idlPath: string): AgentInterfaceDef {
-  const raw = fs.readFileSync(idlPath, "utf8");
-  const normalized = normalizeExtendedAttributes(raw);
-  const ast = webidl.parse(normalized);
-  const iface = ast.find(def => def.type === "interface") as webidl.InterfaceType | undefined;
-  if (!iface) {
-    throw new Error("No interface definition found in IDL.");
+function describeIdlType(idlType: webidl.IDLTypeDescription | webidl.IDLTypeDescription[] | string | null): AgentTypeDescriptor {
+  if (!idlType) return { name: "any", generic: null, union: false, nullable: false, subtypes: [] };
+  if (typeof idlType === "string") return { name: idlType, generic: null, union: false, nullable: false, subtypes: [] };
+  if (Array.isArray(idlType)) {
+    return { name: null, generic: null, union: true, nullable: false, subtypes: idlType.map(describeIdlType) };
+  }
+  const nullable = Boolean(idlType.nullable);
+  if (idlType.union && Array.isArray(idlType.idlType)) {
+    return { name: null, generic: null, union: true, nullable, subtypes: idlType.idlType.map(describeIdlType) };
+  }
+  if (idlType.generic) {
+    const inner = Array.isArray(idlType.idlType) ? idlType.idlType : [idlType.idlType as webidl.IDLTypeDescription];
+    return { name: null, generic: idlType.generic, union: false, nullable, subtypes: inner.map(describeIdlType) };
+  }
+  if (typeof idlType.idlType === "string") {
+    return { name: idlType.idlType, generic: null, union: false, nullable, subtypes: [] };
   }
+  const described = describeIdlType(idlType.idlType as webidl.IDLTypeDescription | webidl.IDLTypeDescription[]);
+  return { ...described, nullable: nullable || described.nullable };
+}
+
+function collectTypeDefs(ast: webidl.IDLRootType[]): AgentTypeDefs {
+  const types: AgentTypeDefs = { dictionaries: {}, enums: {}, typedefs: {}, callbacks: [] };
+  ast.forEach(def => {
+    if (def.type === "dictionary") {
+      const dictionary = types.dictionaries[def.name] || { name: def.name, inheritance: null, members: [] };
+      if (def.inheritance) dictionary.inheritance = def.inheritance;
+      def.members.forEach(member => {
+        dictionary.members.push({
+          name: member.name,
+          type: serializeIdlType(member.idlType),
+          idlType: describeIdlType(member.idlType),
+          required: member.required,
+        });
+      });
+      types.dictionaries[def.name] = dictionary;
+    } else if (def.type === "enum") {
+      types.enums[def.name] = def.values.map(entry => entry.value);
+    } else if (def.type === "typedef") {
+      types.typedefs[def.name] = describeIdlType(def.idlType);
+    } else if (def.type === "callback") {
+      types.callbacks.push(def.name);
+    }
+  });
+  return types;
+}
+
+export function findMethodByIntent(interfaceDef: AgentInterfaceDef, intent: string): AgentMethodDef | null {
+  const methods = Object.values(interfaceDef.methods);
+  return methods.find(method => method.intent === intent) || null;
+}
 
-  const context = getExtAttrValue(iface.extAttrs, "Context");
-  const semantic = getExtAttrValue(iface.extAttrs, "Semantic");
+const DELEGATION_PARAM_TYPE = "DelegationContext";
 
+function buildMethodDefs(
+  operations: webidl.OperationMemberType[],
+  types: AgentTypeDefs,
+  prefixes: PrefixMap
+): Record<string, AgentMethodDef> {
   const methods: Record<string, AgentMethodDef> = {};
-  iface.members.forEach(member => {
-    if (member.type !== "operation") return;
+  operations.forEach(member => {
     if (!member.name) return;
+    // expandCurie throws for a CURIE whose prefix is not declared.
+    CURIE_ATTRIBUTES.forEach(name => {
+      const value = getExtAttrValue(member.extAttrs, name);
+      if (value) expandCurie(value, prefixes);
+    });
     const intent = getExtAttrValue(member.extAttrs, "Intent") || "";
     const proof = getExtAttrValue(member.extAttrs, "Proof");
+    const capability = getExtAttrValue(member.extAttrs, "Capability");
+    const delegation = getExtAttrValue(member.extAttrs, "Delegation");
+    const audit = getExtAttrValue(member.extAttrs, "Audit");
+    const errors = getExtAttrList(member.extAttrs, "Throws");
+    const stream = getExtAttrValue(member.extAttrs, "Streaming");
     const params = member.arguments.map(arg => ({
       name: arg.name,
       type: serializeIdlType(arg.idlType),
+      idlType: describeIdlType(arg.idlType),
+      optional: arg.optional,
+      variadic: arg.variadic,
     }));
+    const delegationParam = params.find(param => param.idlType.name === DELEGATION_PARAM_TYPE);
+    if (delegation && !delegationParam) {
+      throw new Error(`Delegation attribute requires ${DELEGATION_PARAM_TYPE} parameter on ${member.name}`);
+    }
+    const undeclared = errors.find(code => !types.dictionaries[code]);
+    if (undeclared) {
+      throw new Error(`Throws on ${member.name} names ${undeclared}, which is not a dictionary.`);
+    }
+    if (stream && !types.dictionaries[stream]) {
+      throw new Error(`Streaming on ${member.name} names ${stream}, which is not a dictionary.`);
+    }
     methods[member.name] = {
       name: member.name,
       intent,
+      intentIri: expandCurie(intent, prefixes),
       proof,
+      capability,
+      delegation,
+      audit,
+      delegationParam: delegationParam ? delegationParam.name : null,
+      errors,
+      stream,
       returnType: serializeIdlType(member.idlType),
+      returnIdlType: describeIdlType(member.idlType),
       params,
     };
   });
+  return methods;
+}
 
-  return {
-    name: iface.name,
-    context,
-    semantic,
-    methods,
+export interface LoadInterfaceOptions {
+  /** Project prefixes, as in `agent-idl.config.json`, added to the defaults. */
+  prefixes?: PrefixMap;
+}
+
+export function loadAgentInterfaces(idlPath: string | string[], options: LoadInterfaceOptions = {}): Record<string, AgentInterfaceDef> {
+  const ast = parseIdlFiles(idlPath);
+  const types = collectTypeDefs(ast);
+  const prefixes = resolvePrefixes(ast, options.prefixes);
+
+  const interfaces: Record<string, AgentInterfaceDef> = {};
+  resolveInterfaces(ast).forEach(iface => {
+    interfaces[iface.name] = {
+      name: iface.name,
+      context: getExtAttrValue(iface.extAttrs, "Context"),
+      semantic: getExtAttrValue(iface.extAttrs, "Semantic"),
+      inheritance: iface.inheritance,
+      prefixes,
+      methods: buildMethodDefs(iface.operations, types, prefixes),
+      types,
+    };
+  });
+  return interfaces;
+}
+
+export function loadAgentInterface(
+  idlPath: string | string[],
+  interfaceName?: string,
+  options: LoadInterfaceOptions = {}
+): AgentInterfaceDef {
+  const interfaces = loadAgentInterfaces(idlPath, options);
+  const names = Object.keys(interfaces);
+  if (names.length === 0) {
+    throw new Error("No interface definition found in IDL.");
+  }
+  if (!interfaceName) return interfaces[names[0]];
+  if (!interfaces[interfaceName]) {
+    throw new Error(`Interface ${interfaceName} not found in IDL (available: ${names.join(", ")}).`);
+  }
+  return interfaces[interfaceName];
+}
+
+// Handlers may throw any error whose `code` the operation declares (such as the
+// generated error classes); it is re-thrown as an AgentError so it crosses the
+// wire with that code instead of `handler-error`.
+function asDeclaredError(method: AgentMethodDef | null, err: unknown): unknown {
+  if (!method || err instanceof AgentError || !(err instanceof Error)) return err;
+  const { code, data } = err as Error & { code?: unknown; data?: unknown };
+  if (typeof code !== "string" || !method.errors.includes(code)) return err;
+  const declared = new AgentError(code, err.message, data);
+  declared.name = err.name;
+  return declared;
+}
+
+// Looks the key up on every record so a rotated key store signs with its new key.
+function keyStoreAttestationSigner(keyStore: KeyStore): AttestationSigner {
+  return (record, issuedAt) => {
+    const key = keyStore.signingKey();
+    if (!key) throw new Error(`Key store for ${keyStore.did} holds no signing key.`);
+    return createEd25519AttestationSigner(key)(record, issuedAt);
   };
 }
 
+export interface AgentRuntimeOptions {
+  id: string;
+  interfaceDef: AgentInterfaceDef;
+  validatePayloads?: boolean;
+  validateResults?: boolean;
+  clock?: () => Date;
+  capabilityPolicy?: CapabilityPolicy;
+  attestationSigner?: AttestationSigner;
+  /** The agent's own keys; execution records are attested with its signing key unless `attestationSigner` is set. */
+  keyStore?: KeyStore;
+  /** Seals messages sent by `invokeIntent`. */
+  envelopeSealer?: MessageSealer;
+  /** Verifies sealed inbound messages before anything else runs. */
+  envelopeOpener?: EnvelopeOpener;
+  /** Reject unsealed messages, so every handler can trust `message.from`. */
+  requireEnvelopes?: boolean;
+  /** Remembers message ids and idempotency keys; defaults to a `MemoryReplayStore`. */
+  replayStore?: ReplayStore;
+  /** Messages stamped further than this from the runtime's clock are rejected (default 5 minutes). */
+  maxClockSkewMs?: number;
+  /** How long a completed request's result is returned to retries with its idempotency key (default 24 hours). */
+  replayTtlMs?: number;
+}
+
 export class AgentRuntime {
   public id: string;
   public interfaceDef: AgentInterfaceDef;
-  private intentHandlers: Map<string, (message: AgentMessage) => Promise<unknown> | unknown>;
+  public validatePayloads: boolean;
+  public validateResults: boolean;
+  public clock: () => Date;
+  public capabilityPolicy: CapabilityPolicy;
+  public attestationSigner: AttestationSigner | null;
+  public keyStore: KeyStore | null;
+  public envelopeSealer: MessageSealer | null;
+  public envelopeOpener: EnvelopeOpener | null;
+  public requireEnvelopes: boolean;
+  public replayStore: ReplayStore;
+  public maxClockSkewMs: number;
+  public replayTtlMs: number;
+  private intentHandlers: Map<string, AgentIntentHandler>;
+  private proofVerifiers: Map<string, ProofVerifier>;
+  private proofProviders: Map<string, ProofProvider>;
+  private delegationVerifiers: Map<string, DelegationVerifier>;
+  private revocationStores: RevocationStore[];
+  private auditSinks: AuditSink[];
+  private auditQueue: Promise<unknown>;
+  private middleware: AgentMiddleware[];
 
-  constructor({ id, interfaceDef }: { id: string; interfaceDef: AgentInterfaceDef }) {
+  constructor({
+    id,
+    interfaceDef,
+    validatePayloads = true,
+    validateResults = false,
+    clock = () => new Date(),
+    capabilityPolicy = new CapabilityPolicy(),
+    attestationSigner,
+    keyStore,
+    envelopeSealer,
+    envelopeOpener,
+    requireEnvelopes = false,
+    replayStore = new MemoryReplayStore(),
+    maxClockSkewMs = 5 * 60 * 1000,
+    replayTtlMs = 24 * 60 * 60 * 1000,
+  }: AgentRuntimeOptions) {
     this.id = id;
     this.interfaceDef = interfaceDef;
+    this.validatePayloads = validatePayloads;
+    this.validateResults = validateResults;
+    this.clock = clock;
+    this.capabilityPolicy = capabilityPolicy;
+    this.keyStore = keyStore || null;
+    this.attestationSigner = attestationSigner || (keyStore ? keyStoreAttestationSigner(keyStore) : null);
+    this.envelopeSealer = envelopeSealer || null;
+    this.envelopeOpener = envelopeOpener || null;
+    this.requireEnvelopes = requireEnvelopes;
+    this.replayStore = replayStore;
+    this.maxClockSkewMs = maxClockSkewMs;
+    this.replayTtlMs = replayTtlMs;
     this.intentHandlers = new Map();
+    this.proofVerifiers = new Map();
+    this.proofProviders = new Map();
+    this.delegationVerifiers = new Map();
+    this.revocationStores = [];
+    this.auditSinks = [];
+    this.auditQueue = Promise.resolve();
+    this.middleware = [];
   }
 
-  registerIntent(intent: string, handler: (message: AgentMessage) => Promise<unknown> | unknown) {
+  registerIntent(intent: string, handler: AgentIntentHandler) {
     this.intentHandlers.set(intent, handler);
   }
 
-  async receive(message: AgentMessage) {
+  hasIntentHandler(intent: string): boolean {
+    return this.intentHandlers.has(intent);
+  }
+
+  registerProofVerifier(proofType: string, verifier: ProofVerifier) {
+    this.proofVerifiers.set(proofType, verifier);
+  }
+
+  registerProofProvider(proofType: string, provider: ProofProvider) {
+    this.proofProviders.set(proofType, provider);
+  }
+
+  registerDelegationVerifier(proofType: string, verifier: DelegationVerifier) {
+    this.delegationVerifiers.set(proofType, verifier);
+  }
+
+  registerRevocationStore(store: RevocationStore) {
+    this.revocationStores.push(store);
+  }
+
+  /**
+   * Adds middleware around every received message, in registration order. It runs
+   * after the envelope is opened and the timestamp checked, and before proofs,
+   * delegation, capabilities and payload validation.
+   */
+  use(middleware: AgentMiddleware) {
+    this.middleware.push(middleware);
+  }
+
+  registerAuditSink(sink: AuditSink) {
+    if (sink.link && this.auditSinks.some(existing => existing.link)) {
+      throw new Error("Only one hash-chained audit sink can be registered per runtime.");
+    }
+    this.auditSinks.push(sink);
+  }
+
+  // The opened message is rebuilt from the signed claims, so nothing sent beside
+  // the envelope reaches the proof check, the policy or the handler.
+  private async openEnvelope(message: AgentMessage): Promise<AgentMessage> {
+    if (!message.envelope) {
+      if (this.requireEnvelopes) throw new AgentEnvelopeError(message.intent, "missing");
+      return message;
+    }
+    if (!this.envelopeOpener) {
+      throw new AgentEnvelopeError(message.intent, "unsupported", "no envelope opener configured");
+    }
+    try {
+      return await this.envelopeOpener(message, { recipient: this.id, now: this.clock() });
+    } catch (err) {
+      if (err instanceof AgentEnvelopeError) throw err;
+      throw new AgentEnvelopeError(message.intent, "invalid", (err as Error).message || String(err));
+    }
+  }
+
+  private checkFreshness(message: AgentMessage) {
+    if (message.timestamp === undefined) return;
+    const sentAt = Date.parse(message.timestamp);
+    if (Number.isNaN(sentAt) || Math.abs(this.clock().getTime() - sentAt) > this.maxClockSkewMs) {
+      throw new AgentReplayError(message.intent, "stale", `stamped ${message.timestamp}`);
+    }
+  }
+
+  // Keys are scoped to the sender so one caller cannot shadow another's. A message
+  // id only has to outlive the skew window on both sides of its timestamp, after
+  // which the message is stale anyway; idempotency keys are kept for `replayTtlMs`.
+  private async claimReplayKey(message: AgentMessage): Promise<{ key: string } | { result: unknown } | null> {
+    let id: string | null = null;
+    if (typeof message.idempotencyKey === "string") id = `key:${message.idempotencyKey}`;
+    else if (typeof message.messageId === "string") id = `id:${message.messageId}`;
+    if (!id) return null;
+    const key = `${message.from || ""} ${id}`;
+    const fingerprint = replayFingerprint(message.intent, message.payload);
+    const now = this.clock();
+    const evictable = typeof message.idempotencyKey !== "string";
+    const skewWindow = 2 * this.maxClockSkewMs;
+    let ttl = this.replayTtlMs;
+    if (Number.isFinite(skewWindow)) ttl = evictable ? skewWindow : Math.max(this.replayTtlMs, skewWindow);
+    let held: ReplayEntry | null;
+    try {
+      held = await this.replayStore.claim({
+        key,
+        fingerprint,
+        receivedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttl).toISOString(),
+        state: "pending",
+        evictable,
+      });
+    } catch (err) {
+      throw new AgentReplayError(message.intent, "unavailable", (err as Error).message);
+    }
+    if (!held) return { key };
+    if (held.fingerprint !== fingerprint) {
+      throw new AgentReplayError(message.intent, "conflict", `${id} was used for a different request`);
+    }
+    if (held.state !== "complete") throw new AgentReplayError(message.intent, "in-progress", `${id} is still running`);
+    return { result: held.result };
+  }
+
+  private async verifyProof(method: AgentMethodDef, message: AgentMessage) {
+    if (!method.proof) return;
+    const proof = message.proof;
+    if (!proof || typeof proof !== "object") {
+      throw new AgentProofError(message.intent, method.proof, "missing");
+    }
+    if (proof.type !== method.proof) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", `unexpected proof type ${proof.type}`);
+    }
+    const verifier = this.proofVerifiers.get(method.proof);
+    if (!verifier) {
+      throw new AgentProofError(message.intent, method.proof, "unsupported", "no verifier registered");
+    }
+    let verified = false;
+    try {
+      verified = await verifier(proof, message);
+    } catch (err) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", (err as Error).message || String(err));
+    }
+    if (!verified) {
+      throw new AgentProofError(message.intent, method.proof, "invalid", "verification failed");
+    }
+  }
+
+  private authorize(method: AgentMethodDef, message: AgentMessage, delegation: DelegationContext | null) {
+    if (!method.capability) return;
+    if (this.capabilityPolicy.holds(message.from, method.capability)) return;
+    if (delegation && this.capabilityPolicy.holds(delegation.issuer, method.capability)) return;
+    throw new AgentCapabilityError(message.intent, method.capability, message.from || null);
+  }
+
+  // Records are linked, signed and written one at a time so a chained sink never
+  // sees two records claiming the same predecessor.
+  private recordExecution(
+    method: AgentMethodDef,
+    message: AgentMessage,
+    dispatchedAt: string,
+    outcome: AuditTrailStep["step"],
+    result: unknown
+  ): Promise<ExecutionRecord> {
+    const pending = this.auditQueue.then(() => this.writeExecutionRecord(method, message, dispatchedAt, outcome, result));
+    this.auditQueue = pending.catch(() => undefined);
+    return pending;
+  }
+
+  private async writeExecutionRecord(
+    method: AgentMethodDef,
+    message: AgentMessage,
+    dispatchedAt: string,
+    outcome: AuditTrailStep["step"],
+    result: unknown
+  ): Promise<ExecutionRecord> {
+    const signer = this.attestationSigner as AttestationSigner;
+    const completedAt = this.clock().toISOString();
+    let unsigned: UnsignedExecutionRecord = {
+      taskId: crypto.randomUUID(),
+      agent: this.id,
+      intent: message.intent,
+      recordType: method.audit as string,
+      caller: message.from,
+      timestamp: dispatchedAt,
+      result,
+      auditTrail: [
+        { step: "dispatch", timestamp: dispatchedAt },
+        { step: outcome, timestamp: completedAt },
+      ],
+    };
+    for (const sink of this.auditSinks) {
+      if (sink.link) unsigned = await sink.link(unsigned);
+    }
+    const record: ExecutionRecord = { ...unsigned, attestation: await signer(unsigned, completedAt) };
+    for (const sink of this.auditSinks) {
+      await sink.write(record);
+    }
+    return record;
+  }
+
+  // The handler's signal follows the caller's. Once it fires the call rejects
+  // without waiting for the handler, which is passed to `onAbandoned` while it
+  // may still be running. Chunks emitted after the call has settled are dropped.
+  private async dispatch(
+    handler: AgentIntentHandler,
+    method: AgentMethodDef | null,
+    message: AgentMessage,
+    { signal, onChunk }: AgentSendOptions,
+    onAbandoned?: (running: Promise<unknown>) => void
+  ): Promise<unknown> {
+    if (signal && signal.aborted) throw new AgentCancelledError(message.intent);
+    const controller = new AbortController();
+    const cancelled = new Promise<never>((_, reject) => {
+      controller.signal.addEventListener("abort", () => reject(new AgentCancelledError(message.intent)), { once: true });
+    });
+    cancelled.catch(() => undefined);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    let settled = false;
+    const call: AgentCallContext = {
+      signal: controller.signal,
+      emit: chunk => {
+        if (method && !method.stream) {
+          throw new Error(`Intent ${message.intent} does not declare [Streaming] and cannot emit chunks.`);
+        }
+        if (settled || controller.signal.aborted) return;
+        if (method && this.validateResults) {
+          const issues = validateChunk(method, chunk, this.interfaceDef.types);
+          if (issues.length > 0) throw new AgentValidationError(message.intent, "chunk", issues);
+        }
+        if (onChunk) onChunk(chunk);
+      },
+    };
+    const running = Promise.resolve().then(() => handler(message, call));
+    try {
+      return await Promise.race([running, cancelled]);
+    } catch (err) {
+      if (controller.signal.aborted && onAbandoned) onAbandoned(running);
+      throw err;
+    } finally {
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async receive(received: AgentMessage, options: AgentSendOptions = {}) {
+    const message = await this.openEnvelope(received);
+    this.checkFreshness(message);
+    const method = findMethodByIntent(this.interfaceDef, message.intent);
+    // The operation is resolved again from the message that reaches the end of the
+    // chain, so a middleware that rewrites the intent gets that intent's checks.
+    const run = composeMiddleware(this.middleware, context =>
+      this.handleMessage(context.message, findMethodByIntent(this.interfaceDef, context.message.intent), context.options)
+    );
+    return run({ message, method, options, runtime: this });
+  }
+
+  private async handleMessage(message: AgentMessage, method: AgentMethodDef | null, options: AgentSendOptions) {
     const handler = this.intentHandlers.get(message.intent);
     if (!handler) {
-      throw new Error(`No handler registered for intent: ${message.intent}`);
+      throw new AgentUnknownIntentError(message.intent);
+    }
+
+    if (method) {
+      await this.verifyProof(method, message);
+    }
+    let delegation: DelegationContext | null = null;
+    if (method && method.delegation) {
+      const ctx = method.delegationParam ? message.payload[method.delegationParam] : undefined;
+      delegation = await verifyDelegationContext(ctx, {
+        intent: message.intent,
+        capability: method.capability,
+        caller: message.from,
+        now: this.clock(),
+        verifiers: this.delegationVerifiers,
+        revocationStores: this.revocationStores,
+      });
+    }
+    if (method) {
+      this.authorize(method, message, delegation);
+    }
+    if (method && this.validatePayloads) {
+      const issues = validatePayload(method, message.payload, this.interfaceDef.types);
+      if (issues.length > 0) throw new AgentValidationError(message.intent, "payload", issues);
     }
-    return handler(message);
+
+    const audited = method && method.audit ? method : null;
+    if (audited && !this.attestationSigner) {
+      throw new Error(`No attestation signer configured for audited intent: ${message.intent}`);
+    }
+    const claim = await this.claimReplayKey(message);
+    if (claim && "result" in claim) return claim.result;
+    const dispatchedAt = this.clock().toISOString();
+    let result: unknown;
+    // A cancelled handler may still be running, so its key is held until it settles:
+    // a retry then gets its result, or runs once it has failed.
+    let heldByHandler = false;
+    const holdClaim = (running: Promise<unknown>) => {
+      if (!claim) return;
+      heldByHandler = true;
+      running
+        .then(
+          value => this.replayStore.complete(claim.key, value),
+          () => this.replayStore.release(claim.key)
+        )
+        .catch(() => undefined);
+    };
+    try {
+      result = await this.dispatch(handler, method, message, options, holdClaim);
+      // Checked before the result is stored for replays or audited, so an invalid
+      // result is neither served again nor recorded as a completed execution.
+      if (method && this.validateResults) {
+        const issues = validateResult(method, result, this.interfaceDef.types);
+        if (issues.length > 0) throw new AgentValidationError(message.intent, "result", issues);
+      }
+    } catch (err) {
+      if (claim && !heldByHandler) await this.replayStore.release(claim.key);
+      if (audited) {
+        const failure = { error: { name: (err as Error).name, message: (err as Error).message || String(err) } };
+        await this.recordExecution(audited, message, dispatchedAt, "error", failure);
+      }
+      throw asDeclaredError(method, err);
+    }
+    if (claim) await this.replayStore.complete(claim.key, result);
+    if (audited) {
+      await this.recordExecution(audited, message, dispatchedAt, "complete", result);
+    }
+    return result;
   }
 
-  async invokeIntent(targetAgent: AgentRuntime, intent: string, payload: Record<string, unknown>, proof?: string | null) {
-    const message: AgentMessage = {
+  async invokeIntent(
+    targetAgent: AgentRuntime,
+    intent: string,
+    payload: Record<string, unknown>,
+    proof?: AgentProof | string | null,
+    options?: AgentSendOptions
+  ) {
+    let message: AgentMessage = {
       from: this.id,
       to: targetAgent.id,
       intent,
       proof: proof || null,
       payload,
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock().toISOString(),
+      messageId: crypto.randomUUID(),
     };
-    return targetAgent.receive(message);
+    if (options && options.idempotencyKey) message.idempotencyKey = options.idempotencyKey;
+    if (typeof proof === "string") {
+      const provider = this.proofProviders.get(proof);
+      if (provider) message.proof = await provider({ ...message, proof: null }, proof);
+    }
+    if (this.envelopeSealer) message = await this.envelopeSealer(message);
+    return targetAgent.receive(message, options);
   }
 
   async callMethod(targetAgent: AgentRuntime, methodName: string, ...args: unknown[]) {
@@ -169,6 +888,6 @@ export function createAgentClient({ runtime, target }: { runtime: AgentRuntime;
 
 export function createRuntimeTransport({ caller, target }: { caller: AgentRuntime; target: AgentRuntime }): AgentTransport {
   return {
-    send: ({ intent, payload, proof }) => caller.invokeIntent(target, intent, payload, proof),
+    send: ({ intent, payload, proof }, options) => caller.invokeIntent(target, intent, payload, proof, options),
   };
 }
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { canonicalize, ownKey } = require("./proof");
+
+class MemoryAuditSink {
+  constructor() {
+    this.records = [];
+  }
+
+  write(record) {
+    this.records.push(record);
+  }
+}
+
+class JsonlAuditSink {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  write(record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+}
+
+function attestationInput(record, attestation) {
+  return Buffer.from(canonicalize({ ...record, attestation }), "utf8");
+}
+
+function createEd25519AttestationSigner({ privateKey, keyId }) {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  return (record, issuedAt) => {
+    const header = { type: "ExecutionAttestation", algorithm: "Ed25519", keyId: keyId || record.agent, issuedAt };
+    const signature = crypto.sign(null, attestationInput(record, header), key);
+    return { ...header, proof: signature.toString("base64url") };
+  };
+}
+
+function verifyExecutionRecord(record, { publicKeys }) {
+  const { attestation, ...unsigned } = record;
+  if (!attestation || attestation.type !== "ExecutionAttestation" || attestation.algorithm !== "Ed25519") return false;
+  if (typeof attestation.keyId !== "string" || typeof attestation.proof !== "string") return false;
+  const publicKey = ownKey(publicKeys, attestation.keyId);
+  if (!publicKey) return false;
+  const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+  const { proof, ...header } = attestation;
+  return crypto.verify(null, attestationInput(unsigned, header), key, Buffer.from(proof, "base64url"));
+}
+
+function hashExecutionRecord(record) {
+  return `sha256:${crypto.createHash("sha256").update(canonicalize(record), "utf8").digest("hex")}`;
+}
+
+/**
+ * Append-only JSONL audit log in which every record carries its position and the
+ * hash of the record before it. Both are stamped before signing, so the
+ * attestation covers the link and no record can be dropped, reordered or edited
+ * without breaking the chain.
+ */
+class HashChainedAuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.head = undefined;
+  }
+
+  currentHead() {
+    if (this.head !== undefined) return this.head;
+    const lines = fs.existsSync(this.filePath)
+      ? fs.readFileSync(this.filePath, "utf8").split("\n").filter(line => line.trim())
+      : [];
+    if (lines.length === 0) {
+      this.head = null;
+    } else {
+      const last = JSON.parse(lines[lines.length - 1]);
+      this.head = { sequence: last.sequence, hash: hashExecutionRecord(last) };
+    }
+    return this.head;
+  }
+
+  link(record) {
+    const head = this.currentHead();
+    return { ...record, sequence: head ? head.sequence + 1 : 0, previousHash: head ? head.hash : null };
+  }
+
+  write(record) {
+    const head = this.currentHead();
+    const sequence = head ? head.sequence + 1 : 0;
+    if (record.sequence !== sequence || record.previousHash !== (head ? head.hash : null)) {
+      throw new Error(`Execution record ${record.taskId} does not extend ${this.filePath} at sequence ${sequence}.`);
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    this.head = { sequence, hash: hashExecutionRecord(record) };
+  }
+}
+
+function timestampsOf(record) {
+  const trail = Array.isArray(record.auditTrail) ? record.auditTrail.map(step => step.timestamp) : [];
+  const issuedAt = record.attestation ? [record.attestation.issuedAt] : [];
+  return [record.timestamp, ...trail, ...issuedAt];
+}
+
+/**
+ * Walks a hash-chained log. The chain alone cannot show that records were cut off
+ * its end, so pass the `expectedHead` (or `expectedCount`) recorded elsewhere to
+ * have a truncated log fail as `head`.
+ */
+function verifyAuditLog(source, { publicKeys, expectedHead, expectedCount }) {
+  const lines = source.split("\n");
+  let previous = null;
+  let records = 0;
+  let lastLine = 0;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    if (!lines[index].trim()) continue;
+    const line = index + 1;
+    const fail = (reason, detail, taskId = null) => ({
+      ok: false,
+      records,
+      failure: { line, taskId, reason, detail },
+    });
+
+    let record;
+    try {
+      record = JSON.parse(lines[index]);
+    } catch (err) {
+      return fail("parse", err.message);
+    }
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      return fail("parse", "line is not a JSON object");
+    }
+    const taskId = typeof record.taskId === "string" ? record.taskId : null;
+
+    const expectedHash = previous ? hashExecutionRecord(previous) : null;
+    if (record.previousHash !== expectedHash) {
+      return fail("link", `previousHash ${record.previousHash} does not match ${expectedHash}`, taskId);
+    }
+    if (record.sequence !== records) {
+      return fail("sequence", `expected sequence ${records}, found ${record.sequence}`, taskId);
+    }
+    if (!verifyExecutionRecord(record, { publicKeys })) {
+      return fail("signature", "attestation does not verify", taskId);
+    }
+    const times = timestampsOf(record).map(value => Date.parse(value));
+    if (times.some(Number.isNaN)) {
+      return fail("timestamp", "record contains an invalid timestamp", taskId);
+    }
+    const outOfOrder = times.findIndex((time, position) => position > 0 && time < times[position - 1]);
+    if (outOfOrder > 0) {
+      return fail("timestamp", "audit trail timestamps go backwards", taskId);
+    }
+    if (previous && Date.parse(record.attestation.issuedAt) < Date.parse(previous.attestation.issuedAt)) {
+      return fail("timestamp", `issued at ${record.attestation.issuedAt}, before the previous record`, taskId);
+    }
+
+    previous = record;
+    records += 1;
+    lastLine = line;
+  }
+
+  const head = previous ? hashExecutionRecord(previous) : null;
+  const taskId = previous && typeof previous.taskId === "string" ? previous.taskId : null;
+  const endsEarly = (detail) => ({
+    ok: false,
+    records,
+    failure: { line: lastLine, taskId, reason: "head", detail },
+  });
+  if (expectedCount !== undefined && records !== expectedCount) {
+    return endsEarly(`expected ${expectedCount} records, found ${records}`);
+  }
+  if (expectedHead !== undefined && head !== expectedHead) {
+    return endsEarly(`log ends at ${head}, expected ${expectedHead}`);
+  }
+  return { ok: true, records, head };
+}
+
+module.exports = {
+  MemoryAuditSink,
+  JsonlAuditSink,
+  HashChainedAuditLog,
+  createEd25519AttestationSigner,
+  hashExecutionRecord,
+  verifyAuditLog,
+  verifyExecutionRecord,
+};
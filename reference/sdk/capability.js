@@ -0,0 +1,55 @@
+const { AgentError } = require("./errors");
+
+class AgentCapabilityError extends AgentError {
+  constructor(intent, capability, caller) {
+    super("capability-denied", `Caller ${caller || "unknown"} lacks capability ${capability} for intent ${intent}`);
+    this.name = "AgentCapabilityError";
+    this.intent = intent;
+    this.capability = capability;
+    this.caller = caller;
+  }
+}
+
+/**
+ * Capabilities held by caller ids. A caller is entitled to a `[Capability]`
+ * operation when it holds the capability itself, or when it presents a verified
+ * delegation context whose issuer holds it (delegation passes authority on, it
+ * cannot create it).
+ */
+class CapabilityPolicy {
+  constructor(grants = {}) {
+    this.grants = new Map();
+    Object.keys(grants).forEach(subject => this.grant(subject, grants[subject]));
+  }
+
+  grant(subject, capabilities) {
+    const held = this.grants.get(subject) || new Set();
+    (Array.isArray(capabilities) ? capabilities : [capabilities]).forEach(capability => held.add(capability));
+    this.grants.set(subject, held);
+  }
+
+  revoke(subject, capabilities) {
+    if (capabilities === undefined) {
+      this.grants.delete(subject);
+      return;
+    }
+    const held = this.grants.get(subject);
+    if (!held) return;
+    (Array.isArray(capabilities) ? capabilities : [capabilities]).forEach(capability => held.delete(capability));
+  }
+
+  holds(subject, capability) {
+    if (!subject) return false;
+    const held = this.grants.get(subject);
+    return Boolean(held && held.has(capability));
+  }
+
+  capabilitiesOf(subject) {
+    return Array.from(this.grants.get(subject) || []);
+  }
+}
+
+module.exports = {
+  AgentCapabilityError,
+  CapabilityPolicy,
+};
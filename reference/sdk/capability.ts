@@ -0,0 +1,55 @@
+import { AgentError } from "./errors";
+
+export class AgentCapabilityError extends AgentError {
+  public intent: string;
+  public capability: string;
+  public caller: string | null;
+
+  constructor(intent: string, capability: string, caller: string | null) {
+    super("capability-denied", `Caller ${caller || "unknown"} lacks capability ${capability} for intent ${intent}`);
+    this.name = "AgentCapabilityError";
+    this.intent = intent;
+    this.capability = capability;
+    this.caller = caller;
+  }
+}
+
+/**
+ * Capabilities held by caller ids. A caller is entitled to a `[Capability]`
+ * operation when it holds the capability itself, or when it presents a verified
+ * delegation context whose issuer holds it (delegation passes authority on, it
+ * cannot create it).
+ */
+export class CapabilityPolicy {
+  private grants: Map<string, Set<string>> = new Map();
+
+  constructor(grants: Record<string, string[]> = {}) {
+    Object.keys(grants).forEach(subject => this.grant(subject, grants[subject]));
+  }
+
+  grant(subject: string, capabilities: string | string[]) {
+    const held = this.grants.get(subject) || new Set<string>();
+    (Array.isArray(capabilities) ? capabilities : [capabilities]).forEach(capability => held.add(capability));
+    this.grants.set(subject, held);
+  }
+
+  revoke(subject: string, capabilities?: string | string[]) {
+    if (capabilities === undefined) {
+      this.grants.delete(subject);
+      return;
+    }
+    const held = this.grants.get(subject);
+    if (!held) return;
+    (Array.isArray(capabilities) ? capabilities : [capabilities]).forEach(capability => held.delete(capability));
+  }
+
+  holds(subject: string | null | undefined, capability: string): boolean {
+    if (!subject) return false;
+    const held = this.grants.get(subject);
+    return Boolean(held && held.has(capability));
+  }
+
+  capabilitiesOf(subject: string): string[] {
+    return Array.from(this.grants.get(subject) || []);
+  }
+}
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const { didOf, resolvePublicKey } = require("./did");
+const { AgentError } = require("./errors");
+const { canonicalize, ownKey } = require("./proof");
+
+class AgentDelegationError extends AgentError {
+  constructor(intent, contextId, reason, detail) {
+    super("delegation-failed", `Delegation ${reason} for intent ${intent}: ${detail}`);
+    this.name = "AgentDelegationError";
+    this.intent = intent;
+    this.contextId = contextId;
+    this.reason = reason;
+  }
+}
+
+const REQUIRED_FIELDS = ["id", "issuer", "subject", "capability", "proof", "issuedAt", "expiresAt"];
+
+function capabilitySet(capability) {
+  if (typeof capability === "string") return [capability];
+  if (Array.isArray(capability)) return capability.filter(entry => typeof entry === "string");
+  return [];
+}
+
+function parseTime(value) {
+  return typeof value === "string" ? Date.parse(value) : NaN;
+}
+
+function withoutProof(signed) {
+  const { proof: _proof, ...rest } = signed;
+  return rest;
+}
+
+async function verifySignature(signed, verifiers, fail) {
+  const proof = signed.proof;
+  if (!proof || typeof proof.type !== "string") {
+    throw fail("signature", `no proof from ${signed.issuer}`);
+  }
+  const verifier = verifiers.get(proof.type);
+  if (!verifier) {
+    throw fail("signature", `no verifier registered for proof type ${proof.type}`);
+  }
+  let verified = false;
+  try {
+    verified = await verifier(signed, proof);
+  } catch (err) {
+    throw fail("signature", err.message || String(err));
+  }
+  if (!verified) {
+    throw fail("signature", `proof from ${signed.issuer} failed verification`);
+  }
+}
+
+async function verifyDelegationContext(ctx, check) {
+  const contextId = ctx && typeof ctx === "object" && typeof ctx.id === "string" ? ctx.id : null;
+  const fail = (reason, detail) => new AgentDelegationError(check.intent, contextId, reason, detail);
+
+  if (!ctx || typeof ctx !== "object" || Array.isArray(ctx)) {
+    throw fail("missing", "no delegation context supplied");
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => ctx[field] === undefined || ctx[field] === null);
+  if (missing.length > 0) {
+    throw fail("malformed", `missing ${missing.join(", ")}`);
+  }
+
+  const issuedAt = parseTime(ctx.issuedAt);
+  const expiresAt = parseTime(ctx.expiresAt);
+  if (Number.isNaN(issuedAt) || Number.isNaN(expiresAt)) {
+    throw fail("malformed", "issuedAt and expiresAt must be ISO timestamps");
+  }
+  const now = check.now.getTime();
+  if (now < issuedAt) throw fail("not-yet-valid", `issued at ${ctx.issuedAt}`);
+  if (now >= expiresAt) throw fail("expired", `expired at ${ctx.expiresAt}`);
+
+  if (ctx.revoked === true) {
+    throw fail("revoked", ctx.revokedAt ? `revoked at ${ctx.revokedAt}` : "context is revoked");
+  }
+
+  await verifySignature(ctx, check.verifiers, fail);
+
+  // Once a verifier checks revocation, a context naming a status list it does not
+  // hold is rejected: accepting it would skip the issuer's revocations.
+  const stores = check.revocationStores || [];
+  if (ctx.revocationList !== undefined && stores.length > 0) {
+    const index = ctx.revocationIndex;
+    if (typeof index !== "number" || !Number.isInteger(index) || index < 0) {
+      throw fail("malformed", `revocationIndex must be a non-negative integer for list ${ctx.revocationList}`);
+    }
+    if (!stores.some(store => store.holdsList && store.holdsList(ctx.revocationList))) {
+      throw fail("revocation-unavailable", `status list ${ctx.revocationList} is not held by this verifier`);
+    }
+  }
+  for (const store of stores) {
+    let entry;
+    try {
+      entry = await store.status(ctx);
+    } catch (err) {
+      throw fail("revocation-unavailable", (err).message || String(err));
+    }
+    if (entry) {
+      const detail = entry.reason || (entry.revokedAt ? `revoked at ${entry.revokedAt}` : "revoked by issuer");
+      throw fail("revoked", detail);
+    }
+  }
+
+  let granted = capabilitySet(ctx.capability);
+  let subject = ctx.subject;
+
+  const chain = ctx.delegationChain;
+  if (chain !== undefined) {
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw fail("chain", "delegationChain must be a non-empty array");
+    }
+    const root = chain[0];
+    if (root.issuer !== ctx.issuer || root.subject !== ctx.subject) {
+      throw fail("chain", "first hop must match the context issuer and subject");
+    }
+    for (let index = 0; index < chain.length; index += 1) {
+      const hop = chain[index];
+      if (!hop || typeof hop.issuer !== "string" || typeof hop.subject !== "string") {
+        throw fail("chain", `hop ${index} needs an issuer and subject`);
+      }
+      if (index > 0 && hop.issuer !== chain[index - 1].subject) {
+        throw fail("chain", `hop ${index} is issued by ${hop.issuer}, not ${chain[index - 1].subject}`);
+      }
+      const hopCapabilities = capabilitySet(hop.capability);
+      const escalated = hopCapabilities.filter(capability => !granted.includes(capability));
+      if (hopCapabilities.length === 0 || escalated.length > 0) {
+        throw fail("chain", `hop ${index} is not attenuated (${escalated.join(", ") || "no capability"})`);
+      }
+      if (hop.expiresAt !== undefined) {
+        const hopExpiry = parseTime(hop.expiresAt);
+        if (Number.isNaN(hopExpiry) || hopExpiry > expiresAt) {
+          throw fail("chain", `hop ${index} outlives the delegation context`);
+        }
+        if (now >= hopExpiry) throw fail("expired", `hop ${index} expired at ${hop.expiresAt}`);
+      }
+      if (index > 0 && hop.proof) {
+        await verifySignature(hop, check.verifiers, fail);
+      }
+      granted = hopCapabilities;
+      subject = hop.subject;
+    }
+  }
+
+  if (subject !== check.caller) {
+    throw fail("subject-mismatch", `delegated to ${subject}, but the caller is ${check.caller || "unknown"}`);
+  }
+  const wanted = check.capability ? [check.intent, check.capability] : [check.intent];
+  if (!wanted.some(capability => granted.includes(capability))) {
+    throw fail("capability-mismatch", `grants ${granted.join(", ")}, not ${wanted.join(" or ")}`);
+  }
+
+  return ctx;
+}
+
+/** Signs with the issuer's Ed25519 key; `keyId` names its verification method in the proof. */
+function signDelegationContext(signed, { privateKey, keyId, proofType = "VerifiableCredential" }) {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  const unsigned = withoutProof(signed);
+  const signature = crypto.sign(null, Buffer.from(canonicalize(unsigned), "utf8"), key);
+  const proof = { type: proofType, algorithm: "Ed25519", signature: signature.toString("base64url") };
+  if (keyId) proof.verificationMethod = keyId;
+  return { ...signed, proof };
+}
+
+/**
+ * Checks issuer signatures against `publicKeys` by issuer. Issuers missing there
+ * are resolved with `resolver`: the proof's `verificationMethod` (or the issuer's
+ * first one) must be an `assertionMethod` of the issuer's DID.
+ */
+function createEd25519DelegationVerifier({ publicKeys = {}, resolver }) {
+  return (signed, proof) => {
+    if (proof.algorithm !== "Ed25519" || typeof proof.signature !== "string") return false;
+    const signature = proof.signature;
+    const check = publicKey => {
+      const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+      return crypto.verify(null, Buffer.from(canonicalize(withoutProof(signed)), "utf8"), key, Buffer.from(signature, "base64url"));
+    };
+    const listed = ownKey(publicKeys, signed.issuer);
+    if (listed) return check(listed);
+    const keyId = typeof proof.verificationMethod === "string" ? proof.verificationMethod : signed.issuer;
+    if (!resolver || didOf(keyId) !== signed.issuer) return false;
+    return resolvePublicKey(resolver, keyId, "assertionMethod").then(key => (key ? check(key) : false));
+  };
+}
+
+module.exports = {
+  AgentDelegationError,
+  verifyDelegationContext,
+  signDelegationContext,
+  createEd25519DelegationVerifier,
+};
@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import { DidResolver, didOf, resolvePublicKey } from "./did";
+import { AgentError } from "./errors";
+import { canonicalize, ownKey } from "./proof";
+import type { RevocationEntry, RevocationStore } from "./revocation";
+
+export interface DelegationProof {
+  type: string;
+  [key: string]: unknown;
+}
+
+export interface DelegationHop {
+  issuer: string;
+  subject: string;
+  capability: string | string[];
+  expiresAt?: string;
+  proof?: DelegationProof;
+}
+
+export interface DelegationContext {
+  id: string;
+  issuer: string;
+  subject: string;
+  capability: string | string[];
+  proof: DelegationProof;
+  issuedAt: string;
+  expiresAt: string;
+  delegationChain?: DelegationHop[];
+  revoked?: boolean;
+  revokedAt?: string;
+  revocationList?: string;
+  revocationIndex?: number;
+  [key: string]: unknown;
+}
+
+export type DelegationVerifier = (
+  signed: DelegationContext | DelegationHop,
+  proof: DelegationProof
+) => boolean | Promise<boolean>;
+
+export type DelegationFailure =
+  | "missing"
+  | "malformed"
+  | "not-yet-valid"
+  | "expired"
+  | "revoked"
+  | "subject-mismatch"
+  | "capability-mismatch"
+  | "chain"
+  | "signature"
+  | "revocation-unavailable";
+
+export class AgentDelegationError extends AgentError {
+  public intent: string;
+  public contextId: string | null;
+  public reason: DelegationFailure;
+
+  constructor(intent: string, contextId: string | null, reason: DelegationFailure, detail: string) {
+    super("delegation-failed", `Delegation ${reason} for intent ${intent}: ${detail}`);
+    this.name = "AgentDelegationError";
+    this.intent = intent;
+    this.contextId = contextId;
+    this.reason = reason;
+  }
+}
+
+export interface DelegationCheck {
+  intent: string;
+  capability?: string | null;
+  caller: string | undefined;
+  now: Date;
+  verifiers: Map<string, DelegationVerifier>;
+  revocationStores?: RevocationStore[];
+}
+
+const REQUIRED_FIELDS = ["id", "issuer", "subject", "capability", "proof", "issuedAt", "expiresAt"];
+
+function capabilitySet(capability: unknown): string[] {
+  if (typeof capability === "string") return [capability];
+  if (Array.isArray(capability)) return capability.filter((entry): entry is string => typeof entry === "string");
+  return [];
+}
+
+function parseTime(value: unknown): number {
+  return typeof value === "string" ? Date.parse(value) : NaN;
+}
+
+function withoutProof<T extends { proof?: unknown }>(signed: T): Omit<T, "proof"> {
+  const { proof: _proof, ...rest } = signed;
+  return rest;
+}
+
+async function verifySignature(
+  signed: DelegationContext | DelegationHop,
+  verifiers: Map<string, DelegationVerifier>,
+  fail: (reason: DelegationFailure, detail: string) => AgentDelegationError
+) {
+  const proof = signed.proof;
+  if (!proof || typeof proof.type !== "string") {
+    throw fail("signature", `no proof from ${signed.issuer}`);
+  }
+  const verifier = verifiers.get(proof.type);
+  if (!verifier) {
+    throw fail("signature", `no verifier registered for proof type ${proof.type}`);
+  }
+  let verified = false;
+  try {
+    verified = await verifier(signed, proof);
+  } catch (err) {
+    throw fail("signature", (err as Error).message || String(err));
+  }
+  if (!verified) {
+    throw fail("signature", `proof from ${signed.issuer} failed verification`);
+  }
+}
+
+export async function verifyDelegationContext(ctx: unknown, check: DelegationCheck): Promise<DelegationContext> {
+  const contextId = ctx && typeof ctx === "object" && typeof (ctx as any).id === "string" ? (ctx as any).id : null;
+  const fail = (reason: DelegationFailure, detail: string) =>
+    new AgentDelegationError(check.intent, contextId, reason, detail);
+
+  if (!ctx || typeof ctx !== "object" || Array.isArray(ctx)) {
+    throw fail("missing", "no delegation context supplied");
+  }
+  const context = ctx as DelegationContext;
+
+  const missing = REQUIRED_FIELDS.filter(field => context[field] === undefined || context[field] === null);
+  if (missing.length > 0) {
+    throw fail("malformed", `missing ${missing.join(", ")}`);
+  }
+
+  const issuedAt = parseTime(context.issuedAt);
+  const expiresAt = parseTime(context.expiresAt);
+  if (Number.isNaN(issuedAt) || Number.isNaN(expiresAt)) {
+    throw fail("malformed", "issuedAt and expiresAt must be ISO timestamps");
+  }
+  const now = check.now.getTime();
+  if (now < issuedAt) throw fail("not-yet-valid", `issued at ${context.issuedAt}`);
+  if (now >= expiresAt) throw fail("expired", `expired at ${context.expiresAt}`);
+
+  if (context.revoked === true) {
+    throw fail("revoked", context.revokedAt ? `revoked at ${context.revokedAt}` : "context is revoked");
+  }
+
+  await verifySignature(context, check.verifiers, fail);
+
+  // Once a verifier checks revocation, a context naming a status list it does not
+  // hold is rejected: accepting it would skip the issuer's revocations.
+  const stores = check.revocationStores || [];
+  if (context.revocationList !== undefined && stores.length > 0) {
+    const index = context.revocationIndex;
+    if (typeof index !== "number" || !Number.isInteger(index) || index < 0) {
+      throw fail("malformed", `revocationIndex must be a non-negative integer for list ${context.revocationList}`);
+    }
+    if (!stores.some(store => store.holdsList && store.holdsList(context.revocationList as string))) {
+      throw fail("revocation-unavailable", `status list ${context.revocationList} is not held by this verifier`);
+    }
+  }
+  for (const store of stores) {
+    let entry: RevocationEntry | null;
+    try {
+      entry = await store.status(context);
+    } catch (err) {
+      throw fail("revocation-unavailable", (err as Error).message || String(err));
+    }
+    if (entry) {
+      const detail = entry.reason || (entry.revokedAt ? `revoked at ${entry.revokedAt}` : "revoked by issuer");
+      throw fail("revoked", detail);
+    }
+  }
+
+  let granted = capabilitySet(context.capability);
+  let subject = context.subject;
+
+  const chain = context.delegationChain;
+  if (chain !== undefined) {
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw fail("chain", "delegationChain must be a non-empty array");
+    }
+    const root = chain[0];
+    if (root.issuer !== context.issuer || root.subject !== context.subject) {
+      throw fail("chain", "first hop must match the context issuer and subject");
+    }
+    for (let index = 0; index < chain.length; index += 1) {
+      const hop = chain[index];
+      if (!hop || typeof hop.issuer !== "string" || typeof hop.subject !== "string") {
+        throw fail("chain", `hop ${index} needs an issuer and subject`);
+      }
+      if (index > 0 && hop.issuer !== chain[index - 1].subject) {
+        throw fail("chain", `hop ${index} is issued by ${hop.issuer}, not ${chain[index - 1].subject}`);
+      }
+      const hopCapabilities = capabilitySet(hop.capability);
+      const escalated = hopCapabilities.filter(capability => !granted.includes(capability));
+      if (hopCapabilities.length === 0 || escalated.length > 0) {
+        throw fail("chain", `hop ${index} is not attenuated (${escalated.join(", ") || "no capability"})`);
+      }
+      if (hop.expiresAt !== undefined) {
+        const hopExpiry = parseTime(hop.expiresAt);
+        if (Number.isNaN(hopExpiry) || hopExpiry > expiresAt) {
+          throw fail("chain", `hop ${index} outlives the delegation context`);
+        }
+        if (now >= hopExpiry) throw fail("expired", `hop ${index} expired at ${hop.expiresAt}`);
+      }
+      if (index > 0 && hop.proof) {
+        await verifySignature(hop, check.verifiers, fail);
+      }
+      granted = hopCapabilities;
+      subject = hop.subject;
+    }
+  }
+
+  if (subject !== check.caller) {
+    throw fail("subject-mismatch", `delegated to ${subject}, but the caller is ${check.caller || "unknown"}`);
+  }
+  const wanted = check.capability ? [check.intent, check.capability] : [check.intent];
+  if (!wanted.some(capability => granted.includes(capability))) {
+    throw fail("capability-mismatch", `grants ${granted.join(", ")}, not ${wanted.join(" or ")}`);
+  }
+
+  return context;
+}
+
+/** Signs with the issuer's Ed25519 key; `keyId` names its verification method in the proof. */
+export function signDelegationContext<T extends DelegationContext | DelegationHop>(
+  signed: T,
+  {
+    privateKey,
+    keyId,
+    proofType = "VerifiableCredential",
+  }: { privateKey: crypto.KeyObject | string; keyId?: string; proofType?: string }
+): T {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  const unsigned = withoutProof(signed);
+  const signature = crypto.sign(null, Buffer.from(canonicalize(unsigned), "utf8"), key);
+  const proof: DelegationProof = { type: proofType, algorithm: "Ed25519", signature: signature.toString("base64url") };
+  if (keyId) proof.verificationMethod = keyId;
+  return { ...signed, proof };
+}
+
+/**
+ * Checks issuer signatures against `publicKeys` by issuer. Issuers missing there
+ * are resolved with `resolver`: the proof's `verificationMethod` (or the issuer's
+ * first one) must be an `assertionMethod` of the issuer's DID.
+ */
+export function createEd25519DelegationVerifier({
+  publicKeys = {},
+  resolver,
+}: {
+  publicKeys?: Record<string, crypto.KeyObject | string>;
+  resolver?: DidResolver;
+}): DelegationVerifier {
+  return (signed, proof) => {
+    if (proof.algorithm !== "Ed25519" || typeof proof.signature !== "string") return false;
+    const signature = proof.signature;
+    const check = (publicKey: crypto.KeyObject | string) => {
+      const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+      return crypto.verify(null, Buffer.from(canonicalize(withoutProof(signed)), "utf8"), key, Buffer.from(signature, "base64url"));
+    };
+    const listed = ownKey(publicKeys, signed.issuer);
+    if (listed) return check(listed);
+    const keyId = typeof proof.verificationMethod === "string" ? proof.verificationMethod : signed.issuer;
+    if (!resolver || didOf(keyId) !== signed.issuer) return false;
+    return resolvePublicKey(resolver, keyId, "assertionMethod").then(key => (key ? check(key) : false));
+  };
+}
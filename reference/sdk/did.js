@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/** A key reference (`did:...#fragment`, a bare DID or a plain agent id) without its fragment. */
+function didOf(keyId) {
+  const hash = keyId.indexOf("#");
+  return hash >= 0 ? keyId.slice(0, hash) : keyId;
+}
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function encodeBase58(bytes) {
+  let value = BigInt(`0x${bytes.toString("hex") || "0"}`);
+  let encoded = "";
+  while (value > BigInt(0)) {
+    encoded = BASE58[Number(value % BigInt(58))] + encoded;
+    value /= BigInt(58);
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+function decodeBase58(text) {
+  let value = BigInt(0);
+  for (const char of text) {
+    const digit = BASE58.indexOf(char);
+    if (digit < 0) return null;
+    value = value * BigInt(58) + BigInt(digit);
+  }
+  const hex = value === BigInt(0) ? "" : value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+  const zeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+// Multicodec prefixes of the raw public keys did:key and Multikey carry.
+const MULTICODEC = {
+  ed25519: Buffer.from([0xed, 0x01]),
+  x25519: Buffer.from([0xec, 0x01]),
+};
+
+function multibaseFromPublicKey(publicKey) {
+  const curve = publicKey.asymmetricKeyType;
+  const prefix = MULTICODEC[curve];
+  if (!prefix) throw new Error(`did:key supports Ed25519 and X25519 keys, not ${curve}.`);
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+  return `z${encodeBase58(Buffer.concat([prefix, raw]))}`;
+}
+
+function publicKeyFromMultibase(multibase) {
+  const decoded = multibase.startsWith("z") ? decodeBase58(multibase.slice(1)) : null;
+  if (!decoded) return null;
+  const curve = Object.keys(MULTICODEC).find(name => decoded.subarray(0, 2).equals(MULTICODEC[name]));
+  if (!curve || decoded.length !== 34) return null;
+  const crv = curve === "ed25519" ? "Ed25519" : "X25519";
+  return crypto.createPublicKey({ key: { kty: "OKP", crv, x: decoded.subarray(2).toString("base64url") }, format: "jwk" });
+}
+
+/** The `did:key` identifier of an Ed25519 or X25519 public key. */
+function didKeyFromPublicKey(publicKey) {
+  const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+  return `did:key:${multibaseFromPublicKey(key)}`;
+}
+
+/**
+ * Resolves `did:key` offline: the identifier is the key. Ed25519 keys are listed
+ * for authentication and assertions, X25519 keys for key agreement.
+ */
+class DidKeyResolver {
+  resolve(did) {
+    const multibase = did.startsWith("did:key:") ? did.slice("did:key:".length) : "";
+    const publicKey = multibase ? publicKeyFromMultibase(multibase) : null;
+    if (!publicKey) return null;
+    const signing = publicKey.asymmetricKeyType === "ed25519";
+    const method = {
+      id: `${did}#${multibase}`,
+      type: signing ? "Ed25519VerificationKey2020" : "X25519KeyAgreementKey2020",
+      controller: did,
+      publicKeyMultibase: multibase,
+    };
+    const relationships = signing ? { authentication: [method.id], assertionMethod: [method.id] } : { keyAgreement: [method.id] };
+    return { "@context": "https://www.w3.org/ns/did/v1", id: did, verificationMethod: [method], ...relationships };
+  }
+}
+
+/**
+ * Resolves `did:web` from a local mirror instead of over HTTPS:
+ * `did:web:example.com` reads `<root>/example.com/.well-known/did.json` and
+ * `did:web:example.com:agents:buyer` reads `<root>/example.com/agents/buyer/did.json`.
+ * Files are read on every lookup, so rotated documents take effect immediately.
+ */
+class DidWebFileResolver {
+  constructor(root) {
+    this.root = root;
+  }
+
+  resolve(did) {
+    if (!did.startsWith("did:web:")) return null;
+    const segments = did.slice("did:web:".length).split(":").map(decodeURIComponent);
+    if (segments.some(segment => !segment || segment === "." || segment === ".." || /[\\/]/.test(segment))) return null;
+    const [host, ...rest] = segments;
+    const filePath = path.join(this.root, host, ...(rest.length > 0 ? rest : [".well-known"]), "did.json");
+    if (!fs.existsSync(filePath)) return null;
+    const document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return document && document.id === did ? document : null;
+  }
+}
+
+/** Documents held in memory, e.g. for `did:example` identities in tests. */
+class MemoryDidResolver {
+  constructor(documents = []) {
+    this.documents = new Map();
+    documents.forEach(document => this.add(document));
+  }
+
+  add(document) {
+    this.documents.set(document.id, document);
+  }
+
+  resolve(did) {
+    return this.documents.get(did) || null;
+  }
+}
+
+/** Dispatches on the DID method: `combineDidResolvers({ key: new DidKeyResolver(), web: ... })`. */
+function combineDidResolvers(methods) {
+  return {
+    resolve: did => {
+      const method = did.split(":")[1];
+      const resolver = did.startsWith("did:") && method ? methods[method] : undefined;
+      return resolver ? resolver.resolve(did) : null;
+    },
+  };
+}
+
+function methodKey(method) {
+  try {
+    if (method.publicKeyJwk) return crypto.createPublicKey({ key: method.publicKeyJwk, format: "jwk" });
+    if (method.publicKeyMultibase) return publicKeyFromMultibase(method.publicKeyMultibase);
+  } catch (err) {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Public key of the verification method `keyId` names, provided its document lists
+ * it under `purpose`. A bare DID picks the first method listed for `purpose`.
+ * Returns null when the DID does not resolve, the method is missing or listed for
+ * another purpose, or its key is not Ed25519 (X25519 for `keyAgreement`).
+ */
+async function resolvePublicKey(resolver, keyId, purpose) {
+  const did = didOf(keyId);
+  if (!did.startsWith("did:")) return null;
+  const document = await resolver.resolve(did);
+  if (!document || document.id !== did) return null;
+  const expand = ref => (ref.startsWith("#") ? `${did}${ref}` : ref);
+  const declared = document.verificationMethod || [];
+  const listed = (document[purpose] || []).map(entry =>
+    typeof entry === "string" ? declared.find(method => expand(method.id) === expand(entry)) : entry
+  );
+  const method = keyId === did ? listed[0] : listed.find(entry => entry && expand(entry.id) === keyId);
+  const key = method ? methodKey(method) : null;
+  const curve = purpose === "keyAgreement" ? "x25519" : "ed25519";
+  return key && key.asymmetricKeyType === curve ? key : null;
+}
+
+/** Resolves several key ids at once, for the synchronous verifiers that take a `publicKeys` map. */
+async function resolvePublicKeys(resolver, keyIds, purpose) {
+  const publicKeys = {};
+  for (const keyId of new Set(keyIds)) {
+    const key = await resolvePublicKey(resolver, keyId, purpose);
+    if (key) publicKeys[keyId] = key;
+  }
+  return publicKeys;
+}
+
+module.exports = {
+  DidKeyResolver,
+  DidWebFileResolver,
+  MemoryDidResolver,
+  combineDidResolvers,
+  didKeyFromPublicKey,
+  didOf,
+  resolvePublicKey,
+  resolvePublicKeys,
+};
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export type VerificationRelationship = "authentication" | "assertionMethod" | "keyAgreement";
+
+export interface VerificationMethod {
+  id: string;
+  type: string;
+  controller: string;
+  publicKeyMultibase?: string;
+  publicKeyJwk?: crypto.JsonWebKey;
+}
+
+export interface DidDocument {
+  "@context"?: string | string[];
+  id: string;
+  verificationMethod?: VerificationMethod[];
+  authentication?: (string | VerificationMethod)[];
+  assertionMethod?: (string | VerificationMethod)[];
+  keyAgreement?: (string | VerificationMethod)[];
+  [key: string]: unknown;
+}
+
+export interface DidResolver {
+  /** The document for `did`, or null when it cannot be resolved. */
+  resolve(did: string): DidDocument | null | Promise<DidDocument | null>;
+}
+
+/** A key reference (`did:...#fragment`, a bare DID or a plain agent id) without its fragment. */
+export function didOf(keyId: string): string {
+  const hash = keyId.indexOf("#");
+  return hash >= 0 ? keyId.slice(0, hash) : keyId;
+}
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function encodeBase58(bytes: Buffer): string {
+  let value = BigInt(`0x${bytes.toString("hex") || "0"}`);
+  let encoded = "";
+  while (value > BigInt(0)) {
+    encoded = BASE58[Number(value % BigInt(58))] + encoded;
+    value /= BigInt(58);
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+function decodeBase58(text: string): Buffer | null {
+  let value = BigInt(0);
+  for (const char of text) {
+    const digit = BASE58.indexOf(char);
+    if (digit < 0) return null;
+    value = value * BigInt(58) + BigInt(digit);
+  }
+  const hex = value === BigInt(0) ? "" : value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+  const zeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+// Multicodec prefixes of the raw public keys did:key and Multikey carry.
+const MULTICODEC: Record<string, Buffer> = {
+  ed25519: Buffer.from([0xed, 0x01]),
+  x25519: Buffer.from([0xec, 0x01]),
+};
+
+function multibaseFromPublicKey(publicKey: crypto.KeyObject): string {
+  const curve = publicKey.asymmetricKeyType as string;
+  const prefix = MULTICODEC[curve];
+  if (!prefix) throw new Error(`did:key supports Ed25519 and X25519 keys, not ${curve}.`);
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x as string, "base64url");
+  return `z${encodeBase58(Buffer.concat([prefix, raw]))}`;
+}
+
+function publicKeyFromMultibase(multibase: string): crypto.KeyObject | null {
+  const decoded = multibase.startsWith("z") ? decodeBase58(multibase.slice(1)) : null;
+  if (!decoded) return null;
+  const curve = Object.keys(MULTICODEC).find(name => decoded.subarray(0, 2).equals(MULTICODEC[name]));
+  if (!curve || decoded.length !== 34) return null;
+  const crv = curve === "ed25519" ? "Ed25519" : "X25519";
+  return crypto.createPublicKey({ key: { kty: "OKP", crv, x: decoded.subarray(2).toString("base64url") }, format: "jwk" });
+}
+
+/** The `did:key` identifier of an Ed25519 or X25519 public key. */
+export function didKeyFromPublicKey(publicKey: crypto.KeyObject | string): string {
+  const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+  return `did:key:${multibaseFromPublicKey(key)}`;
+}
+
+/**
+ * Resolves `did:key` offline: the identifier is the key. Ed25519 keys are listed
+ * for authentication and assertions, X25519 keys for key agreement.
+ */
+export class DidKeyResolver implements DidResolver {
+  resolve(did: string): DidDocument | null {
+    const multibase = did.startsWith("did:key:") ? did.slice("did:key:".length) : "";
+    const publicKey = multibase ? publicKeyFromMultibase(multibase) : null;
+    if (!publicKey) return null;
+    const signing = publicKey.asymmetricKeyType === "ed25519";
+    const method: VerificationMethod = {
+      id: `${did}#${multibase}`,
+      type: signing ? "Ed25519VerificationKey2020" : "X25519KeyAgreementKey2020",
+      controller: did,
+      publicKeyMultibase: multibase,
+    };
+    const relationships = signing ? { authentication: [method.id], assertionMethod: [method.id] } : { keyAgreement: [method.id] };
+    return { "@context": "https://www.w3.org/ns/did/v1", id: did, verificationMethod: [method], ...relationships };
+  }
+}
+
+/**
+ * Resolves `did:web` from a local mirror instead of over HTTPS:
+ * `did:web:example.com` reads `<root>/example.com/.well-known/did.json` and
+ * `did:web:example.com:agents:buyer` reads `<root>/example.com/agents/buyer/did.json`.
+ * Files are read on every lookup, so rotated documents take effect immediately.
+ */
+export class DidWebFileResolver implements DidResolver {
+  public root: string;
+
+  constructor(root: string) {
+    this.root = root;
+  }
+
+  resolve(did: string): DidDocument | null {
+    if (!did.startsWith("did:web:")) return null;
+    const segments = did.slice("did:web:".length).split(":").map(decodeURIComponent);
+    if (segments.some(segment => !segment || segment === "." || segment === ".." || /[\\/]/.test(segment))) return null;
+    const [host, ...rest] = segments;
+    const filePath = path.join(this.root, host, ...(rest.length > 0 ? rest : [".well-known"]), "did.json");
+    if (!fs.existsSync(filePath)) return null;
+    const document = JSON.parse(fs.readFileSync(filePath, "utf8")) as DidDocument;
+    return document && document.id === did ? document : null;
+  }
+}
+
+/** Documents held in memory, e.g. for `did:example` identities in tests. */
+export class MemoryDidResolver implements DidResolver {
+  private documents: Map<string, DidDocument> = new Map();
+
+  constructor(documents: DidDocument[] = []) {
+    documents.forEach(document => this.add(document));
+  }
+
+  add(document: DidDocument) {
+    this.documents.set(document.id, document);
+  }
+
+  resolve(did: string) {
+    return this.documents.get(did) || null;
+  }
+}
+
+/** Dispatches on the DID method: `combineDidResolvers({ key: new DidKeyResolver(), web: ... })`. */
+export function combineDidResolvers(methods: Record<string, DidResolver>): DidResolver {
+  return {
+    resolve: did => {
+      const method = did.split(":")[1];
+      const resolver = did.startsWith("did:") && method ? methods[method] : undefined;
+      return resolver ? resolver.resolve(did) : null;
+    },
+  };
+}
+
+function methodKey(method: VerificationMethod): crypto.KeyObject | null {
+  try {
+    if (method.publicKeyJwk) return crypto.createPublicKey({ key: method.publicKeyJwk, format: "jwk" });
+    if (method.publicKeyMultibase) return publicKeyFromMultibase(method.publicKeyMultibase);
+  } catch (err) {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Public key of the verification method `keyId` names, provided its document lists
+ * it under `purpose`. A bare DID picks the first method listed for `purpose`.
+ * Returns null when the DID does not resolve, the method is missing or listed for
+ * another purpose, or its key is not Ed25519 (X25519 for `keyAgreement`).
+ */
+export async function resolvePublicKey(
+  resolver: DidResolver,
+  keyId: string,
+  purpose: VerificationRelationship
+): Promise<crypto.KeyObject | null> {
+  const did = didOf(keyId);
+  if (!did.startsWith("did:")) return null;
+  const document = await resolver.resolve(did);
+  if (!document || document.id !== did) return null;
+  const expand = (ref: string) => (ref.startsWith("#") ? `${did}${ref}` : ref);
+  const declared = document.verificationMethod || [];
+  const listed = (document[purpose] || []).map(entry =>
+    typeof entry === "string" ? declared.find(method => expand(method.id) === expand(entry)) : entry
+  );
+  const method = keyId === did ? listed[0] : listed.find(entry => entry && expand(entry.id) === keyId);
+  const key = method ? methodKey(method) : null;
+  const curve = purpose === "keyAgreement" ? "x25519" : "ed25519";
+  return key && key.asymmetricKeyType === curve ? key : null;
+}
+
+/** Resolves several key ids at once, for the synchronous verifiers that take a `publicKeys` map. */
+export async function resolvePublicKeys(
+  resolver: DidResolver,
+  keyIds: string[],
+  purpose: VerificationRelationship
+): Promise<Record<string, crypto.KeyObject>> {
+  const publicKeys: Record<string, crypto.KeyObject> = {};
+  for (const keyId of new Set(keyIds)) {
+    const key = await resolvePublicKey(resolver, keyId, purpose);
+    if (key) publicKeys[keyId] = key;
+  }
+  return publicKeys;
+}
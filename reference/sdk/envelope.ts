@@ -0,0 +1,251 @@
+import crypto from "crypto";
+import type { AgentMessage } from "./agent-sdk";
+import { DidResolver, didOf, resolvePublicKey } from "./did";
+import { AgentError } from "./errors";
+import { canonicalize, ownKey } from "./proof";
+
+/*
+ * Signed and encrypted message envelopes. A sealed message keeps its routing
+ * fields in the clear for transports and carries
+ *
+ *   envelope   <compact JWS, EdDSA>   claims { id, nonce, from, to, intent, timestamp, proof, payload, idempotencyKey? }
+ *
+ * The JWS `kid` is the sender's agent id, or a verification method of the sender's
+ * DID, so a verified envelope proves `from`.
+ * When the sealer holds the recipient's X25519 key, `payload` is replaced in the
+ * claims by `encrypted`, a compact JWE (ECDH-ES, A256GCM) of the payload, and the
+ * cleartext payload is sent empty. The receiving runtime rebuilds the message from
+ * the claims, so handlers only ever see signed fields.
+ */
+
+export interface AgentEnvelopeClaims {
+  id: string;
+  nonce: string;
+  from: string;
+  to: string;
+  intent: string;
+  timestamp: string;
+  proof: AgentMessage["proof"];
+  payload?: Record<string, unknown>;
+  encrypted?: string;
+  idempotencyKey?: string;
+}
+
+export type MessageSealer = (message: AgentMessage) => AgentMessage | Promise<AgentMessage>;
+
+export type EnvelopeOpener = (
+  message: AgentMessage,
+  context: { recipient: string; now: Date }
+) => AgentMessage | Promise<AgentMessage>;
+
+export type AgentEnvelopeFailure = "missing" | "unsupported" | "invalid" | "expired";
+
+export class AgentEnvelopeError extends AgentError {
+  public intent: string;
+  public reason: AgentEnvelopeFailure;
+
+  constructor(intent: string, reason: AgentEnvelopeFailure, detail?: string) {
+    const suffix = detail ? `: ${detail}` : "";
+    super("envelope-failed", `Envelope ${reason} for intent ${intent}${suffix}`);
+    this.name = "AgentEnvelopeError";
+    this.intent = intent;
+    this.reason = reason;
+  }
+}
+
+const JWS_TYPE = "agent-message+jws";
+const CONTENT_ENCRYPTION = "A256GCM";
+
+function toPrivateKey(key: crypto.KeyObject | string): crypto.KeyObject {
+  return typeof key === "string" ? crypto.createPrivateKey(key) : key;
+}
+
+function toPublicKey(key: crypto.KeyObject | string): crypto.KeyObject {
+  return typeof key === "string" ? crypto.createPublicKey(key) : key;
+}
+
+function encodeSegment(value: unknown): string {
+  return Buffer.from(typeof value === "string" ? value : canonicalize(value), "utf8").toString("base64url");
+}
+
+function decodeSegment(segment: string): any {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// Concat KDF (RFC 7518, section 4.6) for direct key agreement with empty party info.
+function deriveContentKey(secret: Buffer): Buffer {
+  const lengthPrefixed = (value: Buffer) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(value.length);
+    return Buffer.concat([length, value]);
+  };
+  const round = Buffer.from([0, 0, 0, 1]);
+  const keyBits = Buffer.alloc(4);
+  keyBits.writeUInt32BE(256);
+  const otherInfo = Buffer.concat([
+    lengthPrefixed(Buffer.from(CONTENT_ENCRYPTION, "ascii")),
+    lengthPrefixed(Buffer.alloc(0)),
+    lengthPrefixed(Buffer.alloc(0)),
+    keyBits,
+  ]);
+  return crypto.createHash("sha256").update(Buffer.concat([round, secret, otherInfo])).digest();
+}
+
+function encryptPayload(payload: Record<string, unknown>, recipient: string, publicKey: crypto.KeyObject): string {
+  const ephemeral = crypto.generateKeyPairSync("x25519");
+  const { kty, crv, x } = ephemeral.publicKey.export({ format: "jwk" });
+  const header = encodeSegment({ alg: "ECDH-ES", enc: CONTENT_ENCRYPTION, kid: recipient, epk: { kty, crv, x } });
+  const key = deriveContentKey(crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey }));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(header, "ascii"));
+  const ciphertext = Buffer.concat([cipher.update(canonicalize(payload), "utf8"), cipher.final()]);
+  return [header, "", iv.toString("base64url"), ciphertext.toString("base64url"), cipher.getAuthTag().toString("base64url")].join(".");
+}
+
+function decryptPayload(jwe: string, privateKey: crypto.KeyObject): Record<string, unknown> {
+  const [header, encryptedKey, iv, ciphertext, tag, ...rest] = jwe.split(".");
+  if (rest.length > 0 || tag === undefined || encryptedKey !== "") throw new Error("payload is not a compact ECDH-ES JWE");
+  const { alg, enc, epk } = decodeSegment(header);
+  if (alg !== "ECDH-ES" || enc !== CONTENT_ENCRYPTION) throw new Error(`unsupported JWE algorithm ${alg}/${enc}`);
+  const publicKey = crypto.createPublicKey({ key: epk, format: "jwk" });
+  const key = deriveContentKey(crypto.diffieHellman({ privateKey, publicKey }));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAAD(Buffer.from(header, "ascii"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+/**
+ * Seals outbound messages with the sender's Ed25519 key, named by `keyId` (default:
+ * the sender id). Payloads are encrypted for agents listed in `recipients` (X25519
+ * public keys by agent id) or whose DID lists a `keyAgreement` key with `resolver`.
+ * `recipient` fills in `to` for transports, whose messages usually leave it unset;
+ * a message with neither is refused, since an unaddressed envelope opens anywhere.
+ */
+export function createEnvelopeSealer({
+  privateKey,
+  keyId,
+  recipient,
+  recipients = {},
+  resolver,
+}: {
+  privateKey: crypto.KeyObject | string;
+  keyId?: string;
+  recipient?: string;
+  recipients?: Record<string, crypto.KeyObject | string>;
+  resolver?: DidResolver;
+}): MessageSealer {
+  const key = toPrivateKey(privateKey);
+  return async message => {
+    if (!message.from) throw new Error(`Cannot seal a message for intent ${message.intent} without a sender id.`);
+    const to = message.to || recipient;
+    if (!to) throw new Error(`Cannot seal a message for intent ${message.intent} without a recipient.`);
+    const encryptFor = ownKey(recipients, to) || (resolver ? await resolvePublicKey(resolver, to, "keyAgreement") : null);
+    const claims: AgentEnvelopeClaims = {
+      id: message.messageId || crypto.randomUUID(),
+      nonce: crypto.randomBytes(16).toString("base64url"),
+      from: message.from,
+      to,
+      intent: message.intent,
+      timestamp: message.timestamp || new Date().toISOString(),
+      proof: message.proof ?? null,
+    };
+    if (message.idempotencyKey) claims.idempotencyKey = message.idempotencyKey;
+    if (encryptFor) claims.encrypted = encryptPayload(message.payload, to, toPublicKey(encryptFor));
+    else claims.payload = message.payload;
+
+    const signingInput = `${encodeSegment({ alg: "EdDSA", kid: keyId || message.from, typ: JWS_TYPE })}.${encodeSegment(claims)}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput, "ascii"), key).toString("base64url");
+    return {
+      ...message,
+      to,
+      timestamp: claims.timestamp,
+      payload: encryptFor ? {} : message.payload,
+      messageId: claims.id,
+      nonce: claims.nonce,
+      envelope: `${signingInput}.${signature}`,
+    };
+  };
+}
+
+/**
+ * Verifies envelopes against the senders' Ed25519 public keys (by key id), or their
+ * DIDs' `authentication` methods with `resolver`, and decrypts payloads with this
+ * agent's X25519 `privateKey`. Envelopes addressed to another agent or to no agent,
+ * or stamped more than `maxSkewMs` away from now, are rejected.
+ */
+export function createEnvelopeOpener({
+  senders = {},
+  resolver,
+  privateKey,
+  maxSkewMs = 5 * 60 * 1000,
+}: {
+  senders?: Record<string, crypto.KeyObject | string>;
+  resolver?: DidResolver;
+  privateKey?: crypto.KeyObject | string;
+  maxSkewMs?: number;
+}): EnvelopeOpener {
+  const decryptionKey = privateKey ? toPrivateKey(privateKey) : null;
+  return async (message, { recipient, now }) => {
+    const fail = (reason: AgentEnvelopeFailure, detail: string) => new AgentEnvelopeError(message.intent, reason, detail);
+    const [header, body, signature, ...rest] = (message.envelope || "").split(".");
+    if (rest.length > 0 || signature === undefined) throw fail("invalid", "envelope is not a compact JWS");
+
+    let protectedHeader: { alg?: unknown; kid?: unknown };
+    let claims: AgentEnvelopeClaims;
+    try {
+      protectedHeader = decodeSegment(header);
+      claims = decodeSegment(body);
+    } catch (err) {
+      throw fail("invalid", "envelope segments are not base64url JSON");
+    }
+    if (protectedHeader.alg !== "EdDSA" || typeof protectedHeader.kid !== "string") {
+      throw fail("invalid", "envelope must be signed with EdDSA and name its sender as kid");
+    }
+    const kid = protectedHeader.kid;
+    const publicKey = ownKey(senders, kid) || (resolver ? await resolvePublicKey(resolver, kid, "authentication") : null);
+    if (!publicKey) throw fail("invalid", `unknown sender key ${kid}`);
+    const verified = crypto.verify(
+      null,
+      Buffer.from(`${header}.${body}`, "ascii"),
+      toPublicKey(publicKey),
+      Buffer.from(signature, "base64url")
+    );
+    if (!verified) throw fail("invalid", "signature verification failed");
+
+    if (claims.from !== didOf(kid)) throw fail("invalid", `signed by ${kid} on behalf of ${claims.from}`);
+    if (claims.intent !== message.intent) throw fail("invalid", `envelope was sealed for intent ${claims.intent}`);
+    if (typeof claims.to !== "string" || !claims.to) throw fail("invalid", "envelope names no recipient");
+    if (claims.to !== recipient) throw fail("invalid", `envelope is addressed to ${claims.to}`);
+    if (typeof claims.id !== "string" || typeof claims.nonce !== "string") throw fail("invalid", "envelope needs an id and nonce");
+    const sealedAt = Date.parse(claims.timestamp);
+    if (Number.isNaN(sealedAt) || Math.abs(now.getTime() - sealedAt) > maxSkewMs) {
+      throw fail("expired", `sealed at ${claims.timestamp}`);
+    }
+
+    let payload = claims.payload;
+    if (claims.encrypted !== undefined) {
+      if (!decryptionKey) throw fail("unsupported", "payload is encrypted but no decryption key is configured");
+      try {
+        payload = decryptPayload(claims.encrypted, decryptionKey);
+      } catch (err) {
+        throw fail("invalid", `payload cannot be decrypted (${(err as Error).message})`);
+      }
+    }
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) throw fail("invalid", "envelope carries no payload");
+
+    const opened = {
+      from: claims.from,
+      to: claims.to,
+      intent: claims.intent,
+      proof: claims.proof ?? null,
+      payload,
+      timestamp: claims.timestamp,
+      messageId: claims.id,
+      nonce: claims.nonce,
+    };
+    return typeof claims.idempotencyKey === "string" ? { ...opened, idempotencyKey: claims.idempotencyKey } : opened;
+  };
+}
@@ -0,0 +1,52 @@
+/*
+ * The AgentIDL error envelope. Every failure that crosses a transport is sent as
+ *
+ *   { "code": "proof-failed", "name": "AgentProofError", "message": "...", "data": { ...typed fields } }
+ *
+ * Callers branch on `code`. The reserved codes below are produced by the runtime;
+ * any other code names an operation-specific error declared with `[Throws=(...)]`
+ * in the IDL, whose `data` is the dictionary of the same name. This module has no
+ * Node dependencies so it also runs in browsers.
+ */
+
+const RESERVED_ERROR_CODES = [
+  "unknown-intent",
+  "validation-failed",
+  "proof-failed",
+  "envelope-failed",
+  "replay-rejected",
+  "delegation-failed",
+  "capability-denied",
+  "handler-error",
+  "protocol-error",
+  "cancelled",
+];
+
+/** Base class of every error that carries an envelope code. Throw it from a handler to send a declared error. */
+class AgentError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "AgentError";
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+class AgentUnknownIntentError extends AgentError {
+  constructor(intent) {
+    super("unknown-intent", `No handler registered for intent: ${intent}`);
+    this.name = "AgentUnknownIntentError";
+    this.intent = intent;
+  }
+}
+
+/** Rejection for a call its caller cancelled; the handler sees the abort on its `signal`. */
+class AgentCancelledError extends AgentError {
+  constructor(intent) {
+    super("cancelled", `Call to intent ${intent} was cancelled`);
+    this.name = "AgentCancelledError";
+    this.intent = intent;
+  }
+}
+
+export { AgentCancelledError, AgentError, AgentUnknownIntentError, RESERVED_ERROR_CODES };
@@ -1,16 +1,50 @@
+export class AgentError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "AgentError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class ContractNotFoundError extends AgentError {
+  constructor(message, data) {
+    super("ContractNotFound", message, data);
+    this.name = "ContractNotFoundError";
+  }
+}
+
+export class InsufficientFundsError extends AgentError {
+  constructor(message, data) {
+    super("InsufficientFunds", message, data);
+    this.name = "InsufficientFundsError";
+  }
+}
+
+export const errors = {
+  ContractNotFound: ContractNotFoundError,
+  InsufficientFunds: InsufficientFundsError,
+};
+
+function toDeclaredError(err, codes) {
+  const failure = err || {};
+  if (typeof failure.code !== "string" || !codes.includes(failure.code)) return err;
+  return new errors[failure.code](String(failure.message), failure.data);
+}
+
 export const intents = {
-  proposeContract: { intent: "agent:ProposeContract", proof: null },
-  executePayment: { intent: "agent:ExecutePayment", proof: "ledger:tx" },
+  proposeContract: { intent: "agent:ProposeContract", proof: null, capability: null, errors: [], stream: null },
+  executePayment: { intent: "agent:ExecutePayment", proof: "ledger:tx", capability: null, errors: ["ContractNotFound", "InsufficientFunds"], stream: null },
 };
 
 export function createClient(transport) {
   return {
     proposeContract: (data) => transport.send({ intent: intents.proposeContract.intent, proof: intents.proposeContract.proof, payload: { data: data } }),
-    executePayment: (payment) => transport.send({ intent: intents.executePayment.intent, proof: intents.executePayment.proof, payload: { payment: payment } }),
+    executePayment: (payment) => transport.send({ intent: intents.executePayment.intent, proof: intents.executePayment.proof, payload: { payment: payment } }).catch(err => { throw toDeclaredError(err, intents.executePayment.errors); }),
   };
 }
 
 export function registerHandlers(runtime, handlers) {
-  runtime.registerIntent(intents.proposeContract.intent, async message => handlers.proposeContract(message.payload.data, message));
-  runtime.registerIntent(intents.executePayment.intent, async message => handlers.executePayment(message.payload.payment, message));
+  runtime.registerIntent(intents.proposeContract.intent, async (message, call) => handlers.proposeContract(message.payload.data, message, call));
+  runtime.registerIntent(intents.executePayment.intent, async (message, call) => handlers.executePayment(message.payload.payment, message, call));
 }
\ No newline at end of file
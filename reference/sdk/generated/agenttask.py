@@ -0,0 +1,204 @@
+"""AgentTask bindings generated by AgentIDL. Do not edit."""
+
+from __future__ import annotations
+
+import inspect
+from typing import Any, Awaitable, Callable, Dict, List, Literal, Mapping, NotRequired, Optional, Protocol, TypedDict, Union
+
+
+class AgentProof(TypedDict):
+    type: str
+
+
+AgentMessage = TypedDict(
+    "AgentMessage",
+    {
+        "intent": str,
+        "proof": NotRequired[Union[AgentProof, str, None]],
+        "payload": Dict[str, Any],
+        "from": NotRequired[str],
+        "to": NotRequired[str],
+        "timestamp": NotRequired[str],
+        "messageId": NotRequired[str],
+        "idempotencyKey": NotRequired[str],
+        "nonce": NotRequired[str],
+        "envelope": NotRequired[str],
+    },
+)
+
+
+class AgentTransport(Protocol):
+    async def send(self, message: AgentMessage) -> Any:
+        ...
+
+
+class AgentRuntime(Protocol):
+    def register_intent(self, intent: str, handler: Callable[[AgentMessage], Awaitable[Any]]) -> None:
+        ...
+
+
+class IntentEntry(TypedDict):
+    intent: str
+    proof: Optional[str]
+    capability: Optional[str]
+    errors: List[str]
+    stream: Optional[str]
+
+
+ContractStatus = Literal["active", "completed", "cancelled"]
+OutcomeStatus = Literal["accepted", "rejected"]
+PaymentMethod = Literal["wire", "card", "ledger"]
+PaymentStatus = Literal["paid", "rejected"]
+
+
+class ContractData(TypedDict):
+    parties: List[str]
+    terms: str
+    price: float
+    currency: NotRequired[str]  # default: "USD"
+    dueDate: NotRequired[str]
+
+
+class ContractOutcome(TypedDict):
+    status: OutcomeStatus
+    contractId: str
+    counterparty: NotRequired[Optional[str]]
+    terms: NotRequired[str]
+    total: NotRequired[float]
+    currency: NotRequired[str]
+    signedAt: NotRequired[str]
+    note: NotRequired[str]
+
+
+class Contract(TypedDict):
+    id: str
+    parties: List[str]
+    terms: str
+    price: float
+    currency: NotRequired[str]  # default: "USD"
+    dueDate: NotRequired[str]
+    status: NotRequired[ContractStatus]  # default: "active"
+
+
+class Outcome(TypedDict):
+    outcome: ContractOutcome
+    contract: NotRequired[Contract]
+
+
+class PaymentRequest(TypedDict):
+    contractId: str
+    amount: float
+    currency: NotRequired[str]  # default: "USD"
+    method: NotRequired[PaymentMethod]  # default: "wire"
+
+
+class Receipt(TypedDict):
+    status: PaymentStatus
+    receiptId: NotRequired[str]
+    txRef: NotRequired[str]
+    amount: NotRequired[float]
+    currency: NotRequired[str]
+    reason: NotRequired[str]
+    note: NotRequired[str]
+
+
+class ContractNotFound(TypedDict):
+    contractId: str
+
+
+class InsufficientFunds(TypedDict):
+    available: float
+    requested: float
+    currency: NotRequired[str]  # default: "USD"
+
+
+class AgentError(Exception):
+    def __init__(self, code: str, message: str, data: Any = None) -> None:
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.data = data
+
+
+class ContractNotFoundError(AgentError):
+    data: ContractNotFound
+
+    def __init__(self, message: str, data: ContractNotFound) -> None:
+        super().__init__("ContractNotFound", message, data)
+
+
+class InsufficientFundsError(AgentError):
+    data: InsufficientFunds
+
+    def __init__(self, message: str, data: InsufficientFunds) -> None:
+        super().__init__("InsufficientFunds", message, data)
+
+
+errors: Dict[str, Callable[[str, Any], AgentError]] = {
+    "ContractNotFound": ContractNotFoundError,
+    "InsufficientFunds": InsufficientFundsError,
+}
+
+
+def _declared_error(err: Exception, codes: List[str]) -> Optional[AgentError]:
+    code = getattr(err, "code", None)
+    if not isinstance(code, str) or code not in codes:
+        return None
+    return errors[code](str(getattr(err, "message", err)), getattr(err, "data", None))
+
+
+intents: Dict[str, IntentEntry] = {
+    "propose_contract": {"intent": "agent:ProposeContract", "proof": None, "capability": None, "errors": [], "stream": None},
+    "execute_payment": {"intent": "agent:ExecutePayment", "proof": "ledger:tx", "capability": None, "errors": ["ContractNotFound", "InsufficientFunds"], "stream": None},
+}
+
+
+class AgentTaskClient:
+    def __init__(self, transport: AgentTransport) -> None:
+        self._transport = transport
+
+    async def propose_contract(self, data: ContractData) -> Outcome:
+        return await self._send("propose_contract", {"data": data})
+
+    async def execute_payment(self, payment: PaymentRequest) -> Receipt:
+        return await self._send("execute_payment", {"payment": payment})
+
+    async def _send(self, name: str, payload: Dict[str, Any]) -> Any:
+        entry = intents[name]
+        try:
+            return await self._transport.send({"intent": entry["intent"], "proof": entry["proof"], "payload": payload})
+        except Exception as err:
+            declared = _declared_error(err, entry["errors"])
+            if declared is None:
+                raise
+            raise declared from err
+
+
+class AgentTaskHandlers(Protocol):
+    def propose_contract(self, data: ContractData, message: AgentMessage) -> Union[Outcome, Awaitable[Outcome]]:
+        ...
+
+    def execute_payment(self, payment: PaymentRequest, message: AgentMessage) -> Union[Receipt, Awaitable[Receipt]]:
+        ...
+
+
+def _handler(handlers: Any, name: str) -> Callable[..., Any]:
+    return handlers[name] if isinstance(handlers, Mapping) else getattr(handlers, name)
+
+
+def _dispatch(handler: Callable[..., Any], params: List[str]) -> Callable[[AgentMessage], Awaitable[Any]]:
+    async def dispatch(message: AgentMessage) -> Any:
+        payload = message.get("payload") or {}
+        result = handler(*[payload.get(name) for name in params], message)
+        return await result if inspect.isawaitable(result) else result
+
+    return dispatch
+
+
+def create_client(transport: AgentTransport) -> AgentTaskClient:
+    return AgentTaskClient(transport)
+
+
+def register_handlers(runtime: AgentRuntime, handlers: Union[AgentTaskHandlers, Mapping[str, Callable[..., Any]]]) -> None:
+    runtime.register_intent(intents["propose_contract"]["intent"], _dispatch(_handler(handlers, "propose_contract"), ["data"]))
+    runtime.register_intent(intents["execute_payment"]["intent"], _dispatch(_handler(handlers, "execute_payment"), ["payment"]))
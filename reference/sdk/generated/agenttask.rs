@@ -0,0 +1,364 @@
+//! AgentTask bindings generated by AgentIDL. Do not edit.
+//!
+//! Requires Rust 1.75 or later (the traits return `impl Future`), `serde` (with the
+//! `derive` feature) and `serde_json`.
+
+use serde::de::DeserializeOwned;
+use serde::{Deserialize, Serialize};
+use serde_json::{Map, Value};
+#[allow(unused_imports)]
+use std::collections::HashMap;
+use std::fmt;
+use std::future::Future;
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash)]
+pub enum Intent {
+    ProposeContract,
+    ExecutePayment,
+}
+
+impl Intent {
+    pub const ALL: [Intent; 2] = [Intent::ProposeContract, Intent::ExecutePayment];
+
+    pub fn iri(self) -> &'static str {
+        match self {
+            Intent::ProposeContract => "agent:ProposeContract",
+            Intent::ExecutePayment => "agent:ExecutePayment",
+        }
+    }
+
+    pub fn method(self) -> &'static str {
+        match self {
+            Intent::ProposeContract => "proposeContract",
+            Intent::ExecutePayment => "executePayment",
+        }
+    }
+
+    pub fn proof(self) -> Option<&'static str> {
+        match self {
+            Intent::ProposeContract => None,
+            Intent::ExecutePayment => Some("ledger:tx"),
+        }
+    }
+
+    pub fn capability(self) -> Option<&'static str> {
+        match self {
+            Intent::ProposeContract => None,
+            Intent::ExecutePayment => None,
+        }
+    }
+
+    pub fn errors(self) -> &'static [&'static str] {
+        match self {
+            Intent::ProposeContract => &[],
+            Intent::ExecutePayment => &["ContractNotFound", "InsufficientFunds"],
+        }
+    }
+
+    pub fn stream(self) -> Option<&'static str> {
+        match self {
+            Intent::ProposeContract => None,
+            Intent::ExecutePayment => None,
+        }
+    }
+
+    pub fn from_iri(iri: &str) -> Option<Intent> {
+        Intent::ALL.into_iter().find(|intent| intent.iri() == iri)
+    }
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct AgentMessage {
+    pub intent: String,
+    /// A declared proof type (string) before signing, or the attached proof object.
+    #[serde(default, skip_serializing_if = "Value::is_null")]
+    pub proof: Value,
+    pub payload: Map<String, Value>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub from: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub to: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub timestamp: Option<String>,
+    #[serde(default, rename = "messageId", skip_serializing_if = "Option::is_none")]
+    pub message_id: Option<String>,
+    /// Shared by retries of one request, so the receiver runs it once.
+    #[serde(default, rename = "idempotencyKey", skip_serializing_if = "Option::is_none")]
+    pub idempotency_key: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub nonce: Option<String>,
+    /// Compact JWS sealing the message; set by the sender's envelope sealer.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub envelope: Option<String>,
+}
+
+impl AgentMessage {
+    pub fn new(intent: Intent, payload: Map<String, Value>) -> Self {
+        AgentMessage {
+            intent: intent.iri().to_string(),
+            proof: intent.proof().map_or(Value::Null, |proof| Value::String(proof.to_string())),
+            payload,
+            from: None,
+            to: None,
+            timestamp: None,
+            message_id: None,
+            idempotency_key: None,
+            nonce: None,
+            envelope: None,
+        }
+    }
+}
+
+pub trait AgentTransport {
+    type Error;
+
+    fn send(&self, message: AgentMessage) -> impl Future<Output = Result<Value, Self::Error>> + Send;
+}
+
+#[derive(Debug)]
+pub enum ClientError<E> {
+    Transport(E),
+    Encode(serde_json::Error),
+    Decode(serde_json::Error),
+}
+
+impl<E: fmt::Display> fmt::Display for ClientError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ClientError::Transport(err) => write!(f, "transport failed: {err}"),
+            ClientError::Encode(err) => write!(f, "could not encode arguments: {err}"),
+            ClientError::Decode(err) => write!(f, "could not decode result: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for ClientError<E> {}
+
+#[derive(Debug)]
+pub enum DispatchError<E> {
+    UnknownIntent(String),
+    InvalidPayload(serde_json::Error),
+    Encode(serde_json::Error),
+    Handler(E),
+}
+
+impl<E: fmt::Display> fmt::Display for DispatchError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            DispatchError::UnknownIntent(intent) => write!(f, "no handler for intent {intent}"),
+            DispatchError::InvalidPayload(err) => write!(f, "invalid payload: {err}"),
+            DispatchError::Encode(err) => write!(f, "could not encode result: {err}"),
+            DispatchError::Handler(err) => write!(f, "handler failed: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for DispatchError<E> {}
+
+#[allow(dead_code)]
+fn insert_arg<E, T: Serialize>(payload: &mut Map<String, Value>, key: &str, value: T) -> Result<(), ClientError<E>> {
+    let value = serde_json::to_value(value).map_err(ClientError::Encode)?;
+    if !value.is_null() {
+        payload.insert(key.to_string(), value);
+    }
+    Ok(())
+}
+
+#[allow(dead_code)]
+fn arg<E, T: DeserializeOwned>(message: &AgentMessage, key: &str) -> Result<T, DispatchError<E>> {
+    let value = message.payload.get(key).cloned().unwrap_or(Value::Null);
+    serde_json::from_value(value).map_err(DispatchError::InvalidPayload)
+}
+
+#[derive(Debug, Clone, PartialEq, Copy, Eq, Hash, Serialize, Deserialize)]
+pub enum ContractStatus {
+    #[serde(rename = "active")]
+    Active,
+    #[serde(rename = "completed")]
+    Completed,
+    #[serde(rename = "cancelled")]
+    Cancelled,
+}
+
+#[derive(Debug, Clone, PartialEq, Copy, Eq, Hash, Serialize, Deserialize)]
+pub enum OutcomeStatus {
+    #[serde(rename = "accepted")]
+    Accepted,
+    #[serde(rename = "rejected")]
+    Rejected,
+}
+
+#[derive(Debug, Clone, PartialEq, Copy, Eq, Hash, Serialize, Deserialize)]
+pub enum PaymentMethod {
+    #[serde(rename = "wire")]
+    Wire,
+    #[serde(rename = "card")]
+    Card,
+    #[serde(rename = "ledger")]
+    Ledger,
+}
+
+#[derive(Debug, Clone, PartialEq, Copy, Eq, Hash, Serialize, Deserialize)]
+pub enum PaymentStatus {
+    #[serde(rename = "paid")]
+    Paid,
+    #[serde(rename = "rejected")]
+    Rejected,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct ContractData {
+    pub parties: Vec<String>,
+    pub terms: String,
+    pub price: f64,
+    /// Defaults to `"USD"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+    #[serde(rename = "dueDate", default, skip_serializing_if = "Option::is_none")]
+    pub due_date: Option<String>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct ContractOutcome {
+    pub status: OutcomeStatus,
+    #[serde(rename = "contractId")]
+    pub contract_id: String,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub counterparty: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub terms: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub total: Option<f64>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+    #[serde(rename = "signedAt", default, skip_serializing_if = "Option::is_none")]
+    pub signed_at: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub note: Option<String>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct Contract {
+    pub id: String,
+    pub parties: Vec<String>,
+    pub terms: String,
+    pub price: f64,
+    /// Defaults to `"USD"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+    #[serde(rename = "dueDate", default, skip_serializing_if = "Option::is_none")]
+    pub due_date: Option<String>,
+    /// Defaults to `"active"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub status: Option<ContractStatus>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct Outcome {
+    pub outcome: ContractOutcome,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub contract: Option<Contract>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct PaymentRequest {
+    #[serde(rename = "contractId")]
+    pub contract_id: String,
+    pub amount: f64,
+    /// Defaults to `"USD"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+    /// Defaults to `"wire"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub method: Option<PaymentMethod>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct Receipt {
+    pub status: PaymentStatus,
+    #[serde(rename = "receiptId", default, skip_serializing_if = "Option::is_none")]
+    pub receipt_id: Option<String>,
+    #[serde(rename = "txRef", default, skip_serializing_if = "Option::is_none")]
+    pub tx_ref: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub amount: Option<f64>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub reason: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub note: Option<String>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct ContractNotFound {
+    #[serde(rename = "contractId")]
+    pub contract_id: String,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct InsufficientFunds {
+    pub available: f64,
+    pub requested: f64,
+    /// Defaults to `"USD"`.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub currency: Option<String>,
+}
+
+pub trait AgentTaskClient {
+    type Error;
+
+    fn propose_contract(&self, data: ContractData) -> impl Future<Output = Result<Outcome, Self::Error>> + Send;
+
+    fn execute_payment(&self, payment: PaymentRequest) -> impl Future<Output = Result<Receipt, Self::Error>> + Send;
+}
+
+pub struct Client<T> {
+    transport: T,
+}
+
+pub fn create_client<T: AgentTransport>(transport: T) -> Client<T> {
+    Client { transport }
+}
+
+impl<T: AgentTransport + Sync> AgentTaskClient for Client<T> {
+    type Error = ClientError<T::Error>;
+
+    async fn propose_contract(&self, data: ContractData) -> Result<Outcome, Self::Error> {
+        let mut payload = Map::new();
+        insert_arg(&mut payload, "data", data)?;
+        let result = self.transport.send(AgentMessage::new(Intent::ProposeContract, payload)).await.map_err(ClientError::Transport)?;
+        serde_json::from_value(result).map_err(ClientError::Decode)
+    }
+
+    async fn execute_payment(&self, payment: PaymentRequest) -> Result<Receipt, Self::Error> {
+        let mut payload = Map::new();
+        insert_arg(&mut payload, "payment", payment)?;
+        let result = self.transport.send(AgentMessage::new(Intent::ExecutePayment, payload)).await.map_err(ClientError::Transport)?;
+        serde_json::from_value(result).map_err(ClientError::Decode)
+    }
+}
+
+pub trait AgentTaskHandlers: Sync {
+    type Error;
+
+    fn propose_contract(&self, data: ContractData, message: &AgentMessage) -> impl Future<Output = Result<Outcome, Self::Error>> + Send;
+
+    fn execute_payment(&self, payment: PaymentRequest, message: &AgentMessage) -> impl Future<Output = Result<Receipt, Self::Error>> + Send;
+}
+
+/// Routes `message` to the handler for its intent, decoding the arguments from the payload.
+pub async fn dispatch<H: AgentTaskHandlers>(handlers: &H, message: &AgentMessage) -> Result<Value, DispatchError<H::Error>> {
+    let intent = Intent::from_iri(&message.intent).ok_or_else(|| DispatchError::UnknownIntent(message.intent.clone()))?;
+    let result = match intent {
+        Intent::ProposeContract => {
+            let result = handlers.propose_contract(arg(message, "data")?, message).await.map_err(DispatchError::Handler)?;
+            serde_json::to_value(result)
+        }
+        Intent::ExecutePayment => {
+            let result = handlers.execute_payment(arg(message, "payment")?, message).await.map_err(DispatchError::Handler)?;
+            serde_json::to_value(result)
+        }
+    };
+    result.map_err(DispatchError::Encode)
+}
@@ -1,44 +1,178 @@
+export interface AgentProof {
+  type: string;
+  [key: string]: unknown;
+}
+
 export interface AgentMessage {
   intent: string;
-  proof?: string | null;
+  proof?: AgentProof | string | null;
   payload: Record<string, unknown>;
   from?: string;
   to?: string;
   timestamp?: string;
+  messageId?: string;
+  idempotencyKey?: string;
+  nonce?: string;
+  envelope?: string;
+}
+
+export interface AgentSendOptions {
+  signal?: AbortSignal;
+  onChunk?: (chunk: unknown) => void;
+  idempotencyKey?: string;
 }
 
 export interface AgentTransport {
-  send(message: AgentMessage): Promise<unknown>;
+  send(message: AgentMessage, options?: AgentSendOptions): Promise<unknown>;
+}
+
+/** Passed to every handler; `emit` is only for `[Streaming]` operations. */
+export interface AgentCallContext<Chunk = never> {
+  signal: AbortSignal;
+  emit(chunk: Chunk): void;
 }
 
-export type ContractData = Record<string, unknown>;
-export type Outcome = Record<string, unknown>;
-export type PaymentRequest = Record<string, unknown>;
-export type Receipt = Record<string, unknown>;
+export type ContractStatus = "active" | "completed" | "cancelled";
+
+export type OutcomeStatus = "accepted" | "rejected";
+
+export type PaymentMethod = "wire" | "card" | "ledger";
+
+export type PaymentStatus = "paid" | "rejected";
+
+export interface ContractData {
+  parties: Array<string>;
+  terms: string;
+  price: number;
+  /** @default "USD" */
+  currency?: string;
+  dueDate?: string;
+}
+
+export interface ContractOutcome {
+  status: OutcomeStatus;
+  contractId: string;
+  counterparty?: string | null;
+  terms?: string;
+  total?: number;
+  currency?: string;
+  signedAt?: string;
+  note?: string;
+}
+
+export interface Contract {
+  id: string;
+  parties: Array<string>;
+  terms: string;
+  price: number;
+  /** @default "USD" */
+  currency?: string;
+  dueDate?: string;
+  /** @default "active" */
+  status?: ContractStatus;
+}
+
+export interface Outcome {
+  outcome: ContractOutcome;
+  contract?: Contract;
+}
+
+export interface PaymentRequest {
+  contractId: string;
+  amount: number;
+  /** @default "USD" */
+  currency?: string;
+  /** @default "wire" */
+  method?: PaymentMethod;
+}
+
+export interface Receipt {
+  status: PaymentStatus;
+  receiptId?: string;
+  txRef?: string;
+  amount?: number;
+  currency?: string;
+  reason?: string;
+  note?: string;
+}
+
+export interface ContractNotFound {
+  contractId: string;
+}
+
+export interface InsufficientFunds {
+  available: number;
+  requested: number;
+  /** @default "USD" */
+  currency?: string;
+}
+
+export class AgentError extends Error {
+  code: string;
+  data?: unknown;
+
+  constructor(code: string, message: string, data?: unknown) {
+    super(message);
+    this.name = "AgentError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export class ContractNotFoundError extends AgentError {
+  declare data: ContractNotFound;
+
+  constructor(message: string, data: ContractNotFound) {
+    super("ContractNotFound", message, data);
+    this.name = "ContractNotFoundError";
+  }
+}
+
+export class InsufficientFundsError extends AgentError {
+  declare data: InsufficientFunds;
+
+  constructor(message: string, data: InsufficientFunds) {
+    super("InsufficientFunds", message, data);
+    this.name = "InsufficientFundsError";
+  }
+}
+
+export const errors = {
+  ContractNotFound: ContractNotFoundError,
+  InsufficientFunds: InsufficientFundsError,
+};
+
+function toDeclaredError(err: unknown, codes: readonly string[]): unknown {
+  const failure = (err || {}) as { code?: unknown; message?: string; data?: unknown };
+  if (typeof failure.code !== "string" || !codes.includes(failure.code)) return err;
+  return new errors[failure.code as keyof typeof errors](String(failure.message), failure.data as never);
+}
 
 export interface AgentTaskClient {
   proposeContract(data: ContractData): Promise<Outcome>;
+  /** @throws {ContractNotFoundError | InsufficientFundsError} */
   executePayment(payment: PaymentRequest): Promise<Receipt>;
 }
 
 export interface AgentTaskHandlers {
-  proposeContract(data: ContractData, message?: AgentMessage): Outcome | Promise<Outcome>;
-  executePayment(payment: PaymentRequest, message?: AgentMessage): Receipt | Promise<Receipt>;
+  proposeContract(data: ContractData, message?: AgentMessage, call?: AgentCallContext): Outcome | Promise<Outcome>;
+  /** @throws {ContractNotFoundError | InsufficientFundsError} */
+  executePayment(payment: PaymentRequest, message?: AgentMessage, call?: AgentCallContext): Receipt | Promise<Receipt>;
 }
 
 export const intents = {
-  proposeContract: { intent: "agent:ProposeContract", proof: null },
-  executePayment: { intent: "agent:ExecutePayment", proof: "ledger:tx" },
+  proposeContract: { intent: "agent:ProposeContract", proof: null, capability: null, errors: [], stream: null },
+  executePayment: { intent: "agent:ExecutePayment", proof: "ledger:tx", capability: null, errors: ["ContractNotFound", "InsufficientFunds"], stream: null },
 } as const;
 
 export function createClient(transport: AgentTransport): AgentTaskClient {
   return {
     proposeContract: (data) => transport.send({ intent: intents.proposeContract.intent, proof: intents.proposeContract.proof, payload: { data: data } }) as Promise<Outcome>,
-    executePayment: (payment) => transport.send({ intent: intents.executePayment.intent, proof: intents.executePayment.proof, payload: { payment: payment } }) as Promise<Receipt>,
+    executePayment: (payment) => transport.send({ intent: intents.executePayment.intent, proof: intents.executePayment.proof, payload: { payment: payment } }).catch(err => { throw toDeclaredError(err, intents.executePayment.errors); }) as Promise<Receipt>,
   };
 }
 
-export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage) => Promise<unknown> | unknown) => void }, handlers: AgentTaskHandlers) {
-  runtime.registerIntent(intents.proposeContract.intent, async (message: AgentMessage) => handlers.proposeContract(message.payload.data as ContractData, message));
-  runtime.registerIntent(intents.executePayment.intent, async (message: AgentMessage) => handlers.executePayment(message.payload.payment as PaymentRequest, message));
+export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage, call: AgentCallContext<unknown>) => Promise<unknown> | unknown) => void }, handlers: AgentTaskHandlers) {
+  runtime.registerIntent(intents.proposeContract.intent, async (message: AgentMessage, call: AgentCallContext<unknown>) => handlers.proposeContract(message.payload.data as ContractData, message, call));
+  runtime.registerIntent(intents.executePayment.intent, async (message: AgentMessage, call: AgentCallContext<unknown>) => handlers.executePayment(message.payload.payment as PaymentRequest, message, call));
 }
\ No newline at end of file
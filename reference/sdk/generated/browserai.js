@@ -1,18 +1,54 @@
+function streamCall(send) {
+  const controller = new AbortController();
+  const chunks = [];
+  const waiting = [];
+  const wake = () => waiting.splice(0).forEach(resolve => resolve());
+  let settled = false;
+  const result = send({
+    signal: controller.signal,
+    onChunk: chunk => {
+      chunks.push(chunk);
+      wake();
+    },
+  }).finally(() => {
+    settled = true;
+    wake();
+  });
+  result.catch(() => undefined);
+  return {
+    result,
+    then: (onFulfilled, onRejected) => result.then(onFulfilled, onRejected),
+    cancel: () => controller.abort(),
+    [Symbol.asyncIterator]: () => ({
+      next: async () => {
+        while (chunks.length === 0 && !settled) await new Promise(resolve => waiting.push(resolve));
+        if (chunks.length > 0) return { value: chunks.shift(), done: false };
+        await result;
+        return { value: undefined, done: true };
+      },
+      return: async () => {
+        controller.abort();
+        return { value: undefined, done: true };
+      },
+    }),
+  };
+}
+
 const intents = {
-  summarizeText: { intent: "agent:SummarizeText", proof: null },
-  translateText: { intent: "agent:TranslateText", proof: null },
+  summarizeText: { intent: "agent:SummarizeText", proof: null, capability: null, errors: [], stream: "SummaryChunk" },
+  translateText: { intent: "agent:TranslateText", proof: null, capability: null, errors: [], stream: null },
 };
 
 function createClient(transport) {
   return {
-    summarizeText: (request) => transport.send({ intent: intents.summarizeText.intent, proof: intents.summarizeText.proof, payload: { request: request } }),
+    summarizeText: (request) => streamCall(options => transport.send({ intent: intents.summarizeText.intent, proof: intents.summarizeText.proof, payload: { request: request } }, options)),
     translateText: (request) => transport.send({ intent: intents.translateText.intent, proof: intents.translateText.proof, payload: { request: request } }),
   };
 }
 
 function registerHandlers(runtime, handlers) {
-  runtime.registerIntent(intents.summarizeText.intent, async message => handlers.summarizeText(message.payload.request, message));
-  runtime.registerIntent(intents.translateText.intent, async message => handlers.translateText(message.payload.request, message));
+  runtime.registerIntent(intents.summarizeText.intent, async (message, call) => handlers.summarizeText(message.payload.request, message, call));
+  runtime.registerIntent(intents.translateText.intent, async (message, call) => handlers.translateText(message.payload.request, message, call));
 }
 
 module.exports = { intents, createClient, registerHandlers };
\ No newline at end of file
@@ -0,0 +1,118 @@
+"""BrowserAI bindings generated by AgentIDL. Do not edit."""
+
+from __future__ import annotations
+
+import inspect
+from typing import Any, Awaitable, Callable, Dict, List, Literal, Mapping, NotRequired, Optional, Protocol, TypedDict, Union
+
+
+class AgentProof(TypedDict):
+    type: str
+
+
+AgentMessage = TypedDict(
+    "AgentMessage",
+    {
+        "intent": str,
+        "proof": NotRequired[Union[AgentProof, str, None]],
+        "payload": Dict[str, Any],
+        "from": NotRequired[str],
+        "to": NotRequired[str],
+        "timestamp": NotRequired[str],
+        "messageId": NotRequired[str],
+        "idempotencyKey": NotRequired[str],
+        "nonce": NotRequired[str],
+        "envelope": NotRequired[str],
+    },
+)
+
+
+class AgentTransport(Protocol):
+    async def send(self, message: AgentMessage) -> Any:
+        ...
+
+
+class AgentRuntime(Protocol):
+    def register_intent(self, intent: str, handler: Callable[[AgentMessage], Awaitable[Any]]) -> None:
+        ...
+
+
+class IntentEntry(TypedDict):
+    intent: str
+    proof: Optional[str]
+    capability: Optional[str]
+    errors: List[str]
+    stream: Optional[str]
+
+
+class SummaryRequest(TypedDict):
+    text: str
+
+
+class SummaryChunk(TypedDict):
+    text: str
+
+
+class SummaryResult(TypedDict):
+    summary: str
+
+
+class TranslationRequest(TypedDict):
+    text: str
+    sourceLanguage: NotRequired[str]  # default: "en"
+    targetLanguage: NotRequired[str]  # default: "zh"
+
+
+class TranslationResult(TypedDict):
+    translated: str
+
+
+intents: Dict[str, IntentEntry] = {
+    "summarize_text": {"intent": "agent:SummarizeText", "proof": None, "capability": None, "errors": [], "stream": "SummaryChunk"},
+    "translate_text": {"intent": "agent:TranslateText", "proof": None, "capability": None, "errors": [], "stream": None},
+}
+
+
+class BrowserAIClient:
+    def __init__(self, transport: AgentTransport) -> None:
+        self._transport = transport
+
+    async def summarize_text(self, request: SummaryRequest) -> SummaryResult:
+        return await self._send("summarize_text", {"request": request})
+
+    async def translate_text(self, request: TranslationRequest) -> TranslationResult:
+        return await self._send("translate_text", {"request": request})
+
+    async def _send(self, name: str, payload: Dict[str, Any]) -> Any:
+        entry = intents[name]
+        return await self._transport.send({"intent": entry["intent"], "proof": entry["proof"], "payload": payload})
+
+
+class BrowserAIHandlers(Protocol):
+    def summarize_text(self, request: SummaryRequest, message: AgentMessage) -> Union[SummaryResult, Awaitable[SummaryResult]]:
+        ...
+
+    def translate_text(self, request: TranslationRequest, message: AgentMessage) -> Union[TranslationResult, Awaitable[TranslationResult]]:
+        ...
+
+
+def _handler(handlers: Any, name: str) -> Callable[..., Any]:
+    return handlers[name] if isinstance(handlers, Mapping) else getattr(handlers, name)
+
+
+def _dispatch(handler: Callable[..., Any], params: List[str]) -> Callable[[AgentMessage], Awaitable[Any]]:
+    async def dispatch(message: AgentMessage) -> Any:
+        payload = message.get("payload") or {}
+        result = handler(*[payload.get(name) for name in params], message)
+        return await result if inspect.isawaitable(result) else result
+
+    return dispatch
+
+
+def create_client(transport: AgentTransport) -> BrowserAIClient:
+    return BrowserAIClient(transport)
+
+
+def register_handlers(runtime: AgentRuntime, handlers: Union[BrowserAIHandlers, Mapping[str, Callable[..., Any]]]) -> None:
+    runtime.register_intent(intents["summarize_text"]["intent"], _dispatch(_handler(handlers, "summarize_text"), ["request"]))
+    runtime.register_intent(intents["translate_text"]["intent"], _dispatch(_handler(handlers, "translate_text"), ["request"]))
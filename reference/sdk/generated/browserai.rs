@@ -0,0 +1,260 @@
+//! BrowserAI bindings generated by AgentIDL. Do not edit.
+//!
+//! Requires Rust 1.75 or later (the traits return `impl Future`), `serde` (with the
+//! `derive` feature) and `serde_json`.
+
+use serde::de::DeserializeOwned;
+use serde::{Deserialize, Serialize};
+use serde_json::{Map, Value};
+#[allow(unused_imports)]
+use std::collections::HashMap;
+use std::fmt;
+use std::future::Future;
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Hash)]
+pub enum Intent {
+    SummarizeText,
+    TranslateText,
+}
+
+impl Intent {
+    pub const ALL: [Intent; 2] = [Intent::SummarizeText, Intent::TranslateText];
+
+    pub fn iri(self) -> &'static str {
+        match self {
+            Intent::SummarizeText => "agent:SummarizeText",
+            Intent::TranslateText => "agent:TranslateText",
+        }
+    }
+
+    pub fn method(self) -> &'static str {
+        match self {
+            Intent::SummarizeText => "summarizeText",
+            Intent::TranslateText => "translateText",
+        }
+    }
+
+    pub fn proof(self) -> Option<&'static str> {
+        match self {
+            Intent::SummarizeText => None,
+            Intent::TranslateText => None,
+        }
+    }
+
+    pub fn capability(self) -> Option<&'static str> {
+        match self {
+            Intent::SummarizeText => None,
+            Intent::TranslateText => None,
+        }
+    }
+
+    pub fn errors(self) -> &'static [&'static str] {
+        match self {
+            Intent::SummarizeText => &[],
+            Intent::TranslateText => &[],
+        }
+    }
+
+    pub fn stream(self) -> Option<&'static str> {
+        match self {
+            Intent::SummarizeText => Some("SummaryChunk"),
+            Intent::TranslateText => None,
+        }
+    }
+
+    pub fn from_iri(iri: &str) -> Option<Intent> {
+        Intent::ALL.into_iter().find(|intent| intent.iri() == iri)
+    }
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct AgentMessage {
+    pub intent: String,
+    /// A declared proof type (string) before signing, or the attached proof object.
+    #[serde(default, skip_serializing_if = "Value::is_null")]
+    pub proof: Value,
+    pub payload: Map<String, Value>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub from: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub to: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub timestamp: Option<String>,
+    #[serde(default, rename = "messageId", skip_serializing_if = "Option::is_none")]
+    pub message_id: Option<String>,
+    /// Shared by retries of one request, so the receiver runs it once.
+    #[serde(default, rename = "idempotencyKey", skip_serializing_if = "Option::is_none")]
+    pub idempotency_key: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub nonce: Option<String>,
+    /// Compact JWS sealing the message; set by the sender's envelope sealer.
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub envelope: Option<String>,
+}
+
+impl AgentMessage {
+    pub fn new(intent: Intent, payload: Map<String, Value>) -> Self {
+        AgentMessage {
+            intent: intent.iri().to_string(),
+            proof: intent.proof().map_or(Value::Null, |proof| Value::String(proof.to_string())),
+            payload,
+            from: None,
+            to: None,
+            timestamp: None,
+            message_id: None,
+            idempotency_key: None,
+            nonce: None,
+            envelope: None,
+        }
+    }
+}
+
+pub trait AgentTransport {
+    type Error;
+
+    fn send(&self, message: AgentMessage) -> impl Future<Output = Result<Value, Self::Error>> + Send;
+}
+
+#[derive(Debug)]
+pub enum ClientError<E> {
+    Transport(E),
+    Encode(serde_json::Error),
+    Decode(serde_json::Error),
+}
+
+impl<E: fmt::Display> fmt::Display for ClientError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ClientError::Transport(err) => write!(f, "transport failed: {err}"),
+            ClientError::Encode(err) => write!(f, "could not encode arguments: {err}"),
+            ClientError::Decode(err) => write!(f, "could not decode result: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for ClientError<E> {}
+
+#[derive(Debug)]
+pub enum DispatchError<E> {
+    UnknownIntent(String),
+    InvalidPayload(serde_json::Error),
+    Encode(serde_json::Error),
+    Handler(E),
+}
+
+impl<E: fmt::Display> fmt::Display for DispatchError<E> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            DispatchError::UnknownIntent(intent) => write!(f, "no handler for intent {intent}"),
+            DispatchError::InvalidPayload(err) => write!(f, "invalid payload: {err}"),
+            DispatchError::Encode(err) => write!(f, "could not encode result: {err}"),
+            DispatchError::Handler(err) => write!(f, "handler failed: {err}"),
+        }
+    }
+}
+
+impl<E: fmt::Debug + fmt::Display> std::error::Error for DispatchError<E> {}
+
+#[allow(dead_code)]
+fn insert_arg<E, T: Serialize>(payload: &mut Map<String, Value>, key: &str, value: T) -> Result<(), ClientError<E>> {
+    let value = serde_json::to_value(value).map_err(ClientError::Encode)?;
+    if !value.is_null() {
+        payload.insert(key.to_string(), value);
+    }
+    Ok(())
+}
+
+#[allow(dead_code)]
+fn arg<E, T: DeserializeOwned>(message: &AgentMessage, key: &str) -> Result<T, DispatchError<E>> {
+    let value = message.payload.get(key).cloned().unwrap_or(Value::Null);
+    serde_json::from_value(value).map_err(DispatchError::InvalidPayload)
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct SummaryRequest {
+    pub text: String,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct SummaryChunk {
+    pub text: String,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct SummaryResult {
+    pub summary: String,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct TranslationRequest {
+    pub text: String,
+    /// Defaults to `"en"`.
+    #[serde(rename = "sourceLanguage", default, skip_serializing_if = "Option::is_none")]
+    pub source_language: Option<String>,
+    /// Defaults to `"zh"`.
+    #[serde(rename = "targetLanguage", default, skip_serializing_if = "Option::is_none")]
+    pub target_language: Option<String>,
+}
+
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct TranslationResult {
+    pub translated: String,
+}
+
+pub trait BrowserAIClient {
+    type Error;
+
+    fn summarize_text(&self, request: SummaryRequest) -> impl Future<Output = Result<SummaryResult, Self::Error>> + Send;
+
+    fn translate_text(&self, request: TranslationRequest) -> impl Future<Output = Result<TranslationResult, Self::Error>> + Send;
+}
+
+pub struct Client<T> {
+    transport: T,
+}
+
+pub fn create_client<T: AgentTransport>(transport: T) -> Client<T> {
+    Client { transport }
+}
+
+impl<T: AgentTransport + Sync> BrowserAIClient for Client<T> {
+    type Error = ClientError<T::Error>;
+
+    async fn summarize_text(&self, request: SummaryRequest) -> Result<SummaryResult, Self::Error> {
+        let mut payload = Map::new();
+        insert_arg(&mut payload, "request", request)?;
+        let result = self.transport.send(AgentMessage::new(Intent::SummarizeText, payload)).await.map_err(ClientError::Transport)?;
+        serde_json::from_value(result).map_err(ClientError::Decode)
+    }
+
+    async fn translate_text(&self, request: TranslationRequest) -> Result<TranslationResult, Self::Error> {
+        let mut payload = Map::new();
+        insert_arg(&mut payload, "request", request)?;
+        let result = self.transport.send(AgentMessage::new(Intent::TranslateText, payload)).await.map_err(ClientError::Transport)?;
+        serde_json::from_value(result).map_err(ClientError::Decode)
+    }
+}
+
+pub trait BrowserAIHandlers: Sync {
+    type Error;
+
+    fn summarize_text(&self, request: SummaryRequest, message: &AgentMessage) -> impl Future<Output = Result<SummaryResult, Self::Error>> + Send;
+
+    fn translate_text(&self, request: TranslationRequest, message: &AgentMessage) -> impl Future<Output = Result<TranslationResult, Self::Error>> + Send;
+}
+
+/// Routes `message` to the handler for its intent, decoding the arguments from the payload.
+pub async fn dispatch<H: BrowserAIHandlers>(handlers: &H, message: &AgentMessage) -> Result<Value, DispatchError<H::Error>> {
+    let intent = Intent::from_iri(&message.intent).ok_or_else(|| DispatchError::UnknownIntent(message.intent.clone()))?;
+    let result = match intent {
+        Intent::SummarizeText => {
+            let result = handlers.summarize_text(arg(message, "request")?, message).await.map_err(DispatchError::Handler)?;
+            serde_json::to_value(result)
+        }
+        Intent::TranslateText => {
+            let result = handlers.translate_text(arg(message, "request")?, message).await.map_err(DispatchError::Handler)?;
+            serde_json::to_value(result)
+        }
+    };
+    result.map_err(DispatchError::Encode)
+}
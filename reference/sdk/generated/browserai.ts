@@ -1,44 +1,126 @@
+export interface AgentProof {
+  type: string;
+  [key: string]: unknown;
+}
+
 export interface AgentMessage {
   intent: string;
-  proof?: string | null;
+  proof?: AgentProof | string | null;
   payload: Record<string, unknown>;
   from?: string;
   to?: string;
   timestamp?: string;
+  messageId?: string;
+  idempotencyKey?: string;
+  nonce?: string;
+  envelope?: string;
+}
+
+export interface AgentSendOptions {
+  signal?: AbortSignal;
+  onChunk?: (chunk: unknown) => void;
+  idempotencyKey?: string;
 }
 
 export interface AgentTransport {
-  send(message: AgentMessage): Promise<unknown>;
+  send(message: AgentMessage, options?: AgentSendOptions): Promise<unknown>;
+}
+
+/** Passed to every handler; `emit` is only for `[Streaming]` operations. */
+export interface AgentCallContext<Chunk = never> {
+  signal: AbortSignal;
+  emit(chunk: Chunk): void;
 }
 
-export type SummaryRequest = Record<string, unknown>;
-export type SummaryResult = Record<string, unknown>;
-export type TranslationRequest = Record<string, unknown>;
-export type TranslationResult = Record<string, unknown>;
+/** Returned by `[Streaming]` operations: iterate it for chunks, await it for the result. */
+export interface AgentCall<Chunk, Result> extends AsyncIterable<Chunk>, PromiseLike<Result> {
+  result: Promise<Result>;
+  cancel(): void;
+}
+
+export interface SummaryRequest {
+  text: string;
+}
+
+export interface SummaryChunk {
+  text: string;
+}
+
+export interface SummaryResult {
+  summary: string;
+}
+
+export interface TranslationRequest {
+  text: string;
+  /** @default "en" */
+  sourceLanguage?: string;
+  /** @default "zh" */
+  targetLanguage?: string;
+}
+
+export interface TranslationResult {
+  translated: string;
+}
+
+function streamCall<Chunk, Result>(send: (options: AgentSendOptions) => Promise<unknown>): AgentCall<Chunk, Result> {
+  const controller = new AbortController();
+  const chunks: Chunk[] = [];
+  const waiting: Array<() => void> = [];
+  const wake = () => waiting.splice(0).forEach(resolve => resolve());
+  let settled = false;
+  const result = send({
+    signal: controller.signal,
+    onChunk: chunk => {
+      chunks.push(chunk as Chunk);
+      wake();
+    },
+  }).finally(() => {
+    settled = true;
+    wake();
+  }) as Promise<Result>;
+  result.catch(() => undefined);
+  return {
+    result,
+    then: (onFulfilled, onRejected) => result.then(onFulfilled, onRejected),
+    cancel: () => controller.abort(),
+    [Symbol.asyncIterator]: () => ({
+      next: async (): Promise<IteratorResult<Chunk>> => {
+        while (chunks.length === 0 && !settled) await new Promise<void>(resolve => waiting.push(resolve));
+        if (chunks.length > 0) return { value: chunks.shift() as Chunk, done: false };
+        await result;
+        return { value: undefined, done: true };
+      },
+      return: async (): Promise<IteratorResult<Chunk>> => {
+        controller.abort();
+        return { value: undefined, done: true };
+      },
+    }),
+  };
+}
 
 export interface BrowserAIClient {
-  summarizeText(request: SummaryRequest): Promise<SummaryResult>;
+  summarizeText(request: SummaryRequest): AgentCall<SummaryChunk, SummaryResult>;
   translateText(request: TranslationRequest): Promise<TranslationResult>;
 }
 
 export interface BrowserAIHandlers {
-  summarizeText(request: SummaryRequest, message?: AgentMessage): SummaryResult | Promise<SummaryResult>;
-  translateText(request: TranslationRequest, message?: AgentMessage): TranslationResult | Promise<TranslationResult>;
+  summarizeText(request: SummaryRequest, message: AgentMessage, call: AgentCallContext<SummaryChunk>): SummaryResult | Promise<SummaryResult>;
+  translateText(request: TranslationRequest, message?: AgentMessage, call?: AgentCallContext): TranslationResult | Promise<TranslationResult>;
 }
 
 export const intents = {
-  summarizeText: { intent: "agent:SummarizeText", proof: null },
-  translateText: { intent: "agent:TranslateText", proof: null },
+  summarizeText: { intent: "agent:SummarizeText", proof: null, capability: null, errors: [], stream: "SummaryChunk" },
+  translateText: { intent: "agent:TranslateText", proof: null, capability: null, errors: [], stream: null },
 } as const;
 
 export function createClient(transport: AgentTransport): BrowserAIClient {
   return {
-    summarizeText: (request) => transport.send({ intent: intents.summarizeText.intent, proof: intents.summarizeText.proof, payload: { request: request } }) as Promise<SummaryResult>,
+    summarizeText: (request) => streamCall<SummaryChunk, SummaryResult>(options => transport.send({ intent: intents.summarizeText.intent, proof: intents.summarizeText.proof, payload: { request: request } }, options)),
     translateText: (request) => transport.send({ intent: intents.translateText.intent, proof: intents.translateText.proof, payload: { request: request } }) as Promise<TranslationResult>,
   };
 }
 
-export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage) => Promise<unknown> | unknown) => void }, handlers: BrowserAIHandlers) {
-  runtime.registerIntent(intents.summarizeText.intent, async (message: AgentMessage) => handlers.summarizeText(message.payload.request as SummaryRequest, message));
-  runtime.registerIntent(intents.translateText.intent, async (message: AgentMessage) => handlers.translateText(message.payload.request as TranslationRequest, message));
+export function registerHandlers(runtime: { registerIntent: (intent: string, handler: (message: AgentMessage, call: AgentCallContext<unknown>) => Promise<unknown> | unknown) => void }, handlers: BrowserAIHandlers) {
+  runtime.registerIntent(intents.summarizeText.intent, async (message: AgentMessage, call: AgentCallContext<unknown>) => handlers.summarizeText(message.payload.request as SummaryRequest, message, call));
+  runtime.registerIntent(intents.translateText.intent, async (message: AgentMessage, call: AgentCallContext<unknown>) => handlers.translateText(message.payload.request as TranslationRequest, message, call));
 }
\ No newline at end of file
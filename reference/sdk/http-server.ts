@@ -0,0 +1,179 @@
+import http from "http";
+import type { AgentMethodDef, AgentRuntime } from "./agent-sdk";
+import { AgentError } from "./errors";
+import { HttpRequestBody, HttpResponseBody, NDJSON, intentRoute } from "./http-transport";
+import { deriveMessageId } from "./replay";
+import { AgentServer, serializeError } from "./transport";
+
+export interface HttpHandlerOptions {
+  basePath?: string;
+  defaultFrom?: string;
+  maxBodyBytes?: number;
+}
+
+export interface ServeAgentHttpOptions extends HttpHandlerOptions {
+  port?: number;
+  host?: string;
+}
+
+export function httpStatusFor(err: unknown): number {
+  if (!(err instanceof AgentError)) return 500;
+  const failure = err as AgentError & { target?: string; reason?: string };
+  switch (failure.code) {
+    case "unknown-intent":
+      return 501;
+    case "validation-failed":
+      return failure.target === "result" ? 500 : 422;
+    case "proof-failed":
+    case "envelope-failed":
+      return failure.reason === "unsupported" ? 501 : 401;
+    case "delegation-failed":
+    case "capability-denied":
+      return 403;
+    case "protocol-error":
+      return 400;
+    case "handler-error":
+      return 500;
+    case "replay-rejected":
+      return failure.reason === "unavailable" ? 503 : 409;
+    case "cancelled":
+      return 499;
+    default:
+      return 409;
+  }
+}
+
+function send(res: http.ServerResponse, status: number, body: HttpResponseBody, headers: Record<string, string> = {}) {
+  res.writeHead(status, { ...headers, "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function protocolError(message: string): HttpResponseBody {
+  return { error: { code: "protocol-error", name: "AgentProtocolError", message } };
+}
+
+// Resolves null when the body exceeds `limit`. The excess is read and discarded
+// rather than left unread, so the client is still listening for the 413.
+function readBody(req: http.IncomingMessage, limit: number): Promise<string | null> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on("data", (chunk: Buffer) => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on("end", () => resolve(size > limit ? null : Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Request listener that mounts every operation of `runtime.interfaceDef` as a
+ * POST route (see `intentRoute`), for use with `http.createServer` or an
+ * existing server. Failures map to status codes by error code: 422 invalid
+ * payload, 401 proof or message envelope, 403 delegation/capability, 409 a
+ * declared error or rejected replay, 503 a full replay store, 501 no handler, 500
+ * anything else.
+ * `[Streaming]` operations stream NDJSON to clients that accept it, and a closed
+ * connection cancels the handler.
+ */
+export function createHttpHandler(runtime: AgentRuntime, options: HttpHandlerOptions = {}) {
+  const { basePath = "", defaultFrom = "anonymous", maxBodyBytes = 1024 * 1024 } = options;
+  const prefix = basePath.replace(/\/+$/, "");
+  const routes = new Map<string, AgentMethodDef>();
+  Object.values(runtime.interfaceDef.methods).forEach(method => {
+    if (method.intent) routes.set(`${prefix}${intentRoute(method.intent)}`, method);
+  });
+
+  return async (req: http.IncomingMessage, res: http.ServerResponse) => {
+    const pathname = new URL(req.url || "/", "http://localhost").pathname;
+    const method = routes.get(pathname);
+    if (!method) {
+      send(res, 404, protocolError(`No operation is mounted at ${pathname}.`));
+      return;
+    }
+    if (req.method !== "POST") {
+      send(res, 405, protocolError(`${pathname} only accepts POST.`), { allow: "POST" });
+      return;
+    }
+    if (!/^application\/json\b/i.test(req.headers["content-type"] || "")) {
+      send(res, 415, protocolError("Request body must be application/json."));
+      return;
+    }
+
+    let raw: string | null;
+    try {
+      raw = await readBody(req, maxBodyBytes);
+    } catch (err) {
+      // The client went away mid-body; there is no one left to answer.
+      res.destroy();
+      return;
+    }
+    if (raw === null) {
+      res.on("finish", () => req.destroy());
+      send(res, 413, protocolError(`Request body exceeds ${maxBodyBytes} bytes.`), { connection: "close" });
+      return;
+    }
+    let body: HttpRequestBody;
+    try {
+      body = JSON.parse(raw || "{}");
+    } catch (err) {
+      send(res, 400, protocolError("Request body is not valid JSON."));
+      return;
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      send(res, 400, protocolError("Request body must be a JSON object."));
+      return;
+    }
+    const call = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) call.abort();
+    });
+    const streaming = Boolean(method.stream) && (req.headers.accept || "").includes(NDJSON);
+    const line = (entry: HttpResponseBody) => `${JSON.stringify(entry)}\n`;
+    const onChunk = streaming
+      ? (chunk: unknown) => {
+          if (!res.headersSent) res.writeHead(200, { "content-type": NDJSON });
+          res.write(line({ chunk }));
+        }
+      : undefined;
+    const message = {
+      intent: method.intent,
+      proof: body.proof ?? null,
+      payload: body.payload || {},
+      from: body.from || defaultFrom,
+      to: runtime.id,
+      timestamp: body.timestamp || new Date().toISOString(),
+      messageId: body.messageId || deriveMessageId({ ...body, intent: method.intent }),
+      idempotencyKey: body.idempotencyKey,
+      envelope: body.envelope,
+    };
+    try {
+      const result = await runtime.receive(message, { signal: call.signal, onChunk });
+      if (res.headersSent) res.end(line({ result }));
+      else send(res, 200, { result });
+    } catch (err) {
+      if (res.headersSent) res.end(line({ error: serializeError(err) }));
+      else send(res, httpStatusFor(err), { error: serializeError(err) });
+    }
+  };
+}
+
+export function serveAgentHttp(runtime: AgentRuntime, options: ServeAgentHttpOptions = {}): Promise<AgentServer> {
+  const { port, host, ...handlerOptions } = options;
+  const server = http.createServer(createHttpHandler(runtime, handlerOptions));
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port ?? 0, host, () => {
+      const address = server.address();
+      resolve({
+        port: address && typeof address === "object" ? address.port : null,
+        close: () =>
+          new Promise<void>((done, fail) => {
+            server.close(err => (err ? fail(err) : done()));
+            server.closeAllConnections();
+          }),
+      });
+    });
+  });
+}
@@ -0,0 +1,180 @@
+import type { AgentMessage, AgentSendOptions, AgentTransport } from "./agent-sdk";
+import { AgentCancelledError, AgentErrorEnvelope } from "./errors";
+import type { MessageSealer } from "./envelope";
+import type { ProofProvider } from "./proof";
+import { AgentRemoteError, AgentTransportError, prepareOutboundMessage } from "./transport";
+
+/*
+ * AgentIDL over HTTP. Each operation is a POST route derived from its intent
+ * (`agent:ProposeContract` -> `/agent/ProposeContract`) under the server's base
+ * URL, so routes are stable across method renames and readable in proxy logs.
+ *
+ *   request   POST /agent/ProposeContract   { "payload": {...}, "proof": ..., "from": "...", "timestamp": "...", "messageId": "...", "envelope": "..." }
+ *   success   200                           { "result": <handler result> }
+ *   failure   4xx/5xx                       { "error": { "code": "proof-failed", "name": "AgentProofError", "message": "...", "data": {...} } }
+ *   streamed  200 application/x-ndjson      { "chunk": ... } lines, then one { "result" } or { "error" } line
+ *
+ * Requests that accept `application/x-ndjson` are streamed once their `[Streaming]`
+ * operation emits its first chunk; failures before that keep their status code.
+ * Closing the connection cancels the handler.
+ */
+
+export interface HttpRequestBody {
+  payload: Record<string, unknown>;
+  proof?: AgentMessage["proof"];
+  from?: string;
+  timestamp?: string;
+  messageId?: string;
+  idempotencyKey?: string;
+  envelope?: string;
+}
+
+export interface HttpResponseBody {
+  result?: unknown;
+  chunk?: unknown;
+  error?: AgentErrorEnvelope;
+}
+
+export const NDJSON = "application/x-ndjson";
+
+export function intentRoute(intent: string): string {
+  return `/${intent.split(":").map(encodeURIComponent).join("/")}`;
+}
+
+interface BodyReaderLike {
+  getReader(): { read(): Promise<{ done: boolean; value?: Uint8Array }> };
+}
+
+type FetchLike = (
+  url: string,
+  init: { method: string; headers: Record<string, string>; body: string; signal?: AbortSignal }
+) => Promise<{
+  status: number;
+  ok: boolean;
+  headers?: { get(name: string): string | null };
+  body?: BodyReaderLike | null;
+  text(): Promise<string>;
+}>;
+
+export interface HttpTransportOptions {
+  url: string;
+  fetch?: FetchLike;
+  from?: string;
+  headers?: Record<string, string>;
+  timeoutMs?: number;
+  proofProviders?: Record<string, ProofProvider>;
+  /** Seals every request, e.g. with `createEnvelopeSealer`. */
+  sealer?: MessageSealer;
+}
+
+async function readLines(body: BodyReaderLike, onLine: (line: string) => void): Promise<void> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = done ? "" : (lines.pop() as string);
+    lines.filter(line => line.trim()).forEach(onLine);
+    if (done) return;
+  }
+}
+
+/**
+ * Client transport for `serveAgentHttp`; plugs into a generated `createClient`.
+ * `timeoutMs` counts from the request or, once streaming, from the last chunk.
+ */
+export function createHttpTransport({
+  url,
+  fetch: fetchImpl = (globalThis as any).fetch,
+  from,
+  headers = {},
+  timeoutMs = 30000,
+  proofProviders = {},
+  sealer,
+}: HttpTransportOptions): AgentTransport {
+  if (!fetchImpl) {
+    throw new Error("No fetch implementation available; pass one as the fetch option.");
+  }
+  const baseUrl = url.replace(/\/+$/, "");
+
+  return {
+    async send(message: AgentMessage, { signal, onChunk, idempotencyKey }: AgentSendOptions = {}) {
+      if (signal && signal.aborted) throw new AgentCancelledError(message.intent);
+      const outbound = await prepareOutboundMessage(message, { from, proofProviders, sealer, idempotencyKey });
+      const body: HttpRequestBody = {
+        payload: outbound.payload,
+        proof: outbound.proof,
+        from: outbound.from,
+        timestamp: outbound.timestamp,
+        messageId: outbound.messageId,
+        idempotencyKey: outbound.idempotencyKey,
+        envelope: outbound.envelope,
+      };
+      const target = `${baseUrl}${intentRoute(message.intent)}`;
+      const controller = new AbortController();
+      const cancel = () => controller.abort();
+      let timer = setTimeout(cancel, timeoutMs);
+      if (signal) signal.addEventListener("abort", cancel, { once: true });
+
+      let status: number;
+      let ok: boolean;
+      let text = "";
+      try {
+        const response = await fetchImpl(target, {
+          method: "POST",
+          headers: { ...headers, "content-type": "application/json", ...(onChunk ? { accept: NDJSON } : {}) },
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+        ({ status, ok } = response);
+        const contentType = (response.headers && response.headers.get("content-type")) || "";
+        if (onChunk && response.body && contentType.startsWith(NDJSON)) {
+          await readLines(response.body, line => {
+            let entry: HttpResponseBody | null = null;
+            try {
+              entry = JSON.parse(line);
+            } catch (err) {
+              // Left for the final-line check below to report.
+            }
+            if (!entry || entry.chunk === undefined) {
+              text = line;
+              return;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(cancel, timeoutMs);
+            onChunk(entry.chunk);
+          });
+        } else {
+          text = await response.text();
+        }
+      } catch (err) {
+        if (signal && signal.aborted) throw new AgentCancelledError(message.intent);
+        if (controller.signal.aborted) {
+          throw new AgentTransportError("timeout", null, `no reply from ${target} within ${timeoutMs}ms`);
+        }
+        throw new AgentTransportError("closed", null, `request to ${target} failed: ${(err as Error).message}`);
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", cancel);
+      }
+
+      let reply: HttpResponseBody;
+      try {
+        reply = JSON.parse(text);
+      } catch (err) {
+        throw new AgentTransportError("protocol", null, `HTTP ${status} from ${target} is not JSON`);
+      }
+      if (reply && reply.error) {
+        const remote = new AgentRemoteError(reply.error);
+        remote.status = status;
+        throw remote;
+      }
+      if (!ok || !reply || typeof reply !== "object") {
+        throw new AgentTransportError("protocol", null, `HTTP ${status} from ${target} has no result`);
+      }
+      return reply.result;
+    },
+  };
+}
@@ -0,0 +1,404 @@
+const fs = require("fs");
+const path = require("path");
+const webidl = require("webidl2");
+
+/*
+ * AgentIDL front end shared by the SDK loader, the compiler and the conformance
+ * suite: reading `.idl` files (AgentIDL's `[[...]]` attributes are WebIDL's
+ * `[...]`), merging partial interfaces, mixins and inheritance, and the core
+ * validation rules every AgentIDL document must satisfy.
+ */
+
+/** A document that cannot be parsed (`syntax`) or whose interfaces do not resolve (`resolution`). */
+class IdlError extends Error {
+  constructor(issue, message = issue.message) {
+    super(message);
+    this.name = "IdlError";
+    this.issue = issue;
+  }
+}
+
+/** The rules of `agent-idl-tests/validation-rules/core.json`. */
+const IDL_RULES = {
+  allowedExtAttrs: ["Context", "Semantic", "Prefix", "Intent", "Proof", "Capability", "Delegation", "Audit", "Throws", "Streaming"],
+  requiredInterfaceAttrs: ["Context", "Semantic"],
+  requiredOperationAttrs: ["Intent"],
+  delegationParamType: "DelegationContext",
+};
+
+// Padding instead of dropping the extra bracket keeps every token at its offset in
+// the file, so reported columns match what the author sees.
+function normalizeExtendedAttributes(idlSource) {
+  return idlSource.replace(/\[\[/g, "[ ").replace(/\]\]/g, " ]");
+}
+
+const tokenColumns = new WeakMap();
+
+function columnsOf(source) {
+  const cached = tokenColumns.get(source);
+  if (cached) return cached;
+  const columns = [];
+  let column = 1;
+  source.forEach(token => {
+    const lastBreak = token.trivia.lastIndexOf("\n");
+    column = lastBreak >= 0 ? token.trivia.length - lastBreak : column + token.trivia.length;
+    columns.push(column);
+    column += token.value.length;
+  });
+  tokenColumns.set(source, columns);
+  return columns;
+}
+
+/** Where `node` starts in its file: the token named `tokenName`, else its first token. */
+function locationOf(node, tokenName = "name") {
+  const { source, tokens } = node || {};
+  if (!source || !tokens) return undefined;
+  const token = tokens[tokenName] || Object.values(tokens).find(Boolean);
+  if (!token) return undefined;
+  return { ...(source.name ? { file: source.name } : {}), line: token.line, column: columnsOf(source)[token.index] };
+}
+
+function getExtAttrValue(extAttrs, name) {
+  if (!extAttrs) return null;
+  const found = extAttrs.find(attr => attr.name === name);
+  if (!found) return null;
+  let value = null;
+  if (typeof found.rhs === "string") value = found.rhs;
+  if (found.rhs && typeof found.rhs.value === "string") value = found.rhs.value;
+  if (typeof value !== "string") return null;
+  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
+  return value;
+}
+
+function getExtAttrList(extAttrs, name) {
+  const found = extAttrs && extAttrs.find(attr => attr.name === name);
+  if (!found || !found.rhs) return [];
+  const value = found.rhs.value;
+  const unquote = entry => (entry.startsWith("\"") && entry.endsWith("\"") ? entry.slice(1, -1) : entry);
+  return Array.isArray(value) ? value.map(entry => unquote(entry.value)) : [unquote(value)];
+}
+
+/** Prefixes every document can use; declarations may add prefixes but not rebind these. */
+const DEFAULT_PREFIXES = {
+  owl: "http://www.w3.org/2002/07/owl#",
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  xsd: "http://www.w3.org/2001/XMLSchema#",
+  agent: "https://s-agent-comm.github.io/agent-ontology/latest/agent.ttl#",
+  intent: "https://s-agent-comm.github.io/agent-ontology/latest/intent.ttl#",
+  ledger: "https://s-agent-comm.github.io/agent-ontology/latest/ledger.ttl#",
+  capability: "https://s-agent-comm.github.io/agent-ontology/latest/capability.ttl#",
+};
+
+/** Attributes whose value is an IRI, written in full or as a `prefix:name` CURIE. */
+const CURIE_ATTRIBUTES = ["Semantic", "Intent", "Proof", "Capability", "Delegation", "Audit"];
+
+const IDL_CONFIG_FILE = "agent-idl.config.json";
+
+const PREFIX_NAME = /^[A-Za-z][A-Za-z0-9_.-]*$/;
+const ABSOLUTE_IRI = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|^`\\]+$/;
+
+const hasPrefix = (prefixes, name) => Object.prototype.hasOwnProperty.call(prefixes, name);
+
+/** The prefix of a `prefix:name` CURIE; null for an IRI written in full (`https://...`, `urn:...`) or a bare name. */
+function curiePrefix(value) {
+  if (value.includes("://") || value.startsWith("urn:")) return null;
+  const colon = value.indexOf(":");
+  return colon > 0 ? value.slice(0, colon) : null;
+}
+
+/** `value` as an IRI; throws an `undeclared-prefix` IdlError for a CURIE whose prefix is not in `prefixes`. */
+function expandCurie(value, prefixes = DEFAULT_PREFIXES) {
+  const prefix = curiePrefix(value);
+  if (!prefix) return value;
+  if (!hasPrefix(prefixes, prefix)) {
+    throw new IdlError({ rule: "undeclared-prefix", severity: "error", message: `${value} uses the undeclared prefix ${prefix}.` });
+  }
+  return `${prefixes[prefix]}${value.slice(prefix.length + 1)}`;
+}
+
+/** Reads an `agent-idl.config.json` file: `{ "prefixes": { "acme": "https://acme.example/ontology#" } }`. */
+function readIdlConfig(configPath) {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const prefixes = (raw && raw.prefixes) || {};
+  if (typeof prefixes !== "object" || Array.isArray(prefixes)) {
+    throw new Error(`${configPath}: "prefixes" must map prefix names to IRIs.`);
+  }
+  Object.entries(prefixes).forEach(([name, iri]) => {
+    if (typeof iri !== "string") throw new Error(`${configPath}: prefix ${name} must be an IRI string.`);
+  });
+  return { prefixes };
+}
+
+// Binds DEFAULT_PREFIXES, then `configured`, then every `[Prefix="name=IRI"]` on an
+// interface or mixin; a prefix bound twice must name the same IRI each time.
+function bindPrefixes(ast, configured, report) {
+  const prefixes = { ...DEFAULT_PREFIXES };
+  const bind = (name, iri, node, origin) => {
+    if (!PREFIX_NAME.test(name) || !ABSOLUTE_IRI.test(iri)) {
+      report("invalid-prefix", node, `${origin} declares "${name}=${iri}"; expected a prefix name and an absolute IRI.`);
+    } else if (hasPrefix(prefixes, name) && prefixes[name] !== iri) {
+      report("prefix-conflict", node, `${origin} binds prefix ${name} to ${iri}, but it is already bound to ${prefixes[name]}.`);
+    } else {
+      prefixes[name] = iri;
+    }
+  };
+
+  Object.entries(configured).forEach(([name, iri]) => bind(name, iri, undefined, "The project configuration"));
+  ast.forEach(def => {
+    if (def.type !== "interface" && def.type !== "interface mixin") return;
+    const attribute = def.extAttrs.find(attr => attr.name === "Prefix");
+    getExtAttrList(def.extAttrs, "Prefix").forEach(entry => {
+      const equals = entry.indexOf("=");
+      const name = equals >= 0 ? entry.slice(0, equals).trim() : entry;
+      bind(name, equals >= 0 ? entry.slice(equals + 1).trim() : "", attribute, def.name);
+    });
+  });
+  return prefixes;
+}
+
+/** Every prefix `ast` can use: the defaults, `configured` and its `Prefix` declarations. */
+function resolvePrefixes(ast, configured = {}) {
+  return bindPrefixes(ast, configured, (rule, node, message) => {
+    throw new IdlError({ rule, severity: "error", message, location: locationOf(node) });
+  });
+}
+
+/** `inputPath` itself, or every `.idl` file below it in name order. */
+function collectIdlFiles(inputPath) {
+  if (!fs.statSync(inputPath).isDirectory()) return [inputPath];
+  return fs
+    .readdirSync(inputPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const fullPath = path.join(inputPath, entry.name);
+      if (entry.isDirectory()) return collectIdlFiles(fullPath);
+      return entry.name.endsWith(".idl") ? [fullPath] : [];
+    });
+}
+
+function parseIdlSource(source, sourceName) {
+  const normalized = normalizeExtendedAttributes(source);
+  try {
+    return webidl.parse(normalized, { sourceName });
+  } catch (err) {
+    if (!(err instanceof webidl.WebIDLParseError)) throw err;
+    // `input` is the text from the offending token on; find it on the reported line.
+    let lineStart = 0;
+    for (let line = 1; line < err.line; line += 1) lineStart = normalized.indexOf("\n", lineStart) + 1;
+    const found = normalized.indexOf(err.input, lineStart);
+    const lineEnd = normalized.indexOf("\n", lineStart);
+    const onLine = found >= 0 && (lineEnd < 0 || found <= lineEnd);
+    const location = { ...(sourceName ? { file: sourceName } : {}), line: err.line, column: onLine ? found - lineStart + 1 : 1 };
+    throw new IdlError({ rule: "syntax", severity: "error", message: err.bareMessage, location }, err.message);
+  }
+}
+
+/** Parses every file named by, or found below, `inputPaths` as one document. */
+function parseIdlFiles(inputPaths) {
+  const inputs = Array.isArray(inputPaths) ? inputPaths : [inputPaths];
+  const files = inputs.flatMap(collectIdlFiles);
+  if (files.length === 0) throw new Error(`No .idl files found in ${inputs.join(", ")}`);
+  return files.flatMap(file => parseIdlSource(fs.readFileSync(file, "utf8"), file));
+}
+
+function operationsOf(members) {
+  return members.filter(member => member.type === "operation" && member.name);
+}
+
+/**
+ * Merges partial interfaces into their primary definition, adds the operations
+ * of included mixins the interface does not define itself, and flattens
+ * inheritance so each interface lists every operation it answers.
+ */
+function resolveInterfaces(ast) {
+  const interfaces = new Map();
+  const mixins = new Map();
+  const includes = [];
+
+  const unresolved = (node, message, tokenName) =>
+    new IdlError({ rule: "resolution", severity: "error", message, location: locationOf(node, tokenName) });
+
+  const entryFor = node => {
+    let entry = interfaces.get(node.name);
+    if (!entry) {
+      entry = { name: node.name, extAttrs: [], inheritance: null, operations: [], declared: false, node };
+      interfaces.set(node.name, entry);
+    }
+    return entry;
+  };
+
+  ast.forEach(def => {
+    if (def.type === "interface") {
+      const entry = entryFor(def);
+      if (!def.partial) {
+        if (entry.declared) throw unresolved(def, `Interface ${def.name} is defined more than once.`);
+        entry.declared = true;
+        entry.node = def;
+        entry.inheritance = def.inheritance;
+        entry.extAttrs = [...def.extAttrs, ...entry.extAttrs];
+      } else {
+        entry.extAttrs.push(...def.extAttrs);
+      }
+      entry.operations.push(...operationsOf(def.members));
+    } else if (def.type === "interface mixin") {
+      mixins.set(def.name, [...(mixins.get(def.name) || []), ...operationsOf(def.members)]);
+    } else if (def.type === "includes") {
+      includes.push(def);
+    }
+  });
+
+  includes.forEach(statement => {
+    const target = interfaces.get(statement.target);
+    const mixin = mixins.get(statement.includes);
+    const included = `${statement.target} includes ${statement.includes}`;
+    if (!target) throw unresolved(statement, `${included}, but ${statement.target} is not defined.`, "target");
+    if (!mixin) throw unresolved(statement, `${included}, but no such interface mixin is defined.`, "mixin");
+    const defined = new Set(target.operations.map(op => op.name));
+    target.operations.push(...mixin.filter(op => !defined.has(op.name)));
+  });
+
+  interfaces.forEach(entry => {
+    if (!entry.declared) throw unresolved(entry.node, `Partial interface ${entry.name} has no primary definition.`);
+  });
+
+  const flattened = new Map();
+  const flatten = (name, chain) => {
+    const cached = flattened.get(name);
+    if (cached) return cached;
+    const child = interfaces.get(chain[chain.length - 1]);
+    const fail = message => unresolved(child && child.node, message, "inheritance");
+    if (chain.includes(name)) throw fail(`Interface inheritance cycle: ${[...chain, name].join(" -> ")}`);
+    const entry = interfaces.get(name);
+    if (!entry) throw fail(`${chain[chain.length - 1]} inherits from undefined interface ${name}.`);
+    const inherited = entry.inheritance ? flatten(entry.inheritance, [...chain, name]) : [];
+    const ownNames = new Set(entry.operations.map(op => op.name));
+    const operations = [...inherited.filter(op => !ownNames.has(op.name)), ...entry.operations];
+    flattened.set(name, operations);
+    return operations;
+  };
+
+  return Array.from(interfaces.values()).map(entry => ({
+    name: entry.name,
+    extAttrs: entry.extAttrs,
+    inheritance: entry.inheritance,
+    operations: flatten(entry.name, []),
+  }));
+}
+
+function idlTypeName(idlType) {
+  if (!idlType) return null;
+  if (typeof idlType === "string") return idlType;
+  if (Array.isArray(idlType)) return idlType.map(idlTypeName).join("|");
+  if (idlType.idlType) return idlTypeName(idlType.idlType);
+  return null;
+}
+
+/**
+ * Checks `ast` against `rules`, with `prefixes` from the project configuration;
+ * an empty list means the document is valid AgentIDL.
+ */
+function validateIdlDefinitions(ast, rules = IDL_RULES, prefixes = {}) {
+  const issues = [];
+  const report = (rule, node, message) => {
+    issues.push({ rule, severity: "error", message, location: locationOf(node) });
+  };
+  const allowed = new Set(rules.allowedExtAttrs || []);
+  const requiredInterfaceAttrs = rules.requiredInterfaceAttrs || [];
+  const requiredOperationAttrs = rules.requiredOperationAttrs || [];
+  const delegationParamType = rules.delegationParamType || "DelegationContext";
+
+  const interfaces = ast.filter(def => def.type === "interface" || def.type === "interface mixin");
+  const dictionaries = new Set(ast.filter(def => def.type === "dictionary").map(def => def.name));
+  if (!interfaces.some(def => def.type === "interface")) {
+    report("interface-required", ast[0], "No interface definitions found.");
+    return issues;
+  }
+
+  const declared = bindPrefixes(ast, prefixes, report);
+  const checkCuries = (extAttrs, where) => {
+    extAttrs.forEach(attr => {
+      if (!CURIE_ATTRIBUTES.includes(attr.name)) return;
+      const value = getExtAttrValue(extAttrs, attr.name);
+      const prefix = value && curiePrefix(value);
+      if (prefix && !hasPrefix(declared, prefix)) {
+        report("undeclared-prefix", attr, `${attr.name} "${value}" on ${where} uses the undeclared prefix ${prefix}.`);
+      }
+    });
+  };
+
+  interfaces.forEach(iface => {
+    const ifaceAttrs = iface.extAttrs || [];
+    ifaceAttrs.forEach(attr => {
+      if (!allowed.has(attr.name)) {
+        report("unknown-attribute", attr, `Unknown extended attribute on interface ${iface.name}: ${attr.name}`);
+      }
+    });
+
+    checkCuries(ifaceAttrs, iface.name);
+
+    const isPrimary = iface.type === "interface" && !iface.partial;
+    (isPrimary ? requiredInterfaceAttrs : []).forEach(required => {
+      if (!getExtAttrValue(ifaceAttrs, required)) {
+        report("missing-attribute", iface, `Missing required interface attribute ${required} on ${iface.name}`);
+      }
+    });
+
+    iface.members.forEach(member => {
+      if (member.type !== "operation") return;
+      const where = `${iface.name}.${member.name}`;
+      const memberAttrs = member.extAttrs || [];
+      const attribute = name => memberAttrs.find(attr => attr.name === name);
+      memberAttrs.forEach(attr => {
+        if (!allowed.has(attr.name)) report("unknown-attribute", attr, `Unknown extended attribute on ${where}: ${attr.name}`);
+      });
+      checkCuries(memberAttrs, where);
+
+      requiredOperationAttrs.forEach(required => {
+        if (!getExtAttrValue(memberAttrs, required)) {
+          report("missing-attribute", member, `Missing required operation attribute ${required} on ${where}`);
+        }
+      });
+
+      if (getExtAttrValue(memberAttrs, "Delegation")) {
+        if (!member.arguments.some(arg => idlTypeName(arg.idlType) === delegationParamType)) {
+          report("delegation-param", attribute("Delegation"), `Delegation attribute requires ${delegationParamType} parameter on ${where}`);
+        }
+      }
+
+      getExtAttrList(memberAttrs, "Throws").forEach(declared => {
+        if (!dictionaries.has(declared)) {
+          report("undeclared-type", attribute("Throws"), `Throws on ${where} names ${declared}, which is not a dictionary.`);
+        }
+      });
+
+      const streamed = getExtAttrValue(memberAttrs, "Streaming");
+      if (streamed && !dictionaries.has(streamed)) {
+        report("undeclared-type", attribute("Streaming"), `Streaming on ${where} names ${streamed}, which is not a dictionary.`);
+      }
+    });
+  });
+
+  return issues;
+}
+
+module.exports = {
+  CURIE_ATTRIBUTES,
+  DEFAULT_PREFIXES,
+  IDL_CONFIG_FILE,
+  IDL_RULES,
+  IdlError,
+  collectIdlFiles,
+  curiePrefix,
+  expandCurie,
+  getExtAttrList,
+  getExtAttrValue,
+  locationOf,
+  normalizeExtendedAttributes,
+  parseIdlFiles,
+  parseIdlSource,
+  readIdlConfig,
+  resolveInterfaces,
+  resolvePrefixes,
+  validateIdlDefinitions,
+};
@@ -0,0 +1,438 @@
+import fs from "fs";
+import path from "path";
+import * as webidl from "webidl2";
+
+/*
+ * AgentIDL front end shared by the SDK loader, the compiler and the conformance
+ * suite: reading `.idl` files (AgentIDL's `[[...]]` attributes are WebIDL's
+ * `[...]`), merging partial interfaces, mixins and inheritance, and the core
+ * validation rules every AgentIDL document must satisfy.
+ */
+
+export interface ResolvedInterface {
+  name: string;
+  extAttrs: webidl.ExtendedAttribute[];
+  inheritance: string | null;
+  operations: webidl.OperationMemberType[];
+}
+
+/** Prefix name to the IRI its CURIEs expand against, e.g. `agent` to `https://.../agent.ttl#`. */
+export type PrefixMap = Record<string, string>;
+
+/** Settings of an `agent-idl.config.json` project file. */
+export interface IdlConfig {
+  /** Prefixes every document of the project can use, in addition to `DEFAULT_PREFIXES`. */
+  prefixes: PrefixMap;
+}
+
+export interface IdlRules {
+  allowedExtAttrs: string[];
+  /** Required on primary interface definitions; partials and mixins inherit them. */
+  requiredInterfaceAttrs: string[];
+  requiredOperationAttrs: string[];
+  delegationParamType: string;
+}
+
+export type IdlSeverity = "error" | "warning";
+
+export interface IdlLocation {
+  file?: string;
+  line: number;
+  column: number;
+}
+
+export interface IdlIssue {
+  rule: string;
+  severity: IdlSeverity;
+  message: string;
+  location?: IdlLocation;
+}
+
+/** A document that cannot be parsed (`syntax`) or whose interfaces do not resolve (`resolution`). */
+export class IdlError extends Error {
+  public issue: IdlIssue;
+
+  constructor(issue: IdlIssue, message: string = issue.message) {
+    super(message);
+    this.name = "IdlError";
+    this.issue = issue;
+  }
+}
+
+/** The rules of `agent-idl-tests/validation-rules/core.json`. */
+export const IDL_RULES: IdlRules = {
+  allowedExtAttrs: ["Context", "Semantic", "Prefix", "Intent", "Proof", "Capability", "Delegation", "Audit", "Throws", "Streaming"],
+  requiredInterfaceAttrs: ["Context", "Semantic"],
+  requiredOperationAttrs: ["Intent"],
+  delegationParamType: "DelegationContext",
+};
+
+// Padding instead of dropping the extra bracket keeps every token at its offset in
+// the file, so reported columns match what the author sees.
+export function normalizeExtendedAttributes(idlSource: string): string {
+  return idlSource.replace(/\[\[/g, "[ ").replace(/\]\]/g, " ]");
+}
+
+type Token = { value: string; trivia: string; line: number; index: number };
+
+const tokenColumns = new WeakMap<Token[], number[]>();
+
+function columnsOf(source: Token[]): number[] {
+  const cached = tokenColumns.get(source);
+  if (cached) return cached;
+  const columns: number[] = [];
+  let column = 1;
+  source.forEach(token => {
+    const lastBreak = token.trivia.lastIndexOf("\n");
+    column = lastBreak >= 0 ? token.trivia.length - lastBreak : column + token.trivia.length;
+    columns.push(column);
+    column += token.value.length;
+  });
+  tokenColumns.set(source, columns);
+  return columns;
+}
+
+/** Where `node` starts in its file: the token named `tokenName`, else its first token. */
+export function locationOf(node: unknown, tokenName = "name"): IdlLocation | undefined {
+  const { source, tokens } = (node || {}) as { source?: Token[] & { name?: string }; tokens?: Record<string, Token | undefined> };
+  if (!source || !tokens) return undefined;
+  const token = tokens[tokenName] || Object.values(tokens).find(Boolean);
+  if (!token) return undefined;
+  return { ...(source.name ? { file: source.name } : {}), line: token.line, column: columnsOf(source)[token.index] };
+}
+
+export function getExtAttrValue(extAttrs: webidl.ExtendedAttribute[] | undefined, name: string): string | null {
+  if (!extAttrs) return null;
+  const found = extAttrs.find(attr => attr.name === name);
+  if (!found) return null;
+  let value: string | null = null;
+  if (typeof found.rhs === "string") value = found.rhs;
+  if (found.rhs && typeof (found.rhs as any).value === "string") value = (found.rhs as any).value;
+  if (typeof value !== "string") return null;
+  if (value.startsWith("\"") && value.endsWith("\"")) return value.slice(1, -1);
+  return value;
+}
+
+export function getExtAttrList(extAttrs: webidl.ExtendedAttribute[] | undefined, name: string): string[] {
+  const found = extAttrs && extAttrs.find(attr => attr.name === name);
+  if (!found || !found.rhs) return [];
+  const value = (found.rhs as any).value;
+  const unquote = (entry: string) => (entry.startsWith("\"") && entry.endsWith("\"") ? entry.slice(1, -1) : entry);
+  return Array.isArray(value) ? value.map((entry: { value: string }) => unquote(entry.value)) : [unquote(value)];
+}
+
+/** Prefixes every document can use; declarations may add prefixes but not rebind these. */
+export const DEFAULT_PREFIXES: PrefixMap = {
+  owl: "http://www.w3.org/2002/07/owl#",
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  xsd: "http://www.w3.org/2001/XMLSchema#",
+  agent: "https://s-agent-comm.github.io/agent-ontology/latest/agent.ttl#",
+  intent: "https://s-agent-comm.github.io/agent-ontology/latest/intent.ttl#",
+  ledger: "https://s-agent-comm.github.io/agent-ontology/latest/ledger.ttl#",
+  capability: "https://s-agent-comm.github.io/agent-ontology/latest/capability.ttl#",
+};
+
+/** Attributes whose value is an IRI, written in full or as a `prefix:name` CURIE. */
+export const CURIE_ATTRIBUTES = ["Semantic", "Intent", "Proof", "Capability", "Delegation", "Audit"];
+
+export const IDL_CONFIG_FILE = "agent-idl.config.json";
+
+const PREFIX_NAME = /^[A-Za-z][A-Za-z0-9_.-]*$/;
+const ABSOLUTE_IRI = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|^`\\]+$/;
+
+const hasPrefix = (prefixes: PrefixMap, name: string) => Object.prototype.hasOwnProperty.call(prefixes, name);
+
+/** The prefix of a `prefix:name` CURIE; null for an IRI written in full (`https://...`, `urn:...`) or a bare name. */
+export function curiePrefix(value: string): string | null {
+  if (value.includes("://") || value.startsWith("urn:")) return null;
+  const colon = value.indexOf(":");
+  return colon > 0 ? value.slice(0, colon) : null;
+}
+
+/** `value` as an IRI; throws an `undeclared-prefix` IdlError for a CURIE whose prefix is not in `prefixes`. */
+export function expandCurie(value: string, prefixes: PrefixMap = DEFAULT_PREFIXES): string {
+  const prefix = curiePrefix(value);
+  if (!prefix) return value;
+  if (!hasPrefix(prefixes, prefix)) {
+    throw new IdlError({ rule: "undeclared-prefix", severity: "error", message: `${value} uses the undeclared prefix ${prefix}.` });
+  }
+  return `${prefixes[prefix]}${value.slice(prefix.length + 1)}`;
+}
+
+/** Reads an `agent-idl.config.json` file: `{ "prefixes": { "acme": "https://acme.example/ontology#" } }`. */
+export function readIdlConfig(configPath: string): IdlConfig {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const prefixes = (raw && raw.prefixes) || {};
+  if (typeof prefixes !== "object" || Array.isArray(prefixes)) {
+    throw new Error(`${configPath}: "prefixes" must map prefix names to IRIs.`);
+  }
+  Object.entries(prefixes).forEach(([name, iri]) => {
+    if (typeof iri !== "string") throw new Error(`${configPath}: prefix ${name} must be an IRI string.`);
+  });
+  return { prefixes };
+}
+
+type PrefixReporter = (rule: string, node: unknown, message: string) => void;
+
+// Binds DEFAULT_PREFIXES, then `configured`, then every `[Prefix="name=IRI"]` on an
+// interface or mixin; a prefix bound twice must name the same IRI each time.
+function bindPrefixes(ast: webidl.IDLRootType[], configured: PrefixMap, report: PrefixReporter): PrefixMap {
+  const prefixes: PrefixMap = { ...DEFAULT_PREFIXES };
+  const bind = (name: string, iri: string, node: unknown, origin: string) => {
+    if (!PREFIX_NAME.test(name) || !ABSOLUTE_IRI.test(iri)) {
+      report("invalid-prefix", node, `${origin} declares "${name}=${iri}"; expected a prefix name and an absolute IRI.`);
+    } else if (hasPrefix(prefixes, name) && prefixes[name] !== iri) {
+      report("prefix-conflict", node, `${origin} binds prefix ${name} to ${iri}, but it is already bound to ${prefixes[name]}.`);
+    } else {
+      prefixes[name] = iri;
+    }
+  };
+
+  Object.entries(configured).forEach(([name, iri]) => bind(name, iri, undefined, "The project configuration"));
+  ast.forEach(def => {
+    if (def.type !== "interface" && def.type !== "interface mixin") return;
+    const attribute = def.extAttrs.find(attr => attr.name === "Prefix");
+    getExtAttrList(def.extAttrs, "Prefix").forEach(entry => {
+      const equals = entry.indexOf("=");
+      const name = equals >= 0 ? entry.slice(0, equals).trim() : entry;
+      bind(name, equals >= 0 ? entry.slice(equals + 1).trim() : "", attribute, def.name);
+    });
+  });
+  return prefixes;
+}
+
+/** Every prefix `ast` can use: the defaults, `configured` and its `Prefix` declarations. */
+export function resolvePrefixes(ast: webidl.IDLRootType[], configured: PrefixMap = {}): PrefixMap {
+  return bindPrefixes(ast, configured, (rule, node, message) => {
+    throw new IdlError({ rule, severity: "error", message, location: locationOf(node) });
+  });
+}
+
+/** `inputPath` itself, or every `.idl` file below it in name order. */
+export function collectIdlFiles(inputPath: string): string[] {
+  if (!fs.statSync(inputPath).isDirectory()) return [inputPath];
+  return fs
+    .readdirSync(inputPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const fullPath = path.join(inputPath, entry.name);
+      if (entry.isDirectory()) return collectIdlFiles(fullPath);
+      return entry.name.endsWith(".idl") ? [fullPath] : [];
+    });
+}
+
+export function parseIdlSource(source: string, sourceName?: string): webidl.IDLRootType[] {
+  const normalized = normalizeExtendedAttributes(source);
+  try {
+    return webidl.parse(normalized, { sourceName });
+  } catch (err) {
+    if (!(err instanceof webidl.WebIDLParseError)) throw err;
+    const failure = err as webidl.WebIDLParseError & { bareMessage: string; line: number; input: string };
+    // `input` is the text from the offending token on; find it on the reported line.
+    let lineStart = 0;
+    for (let line = 1; line < failure.line; line += 1) lineStart = normalized.indexOf("\n", lineStart) + 1;
+    const found = normalized.indexOf(failure.input, lineStart);
+    const lineEnd = normalized.indexOf("\n", lineStart);
+    const onLine = found >= 0 && (lineEnd < 0 || found <= lineEnd);
+    const location = { ...(sourceName ? { file: sourceName } : {}), line: failure.line, column: onLine ? found - lineStart + 1 : 1 };
+    throw new IdlError({ rule: "syntax", severity: "error", message: failure.bareMessage, location }, failure.message);
+  }
+}
+
+/** Parses every file named by, or found below, `inputPaths` as one document. */
+export function parseIdlFiles(inputPaths: string | string[]): webidl.IDLRootType[] {
+  const inputs = Array.isArray(inputPaths) ? inputPaths : [inputPaths];
+  const files = inputs.flatMap(collectIdlFiles);
+  if (files.length === 0) throw new Error(`No .idl files found in ${inputs.join(", ")}`);
+  return files.flatMap(file => parseIdlSource(fs.readFileSync(file, "utf8"), file));
+}
+
+function operationsOf(members: webidl.IDLInterfaceMemberType[] | webidl.IDLInterfaceMixinMemberType[]) {
+  return (members as webidl.AbstractBase[]).filter(
+    member => member.type === "operation" && (member as webidl.OperationMemberType).name
+  ) as webidl.OperationMemberType[];
+}
+
+/**
+ * Merges partial interfaces into their primary definition, adds the operations
+ * of included mixins the interface does not define itself, and flattens
+ * inheritance so each interface lists every operation it answers.
+ */
+export function resolveInterfaces(ast: webidl.IDLRootType[]): ResolvedInterface[] {
+  const interfaces = new Map<string, ResolvedInterface & { declared: boolean; node: webidl.InterfaceType }>();
+  const mixins = new Map<string, webidl.OperationMemberType[]>();
+  const includes: webidl.IncludesType[] = [];
+
+  const unresolved = (node: unknown, message: string, tokenName?: string) =>
+    new IdlError({ rule: "resolution", severity: "error", message, location: locationOf(node, tokenName) });
+
+  const entryFor = (node: webidl.InterfaceType) => {
+    let entry = interfaces.get(node.name);
+    if (!entry) {
+      entry = { name: node.name, extAttrs: [], inheritance: null, operations: [], declared: false, node };
+      interfaces.set(node.name, entry);
+    }
+    return entry;
+  };
+
+  ast.forEach(def => {
+    if (def.type === "interface") {
+      const entry = entryFor(def);
+      if (!def.partial) {
+        if (entry.declared) throw unresolved(def, `Interface ${def.name} is defined more than once.`);
+        entry.declared = true;
+        entry.node = def;
+        entry.inheritance = def.inheritance;
+        entry.extAttrs = [...def.extAttrs, ...entry.extAttrs];
+      } else {
+        entry.extAttrs.push(...def.extAttrs);
+      }
+      entry.operations.push(...operationsOf(def.members));
+    } else if (def.type === "interface mixin") {
+      mixins.set(def.name, [...(mixins.get(def.name) || []), ...operationsOf(def.members)]);
+    } else if (def.type === "includes") {
+      includes.push(def);
+    }
+  });
+
+  includes.forEach(statement => {
+    const target = interfaces.get(statement.target);
+    const mixin = mixins.get(statement.includes);
+    const included = `${statement.target} includes ${statement.includes}`;
+    if (!target) throw unresolved(statement, `${included}, but ${statement.target} is not defined.`, "target");
+    if (!mixin) throw unresolved(statement, `${included}, but no such interface mixin is defined.`, "mixin");
+    const defined = new Set(target.operations.map(op => op.name));
+    target.operations.push(...mixin.filter(op => !defined.has(op.name)));
+  });
+
+  interfaces.forEach(entry => {
+    if (!entry.declared) throw unresolved(entry.node, `Partial interface ${entry.name} has no primary definition.`);
+  });
+
+  const flattened = new Map<string, webidl.OperationMemberType[]>();
+  const flatten = (name: string, chain: string[]): webidl.OperationMemberType[] => {
+    const cached = flattened.get(name);
+    if (cached) return cached;
+    const child = interfaces.get(chain[chain.length - 1]);
+    const fail = (message: string) => unresolved(child && child.node, message, "inheritance");
+    if (chain.includes(name)) throw fail(`Interface inheritance cycle: ${[...chain, name].join(" -> ")}`);
+    const entry = interfaces.get(name);
+    if (!entry) throw fail(`${chain[chain.length - 1]} inherits from undefined interface ${name}.`);
+    const inherited = entry.inheritance ? flatten(entry.inheritance, [...chain, name]) : [];
+    const ownNames = new Set(entry.operations.map(op => op.name));
+    const operations = [...inherited.filter(op => !ownNames.has(op.name)), ...entry.operations];
+    flattened.set(name, operations);
+    return operations;
+  };
+
+  return Array.from(interfaces.values()).map(entry => ({
+    name: entry.name,
+    extAttrs: entry.extAttrs,
+    inheritance: entry.inheritance,
+    operations: flatten(entry.name, []),
+  }));
+}
+
+function idlTypeName(idlType: unknown): string | null {
+  if (!idlType) return null;
+  if (typeof idlType === "string") return idlType;
+  if (Array.isArray(idlType)) return idlType.map(idlTypeName).join("|");
+  if ((idlType as webidl.IDLTypeDescription).idlType) return idlTypeName((idlType as webidl.IDLTypeDescription).idlType);
+  return null;
+}
+
+/**
+ * Checks `ast` against `rules`, with `prefixes` from the project configuration;
+ * an empty list means the document is valid AgentIDL.
+ */
+export function validateIdlDefinitions(
+  ast: webidl.IDLRootType[],
+  rules: Partial<IdlRules> = IDL_RULES,
+  prefixes: PrefixMap = {}
+): IdlIssue[] {
+  const issues: IdlIssue[] = [];
+  const report = (rule: string, node: unknown, message: string) => {
+    issues.push({ rule, severity: "error", message, location: locationOf(node) });
+  };
+  const allowed = new Set(rules.allowedExtAttrs || []);
+  const requiredInterfaceAttrs = rules.requiredInterfaceAttrs || [];
+  const requiredOperationAttrs = rules.requiredOperationAttrs || [];
+  const delegationParamType = rules.delegationParamType || "DelegationContext";
+
+  const interfaces = ast.filter(
+    (def): def is webidl.InterfaceType | webidl.InterfaceMixinType => def.type === "interface" || def.type === "interface mixin"
+  );
+  const dictionaries = new Set(ast.filter(def => def.type === "dictionary").map(def => (def as webidl.DictionaryType).name));
+  if (!interfaces.some(def => def.type === "interface")) {
+    report("interface-required", ast[0], "No interface definitions found.");
+    return issues;
+  }
+
+  const declared = bindPrefixes(ast, prefixes, report);
+  const checkCuries = (extAttrs: webidl.ExtendedAttribute[], where: string) => {
+    extAttrs.forEach(attr => {
+      if (!CURIE_ATTRIBUTES.includes(attr.name)) return;
+      const value = getExtAttrValue(extAttrs, attr.name);
+      const prefix = value && curiePrefix(value);
+      if (prefix && !hasPrefix(declared, prefix)) {
+        report("undeclared-prefix", attr, `${attr.name} "${value}" on ${where} uses the undeclared prefix ${prefix}.`);
+      }
+    });
+  };
+
+  interfaces.forEach(iface => {
+    const ifaceAttrs = iface.extAttrs || [];
+    ifaceAttrs.forEach(attr => {
+      if (!allowed.has(attr.name)) {
+        report("unknown-attribute", attr, `Unknown extended attribute on interface ${iface.name}: ${attr.name}`);
+      }
+    });
+
+    checkCuries(ifaceAttrs, iface.name);
+
+    const isPrimary = iface.type === "interface" && !iface.partial;
+    (isPrimary ? requiredInterfaceAttrs : []).forEach(required => {
+      if (!getExtAttrValue(ifaceAttrs, required)) {
+        report("missing-attribute", iface, `Missing required interface attribute ${required} on ${iface.name}`);
+      }
+    });
+
+    (iface.members as webidl.AbstractBase[]).forEach(base => {
+      if (base.type !== "operation") return;
+      const member = base as webidl.OperationMemberType;
+      const where = `${iface.name}.${member.name}`;
+      const memberAttrs = member.extAttrs || [];
+      const attribute = (name: string) => memberAttrs.find(attr => attr.name === name);
+      memberAttrs.forEach(attr => {
+        if (!allowed.has(attr.name)) report("unknown-attribute", attr, `Unknown extended attribute on ${where}: ${attr.name}`);
+      });
+      checkCuries(memberAttrs, where);
+
+      requiredOperationAttrs.forEach(required => {
+        if (!getExtAttrValue(memberAttrs, required)) {
+          report("missing-attribute", member, `Missing required operation attribute ${required} on ${where}`);
+        }
+      });
+
+      if (getExtAttrValue(memberAttrs, "Delegation")) {
+        if (!member.arguments.some(arg => idlTypeName(arg.idlType) === delegationParamType)) {
+          report("delegation-param", attribute("Delegation"), `Delegation attribute requires ${delegationParamType} parameter on ${where}`);
+        }
+      }
+
+      getExtAttrList(memberAttrs, "Throws").forEach(declared => {
+        if (!dictionaries.has(declared)) {
+          report("undeclared-type", attribute("Throws"), `Throws on ${where} names ${declared}, which is not a dictionary.`);
+        }
+      });
+
+      const streamed = getExtAttrValue(memberAttrs, "Streaming");
+      if (streamed && !dictionaries.has(streamed)) {
+        report("undeclared-type", attribute("Streaming"), `Streaming on ${where} names ${streamed}, which is not a dictionary.`);
+      }
+    });
+  });
+
+  return issues;
+}
@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { didKeyFromPublicKey } = require("./did");
+
+class MemoryKeyStore {
+  constructor({ did, signing, agreement }) {
+    this.did = did;
+    this.signing = signing || null;
+    this.agreement = agreement || null;
+  }
+
+  /** A fresh Ed25519 key whose `did:key` becomes the store's DID. */
+  static generate() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const did = didKeyFromPublicKey(publicKey);
+    return new MemoryKeyStore({ did, signing: { keyId: `${did}#${did.slice("did:key:".length)}`, privateKey } });
+  }
+
+  signingKey() {
+    return this.signing;
+  }
+
+  agreementKey() {
+    return this.agreement;
+  }
+}
+
+function fromEntry(entry) {
+  if (!entry) return null;
+  return { keyId: entry.keyId, privateKey: crypto.createPrivateKey({ key: entry.privateKeyJwk, format: "jwk" }) };
+}
+
+function toEntry(key) {
+  return key ? { keyId: key.keyId, privateKeyJwk: key.privateKey.export({ format: "jwk" }) } : undefined;
+}
+
+// The file is re-read on every lookup so a rotated key takes effect without a
+// restart. It holds private JWKs and is written readable by its owner only.
+class FileKeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (!parsed || typeof parsed.did !== "string") throw new Error(`${this.filePath} is not a key store file.`);
+    return parsed;
+  }
+
+  get did() {
+    return this.read().did;
+  }
+
+  signingKey() {
+    return fromEntry(this.read().signing);
+  }
+
+  agreementKey() {
+    return fromEntry(this.read().agreement);
+  }
+
+  /** Writes the keys of `store` to `filePath` and returns a store that reads them back. */
+  static save(filePath, store) {
+    const file = { did: store.did, signing: toEntry(store.signingKey()), agreement: toEntry(store.agreementKey()) };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(file, null, 2)}\n`, { mode: 0o600 });
+    return new FileKeyStore(filePath);
+  }
+}
+
+module.exports = {
+  FileKeyStore,
+  MemoryKeyStore,
+};
@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { didKeyFromPublicKey } from "./did";
+
+/** A private key and the verification method id (`did:...#fragment`) that publishes its public half. */
+export interface StoredKey {
+  keyId: string;
+  privateKey: crypto.KeyObject;
+}
+
+/**
+ * The keys an agent signs and decrypts with. A stored key spreads straight into
+ * the signer factories: `createEd25519Signer(store.signingKey())`.
+ */
+export interface KeyStore {
+  readonly did: string;
+  /** Ed25519 key for proofs, envelopes, delegation credentials and execution attestations. */
+  signingKey(): StoredKey | null;
+  /** X25519 key for opening envelopes whose payload is encrypted to this agent. */
+  agreementKey(): StoredKey | null;
+}
+
+export class MemoryKeyStore implements KeyStore {
+  public did: string;
+  private signing: StoredKey | null;
+  private agreement: StoredKey | null;
+
+  constructor({ did, signing, agreement }: { did: string; signing?: StoredKey; agreement?: StoredKey }) {
+    this.did = did;
+    this.signing = signing || null;
+    this.agreement = agreement || null;
+  }
+
+  /** A fresh Ed25519 key whose `did:key` becomes the store's DID. */
+  static generate(): MemoryKeyStore {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const did = didKeyFromPublicKey(publicKey);
+    return new MemoryKeyStore({ did, signing: { keyId: `${did}#${did.slice("did:key:".length)}`, privateKey } });
+  }
+
+  signingKey() {
+    return this.signing;
+  }
+
+  agreementKey() {
+    return this.agreement;
+  }
+}
+
+interface KeyFileEntry {
+  keyId: string;
+  privateKeyJwk: crypto.JsonWebKey;
+}
+
+interface KeyFile {
+  did: string;
+  signing?: KeyFileEntry;
+  agreement?: KeyFileEntry;
+}
+
+function fromEntry(entry: KeyFileEntry | undefined): StoredKey | null {
+  if (!entry) return null;
+  return { keyId: entry.keyId, privateKey: crypto.createPrivateKey({ key: entry.privateKeyJwk, format: "jwk" }) };
+}
+
+function toEntry(key: StoredKey | null): KeyFileEntry | undefined {
+  return key ? { keyId: key.keyId, privateKeyJwk: key.privateKey.export({ format: "jwk" }) } : undefined;
+}
+
+// The file is re-read on every lookup so a rotated key takes effect without a
+// restart. It holds private JWKs and is written readable by its owner only.
+export class FileKeyStore implements KeyStore {
+  public filePath: string;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  private read(): KeyFile {
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (!parsed || typeof parsed.did !== "string") throw new Error(`${this.filePath} is not a key store file.`);
+    return parsed;
+  }
+
+  get did() {
+    return this.read().did;
+  }
+
+  signingKey() {
+    return fromEntry(this.read().signing);
+  }
+
+  agreementKey() {
+    return fromEntry(this.read().agreement);
+  }
+
+  /** Writes the keys of `store` to `filePath` and returns a store that reads them back. */
+  static save(filePath: string, store: KeyStore): FileKeyStore {
+    const file: KeyFile = { did: store.did, signing: toEntry(store.signingKey()), agreement: toEntry(store.agreementKey()) };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(file, null, 2)}\n`, { mode: 0o600 });
+    return new FileKeyStore(filePath);
+  }
+}
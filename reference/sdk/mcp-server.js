@@ -0,0 +1,178 @@
+const readline = require("readline");
+const { prepareOutboundMessage, serializeError } = require("./transport");
+
+/*
+ * Model Context Protocol adapter. Each operation with an intent is exposed as an
+ * MCP tool named after the method; `tools/call` arguments become the message
+ * payload and are dispatched through `AgentRuntime.receive`, so proofs,
+ * delegation, capabilities, validation and auditing apply exactly as they do for
+ * any other transport. Agent failures are returned as tool results with
+ * `isError: true` and the structured error as text; only protocol mistakes
+ * (unknown tool, malformed request) become JSON-RPC errors. Chunks of `[Streaming]`
+ * operations are sent as `notifications/progress` when the call carries a
+ * `progressToken`, and `notifications/cancelled` cancels a call in flight.
+ */
+
+const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Without the compiler's manifest, tools still list their arguments, just without types.
+function toolsFromInterface(methods) {
+  return methods.map(method => {
+    const properties = {};
+    method.params.forEach(param => {
+      properties[param.name] = {};
+    });
+    const required = method.params.filter(param => !param.optional).map(param => param.name);
+    return {
+      name: method.name,
+      description: `Sends intent ${method.intent}.`,
+      inputSchema: { type: "object", properties, ...(required.length > 0 ? { required } : {}) },
+    };
+  });
+}
+
+/** JSON-RPC request handler implementing the MCP tools API for `runtime`; resolves to null for notifications. */
+function createMcpHandler(runtime, options = {}) {
+  const { from = "anonymous", proofProviders = {}, notify } = options;
+  const serverInfo = options.serverInfo || { name: runtime.interfaceDef.name, version: "1.0.0" };
+  const methods = Object.values(runtime.interfaceDef.methods).filter(method => method.intent);
+  const tools = options.tools
+    ? Array.isArray(options.tools)
+      ? options.tools
+      : options.tools.tools
+    : toolsFromInterface(methods);
+  const byName = new Map(methods.map(method => [method.name, method]));
+  tools.forEach(tool => {
+    if (!byName.has(tool.name)) {
+      throw new Error(`MCP tool ${tool.name} does not match an operation of ${runtime.interfaceDef.name}.`);
+    }
+  });
+  const listed = new Set(tools.map(tool => tool.name));
+
+  const calls = new Map();
+
+  const callTool = async (params, id) => {
+    const method = params && typeof params.name === "string" && listed.has(params.name) ? byName.get(params.name) : undefined;
+    if (!method) return { error: { code: -32602, message: `Unknown tool: ${params && params.name}` } };
+    const args = params.arguments === undefined ? {} : params.arguments;
+    if (!isPlainObject(args)) return { error: { code: -32602, message: "Tool arguments must be an object." } };
+
+    const progressToken = isPlainObject(params._meta) ? params._meta.progressToken : undefined;
+    let progress = 0;
+    const onChunk =
+      method.stream && notify && progressToken !== undefined
+        ? chunk => {
+            progress += 1;
+            const update = { progressToken, progress, message: JSON.stringify(chunk) };
+            notify({ jsonrpc: "2.0", method: "notifications/progress", params: update });
+          }
+        : undefined;
+    const call = new AbortController();
+    calls.set(id, call);
+    try {
+      const message = await prepareOutboundMessage(
+        { intent: method.intent, proof: method.proof, payload: args, to: runtime.id },
+        { from, proofProviders }
+      );
+      const result = await runtime.receive(message, { signal: call.signal, onChunk });
+      return {
+        result: {
+          content: [{ type: "text", text: JSON.stringify(result ?? null) }],
+          ...(isPlainObject(result) ? { structuredContent: result } : {}),
+        },
+      };
+    } catch (err) {
+      // A cancelled request gets no response.
+      if (call.signal.aborted) return null;
+      return {
+        result: { content: [{ type: "text", text: JSON.stringify({ error: serializeError(err) }) }], isError: true },
+      };
+    } finally {
+      calls.delete(id);
+    }
+  };
+
+  return async request => {
+    if (!isPlainObject(request) || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+      const id = isPlainObject(request) && (typeof request.id === "string" || typeof request.id === "number") ? request.id : null;
+      return { jsonrpc: "2.0", id, error: { code: -32600, message: "Invalid JSON-RPC request." } };
+    }
+    if (request.id === undefined || request.id === null) {
+      if (request.method === "notifications/cancelled" && isPlainObject(request.params)) {
+        const call = calls.get(request.params.requestId);
+        if (call) call.abort();
+      }
+      return null;
+    }
+
+    let outcome;
+    switch (request.method) {
+      case "initialize": {
+        const requested = request.params && request.params.protocolVersion;
+        outcome = {
+          result: {
+            protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo,
+          },
+        };
+        break;
+      }
+      case "ping":
+        outcome = { result: {} };
+        break;
+      case "tools/list":
+        outcome = { result: { tools } };
+        break;
+      case "tools/call": {
+        const called = await callTool(request.params, request.id);
+        if (!called) return null;
+        outcome = called;
+        break;
+      }
+      default:
+        outcome = { error: { code: -32601, message: `Method not found: ${request.method}` } };
+    }
+    return { jsonrpc: "2.0", id: request.id, ...outcome };
+  };
+}
+
+/**
+ * Serves `runtime` as an MCP server over newline-delimited JSON-RPC on stdin and
+ * stdout (or the given streams). Requests are handled concurrently; keep logging
+ * on stderr, since anything else written to the output corrupts the stream.
+ */
+function serveMcpStdio(runtime, options = {}) {
+  const { input = process.stdin, output = process.stdout, ...handlerOptions } = options;
+  const handle = createMcpHandler(runtime, {
+    notify: notification => output.write(`${JSON.stringify(notification)}\n`),
+    ...handlerOptions,
+  });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const write = response => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+
+  lines.on("line", line => {
+    if (!line.trim()) return;
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (err) {
+      write({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error." } });
+      return;
+    }
+    handle(request).then(write, err =>
+      write({ jsonrpc: "2.0", id: request.id ?? null, error: { code: -32603, message: err.message } })
+    );
+  });
+
+  const closed = new Promise(resolve => lines.once("close", () => resolve()));
+  return { closed, close: () => lines.close() };
+}
+
+module.exports = { MCP_PROTOCOL_VERSIONS, createMcpHandler, serveMcpStdio };
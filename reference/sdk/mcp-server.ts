@@ -0,0 +1,220 @@
+import readline from "readline";
+import type { AgentMethodDef, AgentRuntime } from "./agent-sdk";
+import type { ProofProvider } from "./proof";
+import { prepareOutboundMessage, serializeError } from "./transport";
+
+/*
+ * Model Context Protocol adapter. Each operation with an intent is exposed as an
+ * MCP tool named after the method; `tools/call` arguments become the message
+ * payload and are dispatched through `AgentRuntime.receive`, so proofs,
+ * delegation, capabilities, validation and auditing apply exactly as they do for
+ * any other transport. Agent failures are returned as tool results with
+ * `isError: true` and the structured error as text; only protocol mistakes
+ * (unknown tool, malformed request) become JSON-RPC errors. Chunks of `[Streaming]`
+ * operations are sent as `notifications/progress` when the call carries a
+ * `progressToken`, and `notifications/cancelled` cancels a call in flight.
+ */
+
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+export interface McpTool {
+  name: string;
+  title?: string;
+  description?: string;
+  inputSchema: Record<string, unknown>;
+  outputSchema?: Record<string, unknown>;
+}
+
+export interface JsonRpcRequest {
+  jsonrpc: "2.0";
+  id?: string | number | null;
+  method: string;
+  params?: any;
+}
+
+export interface JsonRpcResponse {
+  jsonrpc: "2.0";
+  id: string | number | null;
+  result?: unknown;
+  error?: { code: number; message: string; data?: unknown };
+}
+
+export interface McpHandlerOptions {
+  /** Tool list emitted by the compiler (`idl/generated/mcp/<interface>.tools.json`), or its `tools` array. */
+  tools?: McpTool[] | { tools: McpTool[] };
+  from?: string;
+  proofProviders?: Record<string, ProofProvider>;
+  serverInfo?: { name: string; version: string };
+  /** Sends server notifications such as progress; `serveMcpStdio` writes them to its output. */
+  notify?: (notification: JsonRpcRequest) => void;
+}
+
+export interface ServeMcpStdioOptions extends McpHandlerOptions {
+  input?: NodeJS.ReadableStream;
+  output?: NodeJS.WritableStream;
+}
+
+export interface McpStdioServer {
+  closed: Promise<void>;
+  close(): void;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Without the compiler's manifest, tools still list their arguments, just without types.
+function toolsFromInterface(methods: AgentMethodDef[]): McpTool[] {
+  return methods.map(method => {
+    const properties: Record<string, unknown> = {};
+    method.params.forEach(param => {
+      properties[param.name] = {};
+    });
+    const required = method.params.filter(param => !param.optional).map(param => param.name);
+    return {
+      name: method.name,
+      description: `Sends intent ${method.intent}.`,
+      inputSchema: { type: "object", properties, ...(required.length > 0 ? { required } : {}) },
+    };
+  });
+}
+
+/** JSON-RPC request handler implementing the MCP tools API for `runtime`; resolves to null for notifications. */
+export function createMcpHandler(runtime: AgentRuntime, options: McpHandlerOptions = {}) {
+  const { from = "anonymous", proofProviders = {}, notify } = options;
+  const serverInfo = options.serverInfo || { name: runtime.interfaceDef.name, version: "1.0.0" };
+  const methods = Object.values(runtime.interfaceDef.methods).filter(method => method.intent);
+  const tools = options.tools
+    ? Array.isArray(options.tools)
+      ? options.tools
+      : options.tools.tools
+    : toolsFromInterface(methods);
+  const byName = new Map(methods.map(method => [method.name, method]));
+  tools.forEach(tool => {
+    if (!byName.has(tool.name)) {
+      throw new Error(`MCP tool ${tool.name} does not match an operation of ${runtime.interfaceDef.name}.`);
+    }
+  });
+  const listed = new Set(tools.map(tool => tool.name));
+
+  const calls = new Map<string | number, AbortController>();
+
+  const callTool = async (params: any, id: string | number) => {
+    const method = params && typeof params.name === "string" && listed.has(params.name) ? byName.get(params.name) : undefined;
+    if (!method) return { error: { code: -32602, message: `Unknown tool: ${params && params.name}` } };
+    const args = params.arguments === undefined ? {} : params.arguments;
+    if (!isPlainObject(args)) return { error: { code: -32602, message: "Tool arguments must be an object." } };
+
+    const progressToken = isPlainObject(params._meta) ? params._meta.progressToken : undefined;
+    let progress = 0;
+    const onChunk =
+      method.stream && notify && progressToken !== undefined
+        ? (chunk: unknown) => {
+            progress += 1;
+            const update = { progressToken, progress, message: JSON.stringify(chunk) };
+            notify({ jsonrpc: "2.0", method: "notifications/progress", params: update });
+          }
+        : undefined;
+    const call = new AbortController();
+    calls.set(id, call);
+    try {
+      const message = await prepareOutboundMessage(
+        { intent: method.intent, proof: method.proof, payload: args, to: runtime.id },
+        { from, proofProviders }
+      );
+      const result = await runtime.receive(message, { signal: call.signal, onChunk });
+      return {
+        result: {
+          content: [{ type: "text", text: JSON.stringify(result ?? null) }],
+          ...(isPlainObject(result) ? { structuredContent: result } : {}),
+        },
+      };
+    } catch (err) {
+      // A cancelled request gets no response.
+      if (call.signal.aborted) return null;
+      return {
+        result: { content: [{ type: "text", text: JSON.stringify({ error: serializeError(err) }) }], isError: true },
+      };
+    } finally {
+      calls.delete(id);
+    }
+  };
+
+  return async (request: JsonRpcRequest): Promise<JsonRpcResponse | null> => {
+    if (!isPlainObject(request) || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+      const id = isPlainObject(request) && (typeof request.id === "string" || typeof request.id === "number") ? request.id : null;
+      return { jsonrpc: "2.0", id, error: { code: -32600, message: "Invalid JSON-RPC request." } };
+    }
+    if (request.id === undefined || request.id === null) {
+      if (request.method === "notifications/cancelled" && isPlainObject(request.params)) {
+        const call = calls.get(request.params.requestId as string | number);
+        if (call) call.abort();
+      }
+      return null;
+    }
+
+    let outcome: { result?: unknown; error?: JsonRpcResponse["error"] };
+    switch (request.method) {
+      case "initialize": {
+        const requested = request.params && request.params.protocolVersion;
+        outcome = {
+          result: {
+            protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo,
+          },
+        };
+        break;
+      }
+      case "ping":
+        outcome = { result: {} };
+        break;
+      case "tools/list":
+        outcome = { result: { tools } };
+        break;
+      case "tools/call": {
+        const called = await callTool(request.params, request.id);
+        if (!called) return null;
+        outcome = called;
+        break;
+      }
+      default:
+        outcome = { error: { code: -32601, message: `Method not found: ${request.method}` } };
+    }
+    return { jsonrpc: "2.0", id: request.id, ...outcome };
+  };
+}
+
+/**
+ * Serves `runtime` as an MCP server over newline-delimited JSON-RPC on stdin and
+ * stdout (or the given streams). Requests are handled concurrently; keep logging
+ * on stderr, since anything else written to the output corrupts the stream.
+ */
+export function serveMcpStdio(runtime: AgentRuntime, options: ServeMcpStdioOptions = {}): McpStdioServer {
+  const { input = process.stdin, output = process.stdout, ...handlerOptions } = options;
+  const handle = createMcpHandler(runtime, {
+    notify: notification => output.write(`${JSON.stringify(notification)}\n`),
+    ...handlerOptions,
+  });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const write = (response: JsonRpcResponse | null) => {
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  };
+
+  lines.on("line", line => {
+    if (!line.trim()) return;
+    let request: JsonRpcRequest;
+    try {
+      request = JSON.parse(line);
+    } catch (err) {
+      write({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error." } });
+      return;
+    }
+    handle(request).then(write, err =>
+      write({ jsonrpc: "2.0", id: request.id ?? null, error: { code: -32603, message: (err as Error).message } })
+    );
+  });
+
+  const closed = new Promise<void>(resolve => lines.once("close", () => resolve()));
+  return { closed, close: () => lines.close() };
+}
@@ -0,0 +1,49 @@
+/*
+ * Middleware shared by `AgentRuntime.use` (around `receive`) and `withMiddleware`
+ * (around `transport.send`). Each middleware gets the call context and `next`:
+ *
+ *   async (context, next) => {
+ *     context.message = { ...context.message, payload: normalize(context.message.payload) };
+ *     const result = await next();
+ *     return redact(result);
+ *   }
+ *
+ * Replacing `context.message` or `context.options` before `next()` changes what
+ * the rest of the chain sees. Returning without calling `next()` short-circuits
+ * the call, and whatever a middleware returns becomes the result. This module has
+ * no Node dependencies so it also runs in browsers.
+ */
+
+/** Runs `middleware` in order around `terminal`. */
+function composeMiddleware(middleware, terminal) {
+  return context => {
+    const run = async index => {
+      if (index === middleware.length) return terminal(context);
+      let called = false;
+      return middleware[index](context, () => {
+        if (called) return Promise.reject(new Error("next() called more than once by the same middleware."));
+        called = true;
+        return run(index + 1);
+      });
+    };
+    return run(0);
+  };
+}
+
+/**
+ * Wraps a transport so every `send` goes through `middleware`. With `interfaceDef`
+ * the context's `method` is resolved from the intent.
+ */
+function withMiddleware(transport, middleware, { interfaceDef } = {}) {
+  const run = composeMiddleware(middleware, context => transport.send(context.message, context.options));
+  return {
+    ...transport,
+    send: (message, options = {}) => {
+      const methods = interfaceDef ? Object.values(interfaceDef.methods) : [];
+      const method = methods.find(candidate => candidate.intent === message.intent) || null;
+      return run({ message, method, options });
+    },
+  };
+}
+
+export { composeMiddleware, withMiddleware };
@@ -0,0 +1,71 @@
+import type { AgentInterfaceDef, AgentMessage, AgentMethodDef, AgentRuntime, AgentSendOptions, AgentTransport } from "./agent-sdk";
+
+/*
+ * Middleware shared by `AgentRuntime.use` (around `receive`) and `withMiddleware`
+ * (around `transport.send`). Each middleware gets the call context and `next`:
+ *
+ *   async (context, next) => {
+ *     context.message = { ...context.message, payload: normalize(context.message.payload) };
+ *     const result = await next();
+ *     return redact(result);
+ *   }
+ *
+ * Replacing `context.message` or `context.options` before `next()` changes what
+ * the rest of the chain sees. Returning without calling `next()` short-circuits
+ * the call, and whatever a middleware returns becomes the result. This module has
+ * no Node dependencies so it also runs in browsers.
+ */
+
+export interface AgentMiddlewareContext {
+  message: AgentMessage;
+  /**
+   * The operation the intent resolves to, or null when the interface does not declare it.
+   * The runtime resolves it again after the chain, so rewriting the intent cannot borrow
+   * another operation's checks.
+   */
+  method: AgentMethodDef | null;
+  options: AgentSendOptions;
+  /** The receiving runtime; unset on the client side. */
+  runtime?: AgentRuntime;
+}
+
+export type AgentMiddleware = (context: AgentMiddlewareContext, next: () => Promise<unknown>) => unknown;
+
+/** Runs `middleware` in order around `terminal`. */
+export function composeMiddleware(
+  middleware: AgentMiddleware[],
+  terminal: (context: AgentMiddlewareContext) => Promise<unknown>
+): (context: AgentMiddlewareContext) => Promise<unknown> {
+  return context => {
+    const run = async (index: number): Promise<unknown> => {
+      if (index === middleware.length) return terminal(context);
+      let called = false;
+      return middleware[index](context, () => {
+        if (called) return Promise.reject(new Error("next() called more than once by the same middleware."));
+        called = true;
+        return run(index + 1);
+      });
+    };
+    return run(0);
+  };
+}
+
+/**
+ * Wraps a transport so every `send` goes through `middleware`. With `interfaceDef`
+ * the context's `method` is resolved from the intent.
+ */
+export function withMiddleware(
+  transport: AgentTransport,
+  middleware: AgentMiddleware[],
+  { interfaceDef }: { interfaceDef?: AgentInterfaceDef } = {}
+): AgentTransport {
+  const run = composeMiddleware(middleware, context => transport.send(context.message, context.options));
+  return {
+    ...transport,
+    send: (message, options = {}) => {
+      const methods = interfaceDef ? Object.values(interfaceDef.methods) : [];
+      const method = methods.find(candidate => candidate.intent === message.intent) || null;
+      return run({ message, method, options });
+    },
+  };
+}
@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const { didOf, resolvePublicKey } = require("./did");
+const { AgentError } = require("./errors");
+
+class AgentProofError extends AgentError {
+  constructor(intent, proofType, reason, detail) {
+    const suffix = detail ? `: ${detail}` : "";
+    super("proof-failed", `Proof ${proofType} ${reason} for intent ${intent}${suffix}`);
+    this.name = "AgentProofError";
+    this.intent = intent;
+    this.proofType = proofType;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Deterministic JSON: object keys are sorted, and values with `toJSON` (such as
+ * dates) are replaced by what `JSON.stringify` would write for them.
+ */
+function canonicalize(value) {
+  if (value !== null && typeof value === "object" && typeof value.toJSON === "function") {
+    return canonicalize(value.toJSON());
+  }
+  if (value === null || typeof value !== "object") {
+    const serialized = JSON.stringify(value);
+    return serialized === undefined ? "null" : serialized;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(",")}}`;
+}
+
+/** The key `keys` itself holds for `keyId`, so an id such as `constructor` never finds an Object.prototype member. */
+function ownKey(keys, keyId) {
+  return Object.prototype.hasOwnProperty.call(keys, keyId) ? keys[keyId] : undefined;
+}
+
+function signingInput(message, proofType, keyId, created) {
+  return Buffer.from(
+    canonicalize({
+      type: proofType,
+      keyId,
+      created,
+      intent: message.intent,
+      from: message.from,
+      to: message.to,
+      payload: message.payload,
+    }),
+    "utf8"
+  );
+}
+
+function createEd25519Signer({ privateKey, keyId }) {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  return (message, proofType) => {
+    const signer = keyId || message.from || "";
+    const created = new Date().toISOString();
+    const signature = crypto.sign(null, signingInput(message, proofType, signer, created), key);
+    return {
+      type: proofType,
+      algorithm: "Ed25519",
+      keyId: signer,
+      created,
+      signature: signature.toString("base64url"),
+    };
+  };
+}
+
+/**
+ * Checks proofs against `publicKeys` by key id. Key ids missing there are looked up
+ * with `resolver` as an `authentication` method of the sender's DID, so a resolved
+ * key only ever vouches for its own DID.
+ */
+function createEd25519Verifier({ publicKeys = {}, resolver }) {
+  return (proof, message) => {
+    if (proof.algorithm !== "Ed25519") return false;
+    if (typeof proof.keyId !== "string" || typeof proof.created !== "string" || typeof proof.signature !== "string") {
+      return false;
+    }
+    const { keyId, created, signature } = proof;
+    const check = publicKey => {
+      const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+      return crypto.verify(null, signingInput(message, proof.type, keyId, created), key, Buffer.from(signature, "base64url"));
+    };
+    const listed = ownKey(publicKeys, keyId);
+    if (listed) return check(listed);
+    if (!resolver || didOf(keyId) !== message.from) return false;
+    return resolvePublicKey(resolver, keyId, "authentication").then(key => (key ? check(key) : false));
+  };
+}
+
+module.exports = {
+  AgentProofError,
+  canonicalize,
+  createEd25519Signer,
+  createEd25519Verifier,
+  ownKey,
+};
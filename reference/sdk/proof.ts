@@ -0,0 +1,122 @@
+import crypto from "crypto";
+import type { AgentMessage } from "./agent-sdk";
+import { DidResolver, didOf, resolvePublicKey } from "./did";
+import { AgentError } from "./errors";
+
+export interface AgentProof {
+  type: string;
+  [key: string]: unknown;
+}
+
+export type ProofVerifier = (proof: AgentProof, message: AgentMessage) => boolean | Promise<boolean>;
+
+export type ProofProvider = (message: AgentMessage, proofType: string) => AgentProof | Promise<AgentProof>;
+
+export class AgentProofError extends AgentError {
+  public intent: string;
+  public proofType: string;
+  public reason: "missing" | "unsupported" | "invalid";
+
+  constructor(intent: string, proofType: string, reason: "missing" | "unsupported" | "invalid", detail?: string) {
+    const suffix = detail ? `: ${detail}` : "";
+    super("proof-failed", `Proof ${proofType} ${reason} for intent ${intent}${suffix}`);
+    this.name = "AgentProofError";
+    this.intent = intent;
+    this.proofType = proofType;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Deterministic JSON: object keys are sorted, and values with `toJSON` (such as
+ * dates) are replaced by what `JSON.stringify` would write for them.
+ */
+export function canonicalize(value: unknown): string {
+  if (value !== null && typeof value === "object" && typeof (value as { toJSON?: unknown }).toJSON === "function") {
+    return canonicalize((value as { toJSON: () => unknown }).toJSON());
+  }
+  if (value === null || typeof value !== "object") {
+    const serialized = JSON.stringify(value);
+    return serialized === undefined ? "null" : serialized;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  const record = value as Record<string, unknown>;
+  const entries = Object.keys(record)
+    .filter(key => record[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(record[key])}`);
+  return `{${entries.join(",")}}`;
+}
+
+/** The key `keys` itself holds for `keyId`, so an id such as `constructor` never finds an Object.prototype member. */
+export function ownKey<T>(keys: Record<string, T>, keyId: string): T | undefined {
+  return Object.prototype.hasOwnProperty.call(keys, keyId) ? keys[keyId] : undefined;
+}
+
+function signingInput(message: AgentMessage, proofType: string, keyId: string, created: string): Buffer {
+  return Buffer.from(
+    canonicalize({
+      type: proofType,
+      keyId,
+      created,
+      intent: message.intent,
+      from: message.from,
+      to: message.to,
+      payload: message.payload,
+    }),
+    "utf8"
+  );
+}
+
+export function createEd25519Signer({
+  privateKey,
+  keyId,
+}: {
+  privateKey: crypto.KeyObject | string;
+  keyId?: string;
+}): ProofProvider {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  return (message, proofType) => {
+    const signer = keyId || message.from || "";
+    const created = new Date().toISOString();
+    const signature = crypto.sign(null, signingInput(message, proofType, signer, created), key);
+    return {
+      type: proofType,
+      algorithm: "Ed25519",
+      keyId: signer,
+      created,
+      signature: signature.toString("base64url"),
+    };
+  };
+}
+
+/**
+ * Checks proofs against `publicKeys` by key id. Key ids missing there are looked up
+ * with `resolver` as an `authentication` method of the sender's DID, so a resolved
+ * key only ever vouches for its own DID.
+ */
+export function createEd25519Verifier({
+  publicKeys = {},
+  resolver,
+}: {
+  publicKeys?: Record<string, crypto.KeyObject | string>;
+  resolver?: DidResolver;
+}): ProofVerifier {
+  return (proof, message) => {
+    if (proof.algorithm !== "Ed25519") return false;
+    if (typeof proof.keyId !== "string" || typeof proof.created !== "string" || typeof proof.signature !== "string") {
+      return false;
+    }
+    const { keyId, created, signature } = proof;
+    const check = (publicKey: crypto.KeyObject | string) => {
+      const key = typeof publicKey === "string" ? crypto.createPublicKey(publicKey) : publicKey;
+      return crypto.verify(null, signingInput(message, proof.type, keyId, created), key, Buffer.from(signature, "base64url"));
+    };
+    const listed = ownKey(publicKeys, keyId);
+    if (listed) return check(listed);
+    if (!resolver || didOf(keyId) !== message.from) return false;
+    return resolvePublicKey(resolver, keyId, "authentication").then(key => (key ? check(key) : false));
+  };
+}
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { AgentError } = require("./errors");
+const { canonicalize } = require("./proof");
+
+/*
+ * Replay protection and idempotency. The runtime claims a key for every message
+ * that carries a `messageId` or `idempotencyKey`, scoped to its sender:
+ *
+ *   new key                      the handler runs and its result is stored under the key
+ *   key of a completed request   the stored result is returned, the handler does not run
+ *   key of a running request     rejected as `in-progress`
+ *   key reused for other input   rejected as `conflict`
+ *
+ * A request that fails releases its key, so a retry runs the handler again. When
+ * the store cannot take the key (a `MemoryReplayStore` full of running requests or
+ * idempotency keys, a failing file) the request is rejected as `unavailable`
+ * rather than run unprotected.
+ */
+
+class AgentReplayError extends AgentError {
+  constructor(intent, reason, detail) {
+    const suffix = detail ? `: ${detail}` : "";
+    super("replay-rejected", `Message rejected as ${reason} for intent ${intent}${suffix}`);
+    this.name = "AgentReplayError";
+    this.intent = intent;
+    this.reason = reason;
+  }
+}
+
+/**
+ * A `messageId` for a request that arrived without one, derived from everything
+ * the sender controls, so sending the same request again is caught as a replay.
+ * Only a request the sender stamped and signed (a proof or envelope) is one its
+ * sender cannot repeat by accident; any other gets none.
+ */
+function deriveMessageId(message) {
+  const { intent, from, timestamp, payload, proof, envelope } = message;
+  if (typeof timestamp !== "string" || (!proof && !envelope)) return undefined;
+  const digest = crypto.createHash("sha256").update(canonicalize({ intent, from, timestamp, payload, proof, envelope }));
+  return `derived:${digest.digest("base64url")}`;
+}
+
+function replayFingerprint(intent, payload) {
+  return crypto.createHash("sha256").update(canonicalize({ intent, payload })).digest("base64url");
+}
+
+function live(entry, at) {
+  return Boolean(entry) && Date.parse(entry.expiresAt) > Date.parse(at);
+}
+
+/**
+ * Holds at most `maxEntries` keys. Expired keys make room for new ones, then the
+ * oldest completed `evictable` ones; a store full of other live keys refuses new claims.
+ */
+class MemoryReplayStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  claim(entry) {
+    const existing = this.entries.get(entry.key);
+    if (live(existing, entry.receivedAt)) return existing;
+    this.entries.delete(entry.key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.forEach((held, key) => {
+        if (!live(held, entry.receivedAt)) this.entries.delete(key);
+      });
+    }
+    // Maps iterate in insertion order, so the oldest claims go first.
+    for (const [key, held] of this.entries) {
+      if (this.entries.size < this.maxEntries) break;
+      if (held.evictable && held.state === "complete") this.entries.delete(key);
+    }
+    if (this.entries.size >= this.maxEntries) {
+      throw new Error(`Replay store holds ${this.maxEntries} unexpired keys.`);
+    }
+    this.entries.set(entry.key, { ...entry });
+    return null;
+  }
+
+  complete(key, result) {
+    const entry = this.entries.get(key);
+    if (entry) this.entries.set(key, { ...entry, state: "complete", result });
+  }
+
+  release(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Entries are re-read on every claim so runtimes sharing the file (or restarting)
+// see each other's keys. Each change holds `<file>.lock` while it reads and rewrites
+// the file, and the new contents are renamed into place, so runtimes in several
+// processes can share it. A lock older than `staleLockMs` is taken to be left by a
+// crashed process and removed. Expired entries are dropped whenever a key is claimed.
+class FileReplayStore {
+  constructor(filePath, { staleLockMs = 30 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.staleLockMs = staleLockMs;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    return parsed && typeof parsed.entries === "object" && parsed.entries !== null ? parsed.entries : {};
+  }
+
+  write(entries) {
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify({ entries }, null, 2)}\n`);
+    fs.renameSync(temporary, this.filePath);
+  }
+
+  async update(change) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const lockPath = `${this.filePath}.lock`;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) fs.rmSync(lockPath, { force: true });
+        else await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+    try {
+      return change(this.read());
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  claim(entry) {
+    return this.update(entries => {
+      if (live(entries[entry.key], entry.receivedAt)) return entries[entry.key];
+      const kept = {};
+      Object.keys(entries).forEach(key => {
+        if (live(entries[key], entry.receivedAt)) kept[key] = entries[key];
+      });
+      kept[entry.key] = entry;
+      this.write(kept);
+      return null;
+    });
+  }
+
+  async complete(key, result) {
+    await this.update(entries => {
+      if (!entries[key]) return;
+      entries[key] = { ...entries[key], state: "complete", result };
+      this.write(entries);
+    });
+  }
+
+  async release(key) {
+    await this.update(entries => {
+      delete entries[key];
+      this.write(entries);
+    });
+  }
+}
+
+module.exports = {
+  AgentReplayError,
+  FileReplayStore,
+  MemoryReplayStore,
+  deriveMessageId,
+  replayFingerprint,
+};
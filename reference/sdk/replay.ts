@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { AgentError } from "./errors";
+import { canonicalize } from "./proof";
+
+/*
+ * Replay protection and idempotency. The runtime claims a key for every message
+ * that carries a `messageId` or `idempotencyKey`, scoped to its sender:
+ *
+ *   new key                      the handler runs and its result is stored under the key
+ *   key of a completed request   the stored result is returned, the handler does not run
+ *   key of a running request     rejected as `in-progress`
+ *   key reused for other input   rejected as `conflict`
+ *
+ * A request that fails releases its key, so a retry runs the handler again. When
+ * the store cannot take the key (a `MemoryReplayStore` full of running requests or
+ * idempotency keys, a failing file) the request is rejected as `unavailable`
+ * rather than run unprotected.
+ */
+
+export type AgentReplayFailure = "stale" | "in-progress" | "conflict" | "unavailable";
+
+export class AgentReplayError extends AgentError {
+  public intent: string;
+  public reason: AgentReplayFailure;
+
+  constructor(intent: string, reason: AgentReplayFailure, detail?: string) {
+    const suffix = detail ? `: ${detail}` : "";
+    super("replay-rejected", `Message rejected as ${reason} for intent ${intent}${suffix}`);
+    this.name = "AgentReplayError";
+    this.intent = intent;
+    this.reason = reason;
+  }
+}
+
+export interface ReplayEntry {
+  key: string;
+  /** Hash of the intent and payload, so a key reused for another request is caught. */
+  fingerprint: string;
+  receivedAt: string;
+  expiresAt: string;
+  state: "pending" | "complete";
+  result?: unknown;
+  /** Set for plain message ids: once complete, a full store may drop the entry before it expires. */
+  evictable?: boolean;
+}
+
+export interface ReplayStore {
+  /**
+   * Records `entry` unless an entry that has not expired by `entry.receivedAt`
+   * holds its key; returns that entry instead, or null once `entry` is recorded.
+   */
+  claim(entry: ReplayEntry): ReplayEntry | null | Promise<ReplayEntry | null>;
+  complete(key: string, result: unknown): void | Promise<void>;
+  release(key: string): void | Promise<void>;
+}
+
+/**
+ * A `messageId` for a request that arrived without one, derived from everything
+ * the sender controls, so sending the same request again is caught as a replay.
+ * Only a request the sender stamped and signed (a proof or envelope) is one its
+ * sender cannot repeat by accident; any other gets none.
+ */
+export function deriveMessageId(message: {
+  intent: string;
+  from?: string;
+  timestamp?: string;
+  payload?: Record<string, unknown>;
+  proof?: unknown;
+  envelope?: string;
+}): string | undefined {
+  const { intent, from, timestamp, payload, proof, envelope } = message;
+  if (typeof timestamp !== "string" || (!proof && !envelope)) return undefined;
+  const digest = crypto.createHash("sha256").update(canonicalize({ intent, from, timestamp, payload, proof, envelope }));
+  return `derived:${digest.digest("base64url")}`;
+}
+
+export function replayFingerprint(intent: string, payload: Record<string, unknown>): string {
+  return crypto.createHash("sha256").update(canonicalize({ intent, payload })).digest("base64url");
+}
+
+function live(entry: ReplayEntry | undefined, at: string): entry is ReplayEntry {
+  return Boolean(entry) && Date.parse((entry as ReplayEntry).expiresAt) > Date.parse(at);
+}
+
+/**
+ * Holds at most `maxEntries` keys. Expired keys make room for new ones, then the
+ * oldest completed `evictable` ones; a store full of other live keys refuses new claims.
+ */
+export class MemoryReplayStore implements ReplayStore {
+  public maxEntries: number;
+  private entries: Map<string, ReplayEntry> = new Map();
+
+  constructor({ maxEntries = 10000 }: { maxEntries?: number } = {}) {
+    this.maxEntries = maxEntries;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  claim(entry: ReplayEntry) {
+    const existing = this.entries.get(entry.key);
+    if (live(existing, entry.receivedAt)) return existing;
+    this.entries.delete(entry.key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.forEach((held, key) => {
+        if (!live(held, entry.receivedAt)) this.entries.delete(key);
+      });
+    }
+    // Maps iterate in insertion order, so the oldest claims go first.
+    for (const [key, held] of this.entries) {
+      if (this.entries.size < this.maxEntries) break;
+      if (held.evictable && held.state === "complete") this.entries.delete(key);
+    }
+    if (this.entries.size >= this.maxEntries) {
+      throw new Error(`Replay store holds ${this.maxEntries} unexpired keys.`);
+    }
+    this.entries.set(entry.key, { ...entry });
+    return null;
+  }
+
+  complete(key: string, result: unknown) {
+    const entry = this.entries.get(key);
+    if (entry) this.entries.set(key, { ...entry, state: "complete", result });
+  }
+
+  release(key: string) {
+    this.entries.delete(key);
+  }
+}
+
+// Entries are re-read on every claim so runtimes sharing the file (or restarting)
+// see each other's keys. Each change holds `<file>.lock` while it reads and rewrites
+// the file, and the new contents are renamed into place, so runtimes in several
+// processes can share it. A lock older than `staleLockMs` is taken to be left by a
+// crashed process and removed. Expired entries are dropped whenever a key is claimed.
+export class FileReplayStore implements ReplayStore {
+  public filePath: string;
+  public staleLockMs: number;
+
+  constructor(filePath: string, { staleLockMs = 30 * 1000 }: { staleLockMs?: number } = {}) {
+    this.filePath = filePath;
+    this.staleLockMs = staleLockMs;
+  }
+
+  private read(): Record<string, ReplayEntry> {
+    if (!fs.existsSync(this.filePath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    return parsed && typeof parsed.entries === "object" && parsed.entries !== null ? parsed.entries : {};
+  }
+
+  private write(entries: Record<string, ReplayEntry>) {
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify({ entries }, null, 2)}\n`);
+    fs.renameSync(temporary, this.filePath);
+  }
+
+  private async update<T>(change: (entries: Record<string, ReplayEntry>) => T): Promise<T> {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const lockPath = `${this.filePath}.lock`;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+        break;
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code !== "EEXIST") throw err;
+        const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) fs.rmSync(lockPath, { force: true });
+        else await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+    try {
+      return change(this.read());
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  claim(entry: ReplayEntry) {
+    return this.update(entries => {
+      if (live(entries[entry.key], entry.receivedAt)) return entries[entry.key];
+      const kept: Record<string, ReplayEntry> = {};
+      Object.keys(entries).forEach(key => {
+        if (live(entries[key], entry.receivedAt)) kept[key] = entries[key];
+      });
+      kept[entry.key] = entry;
+      this.write(kept);
+      return null;
+    });
+  }
+
+  async complete(key: string, result: unknown) {
+    await this.update(entries => {
+      if (!entries[key]) return;
+      entries[key] = { ...entries[key], state: "complete", result };
+      this.write(entries);
+    });
+  }
+
+  async release(key: string) {
+    await this.update(entries => {
+      delete entries[key];
+      this.write(entries);
+    });
+  }
+}
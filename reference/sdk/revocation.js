@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+function entryFor(contextId, options = {}) {
+  const entry = { contextId, revokedAt: options.revokedAt || new Date().toISOString() };
+  if (options.reason) entry.reason = options.reason;
+  return entry;
+}
+
+class MemoryRevocationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  revoke(contextId, options) {
+    this.entries.set(contextId, entryFor(contextId, options));
+  }
+
+  status(ctx) {
+    return this.entries.get(ctx.id) || null;
+  }
+}
+
+// Entries are re-read on every lookup so revocations written by another process
+// (typically the issuer) take effect without restarting the verifier.
+class FileRevocationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    return parsed && typeof parsed.revoked === "object" && parsed.revoked !== null ? parsed.revoked : {};
+  }
+
+  revoke(contextId, options) {
+    const revoked = this.read();
+    revoked[contextId] = entryFor(contextId, options);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify({ revoked }, null, 2)}\n`);
+  }
+
+  status(ctx) {
+    return this.read()[ctx.id] || null;
+  }
+}
+
+// StatusList2021 needs at least 16KB of bits so a single index reveals little about
+// which credential is being checked.
+const MIN_STATUS_LIST_LENGTH = 131072;
+
+/**
+ * StatusList2021-style revocation list: one bit per delegation context, addressed
+ * by the context's `revocationList` id and `revocationIndex`. The issuer allocates
+ * indexes and revokes by context id; verifiers rebuild the list from the published
+ * credential with `StatusListRevocationStore.fromCredential`.
+ *
+ * Allocations live in memory. An issuer must persist `allocations()` and pass them
+ * back as `allocated` after a restart, or indexes already handed out are reused.
+ */
+class StatusListRevocationStore {
+  constructor({ id, length = MIN_STATUS_LIST_LENGTH, allocated = {} }) {
+    if (!Number.isInteger(length) || length < MIN_STATUS_LIST_LENGTH || length % 8 !== 0) {
+      throw new Error(`Status list length must be a multiple of 8 and at least ${MIN_STATUS_LIST_LENGTH}.`);
+    }
+    this.id = id;
+    this.bits = Buffer.alloc(length / 8);
+    this.indexes = new Map();
+    this.nextIndex = 0;
+    Object.entries(allocated).forEach(([contextId, index]) => {
+      this.checkIndex(index);
+      this.indexes.set(contextId, index);
+      this.nextIndex = Math.max(this.nextIndex, index + 1);
+    });
+  }
+
+  static fromCredential(credential, allocated) {
+    if (credential.type !== "StatusList2021" || credential.statusPurpose !== "revocation") {
+      throw new Error(`Unsupported status list ${credential.type}/${credential.statusPurpose}.`);
+    }
+    const bits = zlib.gunzipSync(Buffer.from(credential.encodedList, "base64url"));
+    const store = new StatusListRevocationStore({ id: credential.id, length: bits.length * 8, allocated });
+    bits.copy(store.bits);
+    return store;
+  }
+
+  get length() {
+    return this.bits.length * 8;
+  }
+
+  allocate(contextId) {
+    const existing = this.indexes.get(contextId);
+    if (existing !== undefined) return existing;
+    if (this.nextIndex >= this.length) {
+      throw new Error(`Status list ${this.id} is full.`);
+    }
+    const index = this.nextIndex;
+    this.nextIndex += 1;
+    this.indexes.set(contextId, index);
+    return index;
+  }
+
+  /** Context ids and their indexes, for the issuer to persist. */
+  allocations() {
+    return Object.fromEntries(this.indexes);
+  }
+
+  revoke(contextId) {
+    const index = this.indexes.get(contextId);
+    if (index === undefined) {
+      throw new Error(`No status list index allocated for ${contextId} in ${this.id}.`);
+    }
+    this.setRevoked(index);
+  }
+
+  setRevoked(index) {
+    this.checkIndex(index);
+    this.bits[index >> 3] |= 0x80 >> (index & 7);
+  }
+
+  isRevoked(index) {
+    this.checkIndex(index);
+    return (this.bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+  }
+
+  holdsList(listId) {
+    return listId === this.id;
+  }
+
+  status(ctx) {
+    if (ctx.revocationList !== this.id) return null;
+    const index = ctx.revocationIndex;
+    if (typeof index !== "number" || !Number.isInteger(index) || index < 0 || index >= this.length) {
+      throw new Error(`Delegation context ${ctx.id} has no valid revocationIndex for ${this.id}.`);
+    }
+    if (!this.isRevoked(index)) return null;
+    return { contextId: ctx.id, reason: `status list ${this.id} index ${index}` };
+  }
+
+  toCredential() {
+    return {
+      id: this.id,
+      type: "StatusList2021",
+      statusPurpose: "revocation",
+      encodedList: zlib.gzipSync(this.bits).toString("base64url"),
+    };
+  }
+
+  checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.length) {
+      throw new Error(`Status list index ${index} is out of range for ${this.id}.`);
+    }
+  }
+}
+
+module.exports = {
+  MemoryRevocationStore,
+  FileRevocationStore,
+  StatusListRevocationStore,
+};
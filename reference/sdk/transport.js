@@ -0,0 +1,77 @@
+const { AgentError } = require("./errors");
+
+/*
+ * Pieces shared by the network transports and servers. Like the client
+ * transports, this module has no Node dependencies so it also runs in browsers.
+ */
+
+/**
+ * Envelope for any thrown value. `AgentError`s keep their code, and their typed
+ * fields (or explicit `data`) become `data`; anything else is a `handler-error`.
+ */
+function serializeError(err) {
+  if (!(err instanceof AgentError)) {
+    const { name, message } = err instanceof Error ? err : { name: "Error", message: String(err) };
+    return { code: "handler-error", name, message };
+  }
+  const fields = {};
+  Object.keys(err).forEach(key => {
+    const value = err[key];
+    if (value !== undefined && typeof value !== "function" && key !== "code" && key !== "data") fields[key] = value;
+  });
+  const data = err.data !== undefined ? err.data : Object.keys(fields).length > 0 ? fields : undefined;
+  const envelope = { code: err.code, name: err.name, message: err.message };
+  if (data !== undefined) envelope.data = data;
+  return envelope;
+}
+
+/** Rejection for a failure the remote agent reported; carries its code and data, with object data also spread onto the error. */
+class AgentRemoteError extends AgentError {
+  constructor(envelope) {
+    super(envelope.code, envelope.message, envelope.data);
+    if (envelope.data && typeof envelope.data === "object" && !Array.isArray(envelope.data)) {
+      Object.keys(envelope.data).forEach(key => {
+        if (!(key in this)) this[key] = envelope.data[key];
+      });
+    }
+    this.name = envelope.name;
+  }
+}
+
+/** Rejection for a request that never got an answer: `timeout`, `closed` or `protocol`. */
+class AgentTransportError extends Error {
+  constructor(code, requestId, detail) {
+    super(`Agent transport ${code}: ${detail}`);
+    this.name = "AgentTransportError";
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Fills in `from`/`timestamp`, a fresh `messageId` and the caller's
+ * `idempotencyKey`, turns a declared proof type into a proof object when a
+ * provider is known, and finally seals the message when given a `sealer`.
+ */
+async function prepareOutboundMessage(message, { from, proofProviders = {}, sealer, idempotencyKey }) {
+  const outbound = {
+    from,
+    ...message,
+    timestamp: message.timestamp || new Date().toISOString(),
+    messageId: message.messageId || globalThis.crypto.randomUUID(),
+  };
+  if (idempotencyKey) outbound.idempotencyKey = idempotencyKey;
+  let proof = message.proof;
+  if (typeof proof === "string" && proofProviders[proof]) {
+    proof = await proofProviders[proof]({ ...outbound, proof: null }, proof);
+  }
+  const prepared = { ...outbound, proof: proof ?? null };
+  return sealer ? sealer(prepared) : prepared;
+}
+
+module.exports = {
+  AgentRemoteError,
+  AgentTransportError,
+  prepareOutboundMessage,
+  serializeError,
+};
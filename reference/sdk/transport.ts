@@ -0,0 +1,95 @@
+import type { AgentMessage } from "./agent-sdk";
+import { AgentError, AgentErrorEnvelope } from "./errors";
+import type { MessageSealer } from "./envelope";
+import type { AgentProof, ProofProvider } from "./proof";
+
+/*
+ * Pieces shared by the network transports and servers. Like the client
+ * transports, this module has no Node dependencies so it also runs in browsers.
+ */
+
+export interface AgentServer {
+  port: number | null;
+  close(): Promise<void>;
+}
+
+/**
+ * Envelope for any thrown value. `AgentError`s keep their code, and their typed
+ * fields (or explicit `data`) become `data`. Anything else is a `handler-error`
+ * with only its name and message, so its own fields (a system error's `path`,
+ * `syscall` or `errno`) stay on this side of the wire.
+ */
+export function serializeError(err: unknown): AgentErrorEnvelope {
+  if (!(err instanceof AgentError)) {
+    const { name, message } = err instanceof Error ? err : { name: "Error", message: String(err) };
+    return { code: "handler-error", name, message };
+  }
+  const fields: Record<string, unknown> = {};
+  Object.keys(err).forEach(key => {
+    const value = (err as unknown as Record<string, unknown>)[key];
+    if (value !== undefined && typeof value !== "function" && key !== "code" && key !== "data") fields[key] = value;
+  });
+  const data = err.data !== undefined ? err.data : Object.keys(fields).length > 0 ? fields : undefined;
+  const envelope: AgentErrorEnvelope = { code: err.code, name: err.name, message: err.message };
+  if (data !== undefined) envelope.data = data;
+  return envelope;
+}
+
+/** Rejection for a failure the remote agent reported; carries its code and data, with object data also spread onto the error. */
+export class AgentRemoteError extends AgentError {
+  [key: string]: unknown;
+
+  constructor(envelope: AgentErrorEnvelope) {
+    super(envelope.code, envelope.message, envelope.data);
+    if (envelope.data && typeof envelope.data === "object" && !Array.isArray(envelope.data)) {
+      Object.keys(envelope.data).forEach(key => {
+        if (!(key in this)) this[key] = (envelope.data as Record<string, unknown>)[key];
+      });
+    }
+    this.name = envelope.name;
+  }
+}
+
+export type AgentTransportFailure = "timeout" | "closed" | "protocol";
+
+/** Rejection for a request that never got an answer: `timeout`, `closed` or `protocol`. */
+export class AgentTransportError extends Error {
+  public code: AgentTransportFailure;
+  public requestId: string | null;
+
+  constructor(code: AgentTransportFailure, requestId: string | null, detail: string) {
+    super(`Agent transport ${code}: ${detail}`);
+    this.name = "AgentTransportError";
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Fills in `from`/`timestamp`, a fresh `messageId` and the caller's
+ * `idempotencyKey`, turns a declared proof type into a proof object when a
+ * provider is known, and finally seals the message when given a `sealer`.
+ */
+export async function prepareOutboundMessage(
+  message: AgentMessage,
+  {
+    from,
+    proofProviders = {},
+    sealer,
+    idempotencyKey,
+  }: { from?: string; proofProviders?: Record<string, ProofProvider>; sealer?: MessageSealer; idempotencyKey?: string }
+): Promise<AgentMessage> {
+  const outbound: AgentMessage = {
+    from,
+    ...message,
+    timestamp: message.timestamp || new Date().toISOString(),
+    messageId: message.messageId || globalThis.crypto.randomUUID(),
+  };
+  if (idempotencyKey) outbound.idempotencyKey = idempotencyKey;
+  let proof: AgentProof | string | null | undefined = message.proof;
+  if (typeof proof === "string" && proofProviders[proof]) {
+    proof = await proofProviders[proof]({ ...outbound, proof: null }, proof);
+  }
+  const prepared: AgentMessage = { ...outbound, proof: proof ?? null };
+  return sealer ? sealer(prepared) : prepared;
+}
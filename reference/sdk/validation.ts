@@ -0,0 +1,227 @@
+import type { AgentDictionaryMember, AgentMethodDef, AgentTypeDefs, AgentTypeDescriptor } from "./agent-sdk";
+import { AgentError } from "./errors";
+
+export interface ValidationIssue {
+  path: string;
+  message: string;
+}
+
+export class AgentValidationError extends AgentError {
+  public intent: string;
+  public target: "payload" | "result" | "chunk";
+  public issues: ValidationIssue[];
+
+  constructor(intent: string, target: "payload" | "result" | "chunk", issues: ValidationIssue[]) {
+    const summary = issues.map(issue => `${issue.path}: ${issue.message}`).join("; ");
+    super("validation-failed", `Invalid ${target} for intent ${intent}: ${summary}`);
+    this.name = "AgentValidationError";
+    this.intent = intent;
+    this.target = target;
+    this.issues = issues;
+  }
+}
+
+export const INTEGER_RANGES: Record<string, [number, number]> = {
+  byte: [-128, 127],
+  octet: [0, 255],
+  short: [-32768, 32767],
+  "unsigned short": [0, 65535],
+  long: [-2147483648, 2147483647],
+  "unsigned long": [0, 4294967295],
+  "long long": [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  "unsigned long long": [0, Number.MAX_SAFE_INTEGER],
+};
+
+const STRING_TYPES = new Set(["DOMString", "USVString", "ByteString"]);
+
+function describeValue(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function validatePrimitive(value: unknown, name: string, path: string): ValidationIssue[] | null {
+  if (name === "any") return [];
+  if (name === "undefined") {
+    return value === undefined ? [] : [{ path, message: `expected undefined, got ${describeValue(value)}` }];
+  }
+  if (name === "boolean") {
+    return typeof value === "boolean" ? [] : [{ path, message: `expected boolean, got ${describeValue(value)}` }];
+  }
+  if (STRING_TYPES.has(name)) {
+    return typeof value === "string" ? [] : [{ path, message: `expected ${name}, got ${describeValue(value)}` }];
+  }
+  if (name === "object") {
+    return typeof value === "object" && value !== null ? [] : [{ path, message: `expected object, got ${describeValue(value)}` }];
+  }
+  if (name === "float" || name === "double") {
+    return typeof value === "number" && Number.isFinite(value)
+      ? []
+      : [{ path, message: `expected finite ${name}, got ${describeValue(value)}` }];
+  }
+  if (name === "unrestricted float" || name === "unrestricted double") {
+    return typeof value === "number" ? [] : [{ path, message: `expected ${name}, got ${describeValue(value)}` }];
+  }
+  if (name === "bigint") {
+    // JSON carries bigints as plain integers, so a JS bigint could not be sent or stored.
+    return typeof value === "number" && Number.isInteger(value)
+      ? []
+      : [{ path, message: `expected bigint, got ${describeValue(value)}` }];
+  }
+  const range = INTEGER_RANGES[name];
+  if (range) {
+    if (typeof value !== "number" || !Number.isInteger(value)) {
+      return [{ path, message: `expected integer ${name}, got ${describeValue(value)}` }];
+    }
+    if (value < range[0] || value > range[1]) {
+      return [{ path, message: `${value} is out of range for ${name}` }];
+    }
+    return [];
+  }
+  return null;
+}
+
+function collectDictionaryMembers(
+  name: string,
+  types: AgentTypeDefs,
+  seen: Set<string> = new Set()
+): AgentDictionaryMember[] {
+  const dictionary = types.dictionaries[name];
+  if (!dictionary || seen.has(name)) return [];
+  seen.add(name);
+  const inherited = dictionary.inheritance ? collectDictionaryMembers(dictionary.inheritance, types, seen) : [];
+  return [...inherited, ...dictionary.members];
+}
+
+function validateNamedType(value: unknown, name: string, types: AgentTypeDefs, path: string): ValidationIssue[] {
+  const primitive = validatePrimitive(value, name, path);
+  if (primitive) return primitive;
+
+  if (types.enums[name]) {
+    const values = types.enums[name];
+    if (typeof value !== "string" || !values.includes(value)) {
+      return [{ path, message: `expected one of ${values.map(entry => `"${entry}"`).join(", ")}` }];
+    }
+    return [];
+  }
+
+  if (types.typedefs[name]) {
+    return validateValue(value, types.typedefs[name], types, path);
+  }
+
+  if (types.callbacks.includes(name)) {
+    return [];
+  }
+
+  if (types.dictionaries[name]) {
+    if (!isPlainObject(value)) {
+      return [{ path, message: `expected ${name} dictionary, got ${describeValue(value)}` }];
+    }
+    const issues: ValidationIssue[] = [];
+    collectDictionaryMembers(name, types).forEach(member => {
+      const memberPath = `${path}.${member.name}`;
+      const memberValue = value[member.name];
+      if (memberValue === undefined) {
+        if (member.required) issues.push({ path: memberPath, message: "is required" });
+        return;
+      }
+      issues.push(...validateValue(memberValue, member.idlType, types, memberPath));
+    });
+    return issues;
+  }
+
+  // Types referenced but not declared in the IDL are opaque records.
+  if (typeof value !== "object" || value === null) {
+    return [{ path, message: `expected ${name} object, got ${describeValue(value)}` }];
+  }
+  return [];
+}
+
+export function validateValue(
+  value: unknown,
+  type: AgentTypeDescriptor,
+  types: AgentTypeDefs,
+  path: string
+): ValidationIssue[] {
+  if (value === null && type.nullable) return [];
+
+  if (type.union) {
+    const matches = type.subtypes.some(subtype => validateValue(value, subtype, types, path).length === 0);
+    return matches ? [] : [{ path, message: `does not match any member of the union, got ${describeValue(value)}` }];
+  }
+
+  if (type.generic === "Promise") {
+    return type.subtypes[0] ? validateValue(value, type.subtypes[0], types, path) : [];
+  }
+
+  if (type.generic === "sequence" || type.generic === "FrozenArray" || type.generic === "ObservableArray") {
+    if (!Array.isArray(value)) {
+      return [{ path, message: `expected ${type.generic}, got ${describeValue(value)}` }];
+    }
+    const itemType = type.subtypes[0];
+    if (!itemType) return [];
+    const issues: ValidationIssue[] = [];
+    value.forEach((item, index) => issues.push(...validateValue(item, itemType, types, `${path}[${index}]`)));
+    return issues;
+  }
+
+  if (type.generic === "record") {
+    if (!isPlainObject(value)) {
+      return [{ path, message: `expected record, got ${describeValue(value)}` }];
+    }
+    const valueType = type.subtypes[1];
+    if (!valueType) return [];
+    const issues: ValidationIssue[] = [];
+    Object.keys(value).forEach(key => issues.push(...validateValue(value[key], valueType, types, `${path}.${key}`)));
+    return issues;
+  }
+
+  if (type.name) {
+    return validateNamedType(value, type.name, types, path);
+  }
+  return [];
+}
+
+export function validatePayload(
+  method: AgentMethodDef,
+  payload: unknown,
+  types: AgentTypeDefs
+): ValidationIssue[] {
+  if (!isPlainObject(payload)) {
+    return [{ path: "payload", message: `expected object, got ${describeValue(payload)}` }];
+  }
+
+  const issues: ValidationIssue[] = [];
+  method.params.forEach(param => {
+    const path = `payload.${param.name}`;
+    const value = payload[param.name];
+    if (value === undefined) {
+      if (!param.optional && !param.variadic) issues.push({ path, message: "is required" });
+      return;
+    }
+    if (param.variadic) {
+      if (!Array.isArray(value)) {
+        issues.push({ path, message: `expected array of variadic arguments, got ${describeValue(value)}` });
+        return;
+      }
+      value.forEach((item, index) => issues.push(...validateValue(item, param.idlType, types, `${path}[${index}]`)));
+      return;
+    }
+    issues.push(...validateValue(value, param.idlType, types, path));
+  });
+  return issues;
+}
+
+export function validateResult(method: AgentMethodDef, result: unknown, types: AgentTypeDefs): ValidationIssue[] {
+  return validateValue(result, method.returnIdlType, types, "result");
+}
+
+/** Checks one streamed chunk against the dictionary named by `[Streaming]`. */
+export function validateChunk(method: AgentMethodDef, chunk: unknown, types: AgentTypeDefs): ValidationIssue[] {
+  if (!method.stream) return [];
+  return validateValue(chunk, { name: method.stream, generic: null, union: false, nullable: false, subtypes: [] }, types, "chunk");
+}
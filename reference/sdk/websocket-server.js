@@ -0,0 +1,93 @@
+const { WebSocketServer } = require("ws");
+const { deriveMessageId } = require("./replay");
+const { serializeError } = require("./transport");
+
+/**
+ * Serves `runtime` over WebSocket using the framing documented in
+ * `websocket-transport`. Requests on one connection are handled concurrently and
+ * answered by id; every failure (proof, delegation, validation, handler errors)
+ * becomes a structured error frame instead of closing the socket. Handlers of
+ * requests still running when the socket closes are cancelled.
+ */
+function serveAgent(runtime, options = {}) {
+  const { port, host, server, path, defaultFrom = "anonymous" } = options;
+  const wss = new WebSocketServer(server ? { server, path } : { port: port ?? 0, host, path });
+
+  wss.on("connection", socket => {
+    const calls = new Map();
+    const reply = frame => {
+      if (socket.readyState === 1) socket.send(JSON.stringify(frame));
+    };
+
+    socket.addEventListener("close", () => {
+      calls.forEach(call => call.abort());
+      calls.clear();
+    });
+
+    socket.addEventListener("message", async event => {
+      let frame;
+      try {
+        frame = JSON.parse(typeof event.data === "string" ? event.data : String(event.data));
+      } catch (err) {
+        reply({ id: null, error: { code: "protocol-error", name: "AgentProtocolError", message: "Frame is not valid JSON." } });
+        return;
+      }
+      if (frame && typeof frame.id === "string" && frame.cancel === true) {
+        const call = calls.get(frame.id);
+        if (call) call.abort();
+        return;
+      }
+      if (!frame || typeof frame.id !== "string" || typeof frame.intent !== "string") {
+        const id = frame && typeof frame.id === "string" ? frame.id : null;
+        reply({ id, error: { code: "protocol-error", name: "AgentProtocolError", message: "Request frames need a string id and intent." } });
+        return;
+      }
+
+      const id = frame.id;
+      const call = new AbortController();
+      const onChunk = frame.stream ? (chunk) => reply({ id, chunk }) : undefined;
+      calls.set(id, call);
+      try {
+        const message = {
+          intent: frame.intent,
+          proof: frame.proof ?? null,
+          payload: frame.payload || {},
+          from: frame.from || defaultFrom,
+          to: runtime.id,
+          timestamp: frame.timestamp || new Date().toISOString(),
+          messageId: frame.messageId || deriveMessageId(frame),
+          idempotencyKey: frame.idempotencyKey,
+          envelope: frame.envelope,
+        };
+        const result = await runtime.receive(message, { signal: call.signal, onChunk });
+        reply({ id, result });
+      } catch (err) {
+        reply({ id, error: serializeError(err) });
+      } finally {
+        if (calls.get(id) === call) calls.delete(id);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const ready = () => {
+      const address = wss.address();
+      resolve({
+        port: address && typeof address === "object" ? address.port : null,
+        close: () =>
+          new Promise((done, fail) => {
+            wss.clients.forEach(client => client.terminate());
+            wss.close(err => (err ? fail(err) : done()));
+          }),
+      });
+    };
+    if (server) {
+      ready();
+      return;
+    }
+    wss.on("listening", ready);
+    wss.on("error", reject);
+  });
+}
+
+module.exports = { serveAgent };
@@ -0,0 +1,115 @@
+import type http from "http";
+import type { AgentRuntime } from "./agent-sdk";
+import { deriveMessageId } from "./replay";
+import { AgentServer, serializeError } from "./transport";
+import { AgentCancelFrame, AgentRequestFrame, AgentResponseFrame, WebSocketLike } from "./websocket-transport";
+
+// `ws` ships without type declarations; this is the part of its API used here.
+interface WsServer {
+  address(): { port: number } | string | null;
+  on(event: "connection", listener: (socket: WebSocketLike) => void): void;
+  on(event: "listening", listener: () => void): void;
+  on(event: "error", listener: (err: Error) => void): void;
+  close(callback?: (err?: Error) => void): void;
+  clients: Set<WebSocketLike & { terminate(): void }>;
+}
+
+const { WebSocketServer } = require("ws") as {
+  WebSocketServer: new (options: { port?: number; host?: string; server?: http.Server; path?: string }) => WsServer;
+};
+
+export interface ServeAgentOptions {
+  port?: number;
+  host?: string;
+  server?: http.Server;
+  path?: string;
+  defaultFrom?: string;
+}
+
+/**
+ * Serves `runtime` over WebSocket using the framing documented in
+ * `websocket-transport`. Requests on one connection are handled concurrently and
+ * answered by id; every failure (proof, delegation, validation, handler errors)
+ * becomes a structured error frame instead of closing the socket. Handlers of
+ * requests still running when the socket closes are cancelled.
+ */
+export function serveAgent(runtime: AgentRuntime, options: ServeAgentOptions = {}): Promise<AgentServer> {
+  const { port, host, server, path, defaultFrom = "anonymous" } = options;
+  const wss = new WebSocketServer(server ? { server, path } : { port: port ?? 0, host, path });
+
+  wss.on("connection", socket => {
+    const calls = new Map<string, AbortController>();
+    const reply = (frame: AgentResponseFrame) => {
+      if (socket.readyState === 1) socket.send(JSON.stringify(frame));
+    };
+
+    socket.addEventListener("close", () => {
+      calls.forEach(call => call.abort());
+      calls.clear();
+    });
+
+    socket.addEventListener("message", async event => {
+      let frame: AgentRequestFrame;
+      try {
+        frame = JSON.parse(typeof event.data === "string" ? event.data : String(event.data));
+      } catch (err) {
+        reply({ id: null, error: { code: "protocol-error", name: "AgentProtocolError", message: "Frame is not valid JSON." } });
+        return;
+      }
+      if (frame && typeof frame.id === "string" && (frame as unknown as AgentCancelFrame).cancel === true) {
+        const call = calls.get(frame.id);
+        if (call) call.abort();
+        return;
+      }
+      if (!frame || typeof frame.id !== "string" || typeof frame.intent !== "string") {
+        const id = frame && typeof frame.id === "string" ? frame.id : null;
+        reply({ id, error: { code: "protocol-error", name: "AgentProtocolError", message: "Request frames need a string id and intent." } });
+        return;
+      }
+
+      const id = frame.id;
+      const call = new AbortController();
+      const onChunk = frame.stream ? (chunk: unknown) => reply({ id, chunk }) : undefined;
+      calls.set(id, call);
+      try {
+        const message = {
+          intent: frame.intent,
+          proof: frame.proof ?? null,
+          payload: frame.payload || {},
+          from: frame.from || defaultFrom,
+          to: runtime.id,
+          timestamp: frame.timestamp || new Date().toISOString(),
+          messageId: frame.messageId || deriveMessageId(frame),
+          idempotencyKey: frame.idempotencyKey,
+          envelope: frame.envelope,
+        };
+        const result = await runtime.receive(message, { signal: call.signal, onChunk });
+        reply({ id, result });
+      } catch (err) {
+        reply({ id, error: serializeError(err) });
+      } finally {
+        if (calls.get(id) === call) calls.delete(id);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const ready = () => {
+      const address = wss.address();
+      resolve({
+        port: address && typeof address === "object" ? address.port : null,
+        close: () =>
+          new Promise<void>((done, fail) => {
+            wss.clients.forEach(client => client.terminate());
+            wss.close(err => (err ? fail(err) : done()));
+          }),
+      });
+    };
+    if (server) {
+      ready();
+      return;
+    }
+    wss.on("listening", ready);
+    wss.on("error", reject);
+  });
+}
@@ -0,0 +1,240 @@
+const { AgentCancelledError } = require("./errors");
+const { AgentRemoteError, AgentTransportError, prepareOutboundMessage } = require("./transport");
+
+/*
+ * AgentIDL WebSocket framing. Every frame is one JSON text message.
+ *
+ *   request   { "id": "req-1", "intent": "agent:X", "payload": {...}, "proof": ..., "from": "...", "to": "...", "stream": true }
+ *   chunk     { "id": "req-1", "chunk": <one chunk> }
+ *   success   { "id": "req-1", "result": <handler result> }
+ *   failure   { "id": "req-1", "error": { "code": "proof-failed", "name": "AgentProofError", "message": "...", "data": {...} } }
+ *   cancel    { "id": "req-1", "cancel": true }
+ *
+ * Request ids are chosen by the caller and echoed back, so any number of requests
+ * can be in flight on one socket and replies may arrive in any order. Frames that
+ * cannot be parsed are answered with `"id": null` and a `protocol-error`.
+ * Requests sent with `"stream": true` get a chunk frame for every chunk their
+ * `[Streaming]` operation emits, before the final reply. A cancel frame, or closing
+ * the socket, aborts the handler of a request still in flight; the client sends
+ * one when its caller aborts or the request times out.
+ * Requests also carry a `messageId` (and `idempotencyKey` when the caller sets one);
+ * requests sealed by a `sealer` add `nonce` and `envelope`.
+ * This module has no Node dependencies so it runs unchanged in browsers.
+ */
+
+const OPEN = 1;
+
+/**
+ * Client side of the framing above. Pass `url` (plus a `WebSocket` constructor
+ * outside browsers, e.g. the `ws` package) to have the transport connect lazily
+ * and reconnect with exponential backoff, or `socket` to speak over a connection
+ * that is already open. Requests sent while disconnected wait for the next
+ * connection, up to `timeoutMs` after they were sent; requests in flight when the
+ * socket drops reject with `closed`, since the remote agent may already have acted on them.
+ */
+function createWebSocketTransport({
+  url,
+  socket: existingSocket,
+  WebSocket: SocketImpl = globalThis.WebSocket,
+  from,
+  timeoutMs = 30000,
+  reconnect = {},
+  proofProviders = {},
+  sealer,
+}) {
+  if (!url && !existingSocket) {
+    throw new Error("createWebSocketTransport needs a url or an open socket.");
+  }
+  if (url && !SocketImpl) {
+    throw new Error("No WebSocket implementation available; pass one as the WebSocket option.");
+  }
+  const backoff = reconnect === false || existingSocket ? null : reconnect;
+  const pending = new Map();
+  const prefix = `req-${Date.now().toString(36)}`;
+  let seq = 0;
+  let socket = null;
+  let connecting = null;
+  let attempts = 0;
+  let closed = false;
+
+  const failAll = (code, detail) => {
+    pending.forEach((request, id) => {
+      request.reject(new AgentTransportError(code, id, detail));
+    });
+    pending.clear();
+  };
+
+  const onMessage = event => {
+    let frame;
+    try {
+      frame = JSON.parse(typeof event.data === "string" ? event.data : String(event.data));
+    } catch (err) {
+      return;
+    }
+    if (!frame || typeof frame.id !== "string") {
+      if (frame && frame.error) failAll("protocol", frame.error.message);
+      return;
+    }
+    const request = pending.get(frame.id);
+    if (!request) return;
+    if (frame.chunk !== undefined) {
+      // Chunks show the call is alive, so the timeout restarts on each one.
+      clearTimeout(request.timer);
+      request.timer = setTimeout(request.expire, timeoutMs);
+      if (request.onChunk) request.onChunk(frame.chunk);
+      return;
+    }
+    if (frame.error) request.reject(new AgentRemoteError(frame.error));
+    else request.resolve(frame.result);
+  };
+
+  const attach = ws => {
+    ws.addEventListener("message", onMessage);
+    ws.addEventListener("close", () => {
+      if (socket === ws) socket = null;
+      failAll("closed", "connection closed before a reply arrived");
+    });
+  };
+
+  if (existingSocket) {
+    socket = existingSocket;
+    attach(existingSocket);
+  }
+
+  const open = () =>
+    new Promise((resolve, reject) => {
+      const ws = new SocketImpl(url);
+      const onOpen = () => {
+        attempts = 0;
+        socket = ws;
+        attach(ws);
+        resolve(ws);
+      };
+      ws.addEventListener("open", onOpen);
+      ws.addEventListener("error", () => {
+        if (socket !== ws) reject(new AgentTransportError("closed", null, `could not connect to ${url}`));
+      });
+    });
+
+  const connect = async () => {
+    for (;;) {
+      if (closed) throw new AgentTransportError("closed", null, "transport was closed");
+      try {
+        return await open();
+      } catch (err) {
+        attempts += 1;
+        const retries = backoff ? (backoff.retries ?? 5) : 0;
+        if (attempts > retries) throw err;
+        const minDelay = (backoff && backoff.minDelayMs) || 250;
+        const maxDelay = (backoff && backoff.maxDelayMs) || 10000;
+        const delay = Math.min(maxDelay, minDelay * 2 ** (attempts - 1));
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+
+  const ready = async () => {
+    if (socket && socket.readyState === OPEN) return socket;
+    if (existingSocket) throw new AgentTransportError("closed", null, "socket is not open");
+    if (!connecting) {
+      connecting = connect().finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  };
+
+  // Waits for the connection unless `signal` fires or the request's `deadline`
+  // passes first; the connection attempt itself carries on for other requests.
+  const readyBefore = (
+    deadline,
+    id,
+    signal,
+    intent
+  ) =>
+    new Promise((resolve, reject) => {
+      const onAbort = () => fail(new AgentCancelledError(intent));
+      const timer = setTimeout(
+        () => fail(new AgentTransportError("timeout", id, `not connected within ${timeoutMs}ms`)),
+        Math.max(0, deadline - Date.now())
+      );
+      const fail = (err) => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+        reject(err);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+      ready().then(ws => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve(ws);
+      }, fail);
+    });
+
+  return {
+    async send(message, { signal, onChunk, idempotencyKey } = {}) {
+      if (signal && signal.aborted) throw new AgentCancelledError(message.intent);
+      // The timeout covers the whole call, including waiting for a connection.
+      const deadline = Date.now() + timeoutMs;
+      seq += 1;
+      const id = `${prefix}-${seq}`;
+      const frame = { ...(await prepareOutboundMessage(message, { from, proofProviders, sealer, idempotencyKey })), id };
+      if (onChunk) frame.stream = true;
+
+      const ws = await readyBefore(deadline, id, signal, message.intent);
+      return new Promise((resolve, reject) => {
+        const release = () => {
+          const request = pending.get(id);
+          if (request) clearTimeout(request.timer);
+          pending.delete(id);
+          if (signal) signal.removeEventListener("abort", cancel);
+        };
+        const sendCancel = () => {
+          if (ws.readyState === OPEN) ws.send(JSON.stringify({ id, cancel: true }));
+        };
+        const cancel = () => {
+          release();
+          sendCancel();
+          reject(new AgentCancelledError(message.intent));
+        };
+        // The remote handler would otherwise keep running for a caller that gave up.
+        const expire = () => {
+          release();
+          sendCancel();
+          reject(new AgentTransportError("timeout", id, `no reply within ${timeoutMs}ms`));
+        };
+        pending.set(id, {
+          resolve: value => {
+            release();
+            resolve(value);
+          },
+          reject: err => {
+            release();
+            reject(err);
+          },
+          onChunk,
+          expire,
+          timer: setTimeout(expire, Math.max(0, deadline - Date.now())),
+        });
+        if (signal) signal.addEventListener("abort", cancel, { once: true });
+        ws.send(JSON.stringify(frame));
+      });
+    },
+    close() {
+      closed = true;
+      failAll("closed", "transport was closed");
+      if (socket) socket.close();
+      socket = null;
+    },
+  };
+}
+
+module.exports = {
+  createWebSocketTransport,
+};